@@ -4,13 +4,25 @@
 import { loadJSON, showInitError } from './systems/jsonLoader.js';
 import { loadAssets } from './systems/assets.js';
 import { GameState } from './state/GameState.js';
+import { loadLandmarks } from './systems/landmarks.js';
+import { flushOnPageHide } from './state/persistence.js';
+import { SaveVersionError } from './state/migrations.js';
+import { SaveCorruptError } from './state/backups.js';
+import { decodeSave } from './state/saveCodec.js';
+import { isReplayable } from './systems/replay.js';
 import { mountTitleScreen } from './ui/TitleScreen.js';
+import { mountLoadScreen } from './ui/LoadScreen.js';
+import { mountRecoveryScreen } from './ui/RecoveryScreen.js';
+import { mountPartySetupScreen } from './ui/PartySetupScreen.js';
 import { mountTravelScreen } from './ui/TravelScreen.js';
 import { mountLandmarkScreen } from './ui/LandmarkScreen.js';
 import { mountShopScreen } from './ui/ShopScreen.js';
 import { showRiverModal } from './ui/RiverModal.js';
 import { mountHuntingScreen } from './ui/HuntingScreen.js';
 import { mountEndScreen } from './ui/EndScreen.js';
+import { mountReplayScreen } from './ui/ReplayScreen.js';
+import { showImportModal } from './ui/SaveTransferModal.js';
+import { showSaveError } from './ui/SaveErrorBanner.js';
 
 const app = document.getElementById('app');
 
@@ -30,33 +42,110 @@ async function init() {
     const manifest = await loadJSON('../data/manifest.json');
     await loadAssets(manifest);
 
-    const game = new GameState();
-    const hasSave = GameState.hasSave();
+    const game = await GameState.open({ onSaveError: showSaveError });
+    const hasSave = GameState.hasSave(game.storage);
+    // The write is queued before the handler returns; the browser may still cut it short
+    flushOnPageHide(() => game.whenSaved().catch(showSaveError));
 
-    const toTitle = () => {
+    const toTitle = async () => {
+      // Slot summaries on the title/load screens come from storage
+      try { await game.whenSaved(); } catch (err) { showSaveError(err); }
       ScreenManager.show((root) =>
         mountTitleScreen(root, {
-          hasSave: GameState.hasSave(),
-          onNewGame: () => {
-            const seed = GameState.randomSeed();
-            console.log('[Canadian Trail] New Game with seed:', seed);
-            game.startNewGame(seed);
-            toTravel();
-          },
-          onContinue: () => {
-            try {
-              game.continueGame();
-              console.log('[Canadian Trail] Continue from seed:', game.data.rngSeed);
+          hasSave: GameState.hasSave(game.storage),
+          onNewGame: (difficulty) => toPartySetup(difficulty),
+          onContinue: () => loadSlot(),
+          onLoadGame: () => toLoad(),
+          onImportSave: async () => {
+            const imported = await showImportModal({ onImport: (text) => game.importSave(text) });
+            if (imported) {
+              console.log('[Canadian Trail] Imported save with seed:', game.data.rngSeed);
               toTravel();
-            } catch (err) {
-              console.error('Continue failed:', err);
-              showInitError('Could not load saved game. Starting a new one is recommended.');
             }
+          },
+          onWatchReplay: async () => {
+            let data = null;
+            const picked = await showImportModal({
+              title: 'Watch Replay',
+              intro: 'The run is rebuilt from its seed and recorded actions; your saves are not changed.',
+              submitLabel: 'Watch',
+              onImport: (text) => {
+                ({ data } = decodeSave(text));
+                if (!isReplayable(data)) throw new Error('This save has no action journal to replay (it predates journaling).');
+              }
+            });
+            if (picked) toReplay(data);
           }
         })
       );
     };
 
+    const toPartySetup = (difficulty, initial = null) => {
+      ScreenManager.show((root) =>
+        mountPartySetupScreen(root, {
+          initial,
+          difficulty,
+          onStart: (partyConfig, { startMonth } = {}) => {
+            const seed = GameState.randomSeed();
+            console.log('[Canadian Trail] New Game with seed:', seed, difficulty);
+            game.startNewGame(seed, partyConfig, { difficulty, startMonth });
+            toTravel();
+          },
+          onBack: () => toTitle()
+        })
+      );
+    };
+
+    const toReplay = (data) => {
+      ScreenManager.show((root) =>
+        mountReplayScreen(root, {
+          data,
+          onBack: () => toTitle()
+        })
+      );
+    };
+
+    const loadSlot = (slotId) => {
+      try {
+        game.continueGame(slotId);
+        console.log('[Canadian Trail] Continue from seed:', game.data.rngSeed);
+        toTravel();
+      } catch (err) {
+        console.error('Continue failed:', err);
+        if (err instanceof SaveCorruptError) { toRecovery(err); return; }
+        showInitError(err instanceof SaveVersionError
+          ? err.message
+          : 'Could not load saved game. Starting a new one is recommended.');
+      }
+    };
+
+    const toRecovery = (err) => {
+      const slot = GameState.listSlots(game.storage).find(s => s.id === err.slotId);
+      ScreenManager.show((root) =>
+        mountRecoveryScreen(root, {
+          slotName: slot?.name,
+          backups: err.backups,
+          onRestore: (index) => {
+            game.restoreBackup(err.slotId, index);
+            console.log('[Canadian Trail] Restored backup of day', game.data.day);
+            toTravel();
+          },
+          onNewGame: () => toPartySetup(slot?.difficulty || 'standard'),
+          onBack: () => toTitle()
+        })
+      );
+    };
+
+    const toLoad = () => {
+      ScreenManager.show((root) =>
+        mountLoadScreen(root, {
+          storage: game.storage,
+          onLoad: (slotId) => loadSlot(slotId),
+          onBack: () => toTitle()
+        })
+      );
+    };
+
     const toEnd = (details = {}) => {
       ScreenManager.show((root) =>
         mountEndScreen(root, {
@@ -65,7 +154,9 @@ async function init() {
           onPlayAgain: () => {
             const newSeed = GameState.randomSeed();
             console.log('[Canadian Trail] Play Again with seed:', newSeed);
-            game.startNewGame(newSeed);
+            // Same party, difficulty and start month as the run that just ended
+            const { difficulty, startMonth } = game.data.settings || {};
+            game.startNewGame(newSeed, game.data.journal?.[0]?.party || null, { difficulty, startMonth });
             toTravel();
           },
           onBackToTitle: () => toTitle()
@@ -78,6 +169,8 @@ async function init() {
         mountTravelScreen(root, {
           game,
           onBackToTitle: toTitle,
+          onImported: () => toTravel(),
+          onRewound: () => toTravel(),
           onHunt: () => toHunt(),
           onGameOver: (details) => toEnd(details),
           onReachLandmark: async (landmark) => {
@@ -85,14 +178,10 @@ async function init() {
               await showRiverModal(landmark, { game });
               if (game.data.flags?.atLandmarkId) return;
 
+              // Cleared by leaveLandmark() once the player moves on
               let nextServiceId = game.data.flags?._followServiceId;
-              if (nextServiceId) {
-                delete game.data.flags._followServiceId;
-                game.save();
-              }
               if (!nextServiceId) {
-                const all = await loadJSON('../data/landmarks.json');
-                all.sort((a, b) => a.mile - b.mile);
+                const all = await loadLandmarks(game);
                 const trailing = all
                   .filter(l =>
                     l.mile > (landmark.mile || 0) &&
@@ -102,7 +191,7 @@ async function init() {
                 nextServiceId = trailing.length ? trailing[trailing.length - 1].id : null;
               }
               if (nextServiceId) {
-                const all = await loadJSON('../data/landmarks.json');
+                const all = await loadLandmarks(game);
                 const nextLm = all.find(l => l.id === nextServiceId);
                 if (nextLm) { toLandmark(nextLm); return; }
               }
@@ -123,11 +212,7 @@ async function init() {
           game,
           landmark,
           onOpenShop: () => toShop(landmark),
-          onContinue: () => {
-            if (game.data.flags) delete game.data.flags.atLandmarkId;
-            game.save();
-            toTravel();
-          }
+          onContinue: () => toTravel()
         })
       );
     };
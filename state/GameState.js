@@ -3,8 +3,68 @@
 // - Fields: money, morale, buffs, epitaphs (targeted messages per member)
 // - Day counter preserved from Phase 2
 // - Deterministic RNG and save/load as before
+// Save slots:
+// - Each run lives under its own key; a small index holds per-slot summaries
+//   (seed, day, miles, survivors, last landmark, timestamp) for the load screen.
+// - The pre-slot single save key is adopted into a slot on first listing.
+// Schema versions:
+// - New games are written at CURRENT_VERSION; older saves are upgraded on load
+//   by the ordered steps in state/migrations.js.
+// Action journal:
+// - data.journal starts with { type:'start', seed, difficulty, startMonth, party }; systems/actions.js
+//   appends each player decision so systems/replay.js can rebuild the run.
+// Difficulty & rewind:
+// - settings.difficulty is 'casual' | 'standard' | 'ironman', fixed per run.
+// - travel.js calls snapshotDay() at every day boundary; the last REWIND_DEPTH
+//   snapshots (data + RNG state) are kept in memory for casual "Rewind a day".
+// Calendar:
+// - settings.startMonth (1–12) is the month day 1 falls in, picked at New Game;
+//   systems/calendar.js turns day numbers into dates and seasons.
+// Vehicle:
+// - data.vehicle holds per-part wear and the current breakdown (systems/vehicle.js).
+// Route:
+// - data.route.choices maps each fork landmark passed to the leg taken (systems/landmarks.js).
+// Clothing:
+// - data.clothing.wear is how worn the warm clothes in use are, 0..100 per set (systems/cold.js).
+// Morale:
+// - data.morale runs -5..5; data.moraleHistory holds the last few end-of-day values (systems/morale.js).
+// RNG streams:
+// - Each subsystem draws from its own stream, rngFor(name), derived from the seed
+//   and persisted in data.rngStreams, so extra draws in one (e.g. a hunting shot)
+//   never shift another. rngFor(name, key) is a throwaway stream for rolls that
+//   must depend only on seed + key (weather uses the day number).
+// - Saves from before streams have rngStreams: null and keep sharing this.rng.
+// Persistence:
+// - Systems call markDirty(); state/persistence.js batches that into one write
+//   per action/frame. save() writes immediately; flush() writes only if dirty.
+// - GameState.open() picks the storage backend (IndexedDB when available, see
+//   state/storage.js); `new GameState()` alone uses localStorage or memory.
+// - On IndexedDB the write reaches disk later: a rejected one is rethrown by the next
+//   save() (SaveQuotaError / SaveCorruptError, the run dirty again) and reported through
+//   opts.onSaveError by flush(); whenSaved() waits until the run is really stored.
+// - Every slot also keeps daily autosave backups (state/backups.js). Loads are
+//   validated; a damaged slot throws SaveCorruptError so the player can restore one.
+// Event bus:
+// - game.bus (state/eventBus.js) announces state changes (day:start, member:died, ...);
+//   it outlives runs, so listeners stay subscribed across New Game / Continue.
 
-const SAVE_KEY = 'canadian-trail-save-v1';
+import { CURRENT_VERSION } from './migrations.js';
+import { encodeSave, decodeSave } from './saveCodec.js';
+import { DEFAULT_PARTY, buildParty, normalizePartyConfig } from './party.js';
+import { PREV_SUFFIX, SaveQuotaError, createSaveScheduler, isQuotaError, safeWrite, readWithBackup } from './persistence.js';
+import { openDefaultStorage } from './storage.js';
+import { BACKUP_DEPTH, SaveCorruptError, backupKey, backupKeysOldestFirst, parseSave, validateSave } from './backups.js';
+import { createEventBus } from './eventBus.js';
+import { addLog } from '../systems/log.js';
+import { DEFAULT_START_MONTH, normalizeStartMonth } from '../systems/calendar.js';
+import { TANK_GAL } from '../systems/fuel.js';
+
+const LEGACY_SAVE_KEY = 'canadian-trail-save-v1';
+const SLOT_INDEX_KEY = 'canadian-trail-slots-v1';
+const SLOT_KEY_PREFIX = 'canadian-trail-slot-';
+
+export const DIFFICULTIES = /** @type {const} */ (['casual', 'standard', 'ironman']);
+export const REWIND_DEPTH = 5;
 
 /** Mulberry32 RNG with simple state */
 export class RNG {
@@ -22,31 +82,77 @@ export class RNG {
   pick(arr) { return arr[this.nextInt(arr.length)]; }
   getState() { return this.state >>> 0; }
   setState(s) { this.state = (s >>> 0) || 1; }
+
+  /**
+   * Independent generator for a named stream of a seed (same inputs → same sequence).
+   * @param {number} seed
+   * @param {string} name
+   */
+  static derive(seed, name) {
+    // FNV-1a over the name, mixed with the seed and finalized (murmur3 fmix32)
+    let h = 2166136261 ^ (seed >>> 0);
+    for (const ch of String(name)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return new RNG((h ^ (h >>> 16)) >>> 0);
+  }
 }
 
 /** GameState manages persistent snapshot + deterministic RNG */
 export class GameState {
+  /**
+   * @param {{ storage?: Storage, schedule?: (cb:() => void) => void, onSaveError?: (err:Error) => void }} [opts]
+   *   schedule: when batched saves run (default: next animation frame)
+   *   onSaveError: a batched save or flush() failed (default: console.error)
+   */
   constructor(opts = {}) {
     this.storage = opts.storage || getDefaultStorage();
+    this.saves = createSaveScheduler(() => this.save(), { schedule: opts.schedule, onError: opts.onSaveError });
+    /** @type {import('./eventBus.js').GameEventBus} */
+    this.bus = createEventBus();
+    this.slotId = null;
+    /** Migration step names applied by the last continueGame() */
+    this.lastMigrations = [];
+    /** @type {{ day:number, rngState:number, json:string }[]} oldest first */
+    this.rewindBuffer = [];
+    /** @type {Record<string, RNG>} live subsystem streams (see rngFor) */
+    this.streams = {};
     this.data = {
-      version: 1,
+      version: CURRENT_VERSION,
       rngSeed: 1,
       rngState: 1,
+      rngStreams: {},
       day: 1,
       party: [],
-      inventory: { food: 100, bullets: 20, clothes: 4, wheel: 1, axle: 1, tongue: 0, medicine: 2 },
+      inventory: { food: 100, bullets: 20, clothes: 4, wheel: 1, axle: 1, tongue: 0, medicine: 2, fuel: TANK_GAL },
       money: 50,
       morale: 0,
+      moraleHistory: [],
       buffs: {},
       miles: 0,
-      settings: { pace: 'steady', rations: 'normal' },
-      flags: {},
-      epitaphs: defaultEpitaphs(),
-      log: []
+      settings: { pace: 'steady', rations: 'normal', difficulty: 'standard', startMonth: DEFAULT_START_MONTH },
+      flags: { hazardState: {} },
+      status: { conditions: [], history: {} },
+      weather: { lastRolledDay: 0, today: null },
+      vehicle: { wear: { wheel: 0, axle: 0, tongue: 0 }, broken: null },
+      route: { choices: {} },
+      clothing: { wear: 0 },
+      epitaphs: buildParty(DEFAULT_PARTY).epitaphs,
+      log: [],
+      journal: []
     };
     this.rng = new RNG(1);
   }
 
+  /**
+   * GameState on the best available storage (IndexedDB, migrating localStorage saves into it).
+   * @param {{ storage?: Storage, schedule?: (cb:() => void) => void, onSaveError?: (err:Error) => void, env?: Parameters<typeof openDefaultStorage>[0] }} [opts]
+   */
+  static async open(opts = {}) {
+    const storage = opts.storage || await openDefaultStorage(opts.env);
+    return new GameState({ ...opts, storage });
+  }
+
   static randomSeed() {
     try {
       if (globalThis.crypto && globalThis.crypto.getRandomValues) {
@@ -60,96 +166,371 @@ export class GameState {
     return (a ^ rotateLeft(b, 13)) >>> 0;
   }
 
-  startNewGame(seed = GameState.randomSeed()) {
-    const party = [
-      { id: 'merri-ellen', name: 'Merri‑Ellen', role: 'mom',    health: 5, status: 'well' },
-      { id: 'mike',        name: 'Mike',        role: 'dad',    health: 5, status: 'well' },
-      { id: 'ros',         name: 'Ros',         role: 'child',  health: 5, status: 'well', age: 9 },
-      { id: 'jess',        name: 'Jess',        role: 'child',  health: 5, status: 'well', age: 6 },
-      { id: 'martha',      name: 'Martha',      role: 'child',  health: 5, status: 'well', age: 3 },
-      { id: 'rusty',       name: 'Rusty',       role: 'infant', health: 5, status: 'well', age: 1 }
-    ];
+  /**
+   * Start a fresh run in a brand-new save slot (existing slots are untouched).
+   * @param {number} [seed]
+   * @param {import('./party.js').PartyMemberConfig[]|null} [partyConfig] defaults to the original family
+   * @param {{ slotName?: string, difficulty?: 'casual'|'standard'|'ironman', startMonth?: number, rngStreams?: boolean }} [opts]
+   *   startMonth: 1–12, the month the party sets out in (default April)
+   *   rngStreams: false only when replaying a journal recorded before per-subsystem streams
+   * @throws {Error} when partyConfig does not pass validateParty()
+   */
+  startNewGame(seed = GameState.randomSeed(), partyConfig = null, opts = {}) {
+    this.flush();
+    const difficulty = DIFFICULTIES.includes(opts.difficulty) ? opts.difficulty : 'standard';
+    const startMonth = normalizeStartMonth(opts.startMonth);
+    const streams = opts.rngStreams !== false;
+    const config = normalizePartyConfig(partyConfig || DEFAULT_PARTY);
+    const { party, epitaphs } = buildParty(config);
     this.data = {
-      version: 1,
+      version: CURRENT_VERSION,
       rngSeed: seed >>> 0,
       rngState: seed >>> 0,
+      rngStreams: streams ? {} : null,
       day: 1,
       party,
-      inventory: { food: 100, bullets: 30, clothes: 5, wheel: 1, axle: 1, tongue: 0, medicine: 2 },
+      inventory: { food: 100, bullets: 30, clothes: 5, wheel: 1, axle: 1, tongue: 0, medicine: 2, fuel: TANK_GAL },
       money: 50,
       morale: 0,
+      moraleHistory: [],
       buffs: {},
       miles: 0,
-      settings: { pace: 'steady', rations: 'normal' },
-      flags: { started: true },
-      epitaphs: defaultEpitaphs(),
-      log: [`New game started with seed ${seed}`]
+      settings: { pace: 'steady', rations: 'normal', difficulty, startMonth },
+      flags: { started: true, hazardState: {} },
+      status: { conditions: [], history: {} },
+      weather: { lastRolledDay: 0, today: null },
+      vehicle: { wear: { wheel: 0, axle: 0, tongue: 0 }, broken: null },
+      route: { choices: {} },
+      clothing: { wear: 0 },
+      epitaphs,
+      log: [],
+      journal: [{ day: 1, type: 'start', seed: seed >>> 0, difficulty, startMonth, party: config, rngStreams: streams }]
     };
+    addLog(this, 'system', 'game.start', { seed });
     this.rng = new RNG(this.data.rngState);
+    this.streams = {};
+    this.rewindBuffer = [];
+    this.slotId = newSlotId();
+    const index = readSlotIndex(this.storage);
+    const name = String(opts.slotName || '').trim() || `Trail #${index.length + 1}`;
+    index.push({ id: this.slotId, name, createdAt: Date.now() });
+    writeSlotIndex(this.storage, index);
     this.save();
   }
 
-  continueGame() {
-    const raw = this.storage.getItem(SAVE_KEY);
-    if (!raw) throw new Error('No saved game found.');
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== 'object') throw new Error('Corrupt save.');
-    if (!('day' in parsed)) parsed.day = 1;
-    // Add missing fields for backward compatibility
-    parsed.money ??= 50;
-    parsed.morale ??= 0;
-    parsed.buffs ??= {};
-    parsed.flags ??= {};
-    if (typeof parsed.flags !== 'object' || parsed.flags === null) parsed.flags = {};
-    parsed.settings ??= { pace: 'steady', rations: 'normal' };
-    if (typeof parsed.settings !== 'object' || parsed.settings === null) {
-      parsed.settings = { pace: 'steady', rations: 'normal' };
-    } else {
-      parsed.settings.pace ??= 'steady';
-      parsed.settings.rations ??= 'normal';
+  /**
+   * Load a save slot. Without an id, the most recently saved slot is used.
+   * Older saves are migrated; saves from a newer build throw SaveVersionError.
+   * @param {string} [slotId]
+   * @throws {SaveCorruptError} when the slot and its previous copy are both damaged
+   */
+  continueGame(slotId) {
+    this.flush();
+    const id = slotId || GameState.mostRecentSlot(this.storage)?.id;
+    if (!id) throw new Error('No saved game found.');
+    const key = SLOT_KEY_PREFIX + id;
+    if (this.storage.getItem(key) == null && this.storage.getItem(key + PREV_SUFFIX) == null) {
+      throw new Error('No saved game found.');
     }
-    if (!parsed.inventory || typeof parsed.inventory !== 'object') {
-      parsed.inventory = { food: 0, bullets: 0, clothes: 0, wheel: 0, axle: 0, tongue: 0, medicine: 0 };
-    } else {
-      parsed.inventory.food ??= 0;
-      parsed.inventory.bullets ??= 0;
-      parsed.inventory.clothes ??= 0;
-      parsed.inventory.wheel ??= 0;
-      parsed.inventory.axle ??= 0;
-      parsed.inventory.tongue ??= 0;
-      parsed.inventory.medicine ??= 0;
+    const stored = readWithBackup(this.storage, key, parseSave);
+    if (!stored) {
+      throw new SaveCorruptError('This saved game is damaged and could not be loaded.', {
+        slotId: id, backups: GameState.listBackups(id, this.storage)
+      });
     }
-    if (!Array.isArray(parsed.party)) parsed.party = [];
-    parsed.epitaphs ??= defaultEpitaphs();
-    if (!Array.isArray(parsed.log)) parsed.log = [];
-    this.data = parsed;
+    if (stored.fromBackup) console.warn(`[GameState] Slot ${id} was unreadable; loaded its previous copy.`);
+    const { data, from, applied } = stored.value;
+    if (applied.length) {
+      console.info(`[GameState] Upgraded save v${from} → v${data.version}: ${applied.join(', ')}`);
+    }
+    this.lastMigrations = applied;
+    this.data = data;
     this.rng = new RNG(this.data.rngState || this.data.rngSeed || 1);
+    this.streams = {};
+    this.rewindBuffer = [];
+    this.slotId = id;
+  }
+
+  /**
+   * Make an autosave backup the slot's live save and load it.
+   * @param {string} slotId
+   * @param {number} index backup number, as listed by GameState.listBackups()
+   * @throws {SaveCorruptError} when that backup is damaged too
+   */
+  restoreBackup(slotId, index) {
+    this.flush();
+    const loaded = parseSave(this.storage.getItem(backupKey(SLOT_KEY_PREFIX + slotId, index)));
+    if (!loaded) throw new SaveCorruptError('That backup is damaged too.', { slotId, backups: GameState.listBackups(slotId, this.storage) });
+    this.lastMigrations = loaded.applied;
+    this.data = loaded.data;
+    this.rng = new RNG(this.data.rngState || this.data.rngSeed || 1);
+    this.streams = {};
+    this.rewindBuffer = [];
+    this.slotId = slotId;
+    addLog(this, 'system', 'game.restored', { day: this.data.day });
+    this.save();
+  }
+
+  /** Portable, checksummed text of the current run (see state/saveCodec.js) */
+  exportSave() {
+    this.syncRngState();
+    return encodeSave(this.data);
+  }
+
+  /**
+   * Import exported save text into a new slot and make it the active run.
+   * @param {string} text
+   * @param {{ slotName?: string }} [opts]
+   * @throws {import('./saveCodec.js').SaveImportError|import('./migrations.js').SaveVersionError}
+   * @throws {SaveCorruptError} when the save decodes but its contents are damaged (validateSave)
+   */
+  importSave(text, opts = {}) {
+    const { data, from, applied } = decodeSave(text);
+    const problems = validateSave(data);
+    if (problems.length) {
+      console.warn('[GameState] Imported save failed validation:', problems.join(', '));
+      throw new SaveCorruptError('This saved game is damaged and could not be loaded.');
+    }
+    this.flush();
+    if (applied.length) {
+      console.info(`[GameState] Upgraded imported save v${from} → v${data.version}: ${applied.join(', ')}`);
+    }
+    this.lastMigrations = applied;
+    this.data = data;
+    this.rng = new RNG(this.data.rngState || this.data.rngSeed || 1);
+    this.streams = {};
+    this.rewindBuffer = [];
+    this.slotId = newSlotId();
+    const index = readSlotIndex(this.storage);
+    const name = String(opts.slotName || '').trim() || `Imported (seed ${data.rngSeed >>> 0}, day ${data.day})`;
+    index.push({ id: this.slotId, name: name.slice(0, 40), createdAt: Date.now() });
+    writeSlotIndex(this.storage, index);
+    this.save();
+  }
+
+  /** Remember the state at the start of a day (called by travel.js) */
+  snapshotDay() {
+    this.syncRngState();
+    const { journal, ...rest } = this.data;
+    this.rewindBuffer.push({
+      day: Number(this.data.day) || 1,
+      rngState: this.rng.getState() >>> 0,
+      json: JSON.stringify(rest)
+    });
+    if (this.rewindBuffer.length > REWIND_DEPTH) this.rewindBuffer.shift();
   }
 
+  canRewind() {
+    return this.data.settings?.difficulty === 'casual' && this.rewindBuffer.length > 0;
+  }
+
+  /**
+   * Restore the most recent day snapshot exactly (RNG included).
+   * The journal is kept as is, so the rewind itself stays replayable.
+   * @returns {number|null} the day rewound to, or null if not allowed
+   */
+  rewindDay() {
+    if (!this.canRewind()) return null;
+    const snap = this.rewindBuffer.pop();
+    const journal = this.data.journal;
+    this.data = JSON.parse(snap.json);
+    this.data.journal = journal;
+    this.rng.setState(snap.rngState);
+    this.streams = {};
+    addLog(this, 'system', 'game.rewind', { day: snap.day });
+    this.markDirty();
+    return snap.day;
+  }
+
+  /** Schedule a save; repeated calls before the next flush cost one write */
+  markDirty() {
+    this.saves.markDirty();
+  }
+
+  /** Write pending changes now (page hide, leaving a run); failures go to opts.onSaveError */
+  flush() {
+    if (this.storage.writeError) this.saves.defer(); // save() reports it and tries again
+    this.saves.flush();
+  }
+
+  /**
+   * Flush, then wait until storage has everything (leaving the run, export, page hide).
+   * @throws {SaveQuotaError|SaveCorruptError} when a write failed; the run stays dirty
+   */
+  async whenSaved() {
+    if (this.saves.dirty || this.storage.writeError) this.save();
+    await this.storage.whenIdle?.();
+    this.throwWriteError();
+  }
+
+  /**
+   * Write the run immediately (keeps the previous copy; see safeWrite).
+   * When storage is full, this slot's backups make room for the live copy (writeLive).
+   * A background write that failed since the last save is thrown first instead (throwWriteError).
+   * @throws {import('./persistence.js').SaveQuotaError} when storage is full even so
+   * @throws {SaveCorruptError} when storage rejected an earlier write for another reason
+   */
   save() {
-    this.data.rngState = this.rng.getState() >>> 0;
-    this.storage.setItem(SAVE_KEY, JSON.stringify(this.data));
+    this.throwWriteError();
+    this.syncRngState();
+    if (!this.slotId) this.slotId = newSlotId();
+    const key = SLOT_KEY_PREFIX + this.slotId;
+    const json = JSON.stringify(this.data);
+
+    const index = readSlotIndex(this.storage);
+    const at = index.findIndex(s => s.id === this.slotId);
+    const entry = at >= 0
+      ? index.splice(at, 1)[0]
+      : { id: this.slotId, name: `Trail #${index.length + 1}`, createdAt: Date.now() };
+    writeLive(this.storage, key, json, entry);
+
+    // First save of each in-game day also goes to the next rotating backup
+    if (entry.backupDay !== this.data.day) {
+      const next = Number(entry.backupNext) || 0;
+      try {
+        this.storage.setItem(backupKey(key, next % BACKUP_DEPTH), json);
+        entry.backupDay = this.data.day;
+        entry.backupNext = (next + 1) % BACKUP_DEPTH;
+      } catch (err) {
+        console.warn('[GameState] Could not write the daily backup:', err?.message || err);
+      }
+    }
+    Object.assign(entry, summarize(this.data), { updatedAt: Date.now() });
+    index.push(entry);
+    writeSlotIndex(this.storage, index);
+    this.saves.clear();
+  }
+
+  /** Rethrow a write the storage backend rejected in the background; the run is dirty again */
+  throwWriteError() {
+    const err = this.storage.takeWriteError?.();
+    if (!err) return;
+    this.saves.defer();
+    if (isQuotaError(err)) throw new SaveQuotaError('Browser storage is full; the last save did not reach it.');
+    throw new SaveCorruptError(`The last save did not reach storage: ${err?.message || err}`, { slotId: this.slotId });
   }
 
   static hasSave(storage = getDefaultStorage()) {
     try {
-      return !!storage.getItem(SAVE_KEY);
+      return GameState.listSlots(storage).length > 0;
     } catch {
       return false;
     }
   }
 
+  /**
+   * Slot summaries, most recently saved first.
+   * @returns {SlotSummary[]}
+   */
+  static listSlots(storage = getDefaultStorage()) {
+    adoptLegacySave(storage);
+    // Ties (same millisecond) go to the slot that was saved last: save() moves it to the end of the index
+    return readSlotIndex(storage)
+      .filter(s => storage.getItem(SLOT_KEY_PREFIX + s.id) != null)
+      .map((s, i) => ({ s, i }))
+      .sort((a, b) => (lastSaved(b.s) - lastSaved(a.s)) || (b.i - a.i))
+      .map(({ s }) => s);
+  }
+
+  static mostRecentSlot(storage = getDefaultStorage()) {
+    return GameState.listSlots(storage)[0] || null;
+  }
+
+  static renameSlot(slotId, name, storage = getDefaultStorage()) {
+    const clean = String(name || '').trim().slice(0, 40);
+    if (!clean) throw new Error('Slot name cannot be empty.');
+    const index = readSlotIndex(storage);
+    const entry = index.find(s => s.id === slotId);
+    if (!entry) throw new Error('Save slot not found.');
+    entry.name = clean;
+    writeSlotIndex(storage, index);
+  }
+
+  static deleteSlot(slotId, storage = getDefaultStorage()) {
+    storage.removeItem(SLOT_KEY_PREFIX + slotId);
+    storage.removeItem(SLOT_KEY_PREFIX + slotId + PREV_SUFFIX);
+    for (let i = 0; i < BACKUP_DEPTH; i++) storage.removeItem(backupKey(SLOT_KEY_PREFIX + slotId, i));
+    writeSlotIndex(storage, readSlotIndex(storage).filter(s => s.id !== slotId));
+  }
+
+  /**
+   * A slot's autosave backups that still load, newest day first.
+   * @returns {BackupSummary[]}
+   */
+  static listBackups(slotId, storage = getDefaultStorage()) {
+    const out = [];
+    for (let index = 0; index < BACKUP_DEPTH; index++) {
+      let loaded = null;
+      try {
+        loaded = parseSave(storage.getItem(backupKey(SLOT_KEY_PREFIX + slotId, index)));
+      } catch { /* from a newer build; not restorable here */ }
+      if (loaded) out.push({ index, ...summarize(loaded.data) });
+    }
+    return out.sort((a, b) => (b.day - a.day) || (b.miles - a.miles));
+  }
+
   rngNext() {
     const v = this.rng.next();
-    this.save();
+    this.markDirty();
     return v;
   }
+
+  /**
+   * The RNG a subsystem should draw from: 'weather', 'status', 'events', 'hazards', 'hunting'.
+   * @param {string} name
+   * @param {string|number} [key] for a throwaway stream derived from seed + name + key (not persisted)
+   * @returns {RNG}
+   */
+  rngFor(name, key) {
+    // Pre-stream saves drew everything from one generator; keep doing so for them
+    if (!this.data.rngStreams) return this.rng;
+    if (key !== undefined) return RNG.derive(this.data.rngSeed, `${name}:${key}`);
+    let stream = this.streams[name];
+    if (!stream) {
+      const saved = Number(this.data.rngStreams[name]);
+      stream = saved ? new RNG(saved) : RNG.derive(this.data.rngSeed, name);
+      this.streams[name] = stream;
+    }
+    return stream;
+  }
+
+  /** Copy live generator states into data (before saving, exporting or snapshotting) */
+  syncRngState() {
+    this.data.rngState = this.rng.getState() >>> 0;
+    if (!this.data.rngStreams) return;
+    for (const [name, stream] of Object.entries(this.streams)) {
+      this.data.rngStreams[name] = stream.getState() >>> 0;
+    }
+  }
+}
+
+/**
+ * safeWrite() the live copy; on a quota error, delete the slot's autosave backups
+ * (oldest first), retrying after each, and last of all let safeWrite drop the :prev copy.
+ */
+function writeLive(storage, key, json, entry) {
+  const spare = backupKeysOldestFirst(key, entry.backupNext).filter(k => storage.getItem(k) != null);
+  while (spare.length) {
+    try {
+      safeWrite(storage, key, json, { prevRequired: true });
+      return;
+    } catch (err) {
+      if (!(err instanceof SaveQuotaError)) throw err;
+      storage.removeItem(spare.shift());
+    }
+  }
+  safeWrite(storage, key, json);
 }
 
 function getDefaultStorage() {
   try {
     if (typeof window !== 'undefined' && window.localStorage) return window.localStorage;
   } catch { /* ignore */ }
+  return createMemoryStorage();
+}
+
+/** Storage-shaped in-memory map (Node, replays, tests) */
+export function createMemoryStorage() {
   const mem = {};
   return {
     getItem: (k) => (k in mem ? mem[k] : null),
@@ -159,17 +540,82 @@ function getDefaultStorage() {
   };
 }
 
-function rotateLeft(n, bits) {
-  return ((n << bits) | (n >>> (32 - bits))) >>> 0;
+function newSlotId() {
+  return `${Date.now().toString(36)}-${GameState.randomSeed().toString(36)}`;
+}
+
+function lastSaved(slot) {
+  return Number(slot.updatedAt || slot.createdAt || 0);
+}
+
+function readSlotIndex(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(SLOT_INDEX_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(s => s && typeof s.id === 'string') : [];
+  } catch {
+    return [];
+  }
 }
 
-function defaultEpitaphs() {
+function writeSlotIndex(storage, index) {
+  storage.setItem(SLOT_INDEX_KEY, JSON.stringify(index));
+}
+
+/** Move a pre-slot save (single key) into its own slot so it shows up on the load screen */
+function adoptLegacySave(storage) {
+  const raw = storage.getItem(LEGACY_SAVE_KEY);
+  if (!raw) return;
+  let data = null;
+  try { data = JSON.parse(raw); } catch { /* keep the raw text; it still loads or fails later */ }
+  const id = 'legacy';
+  storage.setItem(SLOT_KEY_PREFIX + id, raw);
+  const index = readSlotIndex(storage).filter(s => s.id !== id);
+  index.push({ id, name: 'Previous run', createdAt: 0, updatedAt: 0, ...(data ? summarize(data) : {}) });
+  writeSlotIndex(storage, index);
+  storage.removeItem(LEGACY_SAVE_KEY);
+}
+
+/** Summary fields shown on the load screen */
+function summarize(data) {
+  const party = Array.isArray(data?.party) ? data.party : [];
   return {
-    'merri-ellen': 'She kept the family moving.',
-    'mike':        'He would not leave the wagon.',
-    'ros':         'Bright eyes, quick hands.',
-    'jess':        'A laugh that warmed the camp.',
-    'martha':      'She loved buttons and stars.',
-    'rusty':       'Small hands, fierce heart.'
+    seed: Number(data?.rngSeed) >>> 0,
+    day: Number(data?.day) || 1,
+    miles: Math.round(Number(data?.miles) || 0),
+    survivors: party.filter(p => p.status !== 'dead').length,
+    partySize: party.length,
+    lastLandmark: data?.flags?.lastLandmark?.name || null,
+    difficulty: data?.settings?.difficulty || 'standard'
   };
 }
+
+function rotateLeft(n, bits) {
+  return ((n << bits) | (n >>> (32 - bits))) >>> 0;
+}
+
+/**
+ * @typedef {Object} BackupSummary
+ * @property {number} index backup number to pass to restoreBackup()
+ * @property {number} seed
+ * @property {number} day
+ * @property {number} miles
+ * @property {number} survivors
+ * @property {number} partySize
+ * @property {string|null} lastLandmark
+ * @property {'casual'|'standard'|'ironman'} difficulty
+ */
+
+/**
+ * @typedef {Object} SlotSummary
+ * @property {string} id
+ * @property {string} name
+ * @property {number} seed
+ * @property {number} day
+ * @property {number} miles
+ * @property {number} survivors
+ * @property {number} partySize
+ * @property {string|null} lastLandmark
+ * @property {'casual'|'standard'|'ironman'} difficulty
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
@@ -0,0 +1,86 @@
+// state/backups.js
+// Daily autosave backups and save validation.
+// - Each slot keeps its last BACKUP_DEPTH autosaves, one per in-game day, under
+//   rotating keys `<slot key>:auto-0 … :auto-(N-1)`; GameState.save() writes the
+//   next one whenever the day changes (the slot index remembers where it is)
+// - Backups are expendable: when storage is full, save() deletes them oldest first
+//   (backupKeysOldestFirst) so the live copy can still be written
+// - parseSave() is the one way a stored save is read: JSON → migrate → validate.
+//   Anything that fails is treated as damaged rather than half-loaded.
+// - When a slot and its :prev copy are both damaged, continueGame() throws
+//   SaveCorruptError listing the backups that still load (see ui/RecoveryScreen.js)
+
+import { SaveVersionError, migrateSave } from './migrations.js';
+
+export const BACKUP_DEPTH = 5;
+const BACKUP_SUFFIX = ':auto-';
+
+export class SaveCorruptError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ slotId?: string, backups?: any[] }} [details] backups: usable backup summaries, newest first
+   */
+  constructor(message, { slotId, backups = [] } = {}) {
+    super(message);
+    this.name = 'SaveCorruptError';
+    this.slotId = slotId;
+    this.backups = backups;
+  }
+}
+
+/** Storage key of backup number `index` (0 … BACKUP_DEPTH-1) for a slot key */
+export function backupKey(slotKey, index) {
+  return `${slotKey}${BACKUP_SUFFIX}${index}`;
+}
+
+/**
+ * A slot's backup keys, oldest first: the rotation writes `next` next, so it holds the oldest.
+ * @param {string} slotKey
+ * @param {number} [next] the slot index's backupNext
+ */
+export function backupKeysOldestFirst(slotKey, next = 0) {
+  return Array.from({ length: BACKUP_DEPTH }, (_, i) => backupKey(slotKey, ((Number(next) || 0) + i) % BACKUP_DEPTH));
+}
+
+/**
+ * Parse, migrate and validate stored save text.
+ * @returns {{ data:any, from:number, applied:string[] }|null} null when the text is damaged
+ * @throws {SaveVersionError} for saves from a newer build (not damage; the player should update)
+ */
+export function parseSave(raw) {
+  if (raw == null) return null;
+  try {
+    const result = migrateSave(JSON.parse(raw));
+    return validateSave(result.data).length ? null : result;
+  } catch (err) {
+    if (err instanceof SaveVersionError) throw err;
+    return null;
+  }
+}
+
+/**
+ * Structural problems in a save at the current schema (empty when it is usable).
+ * Checks what the screens and systems index into, not game balance.
+ * @param {any} data
+ * @returns {string[]}
+ */
+export function validateSave(data) {
+  const problems = [];
+  const need = (ok, what) => { if (!ok) problems.push(what); };
+  const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+  if (!isObj(data)) return ['save is not an object'];
+  need(Number.isInteger(data.version) && data.version > 0, 'version');
+  need(isNum(data.rngSeed), 'rngSeed');
+  need(Number.isInteger(data.day) && data.day >= 1, 'day');
+  need(isNum(data.miles) && data.miles >= 0, 'miles');
+  need(isNum(data.money), 'money');
+  need(Array.isArray(data.party) && data.party.every(m => isObj(m) && typeof m.name === 'string'), 'party');
+  need(isObj(data.inventory) && Object.values(data.inventory).every(isNum), 'inventory');
+  need(isObj(data.settings) && typeof data.settings.pace === 'string' && typeof data.settings.rations === 'string', 'settings');
+  need(isObj(data.flags), 'flags');
+  need(Array.isArray(data.log), 'log');
+  need(Array.isArray(data.journal), 'journal');
+  return problems;
+}
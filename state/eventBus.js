@@ -0,0 +1,86 @@
+// state/eventBus.js
+// Typed publish/subscribe for game-state changes, owned by GameState (game.bus).
+// - Systems emit after they change game.data; listeners (achievements, audio,
+//   stats, screens) react without those systems knowing about them
+// - Only the event types in GAME_EVENTS exist; a typo throws instead of going quiet
+// - Listeners run synchronously in subscription order. They must not draw from
+//   game RNG streams or change game.data, or replays would stop matching.
+// - A throwing listener is reported and skipped; the game carries on
+
+export const GAME_EVENTS = /** @type {const} */ ([
+  'day:start',
+  'day:end',
+  'member:died',
+  'landmark:reached',
+  'weather:rolled',
+  'condition:acquired',
+  'inventory:changed',
+  'event:resolved',
+  'vehicle:broken'
+]);
+
+/**
+ * @param {{ onError?: (err:Error, type:string) => void }} [opts]
+ * @returns {GameEventBus}
+ */
+export function createEventBus({ onError = (err, type) => console.error(`[bus] ${type} listener failed`, err) } = {}) {
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map(GAME_EVENTS.map(type => [type, new Set()]));
+
+  function setFor(type) {
+    const set = listeners.get(type);
+    if (!set) throw new TypeError(`Unknown game event "${type}".`);
+    return set;
+  }
+
+  return {
+    on(type, fn) {
+      setFor(type).add(fn);
+      return () => setFor(type).delete(fn);
+    },
+    once(type, fn) {
+      const off = this.on(type, (payload) => { off(); fn(payload); });
+      return off;
+    },
+    off(type, fn) {
+      setFor(type).delete(fn);
+    },
+    emit(type, payload) {
+      for (const fn of [...setFor(type)]) {
+        try {
+          fn(payload);
+        } catch (err) {
+          onError(err, type);
+        }
+      }
+    },
+    clear() {
+      for (const set of listeners.values()) set.clear();
+    }
+  };
+}
+
+/**
+ * @typedef {Object} GameEventMap
+ * @property {{ day:number, kind:'travel'|'rest' }} day:start
+ * @property {{ day:number, kind:'travel'|'rest', milesTraveled:number, foodConsumed:number, healthDelta:number, starvation:boolean }} day:end
+ *   `day` is the day that just finished
+ * @property {{ member:any, cause:string, day:number, mile:number }} member:died
+ * @property {{ landmark:any, day:number, mile:number }} landmark:reached
+ * @property {{ day:number, weather:any }} weather:rolled
+ * @property {{ condition:any, day:number }} condition:acquired
+ * @property {{ item:string, delta:number, value:number, source:string }} inventory:changed
+ *   source: 'travel' | 'rest' | 'event' | 'hazard' | 'shop' | 'hunt' | 'repair' | 'drop' | 'camp' | 'cold'
+ * @property {{ eventId:string, choiceId:string, day:number }} event:resolved
+ * @property {{ part:string, day:number, mile:number, wear:number }} vehicle:broken
+ */
+
+/**
+ * @typedef {Object} GameEventBus
+ * @property {<K extends keyof GameEventMap>(type:K, fn:(payload:GameEventMap[K]) => void) => () => void} on
+ *   returns an unsubscribe function
+ * @property {<K extends keyof GameEventMap>(type:K, fn:(payload:GameEventMap[K]) => void) => () => void} once
+ * @property {<K extends keyof GameEventMap>(type:K, fn:Function) => void} off
+ * @property {<K extends keyof GameEventMap>(type:K, payload:GameEventMap[K]) => void} emit
+ * @property {() => void} clear removes every listener
+ */
@@ -0,0 +1,223 @@
+// state/migrations.js
+// Ordered save-schema migrations keyed off data.version.
+// - Each schema change is one registered step: { version, name, up(data) }.
+// - `up` receives the save at (version - 1) and mutates it into `version`.
+// - Steps are frozen history: they must not import live game code or defaults,
+//   so an old save upgrades the same way no matter how the game evolves.
+// - Saves written by a newer build (version > CURRENT_VERSION) are refused.
+
+export class SaveVersionError extends Error {
+  constructor(message, { found, supported } = {}) {
+    super(message);
+    this.name = 'SaveVersionError';
+    this.found = found;
+    this.supported = supported;
+  }
+}
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    name: 'core-defaults',
+    up(data) {
+      // Phase 1–2 saves could miss any of these; this is the old `??=` pile.
+      if (!('day' in data)) data.day = 1;
+      if (!data.flags || typeof data.flags !== 'object') data.flags = {};
+      if (!data.settings || typeof data.settings !== 'object') data.settings = {};
+      data.settings.pace ??= 'steady';
+      data.settings.rations ??= 'normal';
+      if (!data.inventory || typeof data.inventory !== 'object') data.inventory = {};
+      for (const k of ['food', 'bullets', 'clothes', 'wheel', 'axle', 'tongue', 'medicine']) {
+        data.inventory[k] ??= 0;
+      }
+      if (!Array.isArray(data.party)) data.party = [];
+      if (!Array.isArray(data.log)) data.log = [];
+    }
+  },
+  {
+    version: 3,
+    name: 'economy-and-epitaphs',
+    up(data) {
+      data.money ??= 50;
+      data.morale ??= 0;
+      if (!data.buffs || typeof data.buffs !== 'object') data.buffs = {};
+      if (!data.epitaphs || typeof data.epitaphs !== 'object') {
+        data.epitaphs = {
+          'merri-ellen': 'She kept the family moving.',
+          'mike':        'He would not leave the wagon.',
+          'ros':         'Bright eyes, quick hands.',
+          'jess':        'A laugh that warmed the camp.',
+          'martha':      'She loved buttons and stars.',
+          'rusty':       'Small hands, fierce heart.'
+        };
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'status-conditions',
+    up(data) {
+      if (!data.status || typeof data.status !== 'object') data.status = {};
+      if (!Array.isArray(data.status.conditions)) data.status.conditions = [];
+      if (!data.status.history || typeof data.status.history !== 'object') data.status.history = {};
+    }
+  },
+  {
+    version: 5,
+    name: 'daily-weather',
+    up(data) {
+      if (!data.weather || typeof data.weather !== 'object') data.weather = {};
+      if (typeof data.weather.lastRolledDay !== 'number') data.weather.lastRolledDay = 0;
+      data.weather.today ??= null;
+    }
+  },
+  {
+    version: 6,
+    name: 'hazard-state',
+    up(data) {
+      if (!data.flags.hazardState || typeof data.flags.hazardState !== 'object') data.flags.hazardState = {};
+    }
+  },
+  {
+    version: 7,
+    name: 'action-journal',
+    up(data) {
+      // Earlier runs kept no journal; an empty one (no `start` entry) marks them as not replayable.
+      if (!Array.isArray(data.journal)) data.journal = [];
+    }
+  },
+  {
+    version: 8,
+    name: 'difficulty',
+    up(data) {
+      if (!['casual', 'standard', 'ironman'].includes(data.settings.difficulty)) data.settings.difficulty = 'standard';
+    }
+  },
+  {
+    version: 9,
+    name: 'rng-streams',
+    up(data) {
+      // These runs drew every roll from one shared RNG; null keeps them on it so they continue (and replay) as recorded.
+      if (!data.rngStreams || typeof data.rngStreams !== 'object') data.rngStreams = null;
+    }
+  },
+  {
+    version: 10,
+    name: 'structured-log',
+    up(data) {
+      // Free-form strings become { day, mile, category, key:'text', params:{ text }, text }.
+      // Categories are guessed from the wording the game used up to v9.
+      const category = (line) => {
+        if (/^Weather —/.test(line)) return 'weather';
+        if (/^(New game started|Rewound to)/.test(line)) return 'system';
+        if (/^Bought supplies/.test(line)) return 'trade';
+        if (/^Hunt:/.test(line)) return 'hunt';
+        if (/^(Day \d+:|Setting out|Reached |Rested:|\w+ pace:)/.test(line)) return 'travel';
+        if (/^(Crossed|Ferry|Detoured|Powered|Crawled|Tractor|Punched|Shoveled|Plow|Inched|Bribed|Warden|Bounced|Rock|Canoe|Lost a |Waiting at|Scenic detour|Drying out)|Everyone’s damp/.test(line)) return 'hazard';
+        if (/( died( \(|\.$)|Recovered from|health each|^Health |^Status set|^Grave for| — .*\(\d+ days?\)\.$)/.test(line)) return 'health';
+        return 'event';
+      };
+      const list = Array.isArray(data.log) ? data.log : [];
+      data.log = list.map((line) => {
+        if (line && typeof line === 'object') return line;
+        const text = String(line);
+        const day = /^Day (\d+):/.exec(text);
+        return { day: day ? Number(day[1]) : null, mile: null, category: category(text), key: 'text', params: { text }, text };
+      });
+    }
+  },
+  {
+    version: 11,
+    name: 'calendar',
+    up(data) {
+      // Runs before the calendar all set out in April.
+      const m = Number(data.settings.startMonth);
+      if (!(Number.isInteger(m) && m >= 1 && m <= 12)) data.settings.startMonth = 4;
+    }
+  },
+  {
+    version: 12,
+    name: 'vehicle',
+    up(data) {
+      // Nothing wore out before; runs in progress carry on with sound parts.
+      if (!data.vehicle || typeof data.vehicle !== 'object') data.vehicle = {};
+      if (!data.vehicle.wear || typeof data.vehicle.wear !== 'object') data.vehicle.wear = {};
+      for (const k of ['wheel', 'axle', 'tongue']) {
+        if (typeof data.vehicle.wear[k] !== 'number') data.vehicle.wear[k] = 0;
+      }
+      data.vehicle.broken ??= null;
+    }
+  },
+  {
+    version: 13,
+    name: 'fuel',
+    up(data) {
+      // The car ran on nothing before; runs in progress get a full tank (20 gal when fuel was added).
+      if (typeof data.inventory.fuel !== 'number') data.inventory.fuel = 20;
+    }
+  },
+  {
+    version: 14,
+    name: 'routes',
+    up(data) {
+      // One road west before forks; runs in progress take the first option everywhere.
+      if (!data.route || typeof data.route !== 'object') data.route = {};
+      if (!data.route.choices || typeof data.route.choices !== 'object') data.route.choices = {};
+    }
+  },
+  {
+    version: 15,
+    name: 'clothing',
+    up(data) {
+      // Warm clothes start unworn.
+      if (!data.clothing || typeof data.clothing !== 'object') data.clothing = { wear: 0 };
+    }
+  },
+  {
+    version: 16,
+    name: 'morale',
+    up(data) {
+      // Morale was only ever moved by events; start the trend from where it stands.
+      data.morale = Math.max(-5, Math.min(5, Math.round(Number(data.morale) || 0)));
+      if (!Array.isArray(data.moraleHistory)) data.moraleHistory = [];
+    }
+  }
+];
+
+export const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a parsed save to CURRENT_VERSION. The input is not mutated.
+ * @param {any} input
+ * @returns {{ data: any, from: number, applied: string[] }}
+ */
+export function migrateSave(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Corrupt save.');
+  }
+  const data = JSON.parse(JSON.stringify(input));
+  const from = Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+  if (from > CURRENT_VERSION) {
+    throw new SaveVersionError(
+      `This save was made by a newer version of Canadian Trail (save v${from}, this build reads up to v${CURRENT_VERSION}).`,
+      { found: from, supported: CURRENT_VERSION }
+    );
+  }
+  const applied = [];
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue;
+    step.up(data);
+    data.version = step.version;
+    applied.push(`v${step.version} ${step.name}`);
+  }
+  data.version = Math.max(from, data.version | 0);
+  return { data, from, applied };
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version   Schema version this step produces
+ * @property {string} name      Short, stable identifier for logs
+ * @property {(data:any) => void} up
+ */
@@ -0,0 +1,174 @@
+// state/party.js
+// Party configuration for New Game: presets, validation, randomizing, and
+// turning a config into the `party` + `epitaphs` stored in GameState.data.
+// - A config is a plain array of { name, role, age?, epitaph?, id? } (journal-safe)
+// - The original family is the default preset and keeps its historic ids
+// - Randomizing takes an RNG so the UI can reroll without touching game.rng
+
+export const PARTY_MIN = 1;
+export const PARTY_MAX = 8;
+export const NAME_MAX = 24;
+export const EPITAPH_MAX = 80;
+
+/** Roles and the age range each accepts (adults may leave age blank) */
+export const ROLES = {
+  mom:    { label: 'Mom',    minAge: 16, maxAge: 99, ageRequired: false },
+  dad:    { label: 'Dad',    minAge: 16, maxAge: 99, ageRequired: false },
+  adult:  { label: 'Adult',  minAge: 16, maxAge: 99, ageRequired: false },
+  child:  { label: 'Child',  minAge: 2,  maxAge: 15, ageRequired: true },
+  infant: { label: 'Infant', minAge: 0,  maxAge: 1,  ageRequired: true }
+};
+
+export const DEFAULT_EPITAPH = 'Gone ahead on the long road.';
+
+/** The original family: Merri‑Ellen, Mike and four kids */
+export const DEFAULT_PARTY = Object.freeze([
+  { id: 'merri-ellen', name: 'Merri‑Ellen', role: 'mom',    epitaph: 'She kept the family moving.' },
+  { id: 'mike',        name: 'Mike',        role: 'dad',    epitaph: 'He would not leave the wagon.' },
+  { id: 'ros',         name: 'Ros',         role: 'child',  age: 9, epitaph: 'Bright eyes, quick hands.' },
+  { id: 'jess',        name: 'Jess',        role: 'child',  age: 6, epitaph: 'A laugh that warmed the camp.' },
+  { id: 'martha',      name: 'Martha',      role: 'child',  age: 3, epitaph: 'She loved buttons and stars.' },
+  { id: 'rusty',       name: 'Rusty',       role: 'infant', age: 1, epitaph: 'Small hands, fierce heart.' }
+].map(m => Object.freeze(m)));
+
+const ADULT_NAMES = ['Aline', 'Bev', 'Colette', 'Dougie', 'Ernest', 'Fern', 'Gord', 'Hélène', 'Ingrid', 'Jacques', 'Lorne', 'Maude', 'Norval', 'Oksana', 'Pierre', 'Ruth', 'Stan', 'Wanda'];
+const CHILD_NAMES = ['Abby', 'Benoît', 'Cody', 'Daisy', 'Eli', 'Fiona', 'Gus', 'Hazel', 'Isaac', 'Josée', 'Kit', 'Lila', 'Milo', 'Nell', 'Ollie', 'Pip', 'Quinn', 'Rosie'];
+const EPITAPHS = [
+  'Never once complained about the snow.',
+  'Knew every verse of the anthem.',
+  'Shared the last butter tart.',
+  'Waved at every passing moose.',
+  'Fixed the wagon with a hairpin.',
+  'Always had a spare toque.',
+  'Sang louder than the geese.',
+  'Kept the maple syrup safe.'
+];
+
+/** Fresh, editable copy of the default family */
+export function defaultPartyConfig() {
+  return DEFAULT_PARTY.map(m => ({ ...m }));
+}
+
+/**
+ * Check a party config. Names are trimmed before checking.
+ * @param {any[]} members
+ * @returns {{ ok:boolean, errors:{ index:number, field:string, message:string }[] }}
+ */
+export function validateParty(members) {
+  const errors = [];
+  const list = Array.isArray(members) ? members : [];
+  if (list.length < PARTY_MIN || list.length > PARTY_MAX) {
+    errors.push({ index: -1, field: 'size', message: `A party needs ${PARTY_MIN}–${PARTY_MAX} members.` });
+  }
+  const seen = new Set();
+  list.forEach((m, index) => {
+    const name = String(m?.name ?? '').trim();
+    const add = (field, message) => errors.push({ index, field, message });
+    if (!name) add('name', 'Name is required.');
+    else if (name.length > NAME_MAX) add('name', `Name must be ${NAME_MAX} characters or fewer.`);
+    else if (seen.has(name.toLowerCase())) add('name', 'Names must be unique.');
+    seen.add(name.toLowerCase());
+
+    const role = ROLES[m?.role];
+    if (!role) {
+      add('role', 'Pick a role.');
+    } else {
+      const blank = m.age === undefined || m.age === null || m.age === '';
+      const age = Number(m.age);
+      if (blank) {
+        if (role.ageRequired) add('age', `${role.label} needs an age.`);
+      } else if (!Number.isInteger(age) || age < role.minAge || age > role.maxAge) {
+        add('age', `${role.label} age must be ${role.minAge}–${role.maxAge}.`);
+      }
+    }
+
+    if (String(m?.epitaph ?? '').trim().length > EPITAPH_MAX) {
+      add('epitaph', `Epitaph must be ${EPITAPH_MAX} characters or fewer.`);
+    }
+  });
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a valid config (trimmed strings, numeric ages, stable unique ids).
+ * @throws {Error} when the config does not validate
+ */
+export function normalizePartyConfig(members) {
+  const { ok, errors } = validateParty(members);
+  if (!ok) throw new Error(`Invalid party: ${errors[0].message}`);
+  const used = new Set();
+  return members.map((m, i) => {
+    const name = String(m.name).trim();
+    let id = String(m.id || slug(name) || `member-${i + 1}`);
+    for (let n = 2; used.has(id); n++) id = `${slug(name) || 'member'}-${n}`;
+    used.add(id);
+    const out = { id, name, role: m.role };
+    if (m.age !== undefined && m.age !== null && m.age !== '') out.age = Number(m.age);
+    const epitaph = String(m.epitaph ?? '').trim();
+    if (epitaph) out.epitaph = epitaph;
+    return out;
+  });
+}
+
+/**
+ * Build GameState party members and the epitaph table from a normalized config.
+ * @returns {{ party:any[], epitaphs:Record<string,string> }}
+ */
+export function buildParty(config) {
+  const party = [];
+  const epitaphs = {};
+  for (const m of config) {
+    const member = { id: m.id, name: m.name, role: m.role, health: 5, status: 'well' };
+    if (m.age !== undefined) member.age = m.age;
+    party.push(member);
+    epitaphs[m.id] = m.epitaph || DEFAULT_EPITAPH;
+  }
+  return { party, epitaphs };
+}
+
+/**
+ * One random member. Role is picked unless given.
+ * @param {{ nextInt:(n:number)=>number }} rng
+ * @param {{ role?:string, taken?:Set<string> }} [opts] taken = lower-cased names to avoid
+ */
+export function randomMember(rng, { role, taken = new Set() } = {}) {
+  const roleIds = Object.keys(ROLES);
+  const r = ROLES[role] ? role : roleIds[rng.nextInt(roleIds.length)];
+  const pool = (r === 'child' || r === 'infant' ? CHILD_NAMES : ADULT_NAMES)
+    .filter(n => !taken.has(n.toLowerCase()));
+  const name = pool.length ? pool[rng.nextInt(pool.length)] : `Traveler ${taken.size + 1}`;
+  const { minAge, maxAge, ageRequired } = ROLES[r];
+  const member = { name, role: r, epitaph: EPITAPHS[rng.nextInt(EPITAPHS.length)] };
+  if (ageRequired || rng.nextInt(2)) member.age = minAge + rng.nextInt(Math.min(maxAge, 70) - minAge + 1);
+  return member;
+}
+
+/** A random party: one or two adults, then kids, `size` members in total (default 2–6) */
+export function randomParty(rng, size = 2 + rng.nextInt(5)) {
+  const n = Math.max(PARTY_MIN, Math.min(PARTY_MAX, size));
+  const taken = new Set();
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const role = i === 0 || (i === 1 && n > 2) ? 'adult' : rng.nextInt(5) === 0 ? 'infant' : 'child';
+    const m = randomMember(rng, { role, taken });
+    taken.add(m.name.toLowerCase());
+    out.push(m);
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} PartyMemberConfig
+ * @property {string} [id]       kept for presets; derived from the name otherwise
+ * @property {string} name
+ * @property {'mom'|'dad'|'adult'|'child'|'infant'} role
+ * @property {number|string} [age]
+ * @property {string} [epitaph]
+ */
+
+function slug(s) {
+  return String(s).normalize('NFKD').toLowerCase()
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,143 @@
+// state/persistence.js
+// Batched, crash-tolerant saving for GameState.
+// - Systems mark the run dirty; one flush per action/frame does the actual write
+//   (JSON.stringify of the whole run is the expensive part, and the log keeps growing)
+// - Pending work is flushed when the page is hidden or unloaded
+// - safeWrite() keeps the previous good copy under `<key>:prev`, and a quota
+//   error leaves the last good save in place instead of a half-written one
+// - Backups never crowd out the live copy: GameState.save() drops a slot's autosave
+//   backups (oldest first), then its :prev copy, to make room before giving up
+
+export const PREV_SUFFIX = ':prev';
+
+export class SaveQuotaError extends Error {
+  constructor(message, { key } = {}) {
+    super(message);
+    this.name = 'SaveQuotaError';
+    this.key = key;
+  }
+}
+
+/**
+ * Coalesces markDirty() calls into one flush.
+ * @param {() => void} flush does the write; may throw (the state stays dirty)
+ * @param {{ schedule?: (cb:() => void) => void, onError?: (err:Error) => void }} [opts]
+ */
+export function createSaveScheduler(flush, { schedule = nextFrame, onError = (err) => console.error('[save] flush failed', err) } = {}) {
+  let dirty = false;
+  let pending = false;
+
+  function run() {
+    pending = false;
+    if (!dirty) return;
+    try {
+      flush();
+      dirty = false;
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  return {
+    markDirty() {
+      dirty = true;
+      if (pending) return;
+      pending = true;
+      schedule(run);
+    },
+    /** Mark dirty without scheduling a write (the next flush or markDirty does it) */
+    defer() { dirty = true; },
+    /** Write now if anything is pending (no-op otherwise) */
+    flush: run,
+    /** Forget pending work (e.g. the run was replaced by a fresh load) */
+    clear() { dirty = false; },
+    get dirty() { return dirty; }
+  };
+}
+
+/**
+ * Flush when the tab is hidden or the page goes away (mobile browsers may never fire unload).
+ * @returns {() => void} removes the listeners
+ */
+export function flushOnPageHide(flush, target = globalThis) {
+  const doc = target.document;
+  if (!doc || typeof target.addEventListener !== 'function') return () => {};
+  const onVisibility = () => { if (doc.visibilityState === 'hidden') flush(); };
+  doc.addEventListener('visibilitychange', onVisibility);
+  target.addEventListener('pagehide', flush);
+  return () => {
+    doc.removeEventListener('visibilitychange', onVisibility);
+    target.removeEventListener('pagehide', flush);
+  };
+}
+
+/**
+ * Write `value` under `key`, keeping the value it replaces under `key:prev`.
+ * If the write fails the previous good copy stays live.
+ * @param {{ prevRequired?: boolean }} [opts] prevRequired: fail instead of dropping the :prev
+ *   copy when there is no room for it (the caller has something else to free first)
+ * @throws {SaveQuotaError} when storage is full
+ */
+export function safeWrite(storage, key, value, { prevRequired = false } = {}) {
+  const previous = storage.getItem(key);
+  if (previous != null && previous !== value) {
+    try {
+      storage.setItem(key + PREV_SUFFIX, previous);
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+      if (prevRequired) throw new SaveQuotaError('Browser storage is full; the last good save was kept.', { key });
+      // No room for the backup: drop the stale one and keep going with the live copy
+      storage.removeItem(key + PREV_SUFFIX);
+    }
+  }
+  try {
+    storage.setItem(key, value);
+  } catch (err) {
+    if (previous != null && storage.getItem(key) !== previous) {
+      try { storage.setItem(key, previous); } catch { /* the :prev copy still has it */ }
+    }
+    if (isQuotaError(err)) {
+      throw new SaveQuotaError('Browser storage is full; the last good save was kept.', { key });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Read and parse `key`, falling back to the `key:prev` copy when the live one is unreadable.
+ * @param {(raw:string) => any} [parse] returns null for damaged text (default: JSON.parse)
+ * @returns {{ value:any, fromBackup:boolean }|null} null when neither copy is usable
+ */
+export function readWithBackup(storage, key, parse = parseJSON) {
+  for (const [k, fromBackup] of [[key, false], [key + PREV_SUFFIX, true]]) {
+    const raw = storage.getItem(k);
+    if (raw == null) continue;
+    const value = parse(raw);
+    if (value != null) return { value, fromBackup };
+  }
+  return null;
+}
+
+function parseJSON(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+export function isQuotaError(err) {
+  return !!err && (
+    err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22 || err.code === 1014
+  );
+}
+
+function nextFrame(cb) {
+  if (typeof requestAnimationFrame === 'function' && globalThis.document?.visibilityState !== 'hidden') {
+    requestAnimationFrame(() => cb());
+  } else {
+    setTimeout(cb, 0);
+  }
+}
@@ -0,0 +1,113 @@
+// state/saveCodec.js
+// Portable save text for passing runs around (bug reports, debugging).
+// - Format: "CTSAVE:" + base64(UTF-8 JSON envelope)
+// - Envelope: { format, schema, checksum, data }
+//   schema   = data.version at export time
+//   checksum = FNV-1a (32-bit, hex) of JSON.stringify(data)
+// - Decoding verifies format, checksum and schema, then runs the normal
+//   migration pipeline so older exports load like older local saves.
+
+import { CURRENT_VERSION, SaveVersionError, migrateSave } from './migrations.js';
+
+export const SAVE_TEXT_PREFIX = 'CTSAVE:';
+export const SAVE_FILE_EXTENSION = '.ctsave';
+const FORMAT = 'canadian-trail-save';
+
+export class SaveImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveImportError';
+  }
+}
+
+/**
+ * Encode save data as a compact, checksummed string.
+ * @param {any} data GameState.data
+ * @returns {string}
+ */
+export function encodeSave(data) {
+  const json = JSON.stringify(data);
+  const envelope = {
+    format: FORMAT,
+    schema: Number(data?.version) || 1,
+    checksum: checksum(json),
+    data
+  };
+  return SAVE_TEXT_PREFIX + toBase64(JSON.stringify(envelope));
+}
+
+/**
+ * Decode and verify exported save text.
+ * @param {string} text
+ * @returns {{ data: any, from: number, applied: string[] }} migrated save
+ * @throws {SaveImportError|SaveVersionError}
+ */
+export function decodeSave(text) {
+  const body = String(text ?? '').trim().replace(/\s+/g, '');
+  if (!body) throw new SaveImportError('Paste save text or choose a .ctsave file first.');
+  if (!body.startsWith(SAVE_TEXT_PREFIX)) {
+    throw new SaveImportError('This is not a Canadian Trail save (missing the CTSAVE: header).');
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(fromBase64(body.slice(SAVE_TEXT_PREFIX.length)));
+  } catch {
+    throw new SaveImportError('The save text is damaged or incomplete (could not decode it).');
+  }
+  if (!envelope || envelope.format !== FORMAT || !envelope.data || typeof envelope.data !== 'object') {
+    throw new SaveImportError('This is not a Canadian Trail save (unknown format).');
+  }
+
+  const schema = Number(envelope.schema);
+  if (!Number.isInteger(schema) || schema < 1) {
+    throw new SaveImportError('The save is missing its schema version.');
+  }
+  if (schema > CURRENT_VERSION) {
+    throw new SaveVersionError(
+      `This save was exported by a newer version of Canadian Trail (save v${schema}, this build reads up to v${CURRENT_VERSION}).`,
+      { found: schema, supported: CURRENT_VERSION }
+    );
+  }
+  if (checksum(JSON.stringify(envelope.data)) !== envelope.checksum) {
+    throw new SaveImportError('Checksum mismatch: the save was edited or corrupted after export.');
+  }
+  if ((Number(envelope.data.version) || 1) !== schema) {
+    throw new SaveImportError('Schema version does not match the save contents.');
+  }
+
+  return migrateSave(envelope.data);
+}
+
+/** Suggested download name, e.g. "canadian-trail-seed-42-day-9.ctsave" */
+export function saveFileName(data) {
+  const seed = Number(data?.rngSeed) >>> 0;
+  const day = Number(data?.day) || 1;
+  return `canadian-trail-seed-${seed}-day-${day}${SAVE_FILE_EXTENSION}`;
+}
+
+/** FNV-1a 32-bit over UTF-16 code units, as 8 hex digits */
+export function checksum(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+function toBase64(str) {
+  const bytes = new TextEncoder().encode(str);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function fromBase64(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
@@ -0,0 +1,228 @@
+// state/storage.js
+// Storage backends for saves.
+// - StorageAdapter is async: { name, get, set, remove, entries } (see typedef below)
+// - Adapters: IndexedDB (preferred; no ~5 MB cap), localStorage, in-memory (Node/tests)
+// - GameState stays synchronous: openCachedStorage() loads an adapter's entries once
+//   and serves a Storage-shaped facade from memory, writing through in order
+// - A write the adapter rejects is kept (writeError) until GameState.save() rethrows it;
+//   whenIdle() tells callers when everything so far has actually been stored
+// - Tabs sharing IndexedDB tell each other which keys they wrote (BroadcastChannel),
+//   so one tab's cache never overwrites another's slots with stale copies
+// - openDefaultStorage() picks IndexedDB when it opens, copying any localStorage
+//   saves across first, and otherwise falls back to localStorage itself
+
+const KEY_PREFIX = 'canadian-trail-';
+
+/** @returns {StorageAdapter} */
+export function createMemoryAdapter(initial = {}) {
+  const mem = new Map(Object.entries(initial));
+  return {
+    name: 'memory',
+    async get(key) { return mem.has(key) ? mem.get(key) : null; },
+    async set(key, value) { mem.set(key, String(value)); },
+    async remove(key) { mem.delete(key); },
+    async entries() { return [...mem.entries()]; }
+  };
+}
+
+/**
+ * @param {Storage} ls
+ * @returns {StorageAdapter}
+ */
+export function createLocalStorageAdapter(ls = globalThis.localStorage) {
+  if (!ls) throw new Error('localStorage is not available.');
+  return {
+    name: 'localStorage',
+    async get(key) { return ls.getItem(key); },
+    async set(key, value) { ls.setItem(key, String(value)); },
+    async remove(key) { ls.removeItem(key); },
+    async entries() {
+      const out = [];
+      for (let i = 0; i < ls.length; i++) {
+        const key = ls.key(i);
+        if (key != null) out.push([key, ls.getItem(key)]);
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * Key/value store in one IndexedDB object store.
+ * @param {{ indexedDB?: IDBFactory, dbName?: string, storeName?: string }} [opts]
+ * @returns {Promise<StorageAdapter>}
+ */
+export async function createIndexedDBAdapter({ indexedDB = globalThis.indexedDB, dbName = 'canadian-trail', storeName = 'saves' } = {}) {
+  if (!indexedDB) throw new Error('IndexedDB is not available.');
+  const db = await new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(storeName)) req.result.createObjectStore(storeName);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error('Could not open IndexedDB.'));
+    req.onblocked = () => reject(new Error('IndexedDB is blocked by another tab.'));
+  });
+
+  db.onversionchange = () => db.close();
+
+  /** Run fn(store) in one transaction; resolves with its request's result (or results) once committed */
+  function run(mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const reqs = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(Array.isArray(reqs) ? reqs.map(r => r.result) : reqs.result);
+      tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed.'));
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted.'));
+    });
+  }
+
+  return {
+    name: 'indexedDB',
+    async get(key) { return (await run('readonly', s => s.get(key))) ?? null; },
+    async set(key, value) { await run('readwrite', s => s.put(String(value), key)); },
+    async remove(key) { await run('readwrite', s => s.delete(key)); },
+    async entries() {
+      // Both come back in key order, so they line up
+      const [keys, values] = await run('readonly', s => [s.getAllKeys(), s.getAll()]);
+      return keys.map((k, i) => [String(k), values[i]]);
+    }
+  };
+}
+
+/**
+ * Copy this game's localStorage keys into `adapter` (keys it already has are kept),
+ * then remove them from localStorage. Safe to run on every start.
+ * @returns {Promise<string[]>} keys moved
+ */
+export async function migrateFromLocalStorage(adapter, ls = globalThis.localStorage) {
+  if (!ls) return [];
+  const source = createLocalStorageAdapter(ls);
+  const moved = [];
+  for (const [key, value] of await source.entries()) {
+    if (!key.startsWith(KEY_PREFIX)) continue;
+    if ((await adapter.get(key)) == null) await adapter.set(key, value);
+    moved.push(key);
+  }
+  for (const key of moved) ls.removeItem(key);
+  return moved;
+}
+
+/**
+ * Synchronous, Storage-shaped view over an async adapter.
+ * Reads come from memory; writes update memory at once and reach the adapter in call order.
+ * @param {StorageAdapter} adapter
+ * @param {{ onError?: (err:Error) => void, channel?: string }} [opts]
+ *   onError: failed background writes (they are also kept until takeWriteError());
+ *   channel: BroadcastChannel name shared with other tabs on the same adapter
+ */
+export async function openCachedStorage(adapter, { onError = (err) => console.error(`[storage] ${adapter.name} write failed`, err), channel = null } = {}) {
+  const cache = new Map(await adapter.entries());
+  /** Local writes per key, so a refresh from another tab never replaces a newer local value */
+  const writes = new Map();
+  let pending = Promise.resolve();
+  let failed = null;
+  const enqueue = (op) => {
+    pending = pending.then(op).catch((err) => {
+      failed ??= err;
+      onError(err);
+    });
+  };
+
+  let bc = channel && typeof BroadcastChannel === 'function' ? new BroadcastChannel(channel) : null;
+  const write = (key, op) => {
+    writes.set(key, (writes.get(key) || 0) + 1);
+    enqueue(async () => {
+      await op();
+      // The write itself succeeded; telling other tabs is best-effort
+      try { bc?.postMessage({ key }); } catch { /* channel closed */ }
+    });
+  };
+  if (bc) {
+    bc.onmessage = ({ data }) => {
+      const key = data?.key;
+      if (typeof key !== 'string') return;
+      const seen = writes.get(key) || 0;
+      enqueue(async () => {
+        let value;
+        try { value = await adapter.get(key); } catch { return; } // keep the cached copy
+        if ((writes.get(key) || 0) !== seen) return;
+        if (value == null) cache.delete(key);
+        else cache.set(key, value);
+      });
+    };
+  }
+
+  return {
+    backend: adapter.name,
+    get length() { return cache.size; },
+    key(i) { return [...cache.keys()][i] ?? null; },
+    getItem(key) { return cache.has(key) ? cache.get(key) : null; },
+    setItem(key, value) {
+      const v = String(value);
+      cache.set(key, v);
+      write(key, () => adapter.set(key, v));
+    },
+    removeItem(key) {
+      cache.delete(key);
+      write(key, () => adapter.remove(key));
+    },
+    clear() {
+      for (const key of [...cache.keys()]) this.removeItem(key);
+    },
+    /** Resolves once every write so far has reached the adapter (or failed; see writeError) */
+    whenIdle() { return pending; },
+    /** First background write that failed since the last takeWriteError(), or null */
+    get writeError() { return failed; },
+    /** @returns {Error|null} the failed write, forgotten once taken */
+    takeWriteError() {
+      const err = failed;
+      failed = null;
+      return err;
+    },
+    /** Stop listening to other tabs once the queued writes have been announced */
+    async close() {
+      await pending;
+      bc?.close();
+      bc = null;
+    }
+  };
+}
+
+/**
+ * Best storage for saves in this environment.
+ * @param {{ indexedDB?: IDBFactory|null, localStorage?: Storage|null }} [env]
+ * @returns {Promise<Storage & { backend?: string, whenIdle?: () => Promise<void>, writeError?: Error|null, takeWriteError?: () => Error|null }>}
+ */
+export async function openDefaultStorage({ indexedDB = globalThis.indexedDB, localStorage = safeLocalStorage() } = {}) {
+  if (indexedDB) {
+    try {
+      const adapter = await createIndexedDBAdapter({ indexedDB });
+      const moved = await migrateFromLocalStorage(adapter, localStorage);
+      if (moved.length) console.info(`[storage] Moved ${moved.length} saved item(s) from localStorage to IndexedDB.`);
+      return await openCachedStorage(adapter, { channel: 'canadian-trail-storage' });
+    } catch (err) {
+      console.warn('[storage] IndexedDB unavailable, using localStorage:', err?.message || err);
+    }
+  }
+  // localStorage is synchronous already; using it directly keeps quota errors synchronous for safeWrite()
+  if (localStorage) return localStorage;
+  return openCachedStorage(createMemoryAdapter());
+}
+
+function safeLocalStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null; // access throws in some privacy modes
+  }
+}
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name
+ * @property {(key:string) => Promise<string|null>} get
+ * @property {(key:string, value:string) => Promise<void>} set
+ * @property {(key:string) => Promise<void>} remove
+ * @property {() => Promise<[string, string][]>} entries
+ */
@@ -0,0 +1,294 @@
+// systems/actions.js
+// Player decisions, shared by the UI and the replay engine.
+// - Every decision is appended to game.data.journal as { day, type, ...payload }
+//   before it is applied, so seed + journal rebuilds the exact same GameState.
+// - Screens call these instead of mutating game.data directly; systems/replay.js
+//   calls the same functions in journal order.
+// - Automatic follow-ups (event trigger roll, landmark stop, game over) live here
+//   too, so both callers consume RNG in the same order. The landmark stop and the
+//   event roll are day phases (systems/dayPipeline.js) registered at the bottom.
+//
+// Journal entry types:
+//   start   { seed, difficulty, startMonth, party, rngStreams }   written by GameState.startNewGame
+//   travel  {}                               one travel day (+ event trigger roll)
+//   rest    { activity? }                    one rest day spent on a camp activity (+ event trigger roll);
+//                                            no activity (older journals) is a plain rest (see camp.js)
+//   pace    { value }                        pace setting changed
+//   rations { value }                        rations setting changed
+//   autoTravel { rules }                     "Travel until…" interrupt rules changed (see autoTravel.js)
+//   event   { eventId, choiceId }            choice in the open event session
+//   hazard  { landmarkId, method }           crossing attempt at a hazard
+//   leave   { landmarkId }                   left a landmark screen
+//   route   { landmarkId, leg }              road taken at a fork (see landmarks.js)
+//   repair  { part, method }                 vehicle repair: 'spare' or 'improvise' (see vehicle.js)
+//   buy     { landmarkId, items, total }     shop purchase (items: { id: qty })
+//   drop    { items }                        supplies left behind to lighten the load (items: { id: qty })
+//   hunt    { bulletsUsed, meatTaken, spoiled, kills, rngState }
+//           Hunting is real-time, so its result (and the hunting stream's state after it) is recorded.
+//   rewind  {}                               casual "Rewind a day" (restores the last day snapshot)
+//   end     { reason }                       run marked over (screens check at different times)
+
+import { daySummary } from './travel.js';
+import { registerPhase, runDay } from './dayPipeline.js';
+import { maybeTriggerEvent, choose } from './eventEngine.js';
+import { tryMethod } from './river.js';
+import { repairPart } from './vehicle.js';
+import { DEFAULT_ACTIVITY } from './camp.js';
+import { labelAnimal } from './hunting.js';
+import { itemWeight } from './cargo.js';
+import { routeChoices } from './landmarks.js';
+import { addLog } from './log.js';
+
+/** Log the departure once, at the first Travel screen of a run */
+export function setOut(game, landmarks) {
+  if (game.data.flags?.phase2_init_logged) return;
+  const here = landmarks.find(l => l.mile <= 0) ?? { name: 'the trailhead', mile: 0 };
+  addLog(game, 'travel', 'travel.setOut', { place: here.name });
+  game.data.flags.lastLandmark = { id: here.id ?? null, name: here.name };
+  game.data.flags.phase2_init_logged = true;
+  game.markDirty();
+}
+
+/**
+ * Travel one day. Marks the first landmark to stop at (hazards first) and
+ * rolls for an event unless the run just ended.
+ * @returns {Promise<{ summary:any, crossed:any[], stopAt:any|null, session:any|null }>}
+ */
+export async function travel(game, landmarks) {
+  record(game, 'travel');
+  const day = await runDay(game, { kind: 'travel', landmarks, rollEvents: true });
+  return { summary: daySummary(day), crossed: day.crossed, stopAt: day.stopAt, session: day.session };
+}
+
+/**
+ * Rest one day in camp, then roll for an event unless the run just ended.
+ * @param {string} [activity] camp activity id (data/camp.json); plain rest by default
+ * @returns {Promise<{ summary:any, camp:any|null, session:any|null }>} camp: the activity's outcome
+ */
+export async function rest(game, landmarks, activity = DEFAULT_ACTIVITY) {
+  const camp = activity && activity !== DEFAULT_ACTIVITY ? { activity } : {};
+  record(game, 'rest', camp);
+  const day = await runDay(game, { kind: 'rest', landmarks, rollEvents: true, activity: camp.activity ?? null });
+  return { summary: daySummary(day), camp: day.camp, session: day.session };
+}
+
+export function setPace(game, value) {
+  if (game.data.settings.pace === value) return;
+  record(game, 'pace', { value });
+  game.data.settings.pace = value;
+  game.markDirty();
+}
+
+export function setRations(game, value) {
+  if (game.data.settings.rations === value) return;
+  record(game, 'rations', { value });
+  game.data.settings.rations = value;
+  game.markDirty();
+}
+
+/** Save "Travel until…" interrupt rules (already normalized by autoTravel.js) */
+export function setAutoTravelRules(game, rules) {
+  record(game, 'autoTravel', { rules: { ...rules } });
+  game.data.settings.autoTravel = { ...rules };
+  game.markDirty();
+}
+
+/** Pick a choice in an open event session; resolves to eventEngine.choose()'s result */
+export async function chooseEvent(game, session, choiceId) {
+  record(game, 'event', { eventId: session.event.id, choiceId });
+  return choose(session, choiceId, game);
+}
+
+/** Attempt a hazard crossing method; resolves to river.tryMethod()'s result */
+export async function attemptHazard(game, landmark, method) {
+  record(game, 'hazard', { landmarkId: landmark.id, method });
+  return tryMethod(game, landmark, method);
+}
+
+/**
+ * Pick the road at a fork the party is standing at. Callers holding the path
+ * (landmarks.loadLandmarks) should reload it: the landmarks ahead change.
+ * @returns {boolean} false when this is not an open fork here
+ */
+export function chooseRoute(game, landmark, leg) {
+  const options = landmark?.fork?.options || [];
+  const option = options.find(o => o.leg === leg);
+  if (!option || Number(game.data.miles) !== Number(landmark.mile) || routeChoices(game)[landmark.id]) return false;
+  record(game, 'route', { landmarkId: landmark.id, leg });
+  if (!game.data.route || typeof game.data.route !== 'object') game.data.route = {};
+  game.data.route.choices = { ...routeChoices(game), [landmark.id]: leg };
+  addLog(game, 'travel', 'travel.route', { place: landmark.name, landmarkId: landmark.id, leg, route: option.label || leg });
+  game.markDirty();
+  return true;
+}
+
+/** Install a spare or improvise a repair; resolves to vehicle.repairPart()'s result */
+export async function repairVehicle(game, part, method) {
+  record(game, 'repair', { part, method });
+  return repairPart(game, part, method);
+}
+
+/** Leave a landmark screen and get back on the trail */
+export function leaveLandmark(game, landmark) {
+  record(game, 'leave', { landmarkId: landmark?.id ?? game.data.flags?.atLandmarkId ?? null });
+  if (game.data.flags) {
+    delete game.data.flags.atLandmarkId;
+    delete game.data.flags._followServiceId;
+  }
+  game.markDirty();
+}
+
+/**
+ * Apply a shop purchase.
+ * @param {Record<string, number>} items quantities by item id
+ * @param {number} total price already computed from the catalog
+ */
+export function buySupplies(game, landmark, items, total) {
+  const clean = {};
+  for (const [id, q] of Object.entries(items)) {
+    if (Number(q) > 0) clean[id] = Number(q);
+  }
+  record(game, 'buy', { landmarkId: landmark.id, items: clean, total });
+  for (const [id, q] of Object.entries(clean)) {
+    game.data.inventory[id] = Number(game.data.inventory[id] || 0) + q;
+    game.bus.emit('inventory:changed', { item: id, delta: q, value: game.data.inventory[id], source: 'shop' });
+  }
+  game.data.money = Math.max(0, Number(game.data.money || 0) - total);
+  addLog(game, 'trade', 'trade.buy', { landmark: landmark.name, landmarkId: landmark.id, items: clean, total });
+  game.markDirty();
+}
+
+/**
+ * Leave supplies behind (the vehicle is too heavy). Quantities are capped at what is on board.
+ * @param {Record<string, number>} items quantities by item id
+ * @returns {number} pounds dropped
+ */
+export function dropItems(game, items) {
+  const inv = game.data.inventory;
+  const clean = {};
+  for (const [id, q] of Object.entries(items || {})) {
+    const n = Math.min(Math.floor(Number(q) || 0), Math.floor(Number(inv[id]) || 0));
+    if (n > 0) clean[id] = n;
+  }
+  record(game, 'drop', { items: clean });
+  let lb = 0;
+  for (const [id, n] of Object.entries(clean)) {
+    inv[id] = Number(inv[id]) - n;
+    lb += n * itemWeight(id);
+    game.bus.emit('inventory:changed', { item: id, delta: -n, value: inv[id], source: 'drop' });
+  }
+  lb = Math.round(lb * 10) / 10;
+  if (lb > 0 || Object.keys(clean).length) addLog(game, 'vehicle', 'vehicle.dropped', { items: clean, lb });
+  game.markDirty();
+  return lb;
+}
+
+/**
+ * Bank the result of a finished hunt. Bullets were already spent shot by shot.
+ * @param {{ bulletsUsed:number, meatTaken:number, spoiled:number, killsById:Record<string,number> }} summary
+ */
+export function finishHunt(game, summary) {
+  record(game, 'hunt', {
+    bulletsUsed: summary.bulletsUsed,
+    meatTaken: summary.meatTaken,
+    spoiled: summary.spoiled,
+    kills: { ...summary.killsById },
+    rngState: game.rngFor('hunting').getState() >>> 0
+  });
+  const before = Number(game.data.inventory.food || 0);
+  game.data.inventory.food = Math.max(0, before + summary.meatTaken);
+  if (summary.meatTaken) {
+    game.bus.emit('inventory:changed', { item: 'food', delta: game.data.inventory.food - before, value: game.data.inventory.food, source: 'hunt' });
+  }
+  game.data.flags.lastHuntDay = Number(game.data.day || 1);
+  const kills = Object.entries(summary.killsById)
+    .filter(([, n]) => n > 0)
+    .map(([id, count]) => ({ id, label: labelAnimal(id), count }));
+  addLog(game, 'hunt', 'hunt.result', {
+    kills, meat: summary.meatTaken, spoiled: summary.spoiled, bullets: summary.bulletsUsed
+  });
+  game.markDirty();
+}
+
+/**
+ * Casual mode: undo back to the start of the most recent day.
+ * @returns {number|null} the day rewound to, or null when rewinding is not allowed
+ */
+export function rewindDay(game) {
+  if (!game.canRewind()) return null;
+  record(game, 'rewind');
+  return game.rewindDay();
+}
+
+/**
+ * Game-over details if the run has ended (stored result wins), else null.
+ * @returns {null|{ reason:string, day:number, miles:number, survivors:number, totalMiles:number }}
+ */
+export function detectGameOver(game, totalMiles) {
+  const stored = game.data.flags?.gameOver;
+  if (stored && stored.reason) return stored;
+  const partyArr = game.data.party || [];
+  const allDead = partyArr.length > 0 && partyArr.every(p => p.status === 'dead');
+  const finished = game.data.miles >= totalMiles;
+  if (!allDead && !finished) return null;
+  return {
+    reason: allDead ? 'party_dead' : 'completed',
+    day: Math.max(1, Number(game.data.day) || 1),
+    miles: Math.round(Number(game.data.miles) || 0),
+    survivors: partyArr.filter(p => p.status !== 'dead').length,
+    totalMiles
+  };
+}
+
+/** Persist the end-of-run result (idempotent) */
+export function markGameOver(game, payload) {
+  if (!game.data.flags || typeof game.data.flags !== 'object') game.data.flags = {};
+  if (game.data.flags.gameOver?.reason) return game.data.flags.gameOver;
+  record(game, 'end', { reason: payload.reason });
+  game.data.flags.gameOver = payload;
+  game.markDirty();
+  return payload;
+}
+
+export function trailMiles(landmarks) {
+  return landmarks.length ? landmarks[landmarks.length - 1].mile : 1000;
+}
+
+// ---------------- day phases ----------------
+
+// Landmarks passed today: log them and pick where to stop (hazards first)
+registerPhase('landmarks', 'actions.landmarks', (ctx) => {
+  const { game, landmarks } = ctx;
+  if (ctx.kind !== 'travel' || !landmarks) return;
+  ctx.crossed = landmarks.filter(l => l.mile > ctx.startMiles && l.mile <= game.data.miles);
+  for (const lm of ctx.crossed) {
+    addLog(game, 'travel', 'travel.reached', { place: lm.name, landmarkId: lm.id ?? null });
+    game.data.flags.lastLandmark = { id: lm.id, name: lm.name };
+    game.bus.emit('landmark:reached', { landmark: lm, day: game.data.day, mile: Math.round(game.data.miles) });
+  }
+  if (!ctx.crossed.length) return;
+  const firstHazard = ctx.crossed.find(l => l.hazard && l.hazard.kind);
+  ctx.stopAt = firstHazard ?? ctx.crossed[ctx.crossed.length - 1];
+  if (firstHazard) {
+    const trailingService = ctx.crossed
+      .filter(l => l.mile > firstHazard.mile && Array.isArray(l.services) && l.services.length)
+      .slice(-1)[0];
+    if (trailingService) game.data.flags._followServiceId = trailingService.id;
+  }
+  game.data.flags.atLandmarkId = ctx.stopAt.id;
+});
+
+// Trail event roll, skipped once the run has ended
+registerPhase('event', 'actions.event', async (ctx) => {
+  if (!ctx.rollEvents || !ctx.landmarks) return;
+  if (detectGameOver(ctx.game, trailMiles(ctx.landmarks))) return;
+  ctx.session = await maybeTriggerEvent(ctx.game);
+});
+
+// ---------------- internals ----------------
+
+function record(game, type, payload = {}) {
+  if (!Array.isArray(game.data.journal)) game.data.journal = [];
+  game.data.journal.push({ day: Number(game.data.day || 1), type, ...payload });
+}
+
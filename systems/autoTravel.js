@@ -0,0 +1,148 @@
+// systems/autoTravel.js
+// "Travel until…": keep travelling day after day until an interrupt rule fires.
+// - Each day is an ordinary journaled actions.travel(); the loop itself records
+//   nothing, so replays never need to know a day was auto-travelled.
+// - Rules live in game.data.settings.autoTravel (changed via actions.setAutoTravelRules).
+// - Interrupts: landmark reached, event fired, a member's health falls below X,
+//   food falls under N days, a new condition, a weather change. Forks in the road, game over,
+//   a vehicle breakdown, an empty tank and the caller's Stop button always end the run of days.
+
+import { travel, leaveLandmark, detectGameOver, trailMiles } from './actions.js';
+import { dailyFoodNeed } from './travel.js';
+import { loadRoles } from './roles.js';
+import { isBroken } from './vehicle.js';
+import { isOutOfFuel } from './fuel.js';
+
+export const AUTO_TRAVEL_DEFAULTS = Object.freeze({
+  stopAtLandmarks: true,   // false: roll past landmarks with no hazard, shop or fork
+  stopOnEvents: true,      // false: the caller resolves the event (onEvent) and travel goes on
+  healthBelow: 2,          // stop when a member's health falls below this (0 = off)
+  foodDaysBelow: 3,        // stop when food falls under this many days (0 = off)
+  stopOnCondition: true,
+  stopOnWeatherChange: false
+});
+
+/** Saved rules merged over the defaults, with numbers clamped to what the UI offers */
+export function autoTravelRules(game) {
+  return normalizeAutoTravelRules(game.data.settings?.autoTravel);
+}
+
+export function normalizeAutoTravelRules(rules) {
+  const r = { ...AUTO_TRAVEL_DEFAULTS, ...(rules && typeof rules === 'object' ? rules : {}) };
+  return {
+    stopAtLandmarks: !!r.stopAtLandmarks,
+    stopOnEvents: !!r.stopOnEvents,
+    healthBelow: clampInt(r.healthBelow, 0, 5),
+    foodDaysBelow: clampInt(r.foodDaysBelow, 0, 30),
+    stopOnCondition: !!r.stopOnCondition,
+    stopOnWeatherChange: !!r.stopOnWeatherChange
+  };
+}
+
+/** Days the food lasts at the current rations (Infinity with nobody left to feed) */
+export function foodDaysLeft(game) {
+  const need = dailyFoodNeed(game);
+  return need > 0 ? Number(game.data.inventory.food || 0) / need : Infinity;
+}
+
+/**
+ * Travel until a rule interrupts.
+ * @param {any} game
+ * @param {any[]} landmarks
+ * @param {{
+ *   rules?: ReturnType<typeof normalizeAutoTravelRules>,
+ *   onDay?: (info:{ days:number, day:number, miles:number }) => any,
+ *   onEvent?: (session:any) => Promise<any>,
+ *   shouldStop?: () => boolean
+ * }} [opts]
+ *   onDay: awaited after every day (progress ticker); onEvent: resolves an event
+ *   when events do not stop travel; shouldStop: checked before each new day (Stop button)
+ * @returns {Promise<{ days:number, reason:{ rule:string, text:string }, stopAt:any|null, session:any|null }>}
+ */
+export async function autoTravel(game, landmarks, { rules = autoTravelRules(game), onDay, onEvent, shouldStop } = {}) {
+  const totalMiles = trailMiles(landmarks);
+  await loadRoles(); // food days are counted per member
+  let days = 0;
+  const acquired = [];
+  const off = game.bus.on('condition:acquired', ({ condition }) => acquired.push(condition));
+  try {
+    for (;;) {
+      if (detectGameOver(game, totalMiles)) return done('gameOver', 'The journey is over.');
+      if (shouldStop?.()) return done('stopped', 'Stopped.');
+      if (isBroken(game)) return done('breakdown', breakdownText(game));
+      if (isOutOfFuel(game)) return done('fuel', FUEL_TEXT);
+
+      const before = {
+        weather: game.data.weather?.today?.id ?? null,
+        health: new Map((game.data.party || []).map(m => [m.id, m.health | 0])),
+        foodDays: foodDaysLeft(game)
+      };
+      acquired.length = 0;
+      const { stopAt, crossed, session } = await travel(game, landmarks);
+      days++;
+      await onDay?.({ days, day: game.data.day, miles: game.data.miles });
+
+      if (detectGameOver(game, totalMiles)) return done('gameOver', 'The journey is over.', { stopAt, session });
+      if (session) {
+        if (rules.stopOnEvents || !onEvent) return done('event', `Event: ${session.event.title}`, { stopAt, session });
+        await onEvent(session);
+        if (detectGameOver(game, totalMiles)) return done('gameOver', 'The journey is over.');
+      }
+      if (isBroken(game)) return done('breakdown', breakdownText(game), { stopAt });
+      if (isOutOfFuel(game)) return done('fuel', FUEL_TEXT, { stopAt });
+      if (stopAt) {
+        const needsStop = rules.stopAtLandmarks || stopAt.hazard?.kind || stopAt.fork ||
+          crossed.some(l => l.hazard?.kind || (Array.isArray(l.services) && l.services.length));
+        if (needsStop) return done('landmark', `Reached ${stopAt.name}.`, { stopAt });
+        leaveLandmark(game, stopAt);
+      }
+
+      const reason = checkRules(game, rules, before, acquired);
+      if (reason) return done(reason.rule, reason.text);
+    }
+  } finally {
+    off();
+  }
+
+  function done(rule, text, { stopAt = null, session = null } = {}) {
+    return { days, reason: { rule, text }, stopAt, session };
+  }
+}
+
+// ---------------- internals ----------------
+
+function checkRules(game, rules, before, acquired) {
+  if (rules.healthBelow > 0) {
+    const hurt = (game.data.party || []).find(m =>
+      (m.health | 0) < rules.healthBelow && (before.health.get(m.id) ?? 5) >= rules.healthBelow);
+    if (hurt) {
+      const text = hurt.status === 'dead' ? `${hurt.name} has died.` : `${hurt.name}'s health fell below ${rules.healthBelow}.`;
+      return { rule: 'health', text };
+    }
+  }
+  if (rules.foodDaysBelow > 0) {
+    const left = foodDaysLeft(game);
+    if (left < rules.foodDaysBelow && before.foodDays >= rules.foodDaysBelow) {
+      return { rule: 'food', text: `Food for fewer than ${rules.foodDaysBelow} days.` };
+    }
+  }
+  if (rules.stopOnCondition && acquired.length) {
+    return { rule: 'condition', text: `New condition: ${acquired.map(c => c.name || c.id).join(', ')}.` };
+  }
+  const today = game.data.weather?.today;
+  if (rules.stopOnWeatherChange && before.weather && today && today.id !== before.weather) {
+    return { rule: 'weather', text: `Weather changed: ${today.name}.` };
+  }
+  return null;
+}
+
+function breakdownText(game) {
+  return `Broken ${isBroken(game).part}: repair it to go on.`;
+}
+
+const FUEL_TEXT = 'Out of gas: buy some or find a ride.';
+
+function clampInt(v, lo, hi) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : lo;
+}
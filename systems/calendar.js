@@ -0,0 +1,53 @@
+// systems/calendar.js
+// In-game dates. Day 1 is the 1st of the start month picked at New Game
+// (settings.startMonth, 1–12); every later day counts on from there.
+// - No years or leap days: February always has 28 days and the calendar wraps
+// - Seasons are meteorological (Dec–Feb winter, Mar–May spring, …); weather.json
+//   weights and hazard severity (river.js) read them
+
+export const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+export const SEASONS = ['winter', 'spring', 'summer', 'fall'];
+export const DEFAULT_START_MONTH = 4; // April: after the worst of winter, before the melt peaks
+
+/** 1–12, falling back to the default for missing or odd values */
+export function normalizeStartMonth(month) {
+  const m = Math.round(Number(month));
+  return m >= 1 && m <= 12 ? m : DEFAULT_START_MONTH;
+}
+
+/**
+ * Date of an in-game day.
+ * @param {number} startMonth 1–12
+ * @param {number} day 1-based game day
+ * @returns {{ month:number, date:number, season:string }} month 1–12, date 1–31
+ */
+export function dateForDay(startMonth, day) {
+  let month = normalizeStartMonth(startMonth) - 1;
+  let left = Math.max(1, Math.floor(Number(day) || 1)) - 1;
+  while (left >= DAYS_IN_MONTH[month]) {
+    left -= DAYS_IN_MONTH[month];
+    month = (month + 1) % 12;
+  }
+  return { month: month + 1, date: left + 1, season: seasonOfMonth(month + 1) };
+}
+
+export function seasonOfMonth(month) {
+  return SEASONS[Math.floor((normalizeStartMonth(month) % 12) / 3)];
+}
+
+/** Date of `day` (default: today) for a game */
+export function gameDate(game, day = game.data.day) {
+  return dateForDay(game.data.settings?.startMonth, day);
+}
+
+export function seasonFor(game, day = game.data.day) {
+  return gameDate(game, day).season;
+}
+
+/** "Apr 14" (short) or "April 14" */
+export function formatDate({ month, date }, { short = true } = {}) {
+  const name = MONTHS[month - 1] || MONTHS[0];
+  return `${short ? name.slice(0, 3) : name} ${date}`;
+}
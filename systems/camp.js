@@ -0,0 +1,183 @@
+// systems/camp.js
+// Camp activities: every rest day is spent on one (data/camp.json).
+// - actions.rest(game, landmarks, activity) journals the pick; the day runs through the
+//   pipeline with ctx.activity set, and this module registers its two phases:
+//   camp.plan (pre-day) scales the day's rest healing by the activity's `restHeal`,
+//   camp.activity (health, after travel.health) rolls and applies the outcome
+// - Outcomes roll on rngFor('camp'): `chance` (× the `season` multiplier) picks
+//   `success` or `fail`; ranges ([lo, hi]) roll a whole number in between
+// - Outcome effects: food / clothes (capped by what the vehicle can carry), morale,
+//   repair (wear off the most worn part), mend (wear off the warm clothes, cold.js),
+//   scout (the next hazard within `range` miles gets easier odds, river.js SCOUT_BONUS)
+// - "rest" (and hazard waits or repair days, which have no activity) is a plain rest day,
+//   and so is an activity that cannot be done that day (logged as camp.idle)
+
+import { loadJSON } from './jsonLoader.js';
+import { registerPhase } from './dayPipeline.js';
+import { addLog } from './log.js';
+import { seasonFor } from './calendar.js';
+import { PARTS, getVehicle, isBroken } from './vehicle.js';
+import { getHazardState } from './river.js';
+import { roomFor } from './cargo.js';
+import { getClothing } from './cold.js';
+import { adjustMorale } from './morale.js';
+
+export const DEFAULT_ACTIVITY = 'rest';
+
+const FALLBACK = [{ id: DEFAULT_ACTIVITY, label: 'Rest', blurb: 'Sleep in and heal.' }];
+
+let _activities = null;
+let _loadPromise = null;
+
+export async function loadCamp() {
+  if (_activities) return _activities;
+  if (!_loadPromise) {
+    _loadPromise = loadJSON('../data/camp.json').then(data => {
+      const list = Array.isArray(data?.activities) ? data.activities : [];
+      _activities = list.some(a => a.id === DEFAULT_ACTIVITY) ? list : [...FALLBACK, ...list];
+    }).catch(err => {
+      console.warn('[camp] load failed, resting only', err);
+      _activities = FALLBACK;
+    });
+  }
+  await _loadPromise;
+  return _activities;
+}
+
+/** An activity by id (after loadCamp()), or null */
+export function findActivity(id) {
+  return (_activities || FALLBACK).find(a => a.id === id) || null;
+}
+
+/**
+ * Activities with whether they can be done here and now.
+ * @returns {Promise<Array<any & { available:boolean, reason:string, odds:number|null }>>}
+ *   odds: today's success chance (null when there is nothing to roll)
+ */
+export async function campOptions(game, landmarks) {
+  const list = await loadCamp();
+  return list.map(a => {
+    const reason = unavailableReason(game, landmarks, a);
+    return { ...a, available: !reason, reason, odds: a.success ? successChance(game, a) : null };
+  });
+}
+
+/** Why an activity cannot be done today, or '' */
+function unavailableReason(game, landmarks, activity) {
+  const s = activity.success || {};
+  if (s.repair && !mostWornPart(game)) return 'Nothing on the vehicle needs work.';
+  if (s.repair && isBroken(game)) return 'A broken part needs the repair screen, not a tune-up.';
+  if (s.mend && !getClothing(game).wear) return 'The warm clothes need no mending.';
+  if (s.scout && !hazardAhead(game, landmarks, activity.range)) return `No hazard within ${activity.range ?? 0} miles.`;
+  if (s.food && roomFor(game, 'food') <= 0) return 'No room for more food.';
+  return '';
+}
+
+/** Chance of success on the current day (season included) */
+export function successChance(game, activity, day = game.data.day) {
+  const season = activity.season?.[seasonFor(game, day)] ?? 1;
+  return Math.max(0, Math.min(1, Number(activity.chance ?? 1) * season));
+}
+
+function mostWornPart(game) {
+  const v = getVehicle(game);
+  let worst = null;
+  for (const p of PARTS) {
+    if (v.wear[p] >= 1 && (!worst || v.wear[p] > v.wear[worst])) worst = p;
+  }
+  return worst;
+}
+
+/** Next hazard not yet crossed or scouted within `range` miles */
+function hazardAhead(game, landmarks, range = Infinity) {
+  const miles = Number(game.data.miles || 0);
+  const hazardState = game.data.flags?.hazardState || {};
+  return (landmarks || []).find(l =>
+    l.hazard?.kind && l.mile >= miles && l.mile - miles <= range && !hazardState[l.id]?.scouted &&
+    !(l.mile === miles && game.data.flags?.atLandmarkId !== l.id)
+  ) || null;
+}
+
+function rollRange(rng, range) {
+  if (!Array.isArray(range)) return Number(range) || 0;
+  const [lo, hi] = range.map(Number);
+  return lo + Math.floor(rng.next() * (hi - lo + 1));
+}
+
+/** Apply an outcome; returns the template params (amounts actually gained) */
+function applyOutcome(game, activity, outcome, rng, landmarks) {
+  const params = {};
+  const part = activity.success?.repair ? mostWornPart(game) : null;
+  if (part) params.part = part;
+  const target = activity.success?.scout ? hazardAhead(game, landmarks, activity.range) : null;
+  if (target) params.landmark = target.name;
+
+  for (const item of ['food', 'clothes']) {
+    if (outcome[item] == null) continue;
+    const n = Math.min(rollRange(rng, outcome[item]), roomFor(game, item));
+    if (n <= 0) continue;
+    game.data.inventory[item] = Number(game.data.inventory[item] || 0) + n;
+    game.bus.emit('inventory:changed', { item, delta: n, value: game.data.inventory[item], source: 'camp' });
+    params[item] = n;
+  }
+  if (outcome.morale) {
+    // Logged by morale.js as the change actually applied (nothing at the cap)
+    const applied = adjustMorale(game, Number(outcome.morale), activity.label);
+    if (applied) params.morale = applied;
+  }
+  if (outcome.repair && part) {
+    const v = getVehicle(game);
+    const off = Math.min(v.wear[part], rollRange(rng, outcome.repair));
+    v.wear[part] = Math.round((v.wear[part] - off) * 10) / 10;
+    params.repair = Math.round(off);
+  }
+  if (outcome.mend) {
+    const clothing = getClothing(game);
+    const off = Math.min(clothing.wear, rollRange(rng, outcome.mend));
+    clothing.wear = Math.round((clothing.wear - off) * 10) / 10;
+    params.mend = Math.round(off);
+  }
+  if (outcome.scout && target) {
+    getHazardState(game, target).scouted = true;
+    params.landmarkId = target.id;
+  }
+  return params;
+}
+
+function fill(text, params) {
+  return String(text || '').replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m));
+}
+
+// ---------------- day phases ----------------
+
+// Working in camp heals less than a full rest (travel.health reads ctx.restMult);
+// an activity that cannot be done today turns into a plain rest
+registerPhase('pre-day', 'camp.plan', async (ctx) => {
+  if (ctx.kind !== 'rest' || !ctx.activity) return;
+  await loadCamp();
+  const activity = findActivity(ctx.activity);
+  const reason = activity ? unavailableReason(ctx.game, ctx.landmarks, activity) : 'Unknown activity.';
+  if (reason) {
+    addLog(ctx.game, 'travel', 'camp.idle', { activity: ctx.activity, label: activity?.label ?? ctx.activity, reason }, { day: ctx.day });
+    ctx.activity = null;
+    return;
+  }
+  ctx.restMult = Number(activity.restHeal ?? 1);
+});
+
+// The day's activity, after the party has eaten and healed
+registerPhase('health', 'camp.activity', (ctx) => {
+  const { game } = ctx;
+  if (ctx.kind !== 'rest' || !ctx.activity || ctx.activity === DEFAULT_ACTIVITY) return;
+  const activity = findActivity(ctx.activity);
+  if (!activity?.success) return;
+  if (!(game.data.party || []).some(m => m.status !== 'dead')) return;
+  const rng = game.rngFor('camp');
+  const ok = rng.next() < successChance(game, activity, ctx.day);
+  const outcome = (ok ? activity.success : activity.fail) || {};
+  const params = applyOutcome(game, activity, outcome, rng, ctx.landmarks);
+  ctx.camp = { activity: activity.id, ok, ...params };
+  addLog(game, 'travel', 'camp.activity', {
+    activity: activity.id, label: activity.label, ok, ...params, text: fill(outcome.text, params)
+  }, { day: ctx.day });
+});
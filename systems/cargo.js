@@ -0,0 +1,70 @@
+// systems/cargo.js
+// What the vehicle carries, and what the load costs.
+// - Every item in data/items.json has a `weight` (lb per unit); loadItemWeights() reads them once
+// - CAPACITY_LB travels at full speed. Above it the vehicle slows (loadSpeedMult, used by
+//   travel.js) down to OVERLOAD_MIN_SPEED at MAX_LOAD_LB
+// - MAX_LOAD_LB is a hard limit: the shop will not sell past it and a hunt brings back
+//   no more meat than fits (roomFor). Event gifts may still push the load over.
+
+import { loadJSON } from './jsonLoader.js';
+
+export const CAPACITY_LB = 900;
+export const MAX_LOAD_LB = 1200;
+const OVERLOAD_MIN_SPEED = 0.6;
+
+// Fallback weights if items.json fails to load (keeps the load meaningful)
+const FALLBACK = { food: 1, bullets: 0.1, clothes: 4, wheel: 35, axle: 45, tongue: 25, medicine: 1, fuel: 6 };
+
+let _weights = null;
+let _loadPromise = null;
+
+export async function loadItemWeights() {
+  if (_weights) return _weights;
+  if (!_loadPromise) {
+    _loadPromise = loadJSON('../data/items.json').then(items => {
+      _weights = { ...FALLBACK };
+      for (const it of Array.isArray(items) ? items : []) {
+        if (typeof it?.weight === 'number' && it.weight >= 0) _weights[it.id] = it.weight;
+      }
+    }).catch(err => {
+      console.warn('[cargo] load failed, using fallback weights', err);
+      _weights = { ...FALLBACK };
+    });
+  }
+  await _loadPromise;
+  return _weights;
+}
+
+/** Pounds per unit of an item (0 for unknown items) */
+export function itemWeight(id) {
+  return (_weights || FALLBACK)[id] ?? 0;
+}
+
+/** Total pounds on board */
+export function cargoWeight(game) {
+  let lb = 0;
+  for (const [id, qty] of Object.entries(game.data.inventory || {})) {
+    lb += Math.max(0, Number(qty) || 0) * itemWeight(id);
+  }
+  return Math.round(lb * 10) / 10;
+}
+
+/** Travel speed multiplier for the current load (1 up to CAPACITY_LB) */
+export function loadSpeedMult(game) {
+  const over = cargoWeight(game) - CAPACITY_LB;
+  if (over <= 0) return 1;
+  const t = Math.min(1, over / (MAX_LOAD_LB - CAPACITY_LB));
+  return Math.round((1 - (1 - OVERLOAD_MIN_SPEED) * t) * 100) / 100;
+}
+
+/** Whole units of `id` that still fit under MAX_LOAD_LB */
+export function roomFor(game, id) {
+  const w = itemWeight(id);
+  const free = Math.max(0, MAX_LOAD_LB - cargoWeight(game));
+  return w > 0 ? Math.floor(free / w + 1e-9) : Infinity;
+}
+
+/** { weight, capacity, max, speedMult } for screens */
+export function loadStatus(game) {
+  return { weight: cargoWeight(game), capacity: CAPACITY_LB, max: MAX_LOAD_LB, speedMult: loadSpeedMult(game) };
+}
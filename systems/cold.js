@@ -0,0 +1,133 @@
+// systems/cold.js
+// Cold exposure and warm clothes.
+// - Each day has a cold level, 0 (mild) to 4 (deadly): the season (SEASON_COLD), plus the
+//   weather's `cold` mod (weather.json), plus 1 when snowbound (parked at a snow hazard, or
+//   one lies within SNOW_NEAR_MI ahead)
+// - inventory.clothes counts sets of warm clothes, one per member; when there are fewer sets
+//   than people, the members who feel the cold most (roles.js `cold` trait) get them first
+// - Members without a set lose health from level 1 up; even dressed members feel level 3+.
+//   The loss is a `cold` part of each member's health change (travel.js), scaled by the trait
+// - On days at level 2+, anyone exposed risks frostbite (a party condition, diseases.json,
+//   rolled on rngFor('cold'))
+// - Sets in use wear out: data.clothing.wear counts up to 100, and every 100 costs a set.
+//   Mending in camp (camp.js) takes wear back off
+// The cold.exposure phase runs after the day's movement, so a day's miles decide whether
+// the party is snowbound.
+
+import { registerPhase } from './dayPipeline.js';
+import { addLog } from './log.js';
+import { seasonFor } from './calendar.js';
+import { getModifiersForToday } from './weather.js';
+import { acquireCondition } from './status.js';
+import { traitsFor } from './roles.js';
+
+export const SEASON_COLD = { winter: 2, fall: 1, spring: 1, summer: 0 };
+export const COLD_LABELS = ['Mild', 'Chilly', 'Cold', 'Bitter', 'Deadly'];
+export const MAX_COLD = COLD_LABELS.length - 1;
+const SNOW_NEAR_MI = 40;
+const CLOTHED_SAFE_LEVEL = 2;             // dressed members feel nothing up to this level
+const LOSS_PER_LEVEL = 0.25;
+const WEAR_PER_SET = { base: 0.25, perLevel: 0.25 }; // wear per set in use per day
+const FROSTBITE_LEVEL = 2;
+const FROSTBITE_CHANCE = 0.08;            // per exposed member and day
+
+/** Clothing state, created when missing */
+export function getClothing(game) {
+  const g = game.data;
+  if (!g.clothing || typeof g.clothing !== 'object') g.clothing = { wear: 0 };
+  if (typeof g.clothing.wear !== 'number') g.clothing.wear = 0;
+  return g.clothing;
+}
+
+/**
+ * Cold level of a day.
+ * @param {{ weatherCold?:number, landmarks?:any[]|null, day?:number }} [opts]
+ *   weatherCold: the weather's cold mod (today's by default)
+ */
+export function coldLevel(game, { weatherCold = getModifiersForToday(game).cold, landmarks = null, day = game.data.day } = {}) {
+  const season = SEASON_COLD[seasonFor(game, day)] ?? 0;
+  const snow = snowbound(game, landmarks) ? 1 : 0;
+  return Math.max(0, Math.min(MAX_COLD, season + (Number(weatherCold) || 0) + snow));
+}
+
+/** Parked at a snow hazard, or one lies just ahead */
+function snowbound(game, landmarks) {
+  const miles = Number(game.data.miles || 0);
+  const parked = game.data.flags?.atLandmarkId;
+  return (landmarks || []).some(l => l.hazard?.kind === 'snow' &&
+    (l.id === parked || (l.mile > miles && l.mile - miles <= SNOW_NEAR_MI)));
+}
+
+/**
+ * Who has warm clothes: one set per living member, the most cold-sensitive first.
+ * @returns {Map<string, boolean>} member id → dressed
+ */
+export function warmthFor(game) {
+  const living = (game.data.party || []).filter(m => m.status !== 'dead');
+  const sets = Math.max(0, Math.floor(Number(game.data.inventory?.clothes) || 0));
+  const order = living
+    .map((m, i) => ({ m, i, cold: traitsFor(m).cold }))
+    .sort((a, b) => b.cold - a.cold || a.i - b.i);
+  return new Map(order.map(({ m }, rank) => [m.id, rank < sets]));
+}
+
+/** Health lost to a day at `level` (before the member's cold trait) */
+export function coldLoss(level, dressed) {
+  return LOSS_PER_LEVEL * Math.max(0, dressed ? level - CLOTHED_SAFE_LEVEL : level);
+}
+
+/** Expected loss per member at `level` (members who lose nothing are left out) */
+export function coldExposure(game, level) {
+  const out = new Map();
+  for (const [id, dressed] of warmthFor(game)) {
+    const loss = coldLoss(level, dressed);
+    if (loss > 0) out.set(id, loss);
+  }
+  return out;
+}
+
+/**
+ * Wear the sets in use for a day at `level`; every 100 wear costs one set.
+ * @returns {number} sets worn out
+ */
+export function wearClothes(game, level) {
+  const clothing = getClothing(game);
+  const inv = game.data.inventory;
+  const living = (game.data.party || []).filter(m => m.status !== 'dead').length;
+  const inUse = Math.min(living, Math.max(0, Math.floor(Number(inv.clothes) || 0)));
+  if (!inUse) {
+    clothing.wear = 0;
+    return 0;
+  }
+  clothing.wear = round1(clothing.wear + inUse * (WEAR_PER_SET.base + WEAR_PER_SET.perLevel * level));
+  let lost = 0;
+  while (clothing.wear >= 100 && inv.clothes > 0) {
+    clothing.wear = round1(clothing.wear - 100);
+    inv.clothes -= 1;
+    lost++;
+  }
+  if (!inv.clothes) clothing.wear = 0;
+  if (lost) {
+    game.bus.emit('inventory:changed', { item: 'clothes', delta: -lost, value: inv.clothes, source: 'cold' });
+    addLog(game, 'health', 'cold.clothesWorn', { count: lost, left: inv.clothes });
+  }
+  return lost;
+}
+
+// ---------------- day phases ----------------
+
+// The day's cold: who feels it (travel.health applies ctx.cold.exposure), worn clothes, frostbite
+registerPhase('movement', 'cold.exposure', async (ctx) => {
+  const { game } = ctx;
+  const level = coldLevel(game, { weatherCold: ctx.weatherMods.cold, landmarks: ctx.landmarks, day: ctx.day });
+  const warmth = warmthFor(game);
+  const exposed = [...warmth.values()].filter(dressed => !dressed).length;
+  ctx.cold = { level, exposure: coldExposure(game, level) };
+  if (level >= FROSTBITE_LEVEL && exposed) {
+    addLog(game, 'health', 'cold.exposed', { level, label: COLD_LABELS[level], count: exposed });
+    if (game.rngFor('cold').next() < 1 - (1 - FROSTBITE_CHANCE) ** exposed) await acquireCondition(game, 'frostbite');
+  }
+  wearClothes(game, level);
+});
+
+function round1(n) { return Math.round(Number(n) * 10) / 10; }
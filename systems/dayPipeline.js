@@ -0,0 +1,125 @@
+// systems/dayPipeline.js
+// One in-game day as an ordered list of awaited phases.
+// - Every day goes through runDay(): travel and rest (actions.js), hazard waits
+//   (river.js), event `time` effects (eventEngine.js) and field repairs (vehicle.js)
+// - Phases, in order: pre-day, weather, status, consumption, movement, health,
+//   landmarks, event, post-day. Each one finishes before the next starts.
+// - travel.js registers the day itself (pre-day … health, post-day); actions.js adds
+//   the landmark stop and event roll; vehicle.js adds wear and breakdowns; camp.js adds
+//   rest-day activities. Other features can add their own handlers;
+//   handlers of one phase run in registration order.
+// - This module imports no game systems, so any of them can depend on it.
+
+export const DAY_PHASES = /** @type {const} */ ([
+  'pre-day',
+  'weather',
+  'status',
+  'consumption',
+  'movement',
+  'health',
+  'landmarks',
+  'event',
+  'post-day'
+]);
+
+/** @type {Map<string, { name:string, run:(ctx:DayContext) => any }[]>} */
+const handlers = new Map(DAY_PHASES.map(phase => [phase, []]));
+
+/**
+ * Add a handler to a phase. Registering the same name again replaces it
+ * (modules can be re-imported by tools without doubling up).
+ * @param {typeof DAY_PHASES[number]} phase
+ * @param {string} name
+ * @param {(ctx:DayContext) => void|Promise<void>} run
+ * @returns {() => void} unregister
+ */
+export function registerPhase(phase, name, run) {
+  const list = handlers.get(phase);
+  if (!list) throw new TypeError(`Unknown day phase "${phase}".`);
+  const entry = { name, run };
+  const at = list.findIndex(h => h.name === name);
+  if (at >= 0) list[at] = entry;
+  else list.push(entry);
+  return () => {
+    const i = list.indexOf(entry);
+    if (i >= 0) list.splice(i, 1);
+  };
+}
+
+/** Registered handler names by phase (debugging, tests) */
+export function listPhases() {
+  return DAY_PHASES.map(phase => ({ phase, handlers: handlers.get(phase).map(h => h.name) }));
+}
+
+/**
+ * Run one day through every phase.
+ * @param {any} game
+ * @param {{ kind:'travel'|'rest', source?:'player'|'hazard'|'event'|'repair', landmarks?:any[], rollEvents?:boolean, activity?:string|null }} opts
+ *   source: what spent the day (only player days get the "Day N: …" summary line);
+ *   landmarks: the trail, for arrivals and the end-of-trail check; rollEvents: roll for a trail event;
+ *   activity: camp activity for a rest day (camp.js)
+ * @returns {Promise<DayContext>}
+ */
+export async function runDay(game, { kind, source = 'player', landmarks = null, rollEvents = false, activity = null }) {
+  /** @type {DayContext} */
+  const ctx = {
+    game,
+    kind,
+    source,
+    day: Number(game.data.day) || 1,
+    startMiles: Number(game.data.miles) || 0,
+    landmarks,
+    rollEvents,
+    activity,
+    restMult: 1,
+    weatherMods: { speedMult: 1, healthDelta: 0, hungerMult: 1, cold: 0 },
+    statusMods: { speedMult: 1, healthDelta: 0, hungerMult: 1 },
+    stalled: false,
+    outOfFuel: false,
+    loadMult: 1,
+    milesTraveled: 0,
+    foodConsumed: 0,
+    shortage: 0,
+    healthDelta: 0,
+    memberHealth: [],
+    crossed: [],
+    stopAt: null,
+    session: null,
+    breakdown: null,
+    cold: null,
+    camp: null
+  };
+  for (const phase of DAY_PHASES) {
+    for (const { run } of handlers.get(phase)) await run(ctx);
+  }
+  return ctx;
+}
+
+/**
+ * @typedef {Object} DayContext
+ * @property {any} game
+ * @property {'travel'|'rest'} kind
+ * @property {'player'|'hazard'|'event'|'repair'} source
+ * @property {number} day the day being played (game.data.day advances in the health phase)
+ * @property {number} startMiles
+ * @property {any[]|null} landmarks
+ * @property {boolean} rollEvents
+ * @property {string|null} activity camp activity of a rest day (camp.js)
+ * @property {number} restMult share of the usual rest healing (camp.plan; working in camp heals less)
+ * @property {{ speedMult:number, healthDelta:number, hungerMult:number, cold:number }} weatherMods set by the weather phase
+ * @property {{ speedMult:number, healthDelta:number, hungerMult:number }} statusMods set by the status phase
+ * @property {boolean} stalled the party cannot move today (a broken vehicle before movement, or an empty tank)
+ * @property {boolean} outOfFuel the tank ran dry before the day's planned miles (travel.miles)
+ * @property {number} loadMult speed multiplier from the cargo weight (travel.miles; < 1 when overloaded)
+ * @property {number} milesTraveled
+ * @property {number} foodConsumed
+ * @property {number} shortage pounds that could not be eaten
+ * @property {number} healthDelta average change over the members alive at the start of the health phase
+ * @property {{ member:any, delta:number, parts:Record<string, number> }[]} memberHealth rolled change per member
+ * @property {any[]} crossed landmarks passed today
+ * @property {any|null} stopAt landmark to stop at (hazards first)
+ * @property {any|null} session event opened by the event phase
+ * @property {string|null} breakdown part that broke today (vehicle.js)
+ * @property {{ level:number, exposure:Map<string, number> }|null} cold the day's cold and each member's expected loss to it (cold.js)
+ * @property {any|null} camp the camp activity's outcome ({ activity, ok, ...amounts }, camp.js)
+ */
@@ -1,17 +1,22 @@
 // systems/eventEngine.js
 // Phase 3 — Advanced Event Engine
 // - Weighted, condition-gated event selection ~ every 3–6 days
+// - Events marked `urgent` (e.g. an empty tank) fire on any day they are eligible, cooldown or not
 // - Multi-stage graphs with choices -> effects -> goto next/end
 // - Effect types: inventory, money, health, status, time, distance, mapFlag, riskBuff, morale, mortality
-// - Deterministic: all random rolls use GameState.rng
+// - Deterministic: all random rolls use game.rngFor('events')
 //
 // Notes & limitations (Phase 3 scope):
-// - `time` effects increment the day counter but do not yet model food use/health drift.
-//   We'll refine time passage in later phases alongside resting/repair modeling.
-// - Choice gating supports simple `requires.moneyGte` and `requires.inventory.{item}Gte`.
+// - `time` effects spend whole rest days through the day pipeline (food, health, weather),
+//   without rolling further events.
+// - Choice gating supports simple `requires.moneyGte`, `requires.moraleGte` and `requires.inventory.{item}Gte`.
 // - Text placeholders supported: {child} -> random living child’s name; falls back to “a child”.
 
 import { loadJSON } from './jsonLoader.js';
+import { addLog } from './log.js';
+import { markMemberDead } from './status.js';
+import { applyRestDay } from './travel.js';
+import { adjustMorale, getMorale } from './morale.js';
 
 let EVENTS = null;
 
@@ -31,10 +36,13 @@ async function ensureEvents() {
 export async function maybeTriggerEvent(game) {
   await ensureEvents();
   const flags = game.data.flags || (game.data.flags = {});
+  const urgent = EVENTS.filter(e => e.urgent && isEligible(e, game));
+  if (urgent.length) return startEvent(game, urgent);
+
   let cd = Number(flags.evtCooldownDays || 0);
   if (cd > 0) {
     flags.evtCooldownDays = cd - 1;
-    game.save();
+    game.markDirty();
     return null;
   }
 
@@ -43,17 +51,22 @@ export async function maybeTriggerEvent(game) {
   if (eligible.length === 0) {
     // try again tomorrow
     flags.evtCooldownDays = 1;
-    game.save();
+    game.markDirty();
     return null;
   }
 
+  return startEvent(game, eligible);
+}
+
+/** Pick one of `eligible` and open it */
+function startEvent(game, eligible) {
   const ev = weightedPick(game, eligible, (e) => Number(e.weight || 1));
   const session = createSession(game, ev);
 
   // Set cooldown for the NEXT event now (so refreshes don't double-fire).
-  flags.evtCooldownDays = 3 + game.rng.nextInt(4); // 3..6
-  game.data.log.push(`Event: ${ev.title}`);
-  game.save();
+  game.data.flags.evtCooldownDays = 3 + game.rngFor('events').nextInt(4); // 3..6
+  addLog(game, 'event', 'event.start', { id: ev.id, title: ev.title });
+  game.markDirty();
 
   return session;
 }
@@ -98,8 +111,8 @@ export function renderStage(session, game) {
   return { title, text, choices };
 }
 
-/** Apply a chosen branch; returns { done: boolean } */
-export function choose(session, choiceId, game) {
+/** Apply a chosen branch; resolves to { done: boolean } */
+export async function choose(session, choiceId, game) {
   const st = findStage(session);
   const ch = (st.choices || []).find(c => c.id === choiceId) ||
              (choiceId === 'continue' ? { id: 'continue', goto: 'end', effects: [] } : null);
@@ -111,18 +124,19 @@ export function choose(session, choiceId, game) {
     return { done: false };
   }
 
-  applyEffects(ch.effects || [], game, session);
+  await applyEffects(ch.effects || [], game, session);
 
   // Advance to next stage
   const next = ch.goto;
   if (next && next !== 'end') {
     session.stageId = next;
-    game.save();
+    game.markDirty();
     return { done: false };
   }
 
   // End
-  game.save();
+  game.markDirty();
+  game.bus.emit('event:resolved', { eventId: session.event.id, choiceId: ch.id, day: Number(game.data.day) || 1 });
   return { done: true };
 }
 
@@ -154,6 +168,7 @@ function isEligible(ev, game) {
   if (invW.foodLt != null && !(inv.food < invW.foodLt)) return false;
   if (invW.bulletsGte != null && !(inv.bullets >= invW.bulletsGte)) return false;
   if (invW.medicineGte != null && !(inv.medicine >= invW.medicineGte)) return false;
+  if (invW.fuelLt != null && !(Number(inv.fuel || 0) < invW.fuelLt)) return false;
 
   return true;
 }
@@ -163,6 +178,7 @@ function missingRequirements(choice, game) {
   const r = choice.requires || {};
   const d = game.data;
   if (r.moneyGte != null && !(Number(d.money || 0) >= r.moneyGte)) msgs.push(`Requires $${r.moneyGte}`);
+  if (r.moraleGte != null && !(getMorale(game) >= r.moraleGte)) msgs.push(`Requires morale ${r.moraleGte > 0 ? '+' : ''}${r.moraleGte}`);
   if (r.inventory) {
     const inv = d.inventory || {};
     for (const [k, v] of Object.entries(r.inventory)) {
@@ -191,7 +207,7 @@ function weightedPick(game, arr, weightFn) {
     return w;
   });
   if (sum <= 0) return arr[0];
-  let r = game.rng.next() * sum;
+  let r = game.rngFor('events').next() * sum;
   for (let i = 0; i < arr.length; i++) {
     r -= weights[i];
     if (r <= 1e-9) return arr[i];
@@ -199,23 +215,22 @@ function weightedPick(game, arr, weightFn) {
   return arr[arr.length - 1];
 }
 
-function applyEffects(effects, game, session) {
+async function applyEffects(effects, game, session) {
   for (const eff of effects) {
     switch (eff.type) {
       case 'inventory': {
         const { item, delta } = eff;
         if (!item || !Number.isFinite(delta)) break;
         game.data.inventory[item] = Number(game.data.inventory[item] || 0) + Number(delta);
-        session.logs.push(`${labelItem(item)} ${deltaSigned(delta)}.`);
-        game.data.log.push(`${labelItem(item)} ${deltaSigned(delta)}.`);
+        game.bus.emit('inventory:changed', { item, delta: Number(delta), value: game.data.inventory[item], source: 'event' });
+        note(game, session, 'event', 'event.inventory', { item, label: labelItem(item), delta: Number(delta) });
         break;
       }
       case 'money': {
         const d = Number(eff.delta || 0);
         const before = Number(game.data.money || 0);
         game.data.money = Math.max(0, before + d);
-        session.logs.push(`Money ${deltaSigned(d)} (${fmtMoney(game.data.money)}).`);
-        game.data.log.push(`Money ${deltaSigned(d)} (${fmtMoney(game.data.money)}).`);
+        note(game, session, 'event', 'event.money', { delta: d, money: game.data.money });
         break;
       }
       case 'health': {
@@ -224,33 +239,33 @@ function applyEffects(effects, game, session) {
         for (const m of targets) {
           m.health = clamp(m.health + delta, 0, 5);
         }
-        session.logs.push(`Health ${deltaSigned(delta)} for ${targets.length} member(s).`);
-        game.data.log.push(`Health ${deltaSigned(delta)} for ${targets.length} member(s).`);
+        note(game, session, 'health', 'event.health', { delta, count: targets.length, members: targets.map(m => m.id) });
+        for (const m of targets.filter(t => t.health === 0)) {
+          markMemberDead(game, m, session.event.title);
+          note(game, session, 'health', 'health.died', { member: m.id, name: m.name, reason: session.event.title });
+        }
         break;
       }
       case 'status': {
         const status = String(eff.status || '').trim();
         const targets = resolveTargets(game, eff.target, session);
         for (const m of targets) {
-          m.status = status || m.status;
+          if (status === 'dead') markMemberDead(game, m, session.event.title);
+          else m.status = status || m.status;
         }
-        session.logs.push(`Status set to "${status}" for ${targets.length} member(s).`);
-        game.data.log.push(`Status set to "${status}" for ${targets.length} member(s).`);
+        note(game, session, 'health', 'event.status', { status, count: targets.length, members: targets.map(m => m.id) });
         break;
       }
       case 'time': {
         const days = Number(eff.days || 0);
-        game.data.day = Number(game.data.day || 1) + Math.max(0, days);
-        session.logs.push(`Lost ${days} day(s).`);
-        game.data.log.push(`Lost ${days} day(s).`);
+        note(game, session, 'event', 'event.time', { days });
+        for (let i = 0; i < days; i++) await applyRestDay(game, { source: 'event' });
         break;
       }
       case 'distance': {
         const miles = Number(eff.miles || 0);
         game.data.miles = Math.max(0, Number(game.data.miles || 0) + miles);
-        const verb = miles >= 0 ? 'Advanced' : 'Lost ground';
-        session.logs.push(`${verb} ${Math.abs(miles).toFixed(0)} miles.`);
-        game.data.log.push(`${verb} ${Math.abs(miles).toFixed(0)} miles.`);
+        note(game, session, 'event', 'event.distance', { miles });
         break;
       }
       case 'mapFlag': {
@@ -263,27 +278,24 @@ function applyEffects(effects, game, session) {
         const { key, mult = 1, days = 0 } = eff;
         if (!game.data.buffs) game.data.buffs = {};
         game.data.buffs[key] = { mult: Number(mult), untilDay: Number(game.data.day || 1) + Number(days || 0) };
-        session.logs.push(`Risk buff "${key}" active ×${mult} for ${days} day(s).`);
-        game.data.log.push(`Risk buff "${key}" active ×${mult} for ${days} day(s).`);
+        note(game, session, 'event', 'event.riskBuff', { key, mult, days });
         break;
       }
       case 'morale': {
-        const d = Number(eff.delta || 0);
-        game.data.morale = clamp(Number(game.data.morale || 0) + d, -5, 5);
-        session.logs.push(`Morale ${deltaSigned(d)} (now ${game.data.morale}).`);
-        game.data.log.push(`Morale ${deltaSigned(d)} (now ${game.data.morale}).`);
+        const applied = adjustMorale(game, Number(eff.delta || 0));
+        if (applied) note(game, session, 'event', 'event.morale', { delta: applied, morale: game.data.morale });
         break;
       }
       case 'mortality': {
         const tgt = resolveTargets(game, eff.target || 'random', session);
         const victim = tgt[0];
         if (victim && victim.status !== 'dead') {
-          victim.status = 'dead';
           victim.health = 0;
-          const note = epitaphFor(game, victim, eff.reason);
-          const msg = `Grave for ${victim.name}: "${note}" (Day ${game.data.day}, Mile ${Math.round(game.data.miles)}).`;
-          session.logs.push(msg);
-          game.data.log.push(msg);
+          markMemberDead(game, victim, eff.reason || session.event.title);
+          const epitaph = epitaphFor(game, victim, eff.reason);
+          note(game, session, 'health', 'event.grave', {
+            member: victim.id, name: victim.name, epitaph, day: game.data.day, mile: Math.round(game.data.miles)
+          });
         }
         break;
       }
@@ -292,11 +304,10 @@ function applyEffects(effects, game, session) {
         if (!opts.length) break;
         const chosen = weightedPick(game, opts, (o) => Number(o.weight || 1));
         if (Array.isArray(chosen.effects)) {
-          applyEffects(chosen.effects, game, session);
+          await applyEffects(chosen.effects, game, session);
         }
         if (chosen.log) {
-          game.data.log.push(String(chosen.log));
-          session.logs.push(String(chosen.log));
+          note(game, session, 'event', 'text', { text: String(chosen.log) });
         }
         break;
       }
@@ -313,13 +324,15 @@ function labelItem(id) {
   const map = {
     food: 'Food', bullets: 'Bullets', clothes: 'Clothes',
     wheel: 'Wagon Wheel', axle: 'Wagon Axle', tongue: 'Wagon Tongue',
-    medicine: 'Medicine'
+    medicine: 'Medicine', fuel: 'Gas (gal)'
   };
   return map[id] || id;
 }
 
-function deltaSigned(n) { return `${n >= 0 ? '+' : ''}${Number(n)}`; }
-function fmtMoney(n) { return `$${Number(n).toFixed(2)}`; }
+/** Log to the trail log and to the open event's own summary */
+function note(game, session, category, key, params) {
+  session.logs.push(addLog(game, category, key, params));
+}
 function clamp(n, lo, hi) { return Math.max(lo, Math.min(hi, Number(n))); }
 
 /** Resolve party targets by spec: 'random' | 'family' | 'child' | memberId */
@@ -331,12 +344,12 @@ function resolveTargets(game, spec, session) {
     case 'all': return party;
     case 'child': {
       const c = party.filter(p => p.role === 'child' || p.role === 'infant');
-      if (c.length) return [c[game.rng.nextInt(c.length)]];
+      if (c.length) return [c[game.rngFor('events').nextInt(c.length)]];
       break;
     }
     case 'random':
     default: {
-      const i = game.rng.nextInt(party.length);
+      const i = game.rngFor('events').nextInt(party.length);
       return [party[i]];
     }
   }
@@ -347,14 +360,14 @@ function resolveTargets(game, spec, session) {
   }
   // fallback to child var if present
   if (session?.vars?.child) return [session.vars.child];
-  return [party[game.rng.nextInt(party.length)]];
+  return [party[game.rngFor('events').nextInt(party.length)]];
 }
 
 function pickPartyMember(game, role) {
   const party = (game.data.party || []).filter(p => p.status !== 'dead');
   const subset = role ? party.filter(p => p.role === role || (role === 'child' && (p.role === 'child' || p.role === 'infant'))) : party;
   if (subset.length === 0) return party[0] || null;
-  return subset[game.rng.nextInt(subset.length)];
+  return subset[game.rngFor('events').nextInt(subset.length)];
 }
 
 function epitaphFor(game, member, reason) {
@@ -0,0 +1,110 @@
+// systems/forecast.js
+// Supply forecast: how long the food lasts, how far the next landmark and the end are, and
+// which way the party's health drifts, for each pace × rations setting or after a shop basket.
+// A pure projection: it reads the game and rolls nothing, so the UI can call it on every render.
+// - Today's weather and the active conditions are assumed to hold for the rest of the trip
+//   (status.js expectedModifiers(): average condition damage instead of a daily roll)
+// - Food and miles per day follow the day pipeline (travel.js), including cargo load, fuel and
+//   today's morale
+// - healthPerDay is the party's average expected change on a fed travel day, today's cold
+//   included (cold.js); it leaves out starvation, which `runsShort` flags instead
+// Roles (roles.js) and item weights (cargo.js) should be loaded first, like the day pipeline does.
+
+import { PACE, RATIONS, milesPerDay, dailyFoodNeed, memberHealthParts } from './travel.js';
+import { getModifiersForToday } from './weather.js';
+import { expectedModifiers } from './status.js';
+import { loadSpeedMult } from './cargo.js';
+import { fuelRange } from './fuel.js';
+import { totalTrailMiles } from './landmarks.js';
+import { coldLevel, coldExposure } from './cold.js';
+import { moraleSpeedMult } from './morale.js';
+
+/**
+ * @typedef {{
+ *   pace:string, rations:string, current:boolean,
+ *   foodPerDay:number, foodDays:number, milesPerDay:number, fuelDays:number,
+ *   next:{ name:string, miles:number, days:number }|null, daysToEnd:number,
+ *   healthPerDay:number, runsShort:boolean
+ * }} Projection
+ * Days are Infinity when the supply is not used up (nobody eats) or the party makes no miles.
+ */
+
+/**
+ * Project the trip ahead at a pace and rations (the current settings by default).
+ * @param {any} game
+ * @param {any[]} landmarks the active path (landmarks.js loadLandmarks(game))
+ * @param {{ pace?:string, rations?:string, inventory?:Record<string, number> }} [opts]
+ *   inventory: quantities added to what is on board (a shop basket)
+ * @returns {Projection}
+ */
+export function projectSupplies(game, landmarks, { pace, rations, inventory } = {}) {
+  const settings = game.data.settings || {};
+  const view = projectedGame(game, { pace, rations, inventory });
+  const w = getModifiersForToday(game);
+  const s = expectedModifiers(game);
+
+  const foodPerDay = Math.round(dailyFoodNeed(view) * Math.max(0, (w.hungerMult || 1) * (s.hungerMult || 1)));
+  const foodDays = foodPerDay > 0 ? Number(view.data.inventory.food || 0) / foodPerDay : Infinity;
+  const speedMult = Math.max(0, (w.speedMult || 1) * (s.speedMult || 1) * loadSpeedMult(view) * moraleSpeedMult(game));
+  const mpd = Math.max(0, Math.round(milesPerDay(view) * speedMult));
+  const daysFor = (miles) => (miles <= 0 ? 0 : mpd > 0 ? Math.ceil(miles / mpd) : Infinity);
+
+  const miles = Number(game.data.miles || 0);
+  const nextLm = landmarks.find(l => l.mile > miles) || null;
+  const daysToEnd = daysFor(totalTrailMiles(landmarks) - miles);
+  const living = (game.data.party || []).filter(m => m.status !== 'dead');
+  const cold = coldExposure(view, coldLevel(game, { weatherCold: w.cold, landmarks }));
+  const health = living.map(m => Object.values(memberHealthParts(m, {
+    kind: 'travel', pace: view.data.settings.pace, rations: view.data.settings.rations,
+    starvation: false, weather: w.healthDelta | 0, illness: s.healthDelta, cold
+  })).reduce((a, b) => a + b, 0));
+
+  return {
+    pace: view.data.settings.pace,
+    rations: view.data.settings.rations,
+    current: view.data.settings.pace === (settings.pace || PACE.STEADY) && view.data.settings.rations === (settings.rations || RATIONS.NORMAL),
+    foodPerDay,
+    foodDays,
+    milesPerDay: mpd,
+    fuelDays: mpd > 0 ? Math.floor(fuelRange(view, w.speedMult) / mpd) : Infinity,
+    next: nextLm ? { name: nextLm.name, miles: nextLm.mile - miles, days: daysFor(nextLm.mile - miles) } : null,
+    daysToEnd,
+    healthPerDay: health.length ? Math.round(health.reduce((a, b) => a + b, 0) / health.length * 100) / 100 : 0,
+    runsShort: foodDays < daysToEnd
+  };
+}
+
+/**
+ * One projection per pace × rations combination, steady/meager first.
+ * @returns {Projection[]}
+ */
+export function forecastTable(game, landmarks, { inventory } = {}) {
+  const rows = [];
+  for (const pace of Object.values(PACE)) {
+    for (const rations of Object.values(RATIONS)) {
+      rows.push(projectSupplies(game, landmarks, { pace, rations, inventory }));
+    }
+  }
+  return rows;
+}
+
+/** "12 days", "1 day", "—" when never */
+export function formatDays(n) {
+  if (!Number.isFinite(n)) return '—';
+  const d = Math.floor(n);
+  return `${d} day${d === 1 ? '' : 's'}`;
+}
+
+/** A read-only stand-in for the game with other settings and extra supplies */
+function projectedGame(game, { pace, rations, inventory }) {
+  const inv = { ...(game.data.inventory || {}) };
+  for (const [id, q] of Object.entries(inventory || {})) {
+    if (Number(q) > 0) inv[id] = Number(inv[id] || 0) + Number(q);
+  }
+  const settings = {
+    ...(game.data.settings || {}),
+    pace: pace || game.data.settings?.pace || PACE.STEADY,
+    rations: rations || game.data.settings?.rations || RATIONS.NORMAL
+  };
+  return { data: { ...game.data, settings, inventory: inv } };
+}
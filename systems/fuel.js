@@ -0,0 +1,53 @@
+// systems/fuel.js
+// Gasoline for the family car.
+// - inventory.fuel is in gallons; the travel.miles phase (travel.js) burns it for the miles driven
+// - Gallons per mile: 1 / MPG, scaled up by pace and by bad weather (a weather speedMult
+//   below 1 means headwinds, snow or mud, and worse mileage)
+// - A nearly empty tank covers only the miles it has left; an empty one covers none,
+//   so the day stalls until gas is bought or a hitchhiking event (events.json, `fuelLt`) refills it
+// - Gas is priced by region (landmarks.json `regionalPrice`), not by trail progress (shop.js)
+// No imports from travel.js: travel.js imports this module.
+
+export const MPG = 30;                // steady pace, fair weather
+export const TANK_GAL = 20;           // a full tank at the trailhead
+const PACE_FUEL = { steady: 1, strenuous: 1.15, grueling: 1.3 };
+const MIN_WEATHER_MULT = 0.5;         // worst mileage penalty from weather (×2 fuel)
+
+/** Gallons burned per mile at a pace and weather speed multiplier */
+export function gallonsPerMile(pace, weatherSpeedMult = 1) {
+  const weather = Math.max(MIN_WEATHER_MULT, Math.min(1, Number(weatherSpeedMult) || 1));
+  return (PACE_FUEL[pace] ?? 1) / MPG / weather;
+}
+
+/** Gallons in the tank (and jerry cans) */
+export function fuelOnBoard(game) {
+  return Math.max(0, Number(game.data.inventory?.fuel) || 0);
+}
+
+/** Nothing left to drive on (burnFuel rounds to tenths, so a drained tank reads 0) */
+export function isOutOfFuel(game) {
+  return fuelOnBoard(game) < 0.1;
+}
+
+/** Whole miles the fuel on board covers today */
+export function fuelRange(game, weatherSpeedMult = 1) {
+  const pace = game.data.settings?.pace || 'steady';
+  return Math.floor(fuelOnBoard(game) / gallonsPerMile(pace, weatherSpeedMult) + 1e-9);
+}
+
+/**
+ * Burn the fuel for `miles` driven (never below empty).
+ * @returns {number} gallons burned
+ */
+export function burnFuel(game, miles, weatherSpeedMult = 1) {
+  if (miles <= 0) return 0;
+  const pace = game.data.settings?.pace || 'steady';
+  const before = fuelOnBoard(game);
+  const after = Math.max(0, round1(before - miles * gallonsPerMile(pace, weatherSpeedMult)));
+  game.data.inventory.fuel = after;
+  const burned = round1(before - after);
+  if (burned) game.bus.emit('inventory:changed', { item: 'fuel', delta: -burned, value: after, source: 'travel' });
+  return burned;
+}
+
+function round1(n) { return Math.round(Number(n) * 10) / 10; }
@@ -1,13 +1,17 @@
 // systems/hunting.js
 // Phase 6 — Hunting engine (deterministic):
-// - All randomness uses game.rng (no Math.random).
+// - All randomness uses game.rngFor('hunting') (no Math.random), so shots never shift other rolls.
 // - Session lasts durationSec (default 30s) or until bullets run out.
 // - Carry cap (default 100 lb) prevents overstocking: anything beyond cap "spoils" immediately.
+//   The cap shrinks to whatever food still fits under the vehicle's load limit (cargo.js).
 // - One hunt per in-game day; UI sets game.data.flags.lastHuntDay = current day.
+// - Morale steadies or shakes the aim: hitboxes grow or shrink by state.hitPad px (morale.js).
 //
 // Rendering is handled by ui/HuntingScreen.js; this file exposes state and pure logic.
 
 import { loadJSON } from './jsonLoader.js';
+import { loadItemWeights, roomFor } from './cargo.js';
+import { huntHitPad } from './morale.js';
 
 export const DEFAULTS = {
   durationSec: 30,
@@ -43,11 +47,12 @@ export async function getAnimals() {
  */
 export async function createHuntSession(game, opts) {
   const animals = await getAnimals();
+  await loadItemWeights();
 
   const W = Math.max(320, Math.floor(opts.width));
   const H = Math.max(180, Math.floor(opts.height));
   const durationSec = Math.max(5, Math.floor(opts.durationSec ?? DEFAULTS.durationSec));
-  const carryCapLb = Math.max(10, Math.floor(opts.carryCapLb ?? DEFAULTS.carryCapLb));
+  const carryCapLb = Math.min(Math.max(10, Math.floor(opts.carryCapLb ?? DEFAULTS.carryCapLb)), roomFor(game, 'food'));
 
   // weighted spawn table
   const totalWeight = animals.reduce((s, a) => s + a.spawnWeight, 0);
@@ -62,6 +67,7 @@ export async function createHuntSession(game, opts) {
     meatTotal: 0,
     killsById: {},
     lastShotAt: 0,
+    hitPad: huntHitPad(game),
     ended: false,
     // reticle starts centered
     reticle: { x: W/2, y: H/2 }
@@ -72,22 +78,22 @@ export async function createHuntSession(game, opts) {
 
   function nextSpawn(game) {
     const min = DEFAULTS.spawnEveryMin, max = DEFAULTS.spawnEveryMax;
-    const r = min + (max - min) * game.rng.next();
+    const r = min + (max - min) * game.rngFor('hunting').next();
     return r;
   }
 
   function spawnOne(game) {
     if (!animals.length) return;
     // pick species by weight
-    let r = game.rng.next() * totalWeight;
+    let r = game.rngFor('hunting').next() * totalWeight;
     let chosen = animals[0];
     for (const a of animals) {
       r -= a.spawnWeight;
       if (r <= 1e-9) { chosen = a; break; }
     }
     // side and y
-    const fromLeft = game.rng.next() < 0.5;
-    const y = Math.round(20 + (H - 40) * game.rng.next());
+    const fromLeft = game.rngFor('hunting').next() < 0.5;
+    const y = Math.round(20 + (H - 40) * game.rngFor('hunting').next());
     const x = fromLeft ? -chosen.w : W + chosen.w;
     const dir = fromLeft ? 1 : -1;
     const vx = dir * chosen.speed; // px/s
@@ -96,7 +102,7 @@ export async function createHuntSession(game, opts) {
       x, y, vx,
       w: chosen.w, h: chosen.h,
       // tiny vertical bob to keep motion lively but deterministic
-      bobPhase: game.rng.next() * Math.PI * 2
+      bobPhase: game.rngFor('hunting').next() * Math.PI * 2
     });
   }
 
@@ -136,6 +142,7 @@ export async function createHuntSession(game, opts) {
 
     // take a bullet immediately
     game.data.inventory.bullets = Math.max(0, haveBullets - 1);
+    game.bus.emit('inventory:changed', { item: 'bullets', delta: -1, value: game.data.inventory.bullets, source: 'hunt' });
     state.bulletsUsed += 1;
     state.lastShotAt = nowMs;
 
@@ -145,7 +152,7 @@ export async function createHuntSession(game, opts) {
     let targetArea = Infinity;
     for (let i = 0; i < state.animals.length; i++) {
       const m = state.animals[i];
-      if (pointInRect(p, m)) {
+      if (pointInRect(p, m, state.hitPad)) {
         const area = m.w * m.h;
         if (area < targetArea) {
           targetArea = area;
@@ -160,7 +167,7 @@ export async function createHuntSession(game, opts) {
       state.meatTotal += lb;
       state.killsById[m.species.id] = (state.killsById[m.species.id] || 0) + 1;
       // small chance to "waste" a pound or two on a messy shot (still deterministic)
-      if (game.rng.next() < 0.15) state.meatTotal = Math.max(0, state.meatTotal - 2);
+      if (game.rngFor('hunting').next() < 0.15) state.meatTotal = Math.max(0, state.meatTotal - 2);
       return true;
     }
     return false;
@@ -184,9 +191,21 @@ export async function createHuntSession(game, opts) {
   return { state, update, shoot, end };
 }
 
+/** Short display name used in hunt summaries and log lines */
+export function labelAnimal(id) {
+  switch (id) {
+    case 'rabbit': return 'Rabbit';
+    case 'deer':   return 'Deer';
+    case 'buffalo':return 'Bison';
+    default:       return id;
+  }
+}
+
 // ---------- helpers ----------
-function pointInRect(p, r) {
-  return p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
+function pointInRect(p, r, pad = 0) {
+  // a negative pad takes at most a quarter off each side
+  const px = Math.max(pad, -r.w / 4), py = Math.max(pad, -r.h / 4);
+  return p.x >= r.x - px && p.x <= r.x + r.w + px && p.y >= r.y - py && p.y <= r.y + r.h + py;
 }
 
 /**
@@ -202,6 +221,7 @@ function pointInRect(p, r) {
  * @property {number} meatTotal
  * @property {Record<string,number>} killsById
  * @property {number} lastShotAt
+ * @property {number} hitPad px added around each hitbox (negative shrinks it), from morale
  * @property {boolean} ended
  * @property {{x:number,y:number}} reticle
  */
@@ -3,9 +3,11 @@
 // - Paths you pass to loadJSON() must be relative to THIS file's location.
 //   Example from anywhere: loadJSON('../data/manifest.json')
 // - Includes a friendly error banner overlay.
+// - Under Node (file: URLs, e.g. headless replays) the file is read from disk instead.
 
 export async function loadJSON(path) {
   const url = new URL(path, import.meta.url);
+  if (url.protocol === 'file:') return readLocalJSON(url, path);
   let res;
   try {
     res = await fetch(url, { cache: 'no-store' });
@@ -22,6 +24,21 @@ export async function loadJSON(path) {
   }
 }
 
+async function readLocalJSON(url, path) {
+  let text;
+  try {
+    const { readFile } = await import('node:fs/promises');
+    text = await readFile(url, 'utf8');
+  } catch (err) {
+    throw new Error(`Failed to read ${path}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${path}: ${err.message}`);
+  }
+}
+
 /** Show an error banner at the bottom of the screen */
 export function showInitError(err) {
   const msg = typeof err === 'string' ? err : (err?.message || 'Unknown error');
@@ -1,12 +1,99 @@
 // systems/landmarks.js
 // Lightweight helpers for working with landmarks
+// The trail is a route graph (data/landmarks.json): legs of road, each with its own
+// length and landmarks (`at` = miles into the leg). A leg runs on into `next`, or ends
+// at a fork landmark whose `fork.options` each name a leg to take; a leg with neither
+// ends the trail. The player's picks live in game.data.route.choices ({ forkId: legId }).
+// The rest of the game sees one flat list per run, the active path (routePath()), with
+// absolute `mile`s; forks not chosen yet follow their first option.
 
 import { loadJSON } from './jsonLoader.js';
 
-export async function loadLandmarks() {
-  const lms = await loadJSON('../data/landmarks.json');
-  lms.sort((a, b) => a.mile - b.mile);
-  return lms;
+/** The route graph; an old flat landmark list loads as a single leg */
+export async function loadRouteGraph() {
+  const data = await loadJSON('../data/landmarks.json');
+  if (!Array.isArray(data)) return data;
+  const lms = [...data].sort((a, b) => a.mile - b.mile);
+  return {
+    start: 'trail',
+    legs: [{ id: 'trail', name: 'The trail', length: lms.length ? Number(lms[lms.length - 1].mile) : 0, landmarks: lms.map(l => ({ ...l, at: l.mile })) }]
+  };
+}
+
+/** Active path for a game (or the default path without one) */
+export async function loadLandmarks(game = null) {
+  return routePath(await loadRouteGraph(), routeChoices(game));
+}
+
+export function routeChoices(game) {
+  const choices = game?.data?.route?.choices;
+  return choices && typeof choices === 'object' ? choices : {};
+}
+
+/**
+ * Flatten the legs on a path into landmarks with absolute miles.
+ * Each landmark also carries `leg` (its leg id).
+ * @param {{ start:string, legs:any[] }} graph
+ * @param {Record<string, string>} [choices] fork landmark id → chosen leg id
+ */
+export function routePath(graph, choices = {}) {
+  const legs = new Map((graph?.legs || []).map(l => [l.id, l]));
+  const out = [];
+  const seen = new Set();
+  let leg = legs.get(graph?.start);
+  let offset = 0;
+  while (leg && !seen.has(leg.id)) {
+    seen.add(leg.id);
+    let next = leg.next;
+    const lms = [...(leg.landmarks || [])].sort((a, b) => a.at - b.at);
+    for (const { at, ...lm } of lms) {
+      out.push({ ...lm, mile: offset + Number(at || 0), leg: leg.id });
+      if (lm.fork) next = forkLeg(lm, choices);
+    }
+    offset += Number(leg.length) || 0;
+    leg = legs.get(next);
+  }
+  return out;
+}
+
+/** Leg taken at a fork landmark: the choice, or the first option */
+export function forkLeg(fork, choices = {}) {
+  const options = fork?.fork?.options || [];
+  const chosen = choices[fork?.id];
+  return options.some(o => o.leg === chosen) ? chosen : options[0]?.leg ?? null;
+}
+
+/**
+ * The options at a fork, each with what lies down that road.
+ * @returns {{ leg:string, label:string, blurb:string, name:string, miles:number, hazards:number, shops:number }[]}
+ *   miles: from the fork to the end of the trail
+ */
+export function forkOptions(graph, fork, choices = {}) {
+  return (fork?.fork?.options || []).map(o => {
+    const path = routePath(graph, { ...choices, [fork.id]: o.leg });
+    const here = path.find(l => l.id === fork.id);
+    const ahead = here ? path.filter(l => l.mile > here.mile) : [];
+    return {
+      leg: o.leg,
+      label: o.label || o.leg,
+      blurb: o.blurb || '',
+      name: (graph.legs || []).find(l => l.id === o.leg)?.name || o.leg,
+      miles: here ? totalTrailMiles(path) - here.mile : 0,
+      hazards: ahead.filter(l => l.hazard?.kind).length,
+      shops: ahead.filter(l => servicesFor(l).has('shop')).length
+    };
+  });
+}
+
+/** First fork still to be chosen beyond `miles`, or null */
+export function forkAhead(landmarks, miles, choices = {}) {
+  return landmarks.find(l => l.fork && l.mile > miles && !choices[l.id]) || null;
+}
+
+/** Names of the legs on a path, in order */
+export function pathLegNames(graph, landmarks) {
+  const ids = [...new Set(landmarks.map(l => l.leg))];
+  return ids.map(id => (graph.legs || []).find(l => l.id === id)?.name || id);
 }
 
 export function totalTrailMiles(landmarks) {
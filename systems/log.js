@@ -0,0 +1,152 @@
+// systems/log.js
+// Structured trail log.
+// - game.data.log holds entries { day, mile, category, key, params, text }
+// - `key` names a template below and `params` fills it; `text` is the rendered
+//   English line, stored so exports and old viewers stay readable
+// - Categories drive the log filters on the Travel and End screens
+// - Free-form lines (event data, pre-structured saves) use key 'text'
+
+export const LOG_CATEGORIES = ['travel', 'weather', 'health', 'event', 'hazard', 'vehicle', 'trade', 'hunt', 'system'];
+
+export const CATEGORY_LABELS = {
+  travel: 'Travel', weather: 'Weather', health: 'Health', event: 'Events',
+  hazard: 'Hazards', vehicle: 'Vehicle', trade: 'Trade', hunt: 'Hunting', system: 'Game'
+};
+
+const PACE_LABELS = { steady: 'Steady', strenuous: 'Strenuous', grueling: 'Grueling' };
+
+const signed = (n) => `${n >= 0 ? '+' : ''}${Number(n)}`;
+const money = (n) => `$${Number(n).toFixed(2)}`;
+const days = (n) => `${n} day${n > 1 ? 's' : ''}`;
+const why = (reason) => (reason ? ` (${reason})` : '');
+const healthPart = (n) => (n ? `, health ${n > 0 ? '+' : ''}${n}` : '');
+
+/** key → (params) => English line */
+const TEMPLATES = {
+  'text': p => String(p.text ?? ''),
+
+  'game.start':  p => `New game started with seed ${p.seed}`,
+  'game.rewind': p => `Rewound to the start of day ${p.day}.`,
+  'game.restored': p => `Restored the day ${p.day} backup.`,
+
+  'travel.setOut':  p => `Setting out from ${p.place}.`,
+  'travel.reached': p => `Reached ${p.place}.`,
+  'travel.route':   p => `At ${p.place}, took the ${p.route}.`,
+  'travel.day':     p => `${PACE_LABELS[p.pace] || 'Steady'} pace: traveled ${p.miles} mi${p.overloaded ? ' (overloaded)' : ''}, ate ${p.food} lb${p.shortage ? ' (shortage!)' : ''}${healthPart(p.health)}.`,
+  'travel.rest':    p => `Rested: ate ${p.food} lb${p.shortage ? ' (shortage!)' : ''}${healthPart(p.health)}.`,
+  'travel.summary': p => `Day ${p.day}: Traveled ${Number(p.miles).toFixed(0)} mi. Ate ${Number(p.food).toFixed(1)} lb.${p.starving ? ' Short on food.' : ' A full meal.'} Health ${signed(p.health)}.`,
+  'camp.activity':  p => `${p.label}: ${p.text}`,
+  'camp.idle':      p => `${p.label}: ${p.reason} Spent the day resting instead.`,
+  'rest.summary':   p => `Day ${p.day}: Rested. Ate ${Number(p.food).toFixed(1)} lb.${p.starving ? ' Short on food.' : ' A full meal.'} Health ${signed(p.health)}.`,
+
+  'weather.today': p => `Weather — ${p.emoji} ${p.name}: ${p.blurb}`,
+
+  'status.acquired':  p => `${p.emoji} ${p.name} — ${p.blurb} (${days(p.days)}).`,
+  'status.recovered': p => `${p.emoji} Recovered from ${p.name}.`,
+  'morale.changed':   p => `Morale ${signed(p.delta)}: ${p.reason} (now ${p.morale}).`,
+  'cold.exposed':     p => `${p.label} out: ${p.count} without warm clothes.`,
+  'cold.clothesWorn': p => `${p.count > 1 ? `${p.count} sets of warm clothes` : 'A set of warm clothes'} wore through (${p.left} left).`,
+  'health.died':      p => `${p.name} died${why(p.reason)}.`,
+  'health.party':     p => (p.delta > 0
+    ? `Party recovered ${p.delta} health each${why(p.reason)}.`
+    : `Party lost ${-p.delta} health each${why(p.reason)}.`),
+
+  'event.start':     p => `Event: ${p.title}`,
+  'event.inventory': p => `${p.label} ${signed(p.delta)}.`,
+  'event.money':     p => `Money ${signed(p.delta)} (${money(p.money)}).`,
+  'event.health':    p => `Health ${signed(p.delta)} for ${p.count} member(s).`,
+  'event.status':    p => `Status set to "${p.status}" for ${p.count} member(s).`,
+  'event.time':      p => `Lost ${p.days} day(s).`,
+  'event.distance':  p => `${p.miles >= 0 ? 'Advanced' : 'Lost ground'} ${Math.abs(p.miles).toFixed(0)} miles.`,
+  'event.riskBuff':  p => `Risk buff "${p.key}" active ×${p.mult} for ${p.days} day(s).`,
+  'event.morale':    p => `Morale ${signed(p.delta)} (now ${p.morale}).`,
+  'event.grave':     p => `Grave for ${p.name}: "${p.epitaph}" (Day ${p.day}, Mile ${p.mile}).`,
+
+  'hazard.delay':    p => `${p.label} (${days(p.days)}).`,
+  'hazard.partLost': p => `Lost a ${p.part}.`,
+  'hazard.jolt':     p => `The ${p.part} took a beating (${Math.round(p.wear)}% worn).`,
+  'river.drive':     p => `Crossed ${p.landmark} by driving through.`,
+  'river.prep':      p => `Crossed ${p.landmark} after tarping & creeping.`,
+  'river.ferry':     p => `Ferry across ${p.landmark} (${money(p.fee)}, ${days(p.days)}).`,
+  'river.detour':    p => `Detoured around ${p.landmark} (${money(p.fee)}, ${p.days} days).`,
+  'river.fail':      p => `${p.reason} Lost ${p.food} lb food. Everyone’s damp.`,
+  'mud.drive':       p => `Powered through gumbo at ${p.landmark}.`,
+  'mud.prep':        p => `Crawled through mud at ${p.landmark}.`,
+  'mud.service':     p => `Tractor pull at ${p.landmark} (${money(p.fee)}).`,
+  'snow.drive':      p => `Punched through drift at ${p.landmark}.`,
+  'snow.prep':       p => `Shoveled through drift at ${p.landmark}.`,
+  'snow.service':    p => `Plow escort at ${p.landmark} (${money(p.fee)}).`,
+  'geese.drive':     p => `Inched past the geese at ${p.landmark}.`,
+  'geese.prep':      p => `Bribed the geese at ${p.landmark} (−${Number(p.food).toFixed(1)} lb food).`,
+  'geese.service':   p => `Warden shooed geese at ${p.landmark} (${money(p.fee)}).`,
+  'beaver.drive':    p => `Bounced through washout at ${p.landmark}.`,
+  'beaver.prep':     p => `Rock‑hopped across ${p.landmark}.`,
+  'beaver.service':  p => `Canoe assist at ${p.landmark} (${money(p.fee)}).`,
+
+  'vehicle.breakdown':       p => `The ${p.part} broke on the ${String(p.terrain).toLowerCase()}. Going nowhere until it's fixed.`,
+  'vehicle.stalled':         p => `Stuck with a broken ${p.part}: no miles today.`,
+  'vehicle.spare':           p => `Installed a spare ${p.part}.`,
+  'vehicle.improvised':      p => `Improvised a repair on the ${p.part}.`,
+  'vehicle.improviseFailed': p => `Spent the day on the ${p.part}; it's still broken.`,
+  'fuel.ranOut':             p => `Ran out of gas after ${p.miles} mi.`,
+  'fuel.empty':              p => 'Out of gas: no miles today.',
+  'vehicle.dropped':         p => `Left behind ${Object.entries(p.items || {}).map(([id, n]) => `${n} ${id}`).join(', ')} (${p.lb} lb) to lighten the load.`,
+
+  'trade.buy': p => `Bought supplies at ${p.landmark} for ${money(p.total)}.`,
+  'hunt.result': p => {
+    const kills = (p.kills || []).map(k => `${k.count}× ${k.label}`).join(', ');
+    return `Hunt: ${kills || 'no hits'}. Meat: ${p.meat} lb (spoiled ${p.spoiled} lb). Bullets used: ${p.bullets}.`;
+  }
+};
+
+/**
+ * Append a structured entry to the run's log.
+ * @param {any} game
+ * @param {string} category one of LOG_CATEGORIES
+ * @param {string} key template key
+ * @param {Record<string, any>} [params]
+ * @param {{ day?: number }} [opts] day the entry belongs to (defaults to the current day)
+ * @returns {string} the rendered text
+ */
+export function addLog(game, category, key, params = {}, opts = {}) {
+  const entry = {
+    day: opts.day ?? (Number(game.data.day) || 1),
+    mile: Math.round(Number(game.data.miles) || 0),
+    category,
+    key,
+    params,
+    text: renderTemplate(key, params)
+  };
+  game.data.log.push(entry);
+  return entry.text;
+}
+
+/** Display text for an entry (re-rendered from its template when known) */
+export function renderLogEntry(entry) {
+  if (typeof entry === 'string') return entry;
+  if (!entry || typeof entry !== 'object') return '';
+  return TEMPLATES[entry.key] ? renderTemplate(entry.key, entry.params || {}) : String(entry.text ?? '');
+}
+
+/**
+ * Entries in the given categories (all entries when `categories` is empty).
+ * @param {any[]} log
+ * @param {Iterable<string>|null} [categories]
+ */
+export function filterLog(log, categories = null) {
+  const list = Array.isArray(log) ? log : [];
+  const wanted = new Set(categories || []);
+  return wanted.size ? list.filter(e => wanted.has(e?.category)) : list;
+}
+
+/** Categories that occur in a log, in LOG_CATEGORIES order */
+export function categoriesIn(log) {
+  const seen = new Set((Array.isArray(log) ? log : []).map(e => e?.category));
+  return LOG_CATEGORIES.filter(c => seen.has(c));
+}
+
+function renderTemplate(key, params) {
+  const tpl = TEMPLATES[key];
+  if (!tpl) return String(params?.text ?? key);
+  return tpl(params);
+}
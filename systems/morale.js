@@ -0,0 +1,101 @@
+// systems/morale.js
+// Party morale: a whole number from MORALE_MIN to MORALE_MAX in data.morale, 0 is neutral.
+// - What moves it: event and camp effects, deaths (status.js markMemberDead), a good meal
+//   (a fed day on generous rations) or an empty stomach, and reaching a landmark
+// - What it changes: miles per day (travel.js), the odds that a picked-up condition is a
+//   mood one (status.js), the hunting hitbox (hunting.js) and choices gated by
+//   `requires.moraleGte` (eventEngine.js)
+// - Left alone it drifts back toward 0 (rngFor('morale'))
+// - data.moraleHistory keeps the last MORALE_TREND_DAYS end-of-day values for the HUD trend
+
+import { registerPhase } from './dayPipeline.js';
+import { addLog } from './log.js';
+
+export const MORALE_MIN = -5;
+export const MORALE_MAX = 5;
+export const MORALE_TREND_DAYS = 3;
+const SPEED_PER_POINT = 0.02;   // ±10% miles at the extremes
+const MOOD_PER_POINT = 0.15;    // mood condition weight ×0.25 (cheerful) to ×1.75 (miserable)
+const HIT_PAD_PER_POINT = 2;    // px added around each animal's hitbox
+const DEATH_DELTA = -2;
+const MEAL_CHANCE = 0.3;        // a generous fed day lifts morale this often
+const HUNGER_CHANCE = 0.5;      // a short day drops it this often
+const DECAY_CHANCE = 0.15;      // per day, one point back toward 0
+
+/** A death in the party: everyone takes it hard */
+export function mournMember(game, member) {
+  return adjustMorale(game, DEATH_DELTA, `mourning ${member.name}`);
+}
+
+/** Current morale, clamped */
+export function getMorale(game) {
+  return clamp(Math.round(Number(game.data.morale) || 0));
+}
+
+/**
+ * Move morale by `delta` (clamped). With a `reason`, a change is logged.
+ * @returns {number} the change actually applied
+ */
+export function adjustMorale(game, delta, reason = '') {
+  const before = getMorale(game);
+  game.data.morale = clamp(before + Math.round(Number(delta) || 0));
+  const applied = game.data.morale - before;
+  if (applied && reason) addLog(game, 'travel', 'morale.changed', { delta: applied, morale: game.data.morale, reason });
+  return applied;
+}
+
+/** Morale change over the last few days (0 with no history yet) */
+export function moraleTrend(game) {
+  const history = Array.isArray(game.data.moraleHistory) ? game.data.moraleHistory : [];
+  return history.length ? getMorale(game) - history[0] : 0;
+}
+
+/** "Cheerful", "Grumpy"… */
+export function moraleLabel(morale) {
+  if (morale >= 4) return 'Cheerful';
+  if (morale >= 2) return 'Upbeat';
+  if (morale > -2) return 'Steady';
+  if (morale > -4) return 'Grumpy';
+  return 'Miserable';
+}
+
+/** Miles per day multiplier */
+export function moraleSpeedMult(game) {
+  return 1 + SPEED_PER_POINT * getMorale(game);
+}
+
+/** Weight multiplier for mood conditions when one is picked up */
+export function moodWeightMult(game) {
+  return Math.max(0, 1 - MOOD_PER_POINT * getMorale(game));
+}
+
+/** Pixels added (or taken) around every animal's hitbox while hunting */
+export function huntHitPad(game) {
+  return HIT_PAD_PER_POINT * getMorale(game);
+}
+
+// ---------------- day phases ----------------
+
+// Meals, landmarks reached, the drift back to 0, then the day's value for the trend
+registerPhase('post-day', 'morale.day', (ctx) => {
+  const { game } = ctx;
+  if (!(game.data.party || []).some(m => m.status !== 'dead')) return;
+  const rng = game.rngFor('morale');
+  const meal = rng.next();
+  const drift = rng.next();
+  let moved = false;
+  if (ctx.shortage > 0) {
+    moved = meal < HUNGER_CHANCE && adjustMorale(game, -1, 'an empty stomach') !== 0;
+  } else if (ctx.foodConsumed > 0 && game.data.settings?.rations === 'generous') {
+    moved = meal < MEAL_CHANCE && adjustMorale(game, 1, 'a good meal') !== 0;
+  }
+  const reached = (ctx.crossed || []).at(-1);
+  if (reached) moved = adjustMorale(game, 1, `made it to ${reached.name}`) !== 0 || moved;
+  if (!moved && drift < DECAY_CHANCE) adjustMorale(game, -Math.sign(getMorale(game)));
+
+  const history = Array.isArray(game.data.moraleHistory) ? game.data.moraleHistory : (game.data.moraleHistory = []);
+  history.push(getMorale(game));
+  while (history.length > MORALE_TREND_DAYS) history.shift();
+});
+
+function clamp(n) { return Math.max(MORALE_MIN, Math.min(MORALE_MAX, n)); }
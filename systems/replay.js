@@ -0,0 +1,197 @@
+// systems/replay.js
+// Rebuilds a run from its seed + action journal (see systems/actions.js).
+// - Runs headless (Node: tools/replay.js, tests) and in the browser (ui/ReplayScreen.js)
+// - Uses an in-memory storage so replaying never touches real save slots
+// - Each entry is dispatched through the same action the UI called, so RNG is
+//   consumed in the same order and the rebuilt GameState matches the original
+
+import { GameState, createMemoryStorage } from '../state/GameState.js';
+import { loadLandmarks, findLandmarkById } from './landmarks.js';
+import {
+  setOut, travel, rest, setPace, setRations, setAutoTravelRules, chooseEvent, attemptHazard,
+  repairVehicle, chooseRoute, leaveLandmark, buySupplies, dropItems, finishHunt, rewindDay, detectGameOver, markGameOver, trailMiles
+} from './actions.js';
+
+export class ReplayError extends Error {
+  constructor(message, { index = -1, entry = null } = {}) {
+    super(message);
+    this.name = 'ReplayError';
+    this.index = index;
+    this.entry = entry;
+  }
+}
+
+/** True when the save carries a journal that starts from a seed */
+export function isReplayable(data) {
+  const first = Array.isArray(data?.journal) ? data.journal[0] : null;
+  return !!first && first.type === 'start' && Number.isFinite(Number(first.seed));
+}
+
+/**
+ * Step through a journal one entry at a time.
+ * Yields after the start entry and after every following entry.
+ * @param {any[]} journal
+ * @param {{ storage?: any }} [opts]
+ * @returns {AsyncGenerator<{ index:number, entry:any, game:GameState }>}
+ */
+export async function* replaySteps(journal, { storage } = {}) {
+  if (!isReplayable({ journal })) {
+    throw new ReplayError('This save has no action journal to replay (it predates journaling).');
+  }
+  let landmarks = await loadLandmarks();
+  const game = new GameState({ storage: storage || createMemoryStorage() });
+  const start = journal[0];
+  game.startNewGame(start.seed >>> 0, start.party || null, { difficulty: start.difficulty, startMonth: start.startMonth, rngStreams: !!start.rngStreams });
+  // Keep the start entry exactly as recorded (older journals lack later fields)
+  game.data.journal[0] = JSON.parse(JSON.stringify(start));
+  setOut(game, landmarks);
+  yield { index: 0, entry: journal[0], game };
+
+  let session = null;
+  for (let i = 1; i < journal.length; i++) {
+    const entry = journal[i];
+    session = await applyEntry(game, landmarks, entry, i, session);
+    // Picking (or rewinding past) a fork changes the road ahead
+    if (entry.type === 'route' || entry.type === 'rewind') landmarks = await loadLandmarks(game);
+    yield { index: i, entry, game };
+  }
+}
+
+/** Replay a whole journal; resolves with the rebuilt GameState */
+export async function replayRun(journal, opts) {
+  let last = null;
+  for await (const step of replaySteps(journal, opts)) last = step;
+  return last.game;
+}
+
+/**
+ * Replay a save's journal and compare the result with the save itself.
+ * A journal that cannot be followed (e.g. an event that never fires) is a
+ * divergence too: `diff` then points at the offending entry and `game` is null.
+ * @returns {Promise<{ ok:boolean, steps:number, game:GameState|null, diff:null|{ path:string, expected:any, actual:any } }>}
+ */
+export async function verifyReplay(data) {
+  const steps = Array.isArray(data?.journal) ? data.journal.length : 0;
+  let game;
+  try {
+    game = await replayRun(data.journal);
+  } catch (err) {
+    if (!(err instanceof ReplayError) || err.index < 0) throw err;
+    return { ok: false, steps, game: null, diff: { path: `data.journal[${err.index}]`, expected: err.entry, actual: err.message } };
+  }
+  const diff = compareWithSave(data, game);
+  return { ok: !diff, steps, game, diff };
+}
+
+/** First path where a replayed game differs from the save, or null when identical */
+export function compareWithSave(data, game) {
+  game.syncRngState(); // as exportSave()/save() do before writing
+  return firstDifference(data, JSON.parse(JSON.stringify(game.data)));
+}
+
+/** One-line, human-readable description of a journal entry */
+export function describeEntry(entry) {
+  switch (entry?.type) {
+    case 'start':   return `New game (seed ${entry.seed >>> 0}${entry.difficulty ? `, ${entry.difficulty}` : ''}${Array.isArray(entry.party) ? `, party of ${entry.party.length}` : ''})`;
+    case 'travel':  return 'Travel one day';
+    case 'rest':    return entry.activity ? `Camp: ${entry.activity}` : 'Rest one day';
+    case 'pace':    return `Set pace: ${entry.value}`;
+    case 'rations': return `Set rations: ${entry.value}`;
+    case 'autoTravel': return 'Change auto-travel rules';
+    case 'event':   return `Event ${entry.eventId}: ${entry.choiceId}`;
+    case 'hazard':  return `Crossing at ${entry.landmarkId}: ${entry.method}`;
+    case 'leave':   return `Leave ${entry.landmarkId ?? 'landmark'}`;
+    case 'route':   return `Take ${entry.leg} at ${entry.landmarkId}`;
+    case 'repair':  return `Repair ${entry.part}: ${entry.method}`;
+    case 'buy': {
+      const items = Object.entries(entry.items || {}).map(([id, q]) => `${q} ${id}`).join(', ');
+      return `Buy ${items || 'nothing'} for $${Number(entry.total || 0).toFixed(2)}`;
+    }
+    case 'drop': {
+      const items = Object.entries(entry.items || {}).map(([id, q]) => `${q} ${id}`).join(', ');
+      return `Drop ${items || 'nothing'}`;
+    }
+    case 'hunt':    return `Hunt: ${entry.meatTaken} lb, ${entry.bulletsUsed} bullets`;
+    case 'rewind':  return 'Rewind a day';
+    case 'end':     return `Run over: ${entry.reason}`;
+    default:        return String(entry?.type ?? 'unknown');
+  }
+}
+
+// ---------------- internals ----------------
+
+/** Apply one entry; returns the event session left open (or null) */
+async function applyEntry(game, landmarks, entry, index, session) {
+  const fail = (msg) => { throw new ReplayError(`Step ${index} (${describeEntry(entry)}): ${msg}`, { index, entry }); };
+  const landmark = () => findLandmarkById(landmarks, entry.landmarkId) || fail(`unknown landmark "${entry.landmarkId}"`);
+
+  switch (entry.type) {
+    case 'travel': return (await travel(game, landmarks)).session;
+    case 'rest':   return (await rest(game, landmarks, entry.activity)).session;
+    case 'pace':    setPace(game, entry.value); return session;
+    case 'rations': setRations(game, entry.value); return session;
+    case 'autoTravel': setAutoTravelRules(game, entry.rules || {}); return session;
+    case 'event': {
+      if (!session) fail('no event is open');
+      if (session.event.id !== entry.eventId) fail(`expected event "${entry.eventId}", got "${session.event.id}"`);
+      const { done } = await chooseEvent(game, session, entry.choiceId);
+      return done ? null : session;
+    }
+    case 'hazard':
+      await attemptHazard(game, landmark(), entry.method);
+      return null;
+    case 'repair':
+      await repairVehicle(game, entry.part, entry.method);
+      return session;
+    case 'route':
+      if (!chooseRoute(game, landmark(), entry.leg)) fail(`cannot take "${entry.leg}" here`);
+      return session;
+    case 'leave':
+      leaveLandmark(game, entry.landmarkId == null ? null : landmark());
+      return null;
+    case 'buy':
+      buySupplies(game, landmark(), entry.items || {}, Number(entry.total || 0));
+      return null;
+    case 'drop':
+      dropItems(game, entry.items || {});
+      return session;
+    case 'hunt': {
+      // Shots spent bullets and rolled the RNG live; restore both, then bank the result.
+      game.data.inventory.bullets = Math.max(0, Number(game.data.inventory.bullets || 0) - Number(entry.bulletsUsed || 0));
+      game.rngFor('hunting').setState(entry.rngState);
+      finishHunt(game, {
+        bulletsUsed: entry.bulletsUsed,
+        meatTaken: entry.meatTaken,
+        spoiled: entry.spoiled,
+        killsById: entry.kills || {}
+      });
+      return null;
+    }
+    case 'rewind':
+      if (rewindDay(game) == null) fail('nothing to rewind');
+      return null;
+    case 'end': {
+      const details = detectGameOver(game, trailMiles(landmarks));
+      if (!details || details.reason !== entry.reason) fail(`run is not over (${entry.reason} expected)`);
+      markGameOver(game, details);
+      return null;
+    }
+    default:
+      fail('unknown entry type');
+  }
+}
+
+function firstDifference(expected, actual, path = 'data') {
+  if (Object.is(expected, actual)) return null;
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    return { path, expected, actual };
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const k of keys) {
+    const sub = Array.isArray(expected) ? `${path}[${k}]` : `${path}.${k}`;
+    const d = firstDifference(expected[k], actual[k], sub);
+    if (d) return d;
+  }
+  return null;
+}
@@ -1,25 +1,38 @@
 // systems/river.js
 // Phase 5 — Unified crossing mechanic for rivers and other Canadian hazards.
 // Mechanics parallel Oregon Trail (ford/caulk/ferry/wait/detour) but skinned per hazard.
-// Deterministic: all randomness uses game.rng.
+// Deterministic: all randomness uses game.rngFor('hazards').
 //
 // Data model:
 //  - Each landmark may include: landmark.hazard = { kind, ...params }
 //  - Supported kinds: "river", "mud", "snow", "geese", "beaver"
 //  - We persist per-landmark evolving severity in flags.hazardState[landmark.id]
 //  - While blocked, flags.atLandmarkId === landmark.id (Travel reopens the modal on refresh)
+//  - Severity follows the season of the day the party first reaches the hazard
+//    (calendar.js): spring melt swells rivers and mud, winter piles drifts, and so on
 //
 // API:
 //  - getHazardState(game, landmark) -> mutable live state
 //  - listMethods(hazard, game) -> [{id,label,estHint}]
-//  - tryMethod(game, landmark, methodId) -> { resolved:boolean, crossed:boolean, text:string }
+//  - tryMethod(game, landmark, methodId) -> Promise<{ resolved:boolean, crossed:boolean, text:string }>
+//  - estimateSuccess(hazardState, methodId) -> 0..1 or null (also used by tools/simulate.js bots)
 //
 // Notes:
-//  - Waiting consumes full days via applyRestDay() so food/health drift is real.
+//  - Waiting consumes full days via applyRestDay() (the whole day pipeline, awaited one
+//    day at a time) so food/health drift is real.
 //  - “Service” = ferry / tow / plow / warden / canoe; high success, costs money + days.
+//  - Rough failures jolt the vehicle: wear on a random part (vehicle.js).
+//  - A hazard scouted from camp (camp.js, hz.scouted) gets SCOUT_BONUS on drive/prep;
+//    scouting sets the hazard's severity for the season of the scouting day.
 //  - We aim for humor but keep effects readable and fair.
 
 import { applyRestDay } from './travel.js';
+import { addLog } from './log.js';
+import { markMemberDead } from './status.js';
+import { seasonFor } from './calendar.js';
+import { PARTS, HAZARD_JOLT, addWear } from './vehicle.js';
+
+export const SCOUT_BONUS = 0.1; // drive/prep odds at a hazard scouted from camp (camp.js)
 
 export const HAZARD_KINDS = /** @type {const} */ ({
   river: 'river',
@@ -36,11 +49,53 @@ export function getHazardState(game, landmark) {
   const id = String(landmark.id);
   if (!store[id]) {
     // Shallow clone of author params so we can mutate (e.g., wait lowers severity)
-    store[id] = JSON.parse(JSON.stringify(landmark.hazard || {}));
+    store[id] = applySeason(JSON.parse(JSON.stringify(landmark.hazard || {})), seasonFor(game));
   }
   return store[id];
 }
 
+/**
+ * Adjust authored hazard params for the season (landmarks.json describes a spring-ish
+ * trail). Mutates and returns `hz`; `hz.season` records what was applied.
+ */
+export function applySeason(hz, season) {
+  if (!hz.kind || !season) return hz;
+  hz.season = season;
+  switch (hz.kind) {
+    case 'river': {
+      const depth = Number(hz.depthFt || 2);
+      const shift = { spring: 1, summer: -0.5, fall: 0, winter: -0.4 }[season] ?? 0;
+      hz.depthFt = round1(Math.max(0.8, depth + shift));
+      if (season === 'spring') hz.current = hz.current === 'slow' ? 'moderate' : 'fast';
+      if (season === 'summer' && hz.current === 'fast') hz.current = 'moderate';
+      break;
+    }
+    case 'snow': {
+      const drift = Number(hz.driftFt || 2);
+      hz.driftFt = round1(season === 'winter' ? drift + 1.2
+        : season === 'summer' ? 0.5
+        : season === 'fall' ? Math.max(0.5, drift - 0.8)
+        : drift);
+      break;
+    }
+    case 'mud': {
+      const bad = Number(hz.badness ?? 0.6);
+      const shift = { spring: 0.2, summer: -0.2, fall: 0, winter: -0.3 }[season] ?? 0;
+      hz.badness = round1(clamp(bad + shift, 0.1, 1));
+      break;
+    }
+    case 'geese':
+      if (season === 'spring' || season === 'fall') hz.flock = Math.round(Number(hz.flock || 60) * 1.5);
+      if (season === 'winter') hz.flock = Math.round(Number(hz.flock || 60) * 0.4);
+      break;
+    case 'beaver':
+      // Fall is dam-building season: the ponds back up
+      if (season === 'fall') hz.gapFt = Number(hz.gapFt || 8) + 2;
+      break;
+  }
+  return hz;
+}
+
 /** Return action choices with a rough "est." hint (Good/Fair/Poor) */
 export function listMethods(hazard, game) {
   const kinds = {
@@ -90,10 +145,10 @@ export function listMethods(hazard, game) {
 
 /**
  * Attempt a method; mutates game + hazard state.
- * @returns {{ resolved:boolean, crossed:boolean, text:string }}
+ * @returns {Promise<{ resolved:boolean, crossed:boolean, text:string }>}
  *   resolved=false means user should try again (e.g., after waiting or failed drive).
  */
-export function tryMethod(game, landmark, methodId) {
+export async function tryMethod(game, landmark, methodId) {
   const hz = getHazardState(game, landmark);
   const kind = hz.kind;
   const out = { resolved: false, crossed: false, text: '' };
@@ -114,85 +169,82 @@ export function tryMethod(game, landmark, methodId) {
 }
 
 // --------- River ---------
-function riverAttempt(game, landmark, hz, method) {
-  const log = game.data.log;
+async function riverAttempt(game, landmark, hz, method) {
   const p = estimateSuccess(hz, method);
   switch (method) {
     case 'drive': {
       if (roll(game, p)) {
         clearBlock(game, landmark);
-        log.push(`Crossed ${landmark.name} by driving through.`);
+        addLog(game, 'hazard', 'river.drive', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`You ease in, water at the doors, but the engine holds. Onward.`) };
       } else {
-        riverFail(game, hz, 'The car coughs and stalls mid‑flow.');
+        await riverFail(game, landmark, 'The car coughs and stalls mid‑flow.');
         return { resolved: false, crossed: false, text: flavor(`Stalled in the current — soaked and grumpy. You drag it back to the bank.`) };
       }
     }
     case 'prep': {
       if (roll(game, p)) {
         clearBlock(game, landmark);
-        log.push(`Crossed ${landmark.name} after tarping & creeping.`);
+        addLog(game, 'hazard', 'river.prep', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`Tarp on, crawl in low gear, a polite stream of victory.`) };
       } else {
-        riverFail(game, hz, 'Water slips past the tarp.');
+        await riverFail(game, landmark, 'Water slips past the tarp.');
         return { resolved: false, crossed: false, text: flavor(`A slosh finds the air intake. Back to dry things out.`) };
       }
     }
     case 'service': {
       const { fee, days } = riverServiceCost(game, hz);
       spendMoney(game, fee);
-      spendDays(game, days, `Ferry queue at ${landmark.name}`);
-      if (!roll(game, 0.98)) maybeNickPart(game); // rare bump
+      await spendDays(game, days, `Ferry queue at ${landmark.name}`);
+      if (!roll(game, 0.98)) maybeJoltPart(game); // rare bump
       clearBlock(game, landmark);
-      log.push(`Ferry across ${landmark.name} ($${fee.toFixed(2)}, ${days} day${days>1?'s':''}).`);
+      addLog(game, 'hazard', 'river.ferry', { landmark: landmark.name, fee, days });
       return { resolved: true, crossed: true, text: flavor(`A flat‑deck ferry mutters across. Someone offers you a Timbits. Civilization!*`) };
     }
     case 'wait': {
-      spendDays(game, 1, `Waiting at ${landmark.name}`);
+      await spendDays(game, 1, `Waiting at ${landmark.name}`);
       hz.depthFt = Math.max(0.5, Number(hz.depthFt || 2) - 0.5);
-      if ((hz.current || 'moderate') === 'fast' && game.rng.next() < 0.4) hz.current = 'moderate';
+      if ((hz.current || 'moderate') === 'fast' && game.rngFor('hazards').next() < 0.4) hz.current = 'moderate';
       return { resolved: false, crossed: false, text: flavor(`You wait a day. The river drops a little.`) };
     }
     case 'detour': {
-      const days = 2 + game.rng.nextInt(3); // 2–4
-      const fee = 5 + game.rng.nextInt(11); // $5–$15 “gas & snacks”
+      const days = 2 + game.rngFor('hazards').nextInt(3); // 2–4
+      const fee = 5 + game.rngFor('hazards').nextInt(11); // $5–$15 “gas & snacks”
       spendMoney(game, fee);
-      spendDays(game, days, 'Scenic detour through America');
+      await spendDays(game, days, 'Scenic detour through America');
       clearBlock(game, landmark);
-      log.push(`Detoured around ${landmark.name} ($${fee.toFixed(2)}, ${days} days).`);
+      addLog(game, 'hazard', 'river.detour', { landmark: landmark.name, fee, days });
       return { resolved: true, crossed: true, text: flavor(`A quick hello to the land of bottomless soda, then back into the pines.`) };
     }
   }
   return { resolved: false, crossed: false, text: 'Unsure what to do here.' };
 }
 
-function riverFail(game, hz, reason) {
-  const log = game.data.log;
+async function riverFail(game, landmark, reason) {
   // Lose a day drying out
-  spendDays(game, 1, 'Drying out after river stall');
+  await spendDays(game, 1, 'Drying out after river stall');
   // Soak penalties
-  const foodLoss = 5 + game.rng.nextInt(11); // 5–15 lb
-  game.data.inventory.food = Math.max(0, Number(game.data.inventory.food || 0) - foodLoss);
-  if (roll(game, 0.4) && (game.data.inventory.clothes||0)>0) game.data.inventory.clothes -= 1;
-  if (roll(game, 0.3) && (game.data.inventory.bullets||0)>0) game.data.inventory.bullets = Math.max(0, game.data.inventory.bullets - 3);
+  const foodLoss = 5 + game.rngFor('hazards').nextInt(11); // 5–15 lb
+  takeItem(game, 'food', foodLoss);
+  if (roll(game, 0.4) && (game.data.inventory.clothes||0)>0) takeItem(game, 'clothes', 1);
+  if (roll(game, 0.3) && (game.data.inventory.bullets||0)>0) takeItem(game, 'bullets', 3);
   // Chance of part damage
-  maybeNickPart(game);
+  maybeJoltPart(game);
   // Small health ding to a random member
-  dingHealth(game, -1);
-  log.push(`${reason} Lost ${foodLoss} lb food. Everyone’s damp.`);
+  dingHealth(game, -1, landmark.name);
+  addLog(game, 'hazard', 'river.fail', { reason, food: foodLoss });
 }
 
 function riverServiceCost(game, hz) {
   const depth = Number(hz.depthFt || 2);
   const width = Number(hz.widthFt || 150);
-  const fee = 6 + (width/100)*2 + depth*1.5 + game.rng.nextInt(4); // ~$10–$20 typical
-  const days = 1 + game.rng.nextInt(3); // 1–3 day queue
+  const fee = 6 + (width/100)*2 + depth*1.5 + game.rngFor('hazards').nextInt(4); // ~$10–$20 typical
+  const days = 1 + game.rngFor('hazards').nextInt(3); // 1–3 day queue
   return { fee, days };
 }
 
 // --------- Mud ---------
-function mudAttempt(game, landmark, hz, method) {
-  const log = game.data.log;
+async function mudAttempt(game, landmark, hz, method) {
   hz.badness = clamp(Number(hz.badness ?? 0.6), 0, 1); // 0 easy .. 1 awful
   const pDrive = clamp(0.2 + 0.6*(1 - hz.badness), 0.05, 0.9);
   const pPrep  = clamp(0.55 + 0.35*(1 - hz.badness), 0.2, 0.95);
@@ -201,42 +253,42 @@ function mudAttempt(game, landmark, hz, method) {
     case 'drive': {
       if (roll(game, pDrive)) {
         clearBlock(game, landmark);
-        log.push(`Powered through gumbo at ${landmark.name}.`);
+        addLog(game, 'hazard', 'mud.drive', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`Mud flies. Somehow traction happens.`) };
       } else {
-        spendDays(game, 1, 'Stuck in mud');
-        maybeNickPart(game, 0.4);
-        dingHealth(game, -1);
+        await spendDays(game, 1, 'Stuck in mud');
+        maybeJoltPart(game, 0.4);
+        dingHealth(game, -1, landmark.name);
         return { resolved: false, crossed: false, text: flavor(`Wheels spin to clay saucers. You haul branches and swear softly.`) };
       }
     }
     case 'prep': {
       if (roll(game, pPrep)) {
         clearBlock(game, landmark);
-        log.push(`Crawled through mud at ${landmark.name}.`);
+        addLog(game, 'hazard', 'mud.prep', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`Low gear, patient steering, a humble victory.`) };
       } else {
-        spendDays(game, 1, 'Creeping & digging');
-        if (roll(game, 0.25)) maybeNickPart(game, 0.3);
+        await spendDays(game, 1, 'Creeping & digging');
+        if (roll(game, 0.25)) maybeJoltPart(game, 0.3);
         return { resolved: false, crossed: false, text: flavor(`Almost… then a rut swallows the wheel. More digging tomorrow?`) };
       }
     }
     case 'service': {
-      const fee = 10 + game.rng.nextInt(15); // $10–$24
+      const fee = 10 + game.rngFor('hazards').nextInt(15); // $10–$24
       spendMoney(game, fee);
-      spendDays(game, 1, 'Waiting on a tractor');
+      await spendDays(game, 1, 'Waiting on a tractor');
       clearBlock(game, landmark);
-      log.push(`Tractor pull at ${landmark.name} ($${fee.toFixed(2)}).`);
+      addLog(game, 'hazard', 'mud.service', { landmark: landmark.name, fee });
       return { resolved: true, crossed: true, text: flavor(`A farmer in coveralls smiles, hooks a chain, and your pride.`) };
     }
     case 'wait': {
-      spendDays(game, 1, `Waiting for sun at ${landmark.name}`);
+      await spendDays(game, 1, `Waiting for sun at ${landmark.name}`);
       hz.badness = clamp(hz.badness - 0.2, 0, 1);
       return { resolved: false, crossed: false, text: flavor(`The top crust dries. It might hold tomorrow.`) };
     }
     case 'detour': {
-      const days = 1 + game.rng.nextInt(2); // 1–2
-      spendDays(game, days, 'Gravel detour');
+      const days = 1 + game.rngFor('hazards').nextInt(2); // 1–2
+      await spendDays(game, days, 'Gravel detour');
       clearBlock(game, landmark);
       return { resolved: true, crossed: true, text: flavor(`A scenic road past hay bales and one confused cow.`) };
     }
@@ -245,8 +297,7 @@ function mudAttempt(game, landmark, hz, method) {
 }
 
 // --------- Snow ---------
-function snowAttempt(game, landmark, hz, method) {
-  const log = game.data.log;
+async function snowAttempt(game, landmark, hz, method) {
   hz.driftFt = Math.max(0.5, Number(hz.driftFt || 2));
   const pDrive = clamp(hz.driftFt < 1.5 ? 0.45 : 0.25, 0.05, 0.7);
   const pPrep  = clamp(0.9 - 0.2*(hz.driftFt - 1), 0.3, 0.95);
@@ -255,42 +306,42 @@ function snowAttempt(game, landmark, hz, method) {
     case 'drive': {
       if (roll(game, pDrive)) {
         clearBlock(game, landmark);
-        log.push(`Punched through drift at ${landmark.name}.`);
+        addLog(game, 'hazard', 'snow.drive', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`The car surfs a powdery wave. Everyone cheers, politely.`) };
       } else {
-        spendDays(game, 1, 'Hung up on packed snow');
-        if (roll(game, 0.35)) maybeNickPart(game, 0.5);
-        dingHealth(game, -1);
+        await spendDays(game, 1, 'Hung up on packed snow');
+        if (roll(game, 0.35)) maybeJoltPart(game, 0.5);
+        dingHealth(game, -1, landmark.name);
         return { resolved: false, crossed: false, text: flavor(`You high‑center on icy ruts. Toes complain.`) };
       }
     }
     case 'prep': {
       const halfDay = 1; // model as a day for simplicity
-      spendDays(game, halfDay, 'Shoveling a path');
+      await spendDays(game, halfDay, 'Shoveling a path');
       if (roll(game, pPrep)) {
         clearBlock(game, landmark);
-        log.push(`Shoveled through drift at ${landmark.name}.`);
+        addLog(game, 'hazard', 'snow.prep', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`Backs ache, but the lane holds.`) };
       } else {
         return { resolved: false, crossed: false, text: flavor(`The wind fills your work. Maybe try again.`) };
       }
     }
     case 'service': {
-      const fee = 12 + game.rng.nextInt(20); // $12–$31
+      const fee = 12 + game.rngFor('hazards').nextInt(20); // $12–$31
       spendMoney(game, fee);
-      spendDays(game, 1, 'Waiting on plow escort');
+      await spendDays(game, 1, 'Waiting on plow escort');
       clearBlock(game, landmark);
-      log.push(`Plow escort at ${landmark.name} ($${fee.toFixed(2)}).`);
+      addLog(game, 'hazard', 'snow.service', { landmark: landmark.name, fee });
       return { resolved: true, crossed: true, text: flavor(`A snowplow rumbles ahead like a metal moose.`) };
     }
     case 'wait': {
-      spendDays(game, 1, `Waiting for wind to drop at ${landmark.name}`);
+      await spendDays(game, 1, `Waiting for wind to drop at ${landmark.name}`);
       hz.driftFt = Math.max(0.5, hz.driftFt - 0.5);
       return { resolved: false, crossed: false, text: flavor(`The drift slumps a little.`) };
     }
     case 'detour': {
-      const days = 1 + game.rng.nextInt(3);
-      spendDays(game, days, 'Detour to cleared lanes');
+      const days = 1 + game.rngFor('hazards').nextInt(3);
+      await spendDays(game, days, 'Detour to cleared lanes');
       clearBlock(game, landmark);
       return { resolved: true, crossed: true, text: flavor(`You shadow a convoy of salt trucks. Brine everywhere.`) };
     }
@@ -299,8 +350,7 @@ function snowAttempt(game, landmark, hz, method) {
 }
 
 // --------- Geese ---------
-function geeseAttempt(game, landmark, hz, method) {
-  const log = game.data.log;
+async function geeseAttempt(game, landmark, hz, method) {
   hz.flock = Math.max(5, Number(hz.flock || 60));
   const pDrive = clamp(0.75 - (hz.flock/200), 0.2, 0.9);
   const pPrep  = clamp(0.92 - (hz.flock/400), 0.4, 0.97);
@@ -309,48 +359,48 @@ function geeseAttempt(game, landmark, hz, method) {
     case 'drive': {
       if (roll(game, pDrive)) {
         clearBlock(game, landmark);
-        log.push(`Inched past the geese at ${landmark.name}.`);
+        addLog(game, 'hazard', 'geese.drive', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`Hiss‑to‑politeness ratio drops. You slide by.`) };
       } else {
-        spendDays(game, 1, 'Backing off angry geese');
-        if (roll(game, 0.4)) dingHealth(game, -1);
+        await spendDays(game, 1, 'Backing off angry geese');
+        if (roll(game, 0.4)) dingHealth(game, -1, landmark.name);
         return { resolved: false, crossed: false, text: flavor(`A beaked diplomat pecks the bumper. Retreat.`) };
       }
     }
     case 'prep': {
       // Bread bribe: spend 2–5 lb food for higher chance; if low food, attempt with worse odds
-      let foodSpend = Math.min(Number(game.data.inventory.food || 0), 2 + game.rng.nextInt(4)); // 2–5
+      let foodSpend = Math.min(Number(game.data.inventory.food || 0), 2 + game.rngFor('hazards').nextInt(4)); // 2–5
       if (foodSpend >= 2) {
-        game.data.inventory.food = Math.max(0, game.data.inventory.food - foodSpend);
+        takeItem(game, 'food', foodSpend);
       } else {
         // Not much food to spare — slight penalty
         hz.flock += 10;
       }
       if (roll(game, pPrep)) {
         clearBlock(game, landmark);
-        log.push(`Bribed the geese at ${landmark.name} (−${foodSpend.toFixed(1)} lb food).`);
+        addLog(game, 'hazard', 'geese.prep', { landmark: landmark.name, food: foodSpend });
         return { resolved: true, crossed: true, text: flavor(`Bread diplomacy wins the day.`) };
       } else {
         return { resolved: false, crossed: false, text: flavor(`They demand more carbs. Stalemate.`) };
       }
     }
     case 'service': {
-      const fee = 5 + game.rng.nextInt(8); // $5–$12
+      const fee = 5 + game.rngFor('hazards').nextInt(8); // $5–$12
       spendMoney(game, fee);
-      spendDays(game, 1, 'Waiting on a park warden');
+      await spendDays(game, 1, 'Waiting on a park warden');
       clearBlock(game, landmark);
-      log.push(`Warden shooed geese at ${landmark.name} ($${fee.toFixed(2)}).`);
+      addLog(game, 'hazard', 'geese.service', { landmark: landmark.name, fee });
       return { resolved: true, crossed: true, text: flavor(`A whistle, a vest, authority. The flock yields.`) };
     }
     case 'wait': {
-      spendDays(game, 1, `Waiting for geese to wander at ${landmark.name}`);
+      await spendDays(game, 1, `Waiting for geese to wander at ${landmark.name}`);
       // Flock disperses by ~40–60%
-      hz.flock = Math.max(5, Math.round(hz.flock * (0.4 + game.rng.next()*0.2)));
+      hz.flock = Math.max(5, Math.round(hz.flock * (0.4 + game.rngFor('hazards').next()*0.2)));
       return { resolved: false, crossed: false, text: flavor(`Fewer geese now. Ground still suspicious.`) };
     }
     case 'detour': {
-      const days = 1 + game.rng.nextInt(2);
-      spendDays(game, days, 'Detour around the lake');
+      const days = 1 + game.rngFor('hazards').nextInt(2);
+      await spendDays(game, days, 'Detour around the lake');
       clearBlock(game, landmark);
       return { resolved: true, crossed: true, text: flavor(`Boardwalk, reeds, and one heroic loon.`) };
     }
@@ -359,8 +409,7 @@ function geeseAttempt(game, landmark, hz, method) {
 }
 
 // --------- Beaver ---------
-function beaverAttempt(game, landmark, hz, method) {
-  const log = game.data.log;
+async function beaverAttempt(game, landmark, hz, method) {
   hz.gapFt = Math.max(2, Number(hz.gapFt || 8)); // missing planks / washout gap
   const pDrive = clamp(hz.gapFt < 6 ? 0.55 : 0.25, 0.1, 0.8);
   const pPrep  = clamp(0.75 - 0.05*(hz.gapFt - 6), 0.25, 0.9);
@@ -369,41 +418,41 @@ function beaverAttempt(game, landmark, hz, method) {
     case 'drive': {
       if (roll(game, pDrive)) {
         clearBlock(game, landmark);
-        log.push(`Bounced through washout at ${landmark.name}.`);
+        addLog(game, 'hazard', 'beaver.drive', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`A splash, a rattle, and somehow four wheels remain.`) };
       } else {
-        spendDays(game, 1, 'Backing out of flooded gap');
-        maybeNickPart(game, 0.5);
-        dingHealth(game, -1);
+        await spendDays(game, 1, 'Backing out of flooded gap');
+        maybeJoltPart(game, 0.5);
+        dingHealth(game, -1, landmark.name);
         return { resolved: false, crossed: false, text: flavor(`Something clonks. You rethink your life choices.`) };
       }
     }
     case 'prep': {
       if (roll(game, pPrep)) {
         clearBlock(game, landmark);
-        log.push(`Rock‑hopped across ${landmark.name}.`);
+        addLog(game, 'hazard', 'beaver.prep', { landmark: landmark.name });
         return { resolved: true, crossed: true, text: flavor(`People push, tires squirm, success tastes like river mist.`) };
       } else {
-        spendDays(game, 1, 'Re‑stacking rocks');
+        await spendDays(game, 1, 'Re‑stacking rocks');
         return { resolved: false, crossed: false, text: flavor(`The stack shifts. One more go?`) };
       }
     }
     case 'service': {
-      const fee = 12 + game.rng.nextInt(14); // $12–$25
+      const fee = 12 + game.rngFor('hazards').nextInt(14); // $12–$25
       spendMoney(game, fee);
-      spendDays(game, 1, 'Hiring a canoe/floater');
+      await spendDays(game, 1, 'Hiring a canoe/floater');
       clearBlock(game, landmark);
-      log.push(`Canoe assist at ${landmark.name} ($${fee.toFixed(2)}).`);
+      addLog(game, 'hazard', 'beaver.service', { landmark: landmark.name, fee });
       return { resolved: true, crossed: true, text: flavor(`Locals nod, beavers stare, you cross.`) };
     }
     case 'wait': {
-      spendDays(game, 1, `Waiting for beavers at ${landmark.name}`);
+      await spendDays(game, 1, `Waiting for beavers at ${landmark.name}`);
       hz.gapFt = Math.max(2, hz.gapFt - 2); // industrious creatures
       return { resolved: false, crossed: false, text: flavor(`New sticks appear. Nature’s contractor at work.`) };
     }
     case 'detour': {
-      const days = 1 + game.rng.nextInt(3);
-      spendDays(game, days, 'Logging road detour');
+      const days = 1 + game.rngFor('hazards').nextInt(3);
+      await spendDays(game, days, 'Logging road detour');
       clearBlock(game, landmark);
       return { resolved: true, crossed: true, text: flavor(`You bounce past spruce and dust. Good times.`) };
     }
@@ -412,7 +461,14 @@ function beaverAttempt(game, landmark, hz, method) {
 }
 
 // --------- Odds / helpers ---------
-function estimateSuccess(hz, method) {
+/** Success chance (0..1) of a method against the live hazard state, or null if it has no roll */
+export function estimateSuccess(hz, method) {
+  const p = baseSuccess(hz, method);
+  if (p == null || !hz.scouted || (method !== 'drive' && method !== 'prep')) return p;
+  return clamp(p + SCOUT_BONUS, 0, 0.97);
+}
+
+function baseSuccess(hz, method) {
   if (hz.kind === 'river') {
     const depth = Number(hz.depthFt || 2);
     const width = Number(hz.widthFt || 150);
@@ -472,15 +528,15 @@ function rate(p) {
 
 function roll(game, p) {
   if (p == null) return false;
-  return game.rng.next() < p;
+  return game.rngFor('hazards').next() < p;
 }
 
-function spendDays(game, days, label) {
+async function spendDays(game, days, label) {
   days = Math.max(0, Math.floor(days));
   for (let i = 0; i < days; i++) {
-    applyRestDay(game); // consumes food, applies health drift
+    await applyRestDay(game, { source: 'hazard' }); // consumes food, applies health drift
   }
-  if (days > 0) game.data.log.push(`${label} (${days} day${days>1?'s':''}).`);
+  if (days > 0) addLog(game, 'hazard', 'hazard.delay', { label, days });
 }
 
 function spendMoney(game, fee) {
@@ -488,29 +544,42 @@ function spendMoney(game, fee) {
   game.data.money = Math.max(0, m - Number(fee || 0));
 }
 
-function dingHealth(game, delta) {
+/** Remove up to `amount` of an item (never below 0) and announce the change */
+function takeItem(game, item, amount) {
+  const inv = game.data.inventory;
+  const before = Number(inv[item] || 0);
+  inv[item] = Math.max(0, before - amount);
+  const delta = inv[item] - before;
+  if (delta) game.bus.emit('inventory:changed', { item, delta, value: inv[item], source: 'hazard' });
+}
+
+// Hurt a random member; at 0 health they die of the hazard (`cause`)
+function dingHealth(game, delta, cause) {
   const alive = (game.data.party || []).filter(p => p.status !== 'dead');
   if (!alive.length) return;
-  const i = game.rng.nextInt(alive.length);
-  alive[i].health = clamp((alive[i].health ?? 5) + delta, 0, 5);
+  const m = alive[game.rngFor('hazards').nextInt(alive.length)];
+  m.health = clamp((m.health ?? 5) + delta, 0, 5);
+  if (m.health === 0) {
+    markMemberDead(game, m, cause);
+    addLog(game, 'health', 'health.died', { member: m.id, name: m.name, reason: cause });
+  }
 }
 
-function maybeNickPart(game, chance = 0.3) {
+// A rough attempt wears a random part (vehicle.js); worn parts break down on the road later
+function maybeJoltPart(game, chance = 0.3) {
   if (!roll(game, chance)) return;
-  const parts = ['wheel', 'axle', 'tongue'];
-  const pick = parts[game.rng.nextInt(parts.length)];
-  if ((game.data.inventory[pick] || 0) > 0) {
-    game.data.inventory[pick] -= 1;
-    game.data.log.push(`Lost a ${pick}.`);
-  }
+  const pick = PARTS[game.rngFor('hazards').nextInt(PARTS.length)];
+  const wear = addWear(game, pick, HAZARD_JOLT);
+  addLog(game, 'hazard', 'hazard.jolt', { part: pick, wear });
 }
 
 function clearBlock(game, landmark) {
   if (game.data.flags?.atLandmarkId === landmark.id) {
     delete game.data.flags.atLandmarkId;
   }
-  game.save();
+  game.markDirty();
 }
 
 function clamp(n, lo, hi) { return Math.max(lo, Math.min(hi, Number(n))); }
+function round1(n) { return Math.round(Number(n) * 10) / 10; }
 function flavor(s) { return s; }
@@ -0,0 +1,61 @@
+// systems/roles.js
+// How much each party member eats and how hard the trail hits them, by role and age.
+// Loads /data/roles.json once (loadRoles()); traitsFor() is synchronous and treats
+// everyone as a healthy adult until the file has loaded.
+// Traits are multipliers (1 = a healthy adult):
+//   appetite   share of a full ration eaten each day
+//   pace       health lost to a strenuous or grueling pace
+//   starvation health lost on days the food runs short
+//   cold       health lost to harsh weather
+//   illness    health lost to conditions
+//   restHeal   health regained on a rest day
+// Age bands ({ minAge?, maxAge?, ...traits }) multiply on top of the role for members with an age.
+
+import { loadJSON } from './jsonLoader.js';
+
+export const TRAITS = ['appetite', 'pace', 'starvation', 'cold', 'illness', 'restHeal'];
+
+const NEUTRAL = Object.freeze(Object.fromEntries(TRAITS.map(t => [t, 1])));
+
+let _data = null;
+let _loadPromise = null;
+
+export async function loadRoles() {
+  if (_data) return _data;
+  if (!_loadPromise) {
+    _loadPromise = loadJSON('../data/roles.json').then(data => {
+      _data = {
+        roles: data?.roles && typeof data.roles === 'object' ? data.roles : {},
+        ageBands: Array.isArray(data?.ageBands) ? data.ageBands : []
+      };
+    }).catch(err => {
+      console.warn('[roles] load failed, everyone counts as an adult', err);
+      _data = { roles: {}, ageBands: [] };
+    });
+  }
+  await _loadPromise;
+  return _data;
+}
+
+/**
+ * Trait multipliers for one member (role, then matching age bands).
+ * @param {{ role?:string, age?:number }} member
+ * @returns {Record<typeof TRAITS[number], number>}
+ */
+export function traitsFor(member) {
+  const out = { ...NEUTRAL };
+  const role = _data?.roles?.[member?.role] || {};
+  for (const t of TRAITS) {
+    if (typeof role[t] === 'number') out[t] = role[t];
+  }
+  const age = member?.age;
+  if (typeof age !== 'number' || !Number.isFinite(age)) return out;
+  for (const band of _data?.ageBands || []) {
+    if (band.minAge != null && age < band.minAge) continue;
+    if (band.maxAge != null && age > band.maxAge) continue;
+    for (const t of TRAITS) {
+      if (typeof band[t] === 'number') out[t] *= band[t];
+    }
+  }
+  return out;
+}
@@ -1,24 +1,28 @@
 // systems/shop.js
 // Builds a simple shop catalog with dynamic pricing based on progress along the trail.
 // Prices rise up to +50% at the far end (frontier scarcity).
+// Items marked `regional` (gas) are priced by the landmark's `regionalPrice` instead.
+// Each entry carries its weight per unit so the shop can hold purchases to the vehicle's limit (cargo.js).
 
 import { loadJSON } from './jsonLoader.js';
 import { loadLandmarks, totalTrailMiles } from './landmarks.js';
 
 export async function buildShopCatalog(game, landmark) {
   const items = await loadJSON('../data/items.json');
-  const lms = await loadLandmarks();
+  const lms = await loadLandmarks(game); // progress along the road this party is on
   const total = totalTrailMiles(lms);
   const progress = Math.max(0, Math.min(1, (Number(game.data.miles || 0)) / (total || 1)));
 
   // Frontier pricing: up to +50% by the end of the route.
   const priceMul = 1 + 0.5 * progress;
+  const regionalMul = Number(landmark?.regionalPrice) > 0 ? Number(landmark.regionalPrice) : 1;
 
   return items.map(it => ({
     id: it.id,
     name: it.name,
     priceBase: round2(Number(it.price || 0)),
-    price: round2(Number(it.price || 0) * priceMul),
+    price: round2(Number(it.price || 0) * (it.regional ? regionalMul : priceMul)),
+    weight: Math.max(0, Number(it.weight || 0)),
     stack: !!it.stack,
     iconKey: iconKeyFor(it.id)
   }));
@@ -30,6 +34,7 @@ function iconKeyFor(id) {
     case 'bullets':  return 'ui.icon_bullets';
     case 'clothes':  return 'ui.icon_clothes';
     case 'medicine': return 'ui.icon_tools';
+    case 'fuel':     return 'ui.icon_tools';
     case 'wheel':
     case 'axle':
     case 'tongue':   return 'ui.icon_tools';
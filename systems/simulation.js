@@ -0,0 +1,425 @@
+// systems/simulation.js
+// Headless bot play for balance testing (used by tools/simulate.js).
+// - A run goes through systems/actions.js exactly like the screens do (travel/rest,
+//   event choices, hazard attempts, shop visits), so the numbers match real play
+// - Bot strategies are plain objects (see BotStrategy below); STRATEGIES holds the
+//   built-in ones. Bots draw from their own RNG, never from the game's streams.
+// - Deaths are counted from the game bus (member:died) with their cause
+// - Hunts run the real hunting session headlessly; the bot aims at the biggest
+//   animal in view and hits with its strategy's `aim` chance
+// - At a fork the bot picks a road (chooseRoute) and the run follows the new path
+
+import { GameState, RNG, createMemoryStorage } from '../state/GameState.js';
+import * as actions from './actions.js';
+import { renderStage } from './eventEngine.js';
+import { listMethods, getHazardState, estimateSuccess } from './river.js';
+import { buildShopCatalog } from './shop.js';
+import { createHuntSession, DEFAULTS as HUNT } from './hunting.js';
+import { RATIONS_LB, milesPerDay } from './travel.js';
+import { loadRoles, traitsFor } from './roles.js';
+import { loadRouteGraph, routePath, routeChoices, forkOptions } from './landmarks.js';
+import { isBroken } from './vehicle.js';
+import { cargoWeight, CAPACITY_LB } from './cargo.js';
+import { gallonsPerMile } from './fuel.js';
+
+const MAX_HAZARD_ATTEMPTS = 12;
+const MAX_EVENT_STAGES = 20;
+const HUNT_TICK_SEC = 0.1;
+const MIN_GAME_LB = 10; // not worth a bullet below this
+
+/** Rough value of an effect for a bot that wants to stay alive (positive = good) */
+function effectScore(eff) {
+  switch (eff?.type) {
+    case 'health':    return Number(eff.delta || 0) * (eff.target === 'family' || eff.target === 'all' ? 4 : 2);
+    case 'mortality': return -100;
+    case 'status':    return -3;
+    case 'money':     return Number(eff.delta || 0) * 0.1;
+    case 'inventory': return Number(eff.delta || 0) * (eff.item === 'food' ? 0.05 : eff.item === 'bullets' ? 0.01 : 1);
+    case 'time':      return -Number(eff.days || 0);
+    case 'distance':  return Number(eff.miles || 0) * 0.05;
+    case 'morale':    return Number(eff.delta || 0) * 0.5;
+    case 'roll': {
+      const opts = eff.options || [];
+      const total = opts.reduce((s, o) => s + Math.max(0, Number(o.weight || 1)), 0) || 1;
+      return opts.reduce((s, o) => s + (Math.max(0, Number(o.weight || 1)) / total) * scoreEffects(o.effects), 0);
+    }
+    default: return 0;
+  }
+}
+
+function scoreEffects(effects) {
+  return (effects || []).reduce((s, e) => s + effectScore(e), 0);
+}
+
+/**
+ * Quantities to top items up to `targets` ({ id: amount }, in priority order) within `budget`.
+ * Bots never load past the vehicle's capacity (no overload slowdown); `after` is an order
+ * already placed at this shop, whose cost and weight come first.
+ */
+function supplyOrder(game, catalog, targets, budget, after = {}) {
+  const order = {};
+  let left = budget;
+  let room = CAPACITY_LB - cargoWeight(game);
+  for (const [id, qty] of Object.entries(after)) {
+    const item = catalog.find(c => c.id === id);
+    left -= qty * (item?.price || 0);
+    room -= qty * (item?.weight || 0);
+  }
+  for (const [id, target] of Object.entries(targets)) {
+    const item = catalog.find(c => c.id === id);
+    if (!item || item.price <= 0) continue;
+    const want = Math.max(0, Math.ceil(target - Number(game.data.inventory[id] || 0)));
+    const fits = item.weight > 0 ? Math.floor(room / item.weight) : want;
+    const qty = Math.min(want, Math.floor(left / item.price), fits);
+    if (qty <= 0) continue;
+    order[id] = qty;
+    left -= qty * item.price;
+    room -= qty * item.weight;
+  }
+  return order;
+}
+
+/** Gas for the rest of the trail at a pace, with a margin for bad weather */
+function fuelForTrip(ctx, pace) {
+  return ctx.milesLeft * gallonsPerMile(pace, 0.8) + 2;
+}
+
+/** Food for the rest of the trail at the current pace and rations */
+function foodForTrip(game, ctx, pace, rations) {
+  const perDay = milesPerDay({ data: { settings: { pace } } });
+  const daysLeft = Math.ceil(ctx.milesLeft / Math.max(1, perDay)) + 5;
+  return ctx.mouths * (RATIONS_LB[rations] ?? 2) * daysLeft;
+}
+
+/** @type {Record<string, BotStrategy>} */
+export const STRATEGIES = {
+  cautious: {
+    name: 'cautious',
+    summary: 'Steady pace, rests when anyone is hurt, pays for services, stocks food for the whole trip',
+    plan(game, ctx) {
+      const weakest = Math.min(...ctx.living.map(m => m.health));
+      const food = Number(game.data.inventory.food || 0);
+      // Resting only heals on normal rations or better
+      const rest = weakest <= 3 && food >= ctx.mouths * RATIONS_LB.normal * 2;
+      return {
+        pace: 'steady',
+        rations: rest || food > ctx.mouths * RATIONS_LB.normal * 10 ? 'normal' : 'meager',
+        rest,
+        hunt: food < ctx.mouths * RATIONS_LB.normal * 7
+      };
+    },
+    aim: 0.6,
+    chooseEvent(view) {
+      return bestChoice(view.choices, scoreEffects);
+    },
+    crossHazard(methods, hz, game, ctx) {
+      if (ctx.attempts >= 3) return 'detour';
+      if (has(methods, 'service') && Number(game.data.money || 0) >= 25) return 'service';
+      return 'prep';
+    },
+    chooseRoute(options) {
+      // More shops, then fewer hazards
+      return [...options].sort((a, b) => (b.shops - a.shops) || (a.hazards - b.hazards))[0].leg;
+    },
+    shop(game, catalog, ctx) {
+      // Gas first, even out of the reserve kept for services
+      const gas = supplyOrder(game, catalog, { fuel: fuelForTrip(ctx, 'steady') }, Number(game.data.money || 0));
+      const rest = supplyOrder(game, catalog, { bullets: 40, food: foodForTrip(game, ctx, 'steady', 'normal'), clothes: ctx.alive, wheel: 1, axle: 1 }, Number(game.data.money || 0) - 20, gas);
+      return { ...gas, ...rest };
+    }
+  },
+
+  balanced: {
+    name: 'balanced',
+    summary: 'Strenuous pace while healthy, best-odds crossings, buys food for about half the trip',
+    plan(game, ctx) {
+      const weakest = Math.min(...ctx.living.map(m => m.health));
+      return {
+        pace: weakest >= 4 ? 'strenuous' : 'steady',
+        rations: 'normal',
+        rest: weakest <= 1,
+        hunt: Number(game.data.inventory.food || 0) < ctx.mouths * RATIONS_LB.normal * 5
+      };
+    },
+    aim: 0.5,
+    chooseEvent(view) {
+      return bestChoice(view.choices, scoreEffects);
+    },
+    crossHazard(methods, hz, game, ctx) {
+      if (ctx.attempts >= 4) return 'detour';
+      const odds = (id) => (has(methods, id) ? estimateSuccess(hz, id) ?? 0 : -1);
+      const best = odds('drive') >= odds('prep') ? 'drive' : 'prep';
+      if (odds(best) < 0.5 && has(methods, 'service') && Number(game.data.money || 0) >= 30) return 'service';
+      return best;
+    },
+    chooseRoute(options) {
+      return [...options].sort((a, b) => a.miles - b.miles)[0].leg;
+    },
+    shop(game, catalog, ctx) {
+      return supplyOrder(game, catalog, { fuel: fuelForTrip(ctx, 'strenuous'), bullets: 30, food: foodForTrip(game, ctx, 'strenuous', 'normal') / 2, clothes: ctx.alive }, Number(game.data.money || 0) - 10);
+    }
+  },
+
+  reckless: {
+    name: 'reckless',
+    summary: 'Grueling pace on meager rations, never rests, drives through everything, takes the first choice',
+    plan() {
+      return { pace: 'grueling', rations: 'meager', rest: false, hunt: false };
+    },
+    aim: 0.3,
+    chooseEvent(view) {
+      return view.choices.find(c => !c.disabled)?.id ?? 'continue';
+    },
+    crossHazard(methods, hz, game, ctx) {
+      return ctx.attempts >= 6 ? 'detour' : 'drive';
+    },
+    chooseRoute(options) {
+      return options[0].leg;
+    },
+    shop(game, catalog) {
+      return supplyOrder(game, catalog, { food: 60, fuel: 30 }, Number(game.data.money || 0));
+    }
+  },
+
+  random: {
+    name: 'random',
+    summary: 'Coin flips for everything (a baseline for the other bots)',
+    plan(game, ctx) {
+      return {
+        pace: ctx.rng.pick(['steady', 'strenuous', 'grueling']),
+        rations: ctx.rng.pick(['meager', 'normal', 'generous']),
+        rest: ctx.rng.next() < 0.15,
+        hunt: ctx.rng.next() < 0.2
+      };
+    },
+    aim: 0.3,
+    chooseEvent(view, game, ctx) {
+      const open = view.choices.filter(c => !c.disabled);
+      return open.length ? ctx.rng.pick(open).id : 'continue';
+    },
+    crossHazard(methods, hz, game, ctx) {
+      return ctx.attempts >= 6 ? 'detour' : ctx.rng.pick(methods).id;
+    },
+    chooseRoute(options, game, ctx) {
+      return ctx.rng.pick(options).leg;
+    },
+    shop(game, catalog, ctx) {
+      return supplyOrder(game, catalog, { food: ctx.rng.nextInt(400), bullets: ctx.rng.nextInt(40), fuel: ctx.rng.nextInt(50) }, Number(game.data.money || 0));
+    }
+  }
+};
+
+/**
+ * Play one run to the end (or maxDays) with a bot.
+ * @param {number} seed
+ * @param {BotStrategy} strategy
+ * @param {{ graph?: any, maxDays?: number, startMonth?: number }} [opts] graph: the route graph
+ *   (landmarks.loadRouteGraph(), loaded when missing); startMonth: 1–12 (default April)
+ * @returns {Promise<RunResult>}
+ */
+export async function simulateRun(seed, strategy, { graph = null, maxDays = 365, startMonth } = {}) {
+  const routes = graph || await loadRouteGraph();
+  let lms = routePath(routes);
+  let total = actions.trailMiles(lms);
+  await loadRoles();
+  // No scheduled writes: a run lives in memory only
+  const game = new GameState({ storage: createMemoryStorage(), schedule: () => {} });
+  game.startNewGame(seed, null, { startMonth });
+  const deaths = [];
+  game.bus.on('member:died', ({ cause, day, mile }) => deaths.push({ cause: cause || 'unknown', day, mile }));
+  const rng = RNG.derive(seed, `bot:${strategy.name}`);
+  const counts = { events: 0, hazardAttempts: 0, restDays: 0, hunts: 0, repairs: 0 };
+
+  const ctx = () => {
+    const living = game.data.party.filter(m => m.status !== 'dead');
+    const mouths = living.reduce((n, m) => n + traitsFor(m).appetite, 0);
+    return { rng, living, alive: living.length, mouths, milesLeft: Math.max(0, total - game.data.miles), attempts: 0 };
+  };
+  const over = () => actions.detectGameOver(game, total);
+
+  actions.setOut(game, lms);
+  while (!over() && game.data.day <= maxDays) {
+    const plan = strategy.plan(game, ctx());
+    actions.setPace(game, plan.pace);
+    actions.setRations(game, plan.rations);
+    if (plan.rest) counts.restDays++;
+    // Like the Travel screen: one outing per day, needs bullets
+    if (plan.hunt && Number(game.data.inventory.bullets || 0) > 0 && Number(game.data.flags.lastHuntDay || 0) !== game.data.day) {
+      await botHunt(game, strategy.aim ?? 0.5, rng);
+      counts.hunts++;
+    }
+    const { stopAt = null, session } = plan.rest ? await actions.rest(game, lms) : await actions.travel(game, lms);
+
+    if (session) {
+      counts.events++;
+      for (let i = 0; i < MAX_EVENT_STAGES; i++) {
+        const choice = strategy.chooseEvent(renderStage(session, game), game, ctx());
+        if ((await actions.chooseEvent(game, session, choice)).done) break;
+      }
+    }
+    // Breakdowns: a spare if there is one, else patch it up in the field
+    while (isBroken(game) && !over()) {
+      const { part } = isBroken(game);
+      await actions.repairVehicle(game, part, Number(game.data.inventory[part] || 0) > 0 ? 'spare' : 'improvise');
+      counts.repairs++;
+    }
+    if (over() || !stopAt) continue;
+
+    if (stopAt.hazard?.kind) {
+      for (let attempts = 0; game.data.flags.atLandmarkId === stopAt.id && !over(); attempts++) {
+        const hz = getHazardState(game, stopAt);
+        const methods = listMethods(hz, game);
+        const method = attempts >= MAX_HAZARD_ATTEMPTS ? 'detour' : strategy.crossHazard(methods, hz, game, { ...ctx(), attempts });
+        await actions.attemptHazard(game, stopAt, method);
+        counts.hazardAttempts++;
+      }
+      if (over()) continue;
+    }
+
+    // Like main.js: shop at this stop, or at the service town a crossing carried us past
+    const shop = stopAt.services?.length ? stopAt
+      : lms.filter(l => l.services?.length && l.mile > stopAt.mile && l.mile <= game.data.miles).pop();
+    if (shop) {
+      const catalog = await buildShopCatalog(game, shop);
+      const items = strategy.shop(game, catalog, ctx()) || {};
+      const priced = catalog.filter(c => Number(items[c.id]) > 0);
+      const totalPrice = priced.reduce((s, c) => s + c.price * Number(items[c.id]), 0);
+      if (priced.length && totalPrice <= Number(game.data.money || 0) + 1e-9) {
+        actions.buySupplies(game, shop, items, totalPrice);
+      }
+    }
+    if (stopAt.fork && game.data.miles === stopAt.mile) {
+      const options = forkOptions(routes, stopAt, routeChoices(game));
+      actions.chooseRoute(game, stopAt, strategy.chooseRoute(options, game, ctx()));
+      lms = routePath(routes, routeChoices(game));
+      total = actions.trailMiles(lms);
+    }
+    actions.leaveLandmark(game, shop || stopAt);
+  }
+
+  const result = over();
+  const party = game.data.party;
+  return {
+    seed,
+    outcome: result ? result.reason : 'timeout',
+    days: game.data.day - 1,
+    miles: Math.round(game.data.miles),
+    survivors: party.filter(m => m.status !== 'dead').length,
+    partySize: party.length,
+    food: Number(game.data.inventory.food || 0),
+    money: Number(game.data.money || 0),
+    deaths,
+    route: [...new Set(lms.map(l => l.leg))],
+    ...counts
+  };
+}
+
+/**
+ * Aggregate stats over many runs.
+ * @param {RunResult[]} runs
+ */
+export function summarizeRuns(runs) {
+  const n = runs.length || 1;
+  const avg = (list, fn) => (list.length ? list.reduce((s, r) => s + fn(r), 0) / list.length : 0);
+  const completed = runs.filter(r => r.outcome === 'completed');
+  const deathsByCause = {};
+  for (const r of runs) {
+    for (const d of r.deaths) deathsByCause[d.cause] = (deathsByCause[d.cause] || 0) + 1;
+  }
+  return {
+    runs: runs.length,
+    completed: completed.length,
+    completionRate: completed.length / n,
+    partyDeadRate: runs.filter(r => r.outcome === 'party_dead').length / n,
+    timeoutRate: runs.filter(r => r.outcome === 'timeout').length / n,
+    avgDays: avg(runs, r => r.days),
+    avgDaysCompleted: avg(completed, r => r.days),
+    avgSurvivors: avg(runs, r => r.survivors),
+    avgPartySize: avg(runs, r => r.partySize),
+    avgFoodAtEnd: avg(runs, r => r.food),
+    avgMiles: avg(runs, r => r.miles),
+    avgRepairs: avg(runs, r => r.repairs || 0),
+    routes: countBy(runs, r => (r.route || []).join(' → ')),
+    deathsByCause
+  };
+}
+
+/**
+ * One headless hunt: shoot at the biggest game animal fully in view, hitting with chance `aim`.
+ * Like a sensible player, it ignores rabbits and stops once it has all it can carry.
+ */
+async function botHunt(game, aim, rng) {
+  const { state, update, shoot, end } = await createHuntSession(game, { width: 640, height: 360 });
+  for (let t = 0; !state.ended && state.timeLeft > 0; t++) {
+    update(game, HUNT_TICK_SEC);
+    const nowMs = t * HUNT_TICK_SEC * 1000;
+    if (state.meatTotal >= state.carryCapLb || !Number(game.data.inventory.bullets || 0)) break;
+    if (nowMs - state.lastShotAt < HUNT.shotCooldownMs) continue;
+    const inView = state.animals.filter(m => m.species.yieldLb >= MIN_GAME_LB && m.x >= 0 && m.x + m.w <= state.W);
+    if (!inView.length) continue;
+    const target = inView.reduce((a, b) => (b.w * b.h > a.w * a.h ? b : a));
+    // A miss still spends the bullet
+    if (rng.next() < aim) shoot(game, target.x + target.w / 2, target.y + target.h / 2, nowMs);
+    else shoot(game, -1, -1, nowMs);
+  }
+  actions.finishHunt(game, end());
+}
+
+function bestChoice(choices, score) {
+  const open = choices.filter(c => !c.disabled);
+  if (!open.length) return 'continue';
+  let best = open[0];
+  for (const c of open) if (score(c.effects) > score(best.effects)) best = c;
+  return best.id;
+}
+
+function has(methods, id) {
+  return methods.some(m => m.id === id);
+}
+
+function countBy(list, key) {
+  const out = {};
+  for (const x of list) out[key(x)] = (out[key(x)] || 0) + 1;
+  return out;
+}
+
+/**
+ * @typedef {Object} BotContext
+ * @property {RNG} rng bot-only randomness
+ * @property {any[]} living party members still alive
+ * @property {number} alive
+ * @property {number} mouths full adult rations the living party eats (see systems/roles.js)
+ * @property {number} milesLeft
+ * @property {number} attempts tries so far at the current hazard (crossHazard only)
+ */
+
+/**
+ * @typedef {Object} BotStrategy
+ * @property {string} name
+ * @property {string} summary
+ * @property {(game:any, ctx:BotContext) => { pace:string, rations:string, rest:boolean, hunt:boolean }} plan  before each day
+ * @property {number} aim chance (0..1) that a hunting shot at a visible animal hits
+ * @property {(view:ReturnType<typeof renderStage>, game:any, ctx:BotContext) => string} chooseEvent  choice id
+ * @property {(methods:{ id:string }[], hazard:any, game:any, ctx:BotContext) => string} crossHazard  method id
+ * @property {(game:any, catalog:any[], ctx:BotContext) => Record<string, number>} shop  quantities to buy
+ * @property {(options:ReturnType<typeof forkOptions>, game:any, ctx:BotContext) => string} chooseRoute  leg id at a fork
+ */
+
+/**
+ * @typedef {Object} RunResult
+ * @property {number} seed
+ * @property {'completed'|'party_dead'|'timeout'} outcome
+ * @property {number} days
+ * @property {number} miles
+ * @property {number} survivors
+ * @property {number} partySize
+ * @property {number} food
+ * @property {number} money
+ * @property {{ cause:string, day:number, mile:number }[]} deaths
+ * @property {number} events
+ * @property {number} hazardAttempts
+ * @property {number} restDays
+ * @property {number} hunts
+ * @property {number} repairs vehicle repairs (spares installed or field fixes tried)
+ * @property {string[]} route leg ids of the path taken
+ */
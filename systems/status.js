@@ -1,8 +1,12 @@
 // systems/status.js
 // Light, humorous status conditions ("diseases") for Canadian Trail.
-// Deterministic via game.rng; save-compatible; effects are aggregated each day.
+// Deterministic via game.rngFor('status'); save-compatible; effects are aggregated each day.
+// Conditions with a `trigger.cause` are never picked at random; their system starts them (acquireCondition).
+// Morale tilts the pick: mood conditions are likelier when the party is low (systems/morale.js).
 
 import { loadJSON, showInitError } from './jsonLoader.js';
+import { addLog } from './log.js';
+import { moodWeightMult, mournMember } from './morale.js';
 
 let _config = null;
 let _loadPromise = null;
@@ -88,26 +92,46 @@ if (after.length) {
     // Remove expired and write logs
     for (const a of after) {
     const { cond } = a;
-    game.data.log.push(`${cond.emoji} Recovered from ${cond.name}.`);
+    addLog(game, 'health', 'status.recovered', { id: cond.id, emoji: cond.emoji, name: cond.name });
     }
 game.data.status.conditions = game.data.status.conditions.filter(c => c.daysRemaining > 0);
 }
 
 // Try to acquire a new condition (bounded)
 if (game.data.status.conditions.length < _config.maxConcurrent) {
-if (game.rng.next() < _config.baseDailyAcquireChance) {
+if (game.rngFor('status').next() < _config.baseDailyAcquireChance) {
 const eligible = _config.conditions.filter(c => {
 const trig = c.trigger || {};
 const minDay = Math.max(0, trig.minDay || 0);
 const cooldown = Math.max(0, trig.cooldownDays || 0);
 const lastEnd = game.data.status.history[c.id]?.lastEndDay ?? -9999;
 const cooled = (today - lastEnd) >= cooldown;
-return today >= minDay && cooled && !game.data.status.conditions.find(ac => ac.id === c.id);
+return !trig.cause && today >= minDay && cooled && !game.data.status.conditions.find(ac => ac.id === c.id);
 });
-const pick = weightedPick(game.rng, eligible || []);
-if (pick) {
+const mood = moodWeightMult(game);
+const pick = weightedPick(game.rngFor('status'), eligible.map(c => (c.kind === 'mood' ? { ...c, weight: (c.weight || 0) * mood } : c)));
+if (pick) addCondition(game, pick, today);
+}
+}
+
+// Update history (track last seen end day for cooldowns)
+for (const c of game.data.status.conditions) {
+// ensure presence in history map
+game.data.status.history[c.id] = game.data.status.history[c.id] || {};
+}
+// When something ended, stamp lastEndDay
+for (const a of after) {
+const m = game.data.status.history[a.cond.id] = game.data.status.history[a.cond.id] || {};
+m.lastEndDay = today;
+}
+
+return after;
+}
+
+/** Start a condition from its config (duration rolled on rngFor('status')) */
+function addCondition(game, pick, today) {
 const [dMin, dMax] = Array.isArray(pick.durationDays) ? pick.durationDays : [2, 3];
-const dur = Math.max(1, randintIncl(game.rng, dMin, dMax));
+const dur = Math.max(1, randintIncl(game.rngFor('status'), dMin, dMax));
 const instance = {
 id: pick.id,
 name: pick.name,
@@ -121,24 +145,26 @@ hungerMult: typeof pick?.effects?.hungerMult === 'number' ? pick.effects.hungerM
 },
 blurb: pick.blurb || ''
 };
-      game.data.status.conditions.push(instance);
-      game.data.log.push(`${instance.emoji} ${instance.name} — ${instance.blurb} (${dur} day${dur > 1 ? 's' : ''}).`);
-}
-}
+game.data.status.conditions.push(instance);
+addLog(game, 'health', 'status.acquired', { id: instance.id, emoji: instance.emoji, name: instance.name, blurb: instance.blurb, days: dur });
+game.bus.emit('condition:acquired', { condition: instance, day: today });
+game.data.status.history[instance.id] = game.data.status.history[instance.id] || {};
+return instance;
 }
 
-// Update history (track last seen end day for cooldowns)
-for (const c of game.data.status.conditions) {
-// ensure presence in history map
-game.data.status.history[c.id] = game.data.status.history[c.id] || {};
-}
-// When something ended, stamp lastEndDay
-for (const a of after) {
-const m = game.data.status.history[a.cond.id] = game.data.status.history[a.cond.id] || {};
-m.lastEndDay = today;
-}
+/**
 
-return after;
+Start a condition with a `trigger.cause` (never picked at random), e.g. frostbite from
+cold exposure (cold.js). Does nothing while it is active or the party is at maxConcurrent.
+Returns the new condition or null.
+*/
+export async function acquireCondition(game, id) {
+ensureState(game);
+await ensureLoaded();
+const pick = _config.conditions.find(c => c.id === id);
+const active = game.data.status.conditions;
+if (!pick || active.length >= _config.maxConcurrent || active.some(c => c.id === id)) return null;
+return addCondition(game, pick, Number(game.data.day) || 1);
 }
 
 /**
@@ -158,7 +184,7 @@ const e = c.effects || {};
 if (typeof e.speedMult === 'number') speedMult *= e.speedMult;
 if (typeof e.hungerMult === 'number') hungerMult *= e.hungerMult;
 const p = Math.min(1, Math.max(0, e.healthChancePerDay || 0));
-if (p > 0 && game.rng.next() < p) {
+if (p > 0 && game.rngFor('status').next() < p) {
 healthDelta -= 1;
 }
 }
@@ -167,6 +193,25 @@ return { speedMult, hungerMult, healthDelta };
 
 /**
 
+Expected daily modifiers from active conditions, for forecasts: nothing is rolled, and
+healthDelta is the average loss (fractions allowed) rather than a rolled integer.
+*/
+export function expectedModifiers(game) {
+const conditions = Array.isArray(game?.data?.status?.conditions) ? game.data.status.conditions : [];
+let speedMult = 1;
+let hungerMult = 1;
+let healthDelta = 0;
+for (const c of conditions) {
+const e = c.effects || {};
+if (typeof e.speedMult === 'number') speedMult *= e.speedMult;
+if (typeof e.hungerMult === 'number') hungerMult *= e.hungerMult;
+healthDelta -= Math.min(1, Math.max(0, e.healthChancePerDay || 0));
+}
+return { speedMult, hungerMult, healthDelta };
+}
+
+/**
+
 Apply a group health delta (negative hurts, positive heals) to all alive members.
 
 Clamps health to 0..5 and logs a concise summary.
@@ -179,16 +224,25 @@ for (const m of party) {
 if (m.status !== 'dead') {
 m.health = Math.max(0, Math.min(5, (m.health | 0) + delta));
       if (m.health === 0) {
-      m.status = 'dead';
-      game.data.log.push(`${m.name} died${reason ? ` (${reason})` : ''}.`);
+      markMemberDead(game, m, reason);
+      addLog(game, 'health', 'health.died', { member: m.id, name: m.name, reason });
       }
 }
 }
-  if (delta > 0) {
-  game.data.log.push(`Party recovered ${delta} health each${reason ? ` (${reason})` : ''}.`);
-  } else {
-  game.data.log.push(`Party lost ${-delta} health each${reason ? ` (${reason})` : ''}.`);
-  }
+  addLog(game, 'health', 'health.party', { delta, reason });
+}
+
+/**
+
+Mark a party member dead and announce it (member:died) with its cause.
+
+Callers write their own log line.
+*/
+export function markMemberDead(game, member, cause = '') {
+if (!member || member.status === 'dead') return;
+member.status = 'dead';
+mournMember(game, member);
+game.bus.emit('member:died', { member, cause, day: Number(game.data.day) || 1, mile: Math.round(Number(game.data.miles) || 0) });
 }
 
 /** Small utility for UI to list active funny chips (optional for now) */
@@ -1,9 +1,25 @@
 // systems/travel.js
 // Travel & rest day logic with deterministic overlays from weather & status.
 // Maintains original public API from the spec and adds no external deps.
+// The day itself is a set of phases registered on systems/dayPipeline.js;
+// applyTravelDay()/applyRestDay() run one day through the whole pipeline.
+// Food use and health changes are per member, scaled by role and age (systems/roles.js);
+// each member's health change is rolled from rngFor('health') and kept in member.lastChange.
+// An overloaded vehicle covers fewer miles (cargo weight, systems/cargo.js).
+// Miles burn fuel (systems/fuel.js); an empty tank stalls the day.
+// A day's drive ends early at a fork in the road, so the player can pick a route (systems/landmarks.js).
+// Members without warm clothes lose health to the cold (systems/cold.js, ctx.cold.exposure).
+// A cheerful party covers more miles, a miserable one fewer (systems/morale.js).
 
 import { rollForDay, getModifiersForToday } from './weather.js';
-import { tickAndMaybeAcquire, getAggregatedModifiers, applyGroupHealthDelta } from './status.js';
+import { tickAndMaybeAcquire, getAggregatedModifiers, applyGroupHealthDelta, markMemberDead } from './status.js';
+import { addLog } from './log.js';
+import { registerPhase, runDay } from './dayPipeline.js';
+import { loadRoles, traitsFor } from './roles.js';
+import { loadItemWeights, loadSpeedMult } from './cargo.js';
+import { fuelRange, burnFuel } from './fuel.js';
+import { forkAhead, routeChoices } from './landmarks.js';
+import { moraleSpeedMult } from './morale.js';
 
 // Pace and rations constants (exported)
 export const PACE = {
@@ -44,26 +60,91 @@ default: return 0;
 
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
-function countAlive(game) {
-return (game?.data?.party || []).filter(m => m.status !== 'dead').length;
+function livingMembers(game) {
+return (game?.data?.party || []).filter(m => m.status !== 'dead');
 }
 
-function consumeFood(game, pounds) {
+// Health change causes (member.lastChange.parts keys); the biggest loss names the cause of death
+export const HEALTH_CAUSE_LABELS = {
+exhaustion: 'pace',
+starvation: 'hunger',
+exposure: 'weather',
+illness: 'illness',
+cold: 'cold',
+rest: 'rest'
+};
+
+function consumeFood(game, pounds, source) {
 pounds = Math.max(0, Math.round(pounds));
 const inv = game.data.inventory;
 const before = inv.food | 0;
 const consumed = Math.min(before, pounds);
 inv.food = Math.max(0, before - consumed);
+if (consumed) game.bus.emit('inventory:changed', { item: 'food', delta: -consumed, value: inv.food, source });
 return { consumed, shortage: Math.max(0, pounds - consumed) };
 }
 
-function applyHealthToParty(game, delta) {
-const party = game.data.party || [];
-for (const m of party) {
-if (m.status === 'dead') continue;
+/**
+Expected health change for one member today, by cause (fractions allowed).
+Also used for forecasts (systems/forecast.js).
+*/
+export function memberHealthParts(member, { kind, pace, rations, starvation, weather, illness, cold = null, restMult = 1 }) {
+const t = traitsFor(member);
+const parts = {};
+if (kind === 'travel' && paceHealthDelta(pace)) parts.exhaustion = paceHealthDelta(pace) * t.pace;
+if (starvation) {
+parts.starvation = -2 * t.starvation; // starvation penalty
+} else if (kind === 'rest' && (rations === RATIONS.NORMAL || rations === RATIONS.GENEROUS)) {
+parts.rest = restMult * t.restHeal; // base rest healing by rations (less on a camp work day)
+}
+if (weather) parts.exposure = weather < 0 ? weather * t.cold : weather;
+if (illness) parts.illness = illness < 0 ? illness * t.illness : illness;
+if (cold?.get(member.id)) parts.cold = -cold.get(member.id) * t.cold; // cold.js: no warm clothes, or a bitter day
+return parts;
+}
+
+/**
+Roll each living member's health change and apply it.
+A fractional expectation rounds away from zero with a chance equal to the fraction.
+Returns [{ member, delta, parts }].
+*/
+function applyHealthToParty(game, day, opts) {
+const rng = game.rngFor('health');
+const out = [];
+for (const m of livingMembers(game)) {
+const parts = memberHealthParts(m, opts);
+const expected = Object.values(parts).reduce((a, b) => a + b, 0);
+const whole = Math.trunc(expected);
+const frac = Math.abs(expected - whole);
+const delta = whole + (rng.next() < frac ? Math.sign(expected) : 0);
 m.health = clamp((m.health | 0) + delta, 0, 5);
-if (m.health === 0) m.status = 'dead';
+m.lastChange = { day, delta, parts: roundParts(parts) };
+if (m.health === 0) markMemberDead(game, m, worstCause(parts));
+out.push({ member: m, delta, parts });
+}
+return out;
 }
+
+function worstCause(parts) {
+let worst = 'exhaustion';
+let min = 0;
+for (const [cause, n] of Object.entries(parts)) {
+if (n < min) { min = n; worst = cause; }
+}
+return worst;
+}
+
+function roundParts(parts) {
+const out = {};
+for (const [cause, n] of Object.entries(parts)) out[cause] = Math.round(n * 100) / 100;
+return out;
+}
+
+/** Pounds of food the living party eats per day at the current rations (before weather/status) */
+export function dailyFoodNeed(game) {
+const rations = game.data.settings?.rations || RATIONS.NORMAL;
+const perPersonLb = RATIONS_LB[rations] ?? RATIONS_LB[RATIONS.NORMAL];
+return livingMembers(game).reduce((sum, m) => sum + perPersonLb * traitsFor(m).appetite, 0);
 }
 
 // Derived helper (exported by spec)
@@ -86,55 +167,8 @@ mutates miles, food, health, logs
 
 integrates daily weather & status overlays (deterministic)
 */
-export async function applyTravelDay(game) {
-// 1) Daily overlays (roll+tick) based on current day BEFORE increment
-const today = game.data.day;
-await rollForDay(game, today); // writes a weather log line
-await tickAndMaybeAcquire(game); // may write acquire/recover logs
-
-const w = getModifiersForToday(game);
-const s = getAggregatedModifiers(game);
-
-// 2) Compute base travel production
-const alive = countAlive(game);
-const pace = game.data.settings?.pace || PACE.STEADY;
-const rations = game.data.settings?.rations || RATIONS.NORMAL;
-
-const baseMiles = Math.round(BASE_MPD * paceMultiplier(pace));
-// Overlay speed multiplier (weather × status)
-const speedMult = Math.max(0, (w.speedMult || 1) * (s.speedMult || 1));
-const milesTraveled = Math.max(0, Math.round(baseMiles * speedMult));
-
-// Food consumption (overlay appetite multiplier applies)
-const appetiteMult = Math.max(0, (w.hungerMult || 1) * (s.hungerMult || 1));
-const perPersonLb = RATIONS_LB[rations] ?? RATIONS_LB[RATIONS.NORMAL];
-const plannedFood = Math.round(alive * perPersonLb * appetiteMult);
-const { consumed: foodConsumed, shortage } = consumeFood(game, plannedFood);
-
-// Health: pace + starvation + overlay deltas
-let healthDelta = paceHealthDelta(pace);
-let starvation = false;
-if (shortage > 0) {
-healthDelta += -2; // starvation penalty
-starvation = true;
-}
-healthDelta += (w.healthDelta | 0) + (s.healthDelta | 0);
-
-// 3) Apply state
-game.data.miles = Math.max(0, (game.data.miles | 0) + milesTraveled);
-if (healthDelta !== 0) applyHealthToParty(game, healthDelta);
-game.data.day = (game.data.day | 0) + 1;
-
-// 4) Log concise summary
-const paceLabel = {
-[PACE.STEADY]: 'Steady',
-[PACE.STRENUOUS]: 'Strenuous',
-[PACE.GRUELING]: 'Grueling'
-}[pace] || 'Steady';
-const summary = `${paceLabel} pace: traveled ${milesTraveled} mi, ate ${foodConsumed} lb${starvation ? ' (shortage!)' : ''}${healthDelta ? `, health ${healthDelta > 0 ? '+' : ''}${healthDelta}` : ''}.`;
-game.data.log.push(summary);
-
-return { milesTraveled, foodConsumed, healthDelta, starvation };
+export async function applyTravelDay(game, opts = {}) {
+return daySummary(await runDay(game, { ...opts, kind: 'travel' }));
 }
 
 /**
@@ -143,40 +177,110 @@ Rest day: consumes food and heals a bit. Weather & statuses can reduce or boost.
 
 Returns same shape as travel.
 */
-export async function applyRestDay(game) {
-// Roll/tick for the current day
-const today = game.data.day;
-await rollForDay(game, today);
-await tickAndMaybeAcquire(game);
-
-const w = getModifiersForToday(game);
-const s = getAggregatedModifiers(game);
+export async function applyRestDay(game, opts = {}) {
+return daySummary(await runDay(game, { ...opts, kind: 'rest' }));
+}
 
-const alive = countAlive(game);
-const rations = game.data.settings?.rations || RATIONS.NORMAL;
+/** The classic travel/rest result shape from a finished DayContext */
+export function daySummary(ctx) {
+return {
+milesTraveled: ctx.milesTraveled,
+foodConsumed: ctx.foodConsumed,
+healthDelta: ctx.healthDelta,
+starvation: ctx.shortage > 0
+};
+}
 
-// Food consumption on rest still uses appetite overlay
+// ---------------- day phases ----------------
+
+// Day boundary: rewind snapshot (casual mode) before anything changes
+registerPhase('pre-day', 'travel.start', (ctx) => {
+ctx.game.snapshotDay?.();
+ctx.game.bus.emit('day:start', { day: ctx.day, kind: ctx.kind });
+});
+
+// Daily overlays based on the current day BEFORE increment
+registerPhase('weather', 'weather.roll', async (ctx) => {
+await rollForDay(ctx.game, ctx.day); // writes a weather log line
+ctx.weatherMods = getModifiersForToday(ctx.game);
+});
+
+registerPhase('status', 'status.tick', async (ctx) => {
+await tickAndMaybeAcquire(ctx.game); // may write acquire/recover logs
+ctx.statusMods = getAggregatedModifiers(ctx.game);
+});
+
+// Food consumption: each member's share by role and age (overlay appetite multiplier applies, resting too)
+registerPhase('consumption', 'travel.food', async (ctx) => {
+const { game, weatherMods: w, statusMods: s } = ctx;
+await loadRoles();
 const appetiteMult = Math.max(0, (w.hungerMult || 1) * (s.hungerMult || 1));
-const perPersonLb = RATIONS_LB[rations] ?? RATIONS_LB[RATIONS.NORMAL];
-const plannedFood = Math.round(alive * perPersonLb * appetiteMult);
-const { consumed: foodConsumed, shortage } = consumeFood(game, plannedFood);
-
-// Base rest healing by rations (only if not starving)
-let healthDelta = 0;
-if (shortage > 0) {
-healthDelta += -2;
-} else {
-if (rations === RATIONS.NORMAL || rations === RATIONS.GENEROUS) healthDelta += 1;
+const plannedFood = Math.round(dailyFoodNeed(game) * appetiteMult);
+const { consumed, shortage } = consumeFood(game, plannedFood, ctx.kind);
+ctx.foodConsumed = consumed;
+ctx.shortage = shortage;
+});
+
+// Miles: pace × overlay speed multiplier (weather × status) × load, as far as the fuel (and the next fork) allows
+registerPhase('movement', 'travel.miles', async (ctx) => {
+if (ctx.kind !== 'travel' || ctx.stalled) return;
+const { game, weatherMods: w, statusMods: s } = ctx;
+await loadItemWeights();
+ctx.loadMult = loadSpeedMult(game);
+const speedMult = Math.max(0, (w.speedMult || 1) * (s.speedMult || 1) * ctx.loadMult * moraleSpeedMult(game));
+const fork = ctx.landmarks && forkAhead(ctx.landmarks, ctx.startMiles, routeChoices(game));
+const planned = Math.min(Math.max(0, Math.round(milesPerDay(game) * speedMult)), fork ? fork.mile - ctx.startMiles : Infinity);
+ctx.milesTraveled = Math.min(planned, fuelRange(game, w.speedMult));
+if (ctx.milesTraveled < planned) {
+ctx.outOfFuel = true;
+ctx.stalled = ctx.milesTraveled === 0; // nothing in the tank: a day spent by the roadside
+addLog(game, 'vehicle', ctx.stalled ? 'fuel.empty' : 'fuel.ranOut', { miles: ctx.milesTraveled });
 }
-
-// Apply overlays
-healthDelta += (w.healthDelta | 0) + (s.healthDelta | 0);
-
-if (healthDelta !== 0) applyHealthToParty(game, healthDelta);
+burnFuel(game, ctx.milesTraveled, w.speedMult);
+game.data.miles = Math.max(0, (game.data.miles | 0) + ctx.milesTraveled);
+});
+
+// Health: pace (travel) or rest healing, starvation, overlays, per member; then the day ends
+registerPhase('health', 'travel.health', (ctx) => {
+const { game, weatherMods: w, statusMods: s } = ctx;
+const starvation = ctx.shortage > 0;
+const rations = game.data.settings?.rations || RATIONS.NORMAL;
+const pace = game.data.settings?.pace || PACE.STEADY;
+ctx.memberHealth = applyHealthToParty(game, ctx.day, {
+kind: ctx.kind, pace: ctx.stalled ? PACE.STEADY : pace, // a stalled day costs no effort
+rations, starvation, weather: w.healthDelta | 0, illness: s.healthDelta | 0, cold: ctx.cold?.exposure, restMult: ctx.restMult
+});
+// Party average, for the summary lines
+const n = ctx.memberHealth.length;
+const healthDelta = n ? Math.round(ctx.memberHealth.reduce((a, r) => a + r.delta, 0) / n * 10) / 10 : 0;
+ctx.healthDelta = healthDelta;
 game.data.day = (game.data.day | 0) + 1;
 
-const summary = `Rested: ate ${foodConsumed} lb${shortage ? ' (shortage!)' : ''}${healthDelta ? `, health ${healthDelta > 0 ? '+' : ''}${healthDelta}` : ''}.`;
-game.data.log.push(summary);
-
-return { milesTraveled: 0, foodConsumed, healthDelta, starvation: shortage > 0 };
+// Log concise summary (for the day just finished)
+if (ctx.kind === 'travel') {
+addLog(game, 'travel', 'travel.day', { pace, miles: ctx.milesTraveled, food: ctx.foodConsumed, shortage: starvation, health: healthDelta, overloaded: ctx.loadMult < 1 }, { day: ctx.day });
+} else {
+addLog(game, 'travel', 'travel.rest', { food: ctx.foodConsumed, shortage: starvation, health: healthDelta }, { day: ctx.day });
+}
+});
+
+// Player-chosen days get the "Day N: …" recap line
+registerPhase('post-day', 'travel.end', (ctx) => {
+const { game } = ctx;
+const summary = daySummary(ctx);
+if (ctx.source === 'player') {
+if (ctx.kind === 'travel') {
+addLog(game, 'travel', 'travel.summary', {
+day: ctx.day, miles: summary.milesTraveled, food: summary.foodConsumed,
+starving: summary.starvation, health: summary.healthDelta
+}, { day: ctx.day });
+} else {
+addLog(game, 'travel', 'rest.summary', {
+day: ctx.day, food: summary.foodConsumed, starving: summary.starvation, health: summary.healthDelta
+}, { day: ctx.day });
+}
 }
+game.bus.emit('day:end', { day: ctx.day, kind: ctx.kind, ...summary });
+game.syncRngState?.(); // saved stream states match the live ones at every day end
+game.markDirty?.();
+});
@@ -0,0 +1,145 @@
+// systems/vehicle.js
+// The vehicle itself: wear per part, breakdowns and repairs.
+// - game.data.vehicle = { wear: { wheel, axle, tongue }, broken: null | { part, day, mile } };
+//   wear runs from 0 (new) to 100 (worn out)
+// - Travel days add wear by miles driven, pace and the terrain of the stretch
+//   (landmarks.json `terrain` on the landmark ahead); failed hazard attempts jolt a part (river.js)
+// - Parts past WEAR_SAFE roll for a breakdown at the end of every travel day (rngFor('vehicle')).
+//   A broken vehicle goes nowhere: travel days still pass, but without miles,
+//   until a spare is installed or a repair is improvised
+// - Repairs are player decisions and go through actions.repairVehicle() so they are journaled
+
+import { PACE, applyRestDay } from './travel.js';
+import { registerPhase } from './dayPipeline.js';
+import { addLog } from './log.js';
+
+export const PARTS = /** @type {const} */ (['wheel', 'axle', 'tongue']);
+
+// Wear per mile on highway at a steady pace
+const WEAR_PER_MILE = { wheel: 0.09, axle: 0.065, tongue: 0.05 };
+const PACE_WEAR = { [PACE.STEADY]: 1, [PACE.STRENUOUS]: 1.4, [PACE.GRUELING]: 1.9 };
+
+export const TERRAIN = {
+  highway: { label: 'Highway', wear: 1 },
+  gravel:  { label: 'Gravel road', wear: 1.3 },
+  rough:   { label: 'Rough track', wear: 1.6 }
+};
+
+export const WEAR_SAFE = 60;            // no breakdowns below this
+const MAX_BREAKDOWN_CHANCE = 0.3;       // per part and travel day, at 100 wear
+export const HAZARD_JOLT = 20;          // wear added by a failed hazard attempt
+const IMPROVISE_ODDS = { wheel: 0.6, axle: 0.45, tongue: 0.55 };
+const IMPROVISED_WEAR = 75;             // a field fix holds, but not for long
+
+/** Live vehicle state, created (all parts new) when missing */
+export function getVehicle(game) {
+  const g = game.data;
+  if (!g.vehicle || typeof g.vehicle !== 'object') g.vehicle = { wear: {}, broken: null };
+  if (!g.vehicle.wear || typeof g.vehicle.wear !== 'object') g.vehicle.wear = {};
+  for (const p of PARTS) {
+    if (typeof g.vehicle.wear[p] !== 'number') g.vehicle.wear[p] = 0;
+  }
+  g.vehicle.broken ??= null;
+  return g.vehicle;
+}
+
+/** The breakdown stopping the vehicle, or null */
+export function isBroken(game) {
+  return game.data.vehicle?.broken || null;
+}
+
+/** Chance a part with this much wear breaks on a travel day */
+export function breakdownChance(wear) {
+  if (wear <= WEAR_SAFE) return 0;
+  const over = Math.min(1, (wear - WEAR_SAFE) / (100 - WEAR_SAFE));
+  return MAX_BREAKDOWN_CHANCE * over * over;
+}
+
+/** Terrain key of the stretch beyond `miles` (the next landmark's `terrain`) */
+export function terrainAt(landmarks, miles) {
+  const next = (landmarks || []).find(l => Number(l.mile) > miles);
+  return TERRAIN[next?.terrain] ? next.terrain : 'highway';
+}
+
+/** Add wear to one part (clamped to 0–100) */
+export function addWear(game, part, amount) {
+  const v = getVehicle(game);
+  v.wear[part] = round1(Math.max(0, Math.min(100, v.wear[part] + amount)));
+  return v.wear[part];
+}
+
+/** Chance an improvised repair of `part` works */
+export function improviseOdds(part) {
+  return IMPROVISE_ODDS[part] ?? 0.5;
+}
+
+/**
+ * Repair a part. 'spare' installs one from inventory (any part, no time);
+ * 'improvise' fixes the broken part in the field: it takes a day and may fail.
+ * Call through actions.repairVehicle(), which journals the decision.
+ * @param {'wheel'|'axle'|'tongue'} part
+ * @param {'spare'|'improvise'} method
+ * @returns {Promise<{ ok:boolean, fixed:boolean, text:string }>} fixed: the vehicle can move again
+ */
+export async function repairPart(game, part, method) {
+  const v = getVehicle(game);
+  if (!PARTS.includes(part)) return { ok: false, fixed: !v.broken, text: 'There is no such part.' };
+  if (method === 'spare') {
+    const have = Number(game.data.inventory[part] || 0);
+    if (have <= 0) return { ok: false, fixed: !v.broken, text: `No spare ${part} on board.` };
+    game.data.inventory[part] = have - 1;
+    game.bus.emit('inventory:changed', { item: part, delta: -1, value: game.data.inventory[part], source: 'repair' });
+    v.wear[part] = 0;
+    if (v.broken?.part === part) v.broken = null;
+    addLog(game, 'vehicle', 'vehicle.spare', { part });
+    game.markDirty();
+    return { ok: true, fixed: !v.broken, text: `A fresh ${part} goes on. Good as new.` };
+  }
+  if (method === 'improvise') {
+    if (v.broken?.part !== part) return { ok: false, fixed: !v.broken, text: `The ${part} is not broken.` };
+    await applyRestDay(game, { source: 'repair' });
+    const ok = game.rngFor('vehicle').next() < improviseOdds(part);
+    if (ok) {
+      v.wear[part] = IMPROVISED_WEAR;
+      v.broken = null;
+    }
+    addLog(game, 'vehicle', ok ? 'vehicle.improvised' : 'vehicle.improviseFailed', { part });
+    game.markDirty();
+    return ok
+      ? { ok, fixed: true, text: `Baling wire, duct tape and a prayer: the ${part} holds. For now.` }
+      : { ok, fixed: false, text: `A day of tinkering, and the ${part} is still broken.` };
+  }
+  return { ok: false, fixed: !v.broken, text: 'Unsure how to fix that.' };
+}
+
+// ---------------- day phases ----------------
+
+// A broken vehicle spends travel days going nowhere
+registerPhase('pre-day', 'vehicle.check', (ctx) => {
+  const broken = ctx.kind === 'travel' && isBroken(ctx.game);
+  if (!broken) return;
+  ctx.stalled = true;
+  addLog(ctx.game, 'vehicle', 'vehicle.stalled', { part: broken.part });
+});
+
+// Wear from today's miles, then one breakdown roll per part (registered after travel.miles)
+registerPhase('movement', 'vehicle.wear', (ctx) => {
+  const { game } = ctx;
+  if (ctx.kind !== 'travel' || ctx.milesTraveled <= 0) return;
+  const v = getVehicle(game);
+  const terrain = terrainAt(ctx.landmarks, ctx.startMiles);
+  const mult = (PACE_WEAR[game.data.settings?.pace] ?? 1) * TERRAIN[terrain].wear;
+  for (const p of PARTS) addWear(game, p, WEAR_PER_MILE[p] * ctx.milesTraveled * mult);
+
+  const rng = game.rngFor('vehicle');
+  for (const p of PARTS) {
+    const hit = rng.next() < breakdownChance(v.wear[p]);
+    if (!hit || v.broken) continue;
+    v.broken = { part: p, day: ctx.day, mile: Math.round(game.data.miles) };
+    ctx.breakdown = p;
+    addLog(game, 'vehicle', 'vehicle.breakdown', { part: p, terrain: TERRAIN[terrain].label }, { day: ctx.day });
+    game.bus.emit('vehicle:broken', { part: p, day: ctx.day, mile: v.broken.mile, wear: v.wear[p] });
+  }
+});
+
+function round1(n) { return Math.round(Number(n) * 10) / 10; }
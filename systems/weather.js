@@ -1,15 +1,18 @@
 // systems/weather.js
 // Deterministic daily weather overlay for Canadian Trail.
-// Loads /data/weather.json and rolls one pattern per in-game day,
+// Loads /data/weather.json and rolls one pattern per in-game day from rngFor('weather', day),
 // storing it under game.data.weather.today. Effects are applied by travel.js.
+// Each pattern's weight is scaled by its `seasons` multiplier for the day's season (calendar.js).
 
 import { loadJSON, showInitError } from './jsonLoader.js';
+import { addLog } from './log.js';
+import { gameDate, SEASONS } from './calendar.js';
 
 // Fallback patterns if JSON fails to load (keeps game playable)
 const FALLBACK = [
-{ id: 'nice_day', name: 'Bluebird Nice Day', emoji: '☀️', blurb: 'Clear skies.', weight: 4, mods: { speedMult: 1.1, healthDelta: 0, hungerMult: 1.0 } },
-{ id: 'whiteout_eh', name: 'Whiteout, eh?', emoji: '❄️', blurb: 'Snow from all directions.', weight: 2, mods: { speedMult: 0.65, healthDelta: -1, hungerMult: 1.05 } },
-{ id: 'geese_headwind', name: 'Geese Headwind', emoji: '🪿', blurb: 'Honks increase drag.', weight: 3, mods: { speedMult: 0.8, healthDelta: 0, hungerMult: 1.0 } }
+{ id: 'nice_day', name: 'Bluebird Nice Day', emoji: '☀️', blurb: 'Clear skies.', weight: 4, seasons: { winter: 0.5, spring: 1, summer: 1.5, fall: 1 }, mods: { speedMult: 1.1, healthDelta: 0, hungerMult: 1.0 } },
+{ id: 'whiteout_eh', name: 'Whiteout, eh?', emoji: '❄️', blurb: 'Snow from all directions.', weight: 2, seasons: { winter: 3, spring: 0.5, summer: 0, fall: 0.5 }, mods: { speedMult: 0.65, healthDelta: -1, hungerMult: 1.05, cold: 2 } },
+{ id: 'geese_headwind', name: 'Geese Headwind', emoji: '🪿', blurb: 'Honks increase drag.', weight: 3, seasons: { winter: 0.3, spring: 1.5, summer: 0.7, fall: 1.5 }, mods: { speedMult: 0.8, healthDelta: 0, hungerMult: 1.0 } }
 ];
 
 let _patterns = null;
@@ -26,10 +29,12 @@ name: p.name,
 emoji: p.emoji || '',
 blurb: p.blurb || '',
 weight: Math.max(1, p.weight | 0),
+seasons: seasonMults(p.seasons),
 mods: {
 speedMult: typeof p?.mods?.speedMult === 'number' ? p.mods.speedMult : 1,
 healthDelta: typeof p?.mods?.healthDelta === 'number' ? (p.mods.healthDelta | 0) : 0,
-hungerMult: typeof p?.mods?.hungerMult === 'number' ? p.mods.hungerMult : 1
+hungerMult: typeof p?.mods?.hungerMult === 'number' ? p.mods.hungerMult : 1,
+cold: typeof p?.mods?.cold === 'number' ? p.mods.cold : 0
 }
 }));
 }).catch(err => {
@@ -41,6 +46,16 @@ showInitError?.(err);
 await _loadPromise;
 }
 
+// Missing seasons count as 1; negatives and junk as 0
+function seasonMults(raw) {
+const out = {};
+for (const s of SEASONS) {
+const v = raw && typeof raw === 'object' ? raw[s] : undefined;
+out[s] = typeof v === 'number' && Number.isFinite(v) ? Math.max(0, v) : 1;
+}
+return out;
+}
+
 function ensureState(game) {
 const g = game.data;
 if (!g.weather) {
@@ -73,10 +88,14 @@ ensureState(game);
 await ensureLoaded();
 const gw = game.data.weather;
 if (gw.lastRolledDay === dayNumber && gw.today) return gw.today;
-const p = weightedPick(game.rng, _patterns);
+const date = gameDate(game, dayNumber);
+let pool = _patterns.map(p => ({ p, w: p.weight * (p.seasons?.[date.season] ?? 1) }));
+if (!pool.some(x => x.w > 0)) pool = _patterns.map(p => ({ p, w: p.weight })); // every pattern off this season
+const { p } = weightedPick(game.rngFor('weather', dayNumber), pool, 'w');
 gw.lastRolledDay = dayNumber;
 gw.today = {
 day: dayNumber,
+season: date.season,
 id: p.id,
 name: p.name,
 emoji: p.emoji,
@@ -84,7 +103,8 @@ blurb: p.blurb,
 mods: { ...p.mods }
 };
 // friendly log line
-game.data.log.push(`Weather — ${p.emoji} ${p.name}: ${p.blurb}`);
+addLog(game, 'weather', 'weather.today', { id: p.id, emoji: p.emoji, name: p.name, blurb: p.blurb });
+game.bus.emit('weather:rolled', { day: dayNumber, weather: gw.today });
 return gw.today;
 }
 
@@ -95,12 +115,13 @@ return game.data.weather?.today || null;
 
 export function getModifiersForToday(game) {
 const t = getToday(game);
-if (!t) return { speedMult: 1, healthDelta: 0, hungerMult: 1 };
+if (!t) return { speedMult: 1, healthDelta: 0, hungerMult: 1, cold: 0 };
 const m = t.mods || {};
 return {
 speedMult: typeof m.speedMult === 'number' ? m.speedMult : 1,
 healthDelta: typeof m.healthDelta === 'number' ? (m.healthDelta | 0) : 0,
-hungerMult: typeof m.hungerMult === 'number' ? m.hungerMult : 1
+hungerMult: typeof m.hungerMult === 'number' ? m.hungerMult : 1,
+cold: typeof m.cold === 'number' ? Math.max(0, m.cold | 0) : 0 // extra cold on top of the season (cold.js)
 };
 }
 
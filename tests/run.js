@@ -1,6 +1,40 @@
 // tests/run.js — tiny Node smoke tests (no browser needed)
 import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
 import { RNG, GameState } from '../state/GameState.js';
+import { CURRENT_VERSION, MIGRATIONS, SaveVersionError, migrateSave } from '../state/migrations.js';
+import { SaveImportError, decodeSave, encodeSave } from '../state/saveCodec.js';
+import * as actions from '../systems/actions.js';
+import { renderStage, choose } from '../systems/eventEngine.js';
+import { createHuntSession } from '../systems/hunting.js';
+import { loadLandmarks, loadRouteGraph, forkOptions, routeChoices, totalTrailMiles, findLandmarkById } from '../systems/landmarks.js';
+import { listMethods, applySeason, estimateSuccess, tryMethod } from '../systems/river.js';
+import { verifyReplay, replaySteps, replayRun } from '../systems/replay.js';
+import { DEFAULT_PARTY, validateParty, normalizePartyConfig, randomParty } from '../state/party.js';
+import { SaveQuotaError, safeWrite } from '../state/persistence.js';
+import {
+  createMemoryAdapter, createLocalStorageAdapter, createIndexedDBAdapter,
+  openCachedStorage, openDefaultStorage, migrateFromLocalStorage
+} from '../state/storage.js';
+import { addLog, renderLogEntry, filterLog } from '../systems/log.js';
+import { GAME_EVENTS, createEventBus } from '../state/eventBus.js';
+import { BACKUP_DEPTH, SaveCorruptError, validateSave } from '../state/backups.js';
+import { STRATEGIES, simulateRun, summarizeRuns } from '../systems/simulation.js';
+import { applyGroupHealthDelta, markMemberDead } from '../systems/status.js';
+import { DAY_PHASES, listPhases, registerPhase } from '../systems/dayPipeline.js';
+import { loadRoles, traitsFor } from '../systems/roles.js';
+import { dailyFoodNeed } from '../systems/travel.js';
+import { dateForDay, formatDate, gameDate } from '../systems/calendar.js';
+import { rollForDay, getModifiersForToday } from '../systems/weather.js';
+import { getVehicle, isBroken, breakdownChance } from '../systems/vehicle.js';
+import { loadItemWeights, cargoWeight, loadSpeedMult, CAPACITY_LB, MAX_LOAD_LB } from '../systems/cargo.js';
+import { gallonsPerMile } from '../systems/fuel.js';
+import { forecastTable, projectSupplies } from '../systems/forecast.js';
+import { loadCamp, campOptions } from '../systems/camp.js';
+import { MAX_COLD, coldLevel, coldLoss, warmthFor, wearClothes } from '../systems/cold.js';
+import { MORALE_MAX, MORALE_TREND_DAYS, moodWeightMult, moraleTrend } from '../systems/morale.js';
+import { buildShopCatalog } from '../systems/shop.js';
+import { AUTO_TRAVEL_DEFAULTS, autoTravel, autoTravelRules, normalizeAutoTravelRules, foodDaysLeft } from '../systems/autoTravel.js';
 
 function testRNGDeterminism() {
   const seed = 123456789;
@@ -36,6 +70,1174 @@ function testSaveLoadNoThrow() {
   console.log('✓ Save/load works with injected storage');
 }
 
+function testSaveSlots() {
+  const storage = memoryStorage();
+
+  const first = new GameState({ storage });
+  first.startNewGame(111);
+  first.data.day = 7;
+  first.data.miles = 95;
+  first.save();
+
+  const second = new GameState({ storage });
+  second.startNewGame(222);
+
+  const slots = GameState.listSlots(storage);
+  assert.equal(slots.length, 2, 'New Game should add a slot, not overwrite');
+  assert.equal(slots[0].seed, 222, 'Most recent slot should be listed first');
+  const older = slots.find(s => s.seed === 111);
+  assert.equal(older.day, 7, 'Slot summary should record the day');
+  assert.equal(older.miles, 95, 'Slot summary should record miles');
+  assert.equal(older.survivors, 6, 'Slot summary should record survivors');
+
+  const cont = new GameState({ storage });
+  cont.continueGame();
+  assert.equal(cont.data.rngSeed, 222, 'Continue should pick the most recent slot');
+
+  GameState.renameSlot(older.id, 'Slow & steady', storage);
+  const loaded = new GameState({ storage });
+  loaded.continueGame(older.id);
+  assert.equal(loaded.data.day, 7, 'Loading a specific slot should restore it');
+  assert.equal(GameState.listSlots(storage).find(s => s.id === older.id).name, 'Slow & steady');
+
+  GameState.deleteSlot(older.id, storage);
+  assert.equal(GameState.listSlots(storage).length, 1, 'Deleted slot should disappear');
+  console.log('✓ Save slots: create, list, continue, rename, delete');
+}
+
+function testLegacySaveAdopted() {
+  const storage = memoryStorage();
+  const legacy = { version: 1, rngSeed: 9, rngState: 9, day: 4, miles: 40, party: [], inventory: {}, log: [] };
+  storage.setItem('canadian-trail-save-v1', JSON.stringify(legacy));
+  assert.equal(GameState.hasSave(storage), true, 'Legacy single-key save should count as a save');
+  const gs = new GameState({ storage });
+  gs.continueGame();
+  assert.equal(gs.data.day, 4, 'Legacy save should load from its adopted slot');
+  assert.equal(storage.getItem('canadian-trail-save-v1'), null, 'Legacy key should be retired');
+  console.log('✓ Legacy single-key save is adopted into a slot');
+}
+
+function testMigrationFixtures() {
+  const dir = new URL('./fixtures/saves/', import.meta.url);
+  const files = readdirSync(dir).filter(f => /^v\d+\.json$/.test(f));
+  const versions = files.map(f => Number(f.slice(1, -5))).sort((a, b) => a - b);
+  for (const step of MIGRATIONS) {
+    assert.ok(versions.includes(step.version - 1), `Missing fixture save for past version v${step.version - 1}`);
+  }
+
+  for (const v of versions) {
+    const raw = readFileSync(new URL(`v${v}.json`, dir), 'utf8');
+    const { data, from, applied } = migrateSave(JSON.parse(raw));
+    assert.equal(from, v, `v${v}: should detect its version`);
+    assert.equal(data.version, CURRENT_VERSION, `v${v}: should upgrade to current`);
+    assert.equal(applied.length, CURRENT_VERSION - v, `v${v}: should run each later step once`);
+    assert.deepEqual(migrateSave(JSON.parse(raw)).data, data, `v${v}: upgrade should be deterministic`);
+    assertCurrentShape(data, `v${v}`);
+
+    const storage = memoryStorage();
+    storage.setItem('canadian-trail-save-v1', raw);
+    const gs = new GameState({ storage });
+    gs.continueGame();
+    assert.deepEqual(gs.lastMigrations, applied, `v${v}: continueGame should report the steps it ran`);
+    assert.equal(gs.data.rngSeed, JSON.parse(raw).rngSeed, `v${v}: seed should survive the upgrade`);
+  }
+
+  const fresh = new GameState({ storage: memoryStorage() });
+  fresh.startNewGame(5);
+  assert.equal(fresh.data.version, CURRENT_VERSION, 'New games should be written at the current version');
+  assert.deepEqual(migrateSave(fresh.data).applied, [], 'Current saves need no migration');
+  assertCurrentShape(fresh.data, 'new game');
+  console.log(`✓ Migrations upgrade fixture saves v${versions[0]}–v${versions[versions.length - 1]} to v${CURRENT_VERSION}`);
+}
+
+function testNewerSaveRefused() {
+  const storage = memoryStorage();
+  storage.setItem('canadian-trail-save-v1', JSON.stringify({ version: CURRENT_VERSION + 1, rngSeed: 1, day: 1 }));
+  const gs = new GameState({ storage });
+  assert.throws(() => gs.continueGame(), SaveVersionError, 'Saves from a newer build should be refused');
+  console.log('✓ Saves from a newer build are refused');
+}
+
+function testExportImportRoundTrip() {
+  const storage = memoryStorage();
+  const gs = new GameState({ storage });
+  gs.startNewGame(8675309);
+  gs.data.day = 12;
+  gs.data.party[0].name = 'Mère‑Ellen ✨';
+  gs.rng.next();
+  const text = gs.exportSave();
+  assert.ok(text.startsWith('CTSAVE:'), 'Export should be prefixed text');
+
+  const other = new GameState({ storage });
+  other.importSave(text);
+  assert.deepEqual(other.data, gs.data, 'Import should restore the exact data (incl. RNG state, unicode)');
+  assert.notEqual(other.slotId, gs.slotId, 'Import should land in its own slot');
+  assert.equal(GameState.listSlots(storage).length, 2);
+
+  // Tampering: edit a field but keep the original checksum
+  const envelope = JSON.parse(Buffer.from(text.slice('CTSAVE:'.length), 'base64').toString('utf8'));
+  envelope.data.money = 9999;
+  const tampered = 'CTSAVE:' + Buffer.from(JSON.stringify(envelope), 'utf8').toString('base64');
+  assert.throws(() => decodeSave(tampered), /Checksum mismatch/, 'Edited saves should be rejected');
+  assert.throws(() => decodeSave('hello'), SaveImportError, 'Random text should be rejected');
+  assert.throws(() => decodeSave('CTSAVE:%%%'), SaveImportError, 'Garbled base64 should be rejected');
+
+  // A valid checksum over a broken structure is refused like a damaged slot, and nothing changes
+  const broken = encodeSave({ ...gs.data, miles: -1, party: null });
+  assert.throws(() => other.importSave(broken), SaveCorruptError, 'Damaged imports should be rejected');
+  assert.equal(GameState.listSlots(storage).length, 2, 'A rejected import adds no slot');
+
+  const future = encodeSave({ ...gs.data, version: CURRENT_VERSION + 1 });
+  assert.throws(() => decodeSave(future), SaveVersionError, 'Exports from a newer build should be refused');
+
+  const old = JSON.parse(readFileSync(new URL('./fixtures/saves/v1.json', import.meta.url), 'utf8'));
+  assert.equal(decodeSave(encodeSave(old)).data.version, CURRENT_VERSION, 'Older exports should be migrated');
+  console.log('✓ Export/import round-trips and rejects tampered or incompatible saves');
+}
+
+async function testReplayMatchesRun() {
+  const storage = memoryStorage();
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage });
+  gs.startNewGame(3); // reaches the first river crossing and town
+  actions.setOut(gs, landmarks);
+
+  // Scripted player: every kind of decision, in the order the screens make them
+  for (let turn = 0; turn < 40 && !gs.data.flags.gameOver; turn++) {
+    if (turn === 1) actions.setPace(gs, 'strenuous');
+    if (turn === 2) actions.setPace(gs, 'steady');
+    if (turn === 4) actions.setRations(gs, 'meager');
+    if (turn % 5 === 4) await huntOnce(gs);
+    const { stopAt, session } = turn % 4 === 3
+      ? { stopAt: null, ...(await actions.rest(gs, landmarks)) }
+      : await actions.travel(gs, landmarks);
+    let open = session;
+    while (open) {
+      const choice = renderStage(open, gs).choices.find(c => !c.disabled);
+      open = (await actions.chooseEvent(gs, open, choice ? choice.id : 'continue')).done ? null : open;
+    }
+    const over = actions.detectGameOver(gs, actions.trailMiles(landmarks));
+    if (over) { actions.markGameOver(gs, over); break; }
+    if (!stopAt) continue;
+    if (stopAt.hazard?.kind) {
+      const order = ['service', 'prep', 'detour'];
+      for (let i = 0; i < 8 && gs.data.flags.atLandmarkId === stopAt.id; i++) {
+        const methods = listMethods(stopAt.hazard, gs).map(m => m.id);
+        await actions.attemptHazard(gs, stopAt, order.find(m => methods.includes(m)) ?? methods[0]);
+      }
+    }
+    // Like main.js: after a crossing, stop at the service town it carried us past
+    const shop = stopAt.services?.length ? stopAt
+      : landmarks.filter(l => l.services?.length && l.mile > stopAt.mile && l.mile <= gs.data.miles).pop();
+    if (shop && !gs.data.flags.atLandmarkId) {
+      if (gs.data.money >= 5) actions.buySupplies(gs, shop, { food: 20, bullets: 0 }, 5);
+      actions.leaveLandmark(gs, shop);
+    }
+  }
+
+  const types = new Set(gs.data.journal.map(e => e.type));
+  for (const t of ['start', 'travel', 'rest', 'pace', 'rations', 'event', 'hunt', 'hazard', 'buy', 'leave']) {
+    assert.ok(types.has(t), `Scripted run should journal a ${t} entry`);
+  }
+
+  const imported = new GameState({ storage });
+  imported.importSave(gs.exportSave());
+  const { ok, diff } = await verifyReplay(imported.data);
+  assert.ok(ok, `Replay should rebuild the exact state (first difference at ${diff?.path})`);
+
+  let steps = 0;
+  for await (const step of replaySteps(gs.data.journal)) steps = step.index + 1;
+  assert.equal(steps, gs.data.journal.length, 'Step-by-step replay should visit every entry');
+
+  const tampered = JSON.parse(JSON.stringify(gs.data));
+  tampered.journal.find(e => e.type === 'pace').value = 'grueling';
+  assert.equal((await verifyReplay(tampered)).ok, false, 'A different decision should not replay to the same state');
+  console.log(`✓ Replay from seed + journal rebuilds the run exactly (${steps} entries)`);
+}
+
+async function testRewindDay() {
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(31337, null, { difficulty: 'casual' });
+  actions.setOut(gs, landmarks);
+  for (let i = 0; i < 3; i++) await actions.travel(gs, landmarks);
+
+  actions.setPace(gs, 'grueling');
+  gs.flush(); // sync live RNG streams into data, as a save would
+  const before = JSON.parse(JSON.stringify({ ...gs.data, journal: undefined }));
+  const rngBefore = gs.rng.getState();
+  const { session } = await actions.travel(gs, landmarks);
+  assert.equal(session, null, 'fixture day should not open an event');
+  assert.equal(actions.rewindDay(gs), before.day, 'Rewind should return to the start of the last day');
+
+  const after = JSON.parse(JSON.stringify({ ...gs.data, journal: undefined }));
+  assert.equal(after.log.pop().text, `Rewound to the start of day ${before.day}.`);
+  assert.deepEqual({ ...after, rngState: before.rngState }, before, 'Rewind should restore the day snapshot exactly');
+  assert.equal(gs.rng.getState(), rngBefore, 'Rewind should restore the RNG state');
+  assert.equal(gs.data.miles, before.miles, 'Rewind should undo the grueling day');
+
+  for (let i = 0; i < 10; i++) actions.rewindDay(gs);
+  assert.equal(gs.data.day, 1, 'Rewinds stop at the oldest snapshot still in the buffer');
+  assert.equal(actions.rewindDay(gs), null, 'Nothing left to rewind');
+
+  await actions.travel(gs, landmarks);
+  const { ok } = await verifyReplay(gs.data);
+  assert.ok(ok, 'Runs with rewinds should still replay exactly');
+
+  for (const difficulty of ['standard', 'ironman']) {
+    const other = new GameState({ storage: memoryStorage() });
+    other.startNewGame(31337, null, { difficulty });
+    await actions.travel(other, landmarks);
+    assert.equal(actions.rewindDay(other), null, `${difficulty} runs cannot rewind`);
+  }
+  console.log('✓ Casual rewind restores the previous day exactly; ironman/standard cannot rewind');
+}
+
+async function testCustomParty() {
+  const family = new GameState({ storage: memoryStorage() });
+  family.startNewGame(42);
+  assert.deepEqual(family.data.party.map(p => p.id), DEFAULT_PARTY.map(p => p.id), 'Default preset is the original family');
+  assert.equal(family.data.epitaphs.rusty, 'Small hands, fierce heart.');
+
+  const bad = validateParty([
+    { name: 'Ada', role: 'adult' },
+    { name: ' ada ', role: 'child' },
+    { name: '', role: 'infant', age: 4 }
+  ]);
+  assert.deepEqual(bad.errors.map(e => `${e.index}.${e.field}`), ['1.name', '1.age', '2.name', '2.age']);
+  assert.equal(validateParty([]).errors[0].index, -1, 'Empty party is a size error');
+  assert.throws(() => normalizePartyConfig(Array.from({ length: 9 }, (_, i) => ({ name: `P${i}`, role: 'adult' }))));
+  for (let seed = 1; seed <= 20; seed++) assert.ok(validateParty(randomParty(new RNG(seed))).ok, 'Random parties validate');
+
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(2024, [
+    { name: '  Hélène ', role: 'adult', age: '34', epitaph: 'Read the river like a book.' },
+    { name: 'Helene', role: 'child', age: 8 }
+  ]);
+  assert.deepEqual(gs.data.party.map(p => [p.id, p.name, p.age]), [['helene', 'Hélène', 34], ['helene-2', 'Helene', 8]]);
+  assert.equal(gs.data.epitaphs['helene-2'], 'Gone ahead on the long road.', 'Blank epitaph falls back to the default');
+  assert.equal(gs.data.journal[0].party.length, 2, 'Party config is journaled with the start entry');
+  actions.setOut(gs, landmarks);
+  for (let i = 0; i < 4; i++) await actions.travel(gs, landmarks);
+  const { ok } = await verifyReplay(gs.data);
+  assert.ok(ok, 'Custom-party runs should replay exactly');
+  console.log('✓ Party setup: validation, default family preset, custom party flows into state and replay');
+}
+
+async function testRngStreams() {
+  const landmarks = await loadLandmarks();
+  const run = async (hunt) => {
+    const gs = new GameState({ storage: memoryStorage() });
+    gs.startNewGame(4242);
+    actions.setOut(gs, landmarks);
+    if (hunt) await huntOnce(gs);
+    const weather = [];
+    for (let i = 0; i < 6; i++) {
+      await actions.travel(gs, landmarks);
+      weather.push(gs.data.weather.today.id);
+    }
+    return { gs, weather };
+  };
+  const plain = await run(false);
+  const hunted = await run(true);
+  assert.notEqual(hunted.gs.data.rngStreams.hunting, plain.gs.data.rngStreams.hunting, 'The hunt should draw from its stream');
+  assert.deepEqual(hunted.weather, plain.weather, 'Hunting must not shift later weather');
+  assert.equal(hunted.gs.data.rngStreams.events, plain.gs.data.rngStreams.events, 'Hunting must not shift event rolls');
+  assert.equal(hunted.gs.data.rngStreams.status, plain.gs.data.rngStreams.status, 'Hunting must not shift status rolls');
+  assert.equal(plain.gs.rngFor('weather', 3).next(), hunted.gs.rngFor('weather', 3).next(), 'Weather on day N depends only on seed and N');
+
+  plain.gs.flush();
+  const reloaded = new GameState({ storage: plain.gs.storage });
+  reloaded.continueGame(plain.gs.slotId);
+  assert.equal(reloaded.rngFor('events').next(), plain.gs.rngFor('events').next(), 'Stream states persist in the save');
+
+  // Pre-stream runs keep sharing one generator, and still replay
+  const legacy = new GameState({ storage: memoryStorage() });
+  legacy.startNewGame(4242, null, { rngStreams: false });
+  assert.equal(legacy.rngFor('events'), legacy.rng);
+  actions.setOut(legacy, landmarks);
+  for (let i = 0; i < 4; i++) await actions.travel(legacy, landmarks);
+  assert.ok((await verifyReplay(legacy.data)).ok, 'Shared-RNG journals should replay exactly');
+  console.log('✓ RNG streams: hunting does not shift weather/events/status; states persist; old saves share one RNG');
+}
+
+async function testBatchedSaves() {
+  const landmarks = await loadLandmarks();
+  const storage = memoryStorage();
+  let writes = 0;
+  const setItem = storage.setItem;
+  storage.setItem = (k, v) => { if (k.startsWith('canadian-trail-slot-')) writes++; setItem(k, v); };
+  const queued = [];
+  const gs = new GameState({ storage, schedule: (cb) => queued.push(cb) });
+  gs.startNewGame(77);
+  writes = 0;
+  actions.setOut(gs, landmarks);
+  actions.setPace(gs, 'strenuous');
+  actions.setRations(gs, 'meager');
+  assert.equal(writes, 0, 'Marking dirty should not write');
+  assert.equal(queued.length, 1, 'Several changes share one scheduled flush');
+  queued.shift()();
+  assert.equal(writes, 2, 'One flush = one slot write (+ its :prev copy)');
+  gs.flush();
+  assert.equal(writes, 2, 'Flushing a clean run writes nothing');
+
+  // A full disk keeps the last good copy live and the run dirty
+  const key = `canadian-trail-slot-${gs.slotId}`;
+  const good = storage.getItem(key);
+  storage.setItem = (k, v) => {
+    if (k === key && v.length > good.length) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    setItem(k, v);
+  };
+  addLog(gs, 'system', 'text', { text: 'x'.repeat(100) });
+  assert.throws(() => gs.save(), SaveQuotaError);
+  assert.equal(storage.getItem(key), good, 'Failed write keeps the previous save');
+  storage.setItem = setItem;
+
+  // A corrupt live copy falls back to :prev
+  safeWrite(storage, key, '{"oops');
+  const loaded = new GameState({ storage });
+  loaded.continueGame(gs.slotId);
+  assert.equal(loaded.data.settings.rations, 'meager', 'Load should fall back to the previous copy');
+  console.log('✓ Saves are batched per flush, keep a previous copy, and survive quota errors');
+}
+
+async function testStorageAdapters() {
+  const backends = {
+    memory: async () => createMemoryAdapter(),
+    localStorage: async () => createLocalStorageAdapter(memoryStorage()),
+    indexedDB: async () => createIndexedDBAdapter({ indexedDB: fakeIndexedDB() })
+  };
+  for (const [name, make] of Object.entries(backends)) {
+    const adapter = await make();
+    assert.equal(await adapter.get('missing'), null, `${name}: missing keys read as null`);
+    await adapter.set('b', 'Merri‑Ellen');
+    await adapter.set('a', '1');
+    await adapter.set('a', '2');
+    assert.equal(await adapter.get('a'), '2', `${name}: set overwrites`);
+    assert.deepEqual((await adapter.entries()).sort(), [['a', '2'], ['b', 'Merri‑Ellen']], `${name}: entries`);
+    await adapter.remove('a');
+    assert.equal(await adapter.get('a'), null, `${name}: remove`);
+
+    // Saves written through the cached facade survive a reopen
+    const storage = await openCachedStorage(adapter);
+    const gs = new GameState({ storage });
+    gs.startNewGame(99);
+    addLog(gs, 'system', 'text', { text: 'written through' });
+    gs.save();
+    await storage.whenIdle();
+    const again = new GameState({ storage: await openCachedStorage(adapter) });
+    again.continueGame();
+    assert.deepEqual(again.data, JSON.parse(JSON.stringify(gs.data)), `${name}: save round-trips`);
+  }
+
+  // Existing localStorage saves move into IndexedDB on first open
+  const ls = memoryStorage();
+  ls.setItem('canadian-trail-save-v1', JSON.stringify({ version: 8, rngSeed: 5, day: 3 }));
+  ls.setItem('unrelated', 'keep');
+  const indexedDB = fakeIndexedDB();
+  const storage = await openDefaultStorage({ indexedDB, localStorage: ls });
+  assert.equal(storage.backend, 'indexedDB', 'IndexedDB is preferred when available');
+  assert.equal(ls.getItem('canadian-trail-save-v1'), null, 'Migrated keys leave localStorage');
+  assert.equal(ls.getItem('unrelated'), 'keep', 'Other sites keys are left alone');
+  assert.equal(GameState.listSlots(storage)[0].seed, 5, 'Migrated legacy save shows up as a slot');
+  await storage.close();
+  assert.deepEqual(await migrateFromLocalStorage(await createIndexedDBAdapter({ indexedDB }), ls), [], 'Migration is idempotent');
+  const fallback = await openDefaultStorage({ indexedDB: { open() { throw new Error('denied'); } }, localStorage: ls });
+  assert.equal(fallback, ls, 'Falls back to localStorage when IndexedDB cannot open');
+
+  // A write the adapter rejects comes back from the next save() and keeps the run dirty
+  for (const [reason, Expected] of [['QuotaExceededError', SaveQuotaError], ['InvalidStateError', SaveCorruptError]]) {
+    const adapter = createMemoryAdapter();
+    let reject = false;
+    const set = adapter.set;
+    adapter.set = async (key, value) => {
+      if (reject) throw Object.assign(new Error(`${reason} writing ${key}`), { name: reason });
+      return set(key, value);
+    };
+    const reported = [];
+    const storage = await openCachedStorage(adapter, { onError: () => {} });
+    const gs = new GameState({ storage, schedule: () => {}, onSaveError: (err) => reported.push(err) });
+    gs.startNewGame(12);
+    await gs.whenSaved();
+    reject = true;
+    gs.data.day = 2;
+    gs.save();
+    await storage.whenIdle();
+    assert.ok(storage.writeError, `${reason}: the failed write is kept`);
+    assert.throws(() => gs.save(), Expected, `${reason}: the next save() rethrows it`);
+    assert.ok(gs.saves.dirty, `${reason}: the run is dirty again`);
+    await assert.rejects(gs.whenSaved(), Expected, `${reason}: whenSaved() rejects while writes fail`);
+    gs.flush();
+    await storage.whenIdle();
+    gs.flush();
+    assert.ok(reported.at(-1) instanceof Expected, `${reason}: flush() reports it through onSaveError`);
+    reject = false;
+    await gs.whenSaved();
+    assert.ok(!gs.saves.dirty && !storage.writeError, `${reason}: the next good write clears it`);
+    assert.equal(JSON.parse(await adapter.get('canadian-trail-slot-' + gs.slotId)).day, 2, `${reason}: the retry stored the run`);
+  }
+
+  // Tabs on one adapter see each other's writes, so a stale slot index is not written back
+  const shared = createMemoryAdapter();
+  const tabA = await openCachedStorage(shared, { channel: 'canadian-trail-test' });
+  const tabB = await openCachedStorage(shared, { channel: 'canadian-trail-test' });
+  const first = new GameState({ storage: tabA });
+  first.startNewGame(1);
+  await first.whenSaved();
+  for (let i = 0; i < 50 && !GameState.listSlots(tabB).length; i++) await new Promise(r => setTimeout(r, 5));
+  await tabB.whenIdle();
+  const second = new GameState({ storage: tabB });
+  second.startNewGame(2);
+  await second.whenSaved();
+  const reopened = await openCachedStorage(shared);
+  assert.equal(GameState.listSlots(reopened).length, 2, 'A second tab keeps the first tab\'s slot in the index');
+  await tabA.close();
+  await tabB.close();
+  console.log('✓ Storage adapters (memory, localStorage, IndexedDB) pass one contract; localStorage saves migrate; failed writes resurface');
+}
+
+async function huntOnce(gs) {
+  const { update, shoot, end } = await createHuntSession(gs, { width: 640, height: 360 });
+  for (let t = 0; t < 60; t++) {
+    update(gs, 0.1);
+    if (t % 6 === 0) shoot(gs, 320, 180, t * 100);
+  }
+  actions.finishHunt(gs, end());
+}
+
+async function testStructuredLog() {
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(7);
+  actions.setOut(gs, landmarks);
+  for (let i = 0; i < 6 && !gs.data.flags.gameOver; i++) {
+    const { session } = await actions.travel(gs, landmarks);
+    if (session) await actions.chooseEvent(gs, session, 'continue');
+  }
+  for (const e of gs.data.log) {
+    assert.equal(renderLogEntry(e), e.text, `${e.key} should render to its stored text`);
+    assert.ok(Number.isInteger(e.day) && Number.isInteger(e.mile), `${e.key} should carry day and mile`);
+  }
+  assert.deepEqual(gs.data.log[0], { day: 1, mile: 0, category: 'system', key: 'game.start', params: { seed: 7 }, text: 'New game started with seed 7' });
+  const weather = filterLog(gs.data.log, ['weather']);
+  assert.ok(weather.length > 0 && weather.every(e => e.key === 'weather.today'), 'Filter should keep only weather entries');
+  assert.equal(filterLog(gs.data.log, []).length, gs.data.log.length, 'An empty filter shows everything');
+
+  // Old string logs keep their text and get a best-guess category
+  const v9 = JSON.parse(readFileSync(new URL('./fixtures/saves/v9.json', import.meta.url), 'utf8'));
+  const { data } = migrateSave(v9);
+  assert.deepEqual(data.log.map(e => e.category), ['system', 'travel', 'weather', 'event', 'hazard', 'trade', 'travel']);
+  assert.deepEqual(data.log.map(renderLogEntry), v9.log, 'Migrated entries render to the old strings');
+  assert.equal(data.log[1].day, 10, 'Day summaries keep their day');
+  console.log('✓ Structured log: templates render the old lines, filters by category, old string logs migrate');
+}
+
+async function testEventBus() {
+  const errors = [];
+  const bus = createEventBus({ onError: (err, type) => errors.push(type) });
+  assert.throws(() => bus.on('day:begin', () => {}), TypeError, 'Unknown event types are rejected');
+  let calls = 0;
+  bus.on('day:end', () => { throw new Error('boom'); });
+  const off = bus.on('day:end', () => calls++);
+  bus.once('day:end', () => calls++);
+  bus.emit('day:end', {});
+  bus.emit('day:end', {});
+  off();
+  bus.emit('day:end', {});
+  assert.equal(calls, 3, 'on/once/unsubscribe');
+  assert.deepEqual(errors, ['day:end', 'day:end', 'day:end'], 'A throwing listener is reported and skipped');
+
+  // Systems announce what they change; listeners do not alter the run
+  const landmarks = await loadLandmarks();
+  const play = async (listen) => {
+    const gs = new GameState({ storage: memoryStorage() });
+    const seen = [];
+    if (listen) for (const type of GAME_EVENTS) gs.bus.on(type, (p) => seen.push({ type, ...p }));
+    gs.startNewGame(6);
+    actions.setOut(gs, landmarks);
+    actions.buySupplies(gs, landmarks[0], { food: 200 }, 0); // nobody starves before the test's own deaths
+    for (let i = 0; i < 8; i++) {
+      const { session } = await actions.travel(gs, landmarks);
+      if (session) await actions.chooseEvent(gs, session, 'continue');
+    }
+    applyGroupHealthDelta(gs, -5, 'test');
+    return { gs, seen };
+  };
+  const { gs, seen } = await play(true);
+  const types = new Set(seen.map(e => e.type));
+  for (const t of ['day:start', 'day:end', 'weather:rolled', 'landmark:reached', 'inventory:changed', 'member:died']) {
+    assert.ok(types.has(t), `Eight travel days should emit ${t}`);
+  }
+  assert.equal(seen.filter(e => e.type === 'day:end').length, 8);
+  const deaths = seen.filter(e => e.type === 'member:died');
+  assert.equal(deaths.length, gs.data.party.length, 'Every death is announced once');
+  assert.ok(deaths.every(e => e.cause === 'test' && e.member.status === 'dead'), 'Deaths carry their cause');
+  const food = seen.find(e => e.type === 'inventory:changed' && e.source === 'travel');
+  assert.ok(food.item === 'food' && food.delta < 0, 'Eating on the trail is an inventory change');
+  assert.deepEqual(gs.data, (await play(false)).gs.data, 'Listening should not change the run');
+
+  // Hazards and events that take the last health point report the death
+  const hurt = new GameState({ storage: memoryStorage() });
+  hurt.startNewGame(11);
+  actions.setOut(hurt, landmarks);
+  const died = [];
+  hurt.bus.on('member:died', (p) => died.push(p));
+  const mud = landmarks.find(l => l.hazard?.kind === 'mud');
+  hurt.data.settings.rations = 'meager'; // no rest healing while stuck
+  for (let i = 0; i < 40 && !died.some(d => d.cause === mud.name); i++) {
+    for (const m of hurt.data.party) if (m.status !== 'dead') m.health = 1;
+    if ((await tryMethod(hurt, mud, 'drive')).crossed) delete hurt.data.flags.hazardState[mud.id];
+  }
+  const stuck = died.find(d => d.cause === mud.name);
+  assert.ok(stuck && stuck.member.status === 'dead', 'A hazard death is announced');
+  assert.ok(hurt.data.log.some(e => e.key === 'health.died' && e.params.name === stuck.member.name));
+  const alive = hurt.data.party.filter(m => m.status !== 'dead');
+  const morale = hurt.data.morale;
+  const blow = { id: 'blow', title: 'Falling Moose', stages: [{ id: 'start', choices: [{ id: 'ok', label: 'Ow', effects: [{ type: 'health', target: 'all', delta: -5 }], goto: 'end' }] }] };
+  await choose({ event: blow, stageId: 'start', vars: {}, logs: [] }, 'ok', hurt);
+  assert.deepEqual(died.filter(d => d.cause === 'Falling Moose').map(d => d.member.id), alive.map(m => m.id), 'An event death is announced');
+  assert.ok(alive.every(m => m.status === 'dead') && hurt.data.morale < morale, 'The dead stay dead and are mourned');
+  console.log('✓ Event bus: typed subscribe/once/off, listener errors isolated, systems emit day/weather/landmark/inventory/death');
+}
+
+async function testBackupsAndRecovery() {
+  const storage = memoryStorage();
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage });
+  gs.startNewGame(7);
+  for (let i = 0; i < BACKUP_DEPTH + 2; i++) {
+    await actions.rest(gs, landmarks);
+    gs.save();
+    gs.save(); // same day: no extra backup
+  }
+  const backups = GameState.listBackups(gs.slotId, storage);
+  assert.deepEqual(backups.map(b => b.day), [8, 7, 6, 5, 4], 'Keeps the last N days, newest first');
+
+  // Live and previous copies both damaged: loading offers the backups
+  const key = `canadian-trail-slot-${gs.slotId}`;
+  storage.setItem(key, '{"version":10,');
+  storage.setItem(`${key}:prev`, JSON.stringify({ ...gs.data, party: 'oops' }));
+  const loaded = new GameState({ storage });
+  let caught = null;
+  try { loaded.continueGame(gs.slotId); } catch (e) { caught = e; }
+  assert.ok(caught instanceof SaveCorruptError, 'A damaged slot throws SaveCorruptError');
+  assert.equal(caught.slotId, gs.slotId);
+  assert.deepEqual(caught.backups.map(b => b.day), [8, 7, 6, 5, 4]);
+
+  // A damaged backup is left off the list and refuses to restore
+  storage.setItem(`${key}:auto-${caught.backups[4].index}`, 'garbage');
+  assert.equal(GameState.listBackups(gs.slotId, storage).length, BACKUP_DEPTH - 1);
+  assert.throws(() => loaded.restoreBackup(gs.slotId, caught.backups[4].index), SaveCorruptError);
+
+  loaded.restoreBackup(gs.slotId, caught.backups[1].index);
+  assert.equal(loaded.data.day, 7, 'Restored the chosen day');
+  const again = new GameState({ storage });
+  again.continueGame(gs.slotId);
+  assert.equal(again.data.day, 7, 'The restored backup becomes the live save');
+
+  assert.deepEqual(validateSave(again.data), []);
+  assert.deepEqual(validateSave({ ...again.data, day: 0, log: null }), ['day', 'log']);
+  GameState.deleteSlot(gs.slotId, storage);
+  assert.equal(storage.length, 1, 'Deleting a slot removes its backups (only the index is left)');
+
+  // Full storage: backups make room for the live save instead of crowding it out
+  const full = cappedStorage();
+  const long = new GameState({ storage: full });
+  long.startNewGame(8);
+  for (let i = 0; i < BACKUP_DEPTH; i++) {
+    await actions.rest(long, landmarks);
+    long.save();
+  }
+  const longKey = `canadian-trail-slot-${long.slotId}`;
+  full.cap = full.used() + 200;
+  addLog(long, 'system', 'text', { text: 'x'.repeat(1500) });
+  long.save();
+  assert.equal(full.getItem(longKey), JSON.stringify(long.data), 'The live slot still saves');
+  assert.ok(full.getItem(`${longKey}:prev`), 'and keeps its previous copy');
+  const kept = GameState.listBackups(long.slotId, full);
+  assert.ok(kept.length < BACKUP_DEPTH && kept.length > 0, 'Only as many old backups as needed are dropped');
+  assert.equal(Math.min(...kept.map(b => b.day)) > 2, true, 'The oldest backups go first');
+  full.cap = full.used();
+  addLog(long, 'system', 'text', { text: 'x'.repeat(50000) });
+  assert.throws(() => long.save(), SaveQuotaError, 'With no backups left to drop, the quota error surfaces');
+  assert.ok(full.getItem(longKey), 'and the last good save stays live');
+  console.log('✓ Daily autosave backups rotate, damaged saves are refused and can be restored from a backup');
+}
+
+async function testSimulation() {
+  const graph = await loadRouteGraph();
+  const a = await simulateRun(11, STRATEGIES.cautious, { graph });
+  const b = await simulateRun(11, STRATEGIES.cautious, { graph });
+  assert.deepEqual(a, b, 'Same seed and bot should play the same run');
+  assert.ok(['completed', 'party_dead', 'timeout'].includes(a.outcome));
+  assert.equal(a.deaths.length, a.partySize - a.survivors, 'Every death is counted with a cause');
+
+  const short = await simulateRun(11, STRATEGIES.random, { graph, maxDays: 2 });
+  assert.ok(short.days <= 3, 'maxDays caps a run');
+
+  const s = summarizeRuns([
+    { outcome: 'completed', days: 100, miles: 1000, survivors: 4, partySize: 6, food: 20, deaths: [{ cause: 'starvation' }, { cause: 'illness' }] },
+    { outcome: 'party_dead', days: 40, miles: 300, survivors: 0, partySize: 6, food: 0, deaths: Array(6).fill({ cause: 'starvation' }) }
+  ]);
+  assert.equal(s.completionRate, 0.5);
+  assert.equal(s.avgDays, 70);
+  assert.equal(s.avgDaysCompleted, 100);
+  assert.equal(s.avgFoodAtEnd, 10);
+  assert.deepEqual(s.deathsByCause, { starvation: 7, illness: 1 });
+  console.log('✓ Simulation: bots play deterministic headless runs; stats aggregate completion, days, deaths, food');
+}
+
+async function testDayPipeline() {
+  assert.deepEqual(listPhases().map(p => p.phase), DAY_PHASES);
+  assert.throws(() => registerPhase('lunch', 'x', () => {}), TypeError);
+
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(5);
+  actions.setOut(gs, landmarks);
+
+  // A registered handler runs in its phase, after food and miles are settled
+  const seen = [];
+  const off = registerPhase('health', 'test.watch', (ctx) => seen.push({ kind: ctx.kind, day: ctx.day, fed: ctx.foodConsumed, dayNow: gs.data.day }));
+  await actions.travel(gs, landmarks);
+  await actions.rest(gs, landmarks);
+  off();
+  await actions.rest(gs, landmarks);
+  assert.equal(seen.length, 2, 'Unregistered handlers stop running');
+  assert.deepEqual(seen.map(s => [s.kind, s.day]), [['travel', 1], ['rest', 2]]);
+  assert.ok(seen.every(s => s.fed > 0 && s.dayNow === s.day + 1), 'Health phase runs after consumption and advances the day');
+
+  // Event `time` effects spend real days: food, weather and the day counter all move
+  const session = {
+    event: { id: 'test-wait', title: 'Wait', stages: [{ id: 'start', text: '', choices: [{ id: 'wait', label: 'Wait', effects: [{ type: 'time', days: 2 }] }] }] },
+    stageId: 'start', vars: {}, logs: []
+  };
+  const before = { day: gs.data.day, food: gs.data.inventory.food };
+  const { done } = await actions.chooseEvent(gs, session, 'wait');
+  assert.ok(done);
+  assert.equal(gs.data.day, before.day + 2);
+  assert.ok(gs.data.inventory.food < before.food, 'Waiting days eat food');
+  assert.equal(gs.data.log.filter(e => e.key === 'travel.rest' && e.day >= before.day).length, 2);
+  assert.equal(gs.data.log.filter(e => e.key === 'rest.summary' && e.day >= before.day).length, 0, 'Only player days get a recap line');
+  console.log('✓ Day pipeline: ordered phases, pluggable handlers, event time effects spend real days');
+}
+
+async function testAutoTravel() {
+  const landmarks = await loadLandmarks();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(7);
+  actions.setOut(gs, landmarks);
+  assert.deepEqual(autoTravelRules(gs), AUTO_TRAVEL_DEFAULTS, 'Old saves get the default rules');
+  assert.equal(normalizeAutoTravelRules({ healthBelow: 9, foodDaysBelow: -2 }).healthBelow, 5);
+  actions.buySupplies(gs, landmarks[0], { food: 400 }, 0);
+
+  // Only landmarks stop travel: the run goes until the first one
+  actions.setAutoTravelRules(gs, normalizeAutoTravelRules({ stopOnEvents: false, healthBelow: 0, foodDaysBelow: 0, stopOnCondition: false }));
+  const resolveEvent = (game) => async (session) => {
+    while (!(await actions.chooseEvent(game, session, renderStage(session, game).choices.find(c => !c.disabled)?.id ?? 'continue')).done);
+  };
+  let ticks = 0;
+  const first = await autoTravel(gs, landmarks, { onDay: () => { ticks++; }, onEvent: resolveEvent(gs) });
+  assert.equal(first.reason.rule, 'landmark');
+  assert.equal(first.days, ticks, 'The ticker hears about every day');
+  assert.equal(gs.data.flags.atLandmarkId, first.stopAt.id);
+  assert.equal(gs.data.journal.filter(e => e.type === 'travel').length, first.days, 'Each auto day is an ordinary journaled travel day');
+
+  const { ok } = await verifyReplay(JSON.parse(JSON.stringify(gs.data)));
+  assert.ok(ok, 'Rule changes are journaled, so auto-travelled runs replay exactly');
+
+  // Food rule: fires on the day food drops under the threshold (5 days of food, stop under 4)
+  const hungry = new GameState({ storage: memoryStorage() });
+  hungry.startNewGame(7);
+  actions.setOut(hungry, landmarks);
+  hungry.data.inventory.food = 60;
+  const rules = normalizeAutoTravelRules({ stopOnEvents: false, foodDaysBelow: 4 });
+  const second = await autoTravel(hungry, landmarks, { rules, onEvent: resolveEvent(hungry) });
+  assert.equal(second.reason.rule, 'food', second.reason.text);
+  assert.ok(foodDaysLeft(hungry) < 4);
+
+  // Stop button: checked before every day
+  const stopped = await autoTravel(hungry, landmarks, { shouldStop: () => true });
+  assert.deepEqual([stopped.days, stopped.reason.rule], [0, 'stopped']);
+  console.log('✓ Auto-travel: runs journaled travel days until a rule, the Stop button or game over interrupts');
+}
+
+async function testMemberHealth() {
+  await loadRoles();
+  const infant = traitsFor({ role: 'infant', age: 1 });
+  const dad = traitsFor({ role: 'dad' });
+  assert.ok(infant.appetite < dad.appetite && infant.starvation > dad.starvation && infant.cold > dad.cold);
+  assert.ok(dad.pace < traitsFor({ role: 'child', age: 9 }).pace, 'Adults take a hard pace better');
+  assert.ok(traitsFor({ role: 'adult', age: 70 }).pace > dad.pace, 'Age bands apply on top of the role');
+
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(3);
+  assert.ok(Math.abs(dailyFoodNeed(gs) - (2 * 2 + 3 * 0.6 * 2 + 0.35 * 2)) < 1e-9, 'Kids eat a share of a ration');
+
+  // Starving and grueling: every member rolls their own change, children and the infant fare worse
+  gs.data.inventory.food = 0;
+  gs.data.inventory.clothes = gs.data.party.length; // warm enough: no cold part
+  gs.data.settings.pace = 'grueling';
+  await actions.travel(gs, await loadLandmarks());
+  const change = (id) => gs.data.party.find(m => m.id === id).lastChange;
+  assert.deepEqual(Object.keys(change('mike').parts).sort().slice(0, 2), ['exhaustion', 'starvation']);
+  assert.ok(change('rusty').parts.starvation < change('mike').parts.starvation);
+  assert.ok(change('mike').parts.exhaustion > change('ros').parts.exhaustion);
+  for (const m of gs.data.party) assert.equal(m.health, 5 + m.lastChange.delta, `${m.name}: the rolled delta is what was applied`);
+  console.log('✓ Member health: appetite and vulnerability by role and age, rolled per member with causes');
+}
+
+async function testCalendar() {
+  assert.deepEqual(dateForDay(4, 1), { month: 4, date: 1, season: 'spring' });
+  assert.deepEqual(dateForDay(4, 31), { month: 5, date: 1, season: 'spring' }, 'April has 30 days');
+  assert.deepEqual(dateForDay(12, 32), { month: 1, date: 1, season: 'winter' }, 'December wraps into January');
+  assert.equal(formatDate(dateForDay(2, 29)), 'Mar 1', 'No leap days');
+
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(5, null, { startMonth: 12 });
+  assert.equal(gs.data.journal[0].startMonth, 12, 'The start month is journaled');
+  assert.equal(formatDate(gameDate(gs)), 'Dec 1');
+  assert.equal((await replayRun(gs.data.journal)).data.settings.startMonth, 12, 'Replays set out in the same month');
+
+  // Season-only patterns never show up out of season
+  const seen = async (startMonth) => {
+    const game = new GameState({ storage: memoryStorage() });
+    game.startNewGame(5, null, { startMonth });
+    const ids = new Set();
+    for (let day = 1; day <= 60; day++) ids.add((await rollForDay(game, day)).id);
+    return ids;
+  };
+  const winter = await seen(1);
+  const summer = await seen(7);
+  assert.ok(!winter.has('humidex_soup') && !summer.has('whiteout_eh'), 'Weather follows the season');
+
+  const river = { kind: 'river', depthFt: 2.6, current: 'moderate' };
+  assert.ok(applySeason({ ...river }, 'spring').depthFt > applySeason({ ...river }, 'summer').depthFt, 'Spring melt runs deeper');
+  assert.equal(applySeason({ ...river }, 'spring').current, 'fast');
+  assert.ok(applySeason({ kind: 'snow', driftFt: 2.2 }, 'winter').driftFt > 3, 'Winter piles the drifts');
+  console.log('✓ Calendar: dates wrap by month, start month is journaled, seasons shape weather and hazards');
+}
+
+async function testVehicle() {
+  const landmarks = await loadLandmarks();
+  const wearAfterDay = async (pace) => {
+    const gs = new GameState({ storage: memoryStorage() });
+    gs.startNewGame(11);
+    actions.setOut(gs, landmarks);
+    actions.setPace(gs, pace);
+    await actions.travel(gs, landmarks);
+    return getVehicle(gs).wear.wheel;
+  };
+  const steady = await wearAfterDay('steady');
+  assert.ok(steady > 0 && (await wearAfterDay('grueling')) > steady, 'Harder pace wears parts faster');
+  assert.equal(breakdownChance(40), 0, 'Sound parts never break');
+
+  const gs = new GameState({ storage: memoryStorage() });
+  const broke = [];
+  gs.bus.on('vehicle:broken', (e) => broke.push(e));
+  gs.startNewGame(11);
+  actions.setOut(gs, landmarks);
+  actions.buySupplies(gs, landmarks[0], { food: 300 }, 0);
+  getVehicle(gs).wear.axle = 100;
+  for (let i = 0; i < 40 && !isBroken(gs); i++) {
+    const { session } = await actions.travel(gs, landmarks);
+    if (session) await actions.chooseEvent(gs, session, 'continue');
+    if (gs.data.flags.atLandmarkId) actions.leaveLandmark(gs, null);
+  }
+  assert.equal(isBroken(gs)?.part, 'axle', 'A worn-out part breaks down');
+  assert.equal(broke.length, 1);
+
+  const { miles, day } = gs.data;
+  await actions.travel(gs, landmarks);
+  assert.equal(gs.data.miles, miles, 'A broken vehicle goes nowhere');
+  assert.equal(gs.data.day, day + 1, '…but the day still passes');
+
+  gs.data.inventory.axle = 1;
+  const res = await actions.repairVehicle(gs, 'axle', 'spare');
+  assert.ok(res.fixed && !isBroken(gs) && getVehicle(gs).wear.axle === 0 && gs.data.inventory.axle === 0, 'A spare fixes it');
+  assert.deepEqual(gs.data.journal.at(-1), { day: gs.data.day, type: 'repair', part: 'axle', method: 'spare' });
+  console.log('✓ Vehicle: wear by pace, breakdowns stop travel until a spare goes on');
+}
+
+async function testCargo() {
+  const landmarks = await loadLandmarks();
+  await loadItemWeights();
+  const milesAfterDay = async (food) => {
+    const gs = new GameState({ storage: memoryStorage() });
+    gs.startNewGame(12);
+    actions.setOut(gs, landmarks);
+    gs.data.inventory.food = food;
+    await actions.travel(gs, landmarks);
+    return gs.data.miles;
+  };
+  assert.ok((await milesAfterDay(1100)) < (await milesAfterDay(300)), 'An overloaded vehicle covers fewer miles');
+
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(12);
+  actions.setOut(gs, landmarks);
+  actions.buySupplies(gs, landmarks[0], { food: MAX_LOAD_LB - cargoWeight(gs) - 30 }, 0);
+  assert.ok(loadSpeedMult(gs) < 1 && cargoWeight(gs) > CAPACITY_LB);
+  const hunt = await createHuntSession(gs, { width: 640, height: 360 });
+  assert.equal(hunt.state.carryCapLb, 30, 'A hunt brings back only what fits');
+  actions.finishHunt(gs, hunt.end());
+
+  const lb = actions.dropItems(gs, { food: 400, axle: 5 });
+  assert.equal(lb, 445, 'Drops are capped at what is on board');
+  assert.equal(gs.data.inventory.axle, 0);
+  assert.equal(loadSpeedMult(gs), 1);
+  assert.deepEqual(gs.data.journal.at(-1), { day: gs.data.day, type: 'drop', items: { food: 400, axle: 1 } });
+  await actions.travel(gs, landmarks);
+  assert.ok((await verifyReplay(gs.data)).ok, 'Drops replay');
+  console.log('✓ Cargo: overload slows travel, caps hunts, drops are journaled');
+}
+
+async function testFuel() {
+  const landmarks = await loadLandmarks();
+  assert.ok(gallonsPerMile('grueling') > gallonsPerMile('steady'), 'A harder pace burns more gas');
+  assert.ok(gallonsPerMile('steady', 0.7) > gallonsPerMile('steady'), 'Bad weather burns more gas');
+
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(13);
+  actions.setOut(gs, landmarks);
+  const tank = gs.data.inventory.fuel;
+  await actions.travel(gs, landmarks);
+  assert.ok(gs.data.miles > 0 && gs.data.inventory.fuel < tank, 'Driving burns gas');
+
+  gs.data.inventory.fuel = 0;
+  gs.data.flags.evtCooldownDays = 5;
+  const { miles } = gs.data;
+  const { session } = await actions.travel(gs, landmarks);
+  assert.equal(gs.data.miles, miles, 'An empty tank goes nowhere');
+  assert.equal(session?.event.id, 'out-of-gas', 'Running dry offers a ride, cooldown or not');
+
+  const towns = landmarks.filter(l => l.regionalPrice);
+  const gasAt = async (l) => (await buildShopCatalog(gs, l)).find(c => c.id === 'fuel').price;
+  assert.notEqual(await gasAt(towns[0]), await gasAt(towns[1]), 'Gas is priced by region');
+  console.log('✓ Fuel: burned by the mile, an empty tank stalls travel, gas is priced by region');
+}
+
+async function testRoutes() {
+  const graph = await loadRouteGraph();
+  const byDefault = await loadLandmarks();
+  assert.equal(totalTrailMiles(byDefault), 1000, 'The default road keeps the old trail length');
+  assert.equal(byDefault.find(l => l.id === 'prairie-town').mile, 820);
+
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(21);
+  let landmarks = await loadLandmarks(gs);
+  actions.setOut(gs, landmarks);
+  let fork = null;
+  for (let day = 0; !fork && day < 60; day++) {
+    const { stopAt } = await actions.travel(gs, landmarks);
+    if (!stopAt) continue;
+    while (stopAt.hazard?.kind && gs.data.flags.atLandmarkId === stopAt.id) await actions.attemptHazard(gs, stopAt, 'detour');
+    if (stopAt.fork) fork = stopAt;
+    else actions.leaveLandmark(gs, stopAt);
+  }
+  assert.ok(fork, 'Travel stops at the fork');
+  assert.equal(gs.data.miles, fork.mile, 'Travel does not run past an unchosen fork');
+  assert.equal(actions.chooseRoute(gs, fork, 'nowhere'), false, 'Only offered roads can be taken');
+
+  const [lakes, north] = forkOptions(graph, fork, routeChoices(gs));
+  assert.ok(north.miles < lakes.miles && north.shops > lakes.shops, 'Options describe the road ahead');
+  assert.equal(actions.chooseRoute(gs, fork, 'hwy-11'), true);
+  assert.equal(actions.chooseRoute(gs, fork, 'great-lakes'), false, 'A fork is chosen once');
+  actions.leaveLandmark(gs, fork);
+  landmarks = await loadLandmarks(gs);
+  assert.equal(totalTrailMiles(landmarks), 960, 'The northern road is shorter');
+  assert.ok(findLandmarkById(landmarks, 'hearst') && !findLandmarkById(landmarks, 'algoma-gumbo-bog'), 'The path follows the choice');
+  assert.deepEqual(gs.data.journal.filter(e => e.type === 'route').map(e => e.leg), ['hwy-11']);
+
+  await actions.travel(gs, landmarks);
+  assert.ok((await verifyReplay(gs.data)).ok, 'Route choices replay');
+  console.log('✓ Routes: travel stops at forks, the chosen road becomes the path, choices replay');
+}
+
+async function testForecast() {
+  await loadRoles();
+  await loadItemWeights();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(22);
+  const landmarks = await loadLandmarks(gs);
+  actions.setOut(gs, landmarks);
+  await actions.travel(gs, landmarks);
+  const before = JSON.stringify(gs.data);
+  const statusDraw = gs.rngFor('status').getState();
+
+  const rows = forecastTable(gs, landmarks);
+  assert.equal(rows.length, 9, 'Every pace × rations combination');
+  assert.equal(rows.filter(r => r.current).length, 1);
+  assert.equal(JSON.stringify(gs.data), before, 'Forecasts change nothing');
+  assert.equal(gs.rngFor('status').getState(), statusDraw, 'Forecasts roll nothing');
+
+  const row = (pace, rations) => rows.find(r => r.pace === pace && r.rations === rations);
+  assert.ok(row('steady', 'generous').foodDays < row('steady', 'meager').foodDays, 'Bigger rations run out sooner');
+  assert.ok(row('grueling', 'normal').milesPerDay > row('steady', 'normal').milesPerDay);
+  assert.ok(row('grueling', 'normal').daysToEnd <= row('steady', 'normal').daysToEnd);
+  assert.ok(row('grueling', 'normal').healthPerDay < row('steady', 'normal').healthPerDay, 'A harder pace drifts health down');
+  assert.ok(row('steady', 'normal').next.days >= 1);
+
+  const now = projectSupplies(gs, landmarks);
+  const after = projectSupplies(gs, landmarks, { inventory: { food: 100 } });
+  assert.ok(Math.abs(after.foodDays - now.foodDays - 100 / now.foodPerDay) < 1e-9, 'A shop basket extends the food');
+  assert.equal(gs.data.inventory.food, JSON.parse(before).inventory.food);
+  console.log('✓ Forecast: food days, miles and health drift per pace and rations, without side effects');
+}
+
+async function testCamp() {
+  const activities = await loadCamp();
+  for (const id of ['rest', 'repair', 'forage', 'fish', 'mend', 'stories', 'scout']) {
+    assert.ok(activities.some(a => a.id === id), `camp.json has ${id}`);
+  }
+  const hz = { kind: 'mud', badness: 0.6 };
+  assert.ok(estimateSuccess({ ...hz, scouted: true }, 'prep') > estimateSuccess(hz, 'prep'), 'Scouting improves the odds');
+
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(23, null, { startMonth: 7 });
+  const landmarks = await loadLandmarks(gs);
+  actions.setOut(gs, landmarks);
+  await actions.travel(gs, landmarks);
+  await actions.travel(gs, landmarks);
+
+  const scout = (await campOptions(gs, landmarks)).find(a => a.id === 'scout');
+  assert.ok(scout.available, 'A hazard lies within scouting range');
+  const outcomes = [];
+  for (const activity of ['fish', 'forage', 'stories', 'repair', 'scout', 'fish', 'forage', 'scout']) {
+    const food = gs.data.inventory.food;
+    const { summary, camp } = await actions.rest(gs, landmarks, activity);
+    if (!camp) continue; // nothing left to do (e.g. already scouted)
+    outcomes.push(camp);
+    if (camp.food) assert.equal(gs.data.inventory.food, food - summary.foodConsumed + camp.food, 'Fish and berries land in the larder');
+  }
+  assert.ok(outcomes.some(c => c.ok) && outcomes.every(c => typeof c.ok === 'boolean'));
+  const lines = gs.data.log.filter(e => e.key === 'camp.activity');
+  assert.equal(lines.length, outcomes.length, 'Every activity is logged');
+  assert.ok(gs.data.journal.some(e => e.type === 'rest' && e.activity === 'fish'), 'Activities are journaled');
+  if (outcomes.some(c => c.activity === 'scout' && c.ok)) {
+    assert.ok(Object.values(gs.data.flags.hazardState).some(h => h.scouted));
+  }
+
+  await actions.rest(gs, landmarks);
+  assert.deepEqual(gs.data.journal.at(-1), { day: gs.data.day - 1, type: 'rest' }, 'A plain rest journals as before');
+  assert.ok((await verifyReplay(gs.data)).ok, 'Camp days replay');
+  console.log('✓ Camp: rest days spent on data-driven activities, logged, journaled and replayed');
+}
+
+async function testCold() {
+  await loadRoles();
+  const gs = new GameState({ storage: memoryStorage() });
+  gs.startNewGame(7, null, { startMonth: 1 });
+  const landmarks = await loadLandmarks(gs);
+  actions.setOut(gs, landmarks);
+  for (let i = 0; i < 3; i++) await actions.travel(gs, landmarks);
+  assert.ok((await verifyReplay(gs.data)).ok, 'Cold days replay');
+  const living = gs.data.party.filter(m => m.status !== 'dead');
+
+  // One set goes to whoever feels the cold most
+  gs.data.inventory.clothes = 1;
+  const warmth = warmthFor(gs);
+  const dressed = living.find(m => warmth.get(m.id));
+  assert.equal(traitsFor(dressed).cold, Math.max(...living.map(m => traitsFor(m).cold)));
+  assert.equal([...warmth.values()].filter(Boolean).length, 1);
+  assert.ok(coldLevel(gs, { weatherCold: 0 }) >= 2, 'January is cold');
+  assert.ok(coldLoss(2, false) > 0 && coldLoss(2, true) === 0, 'Warm clothes keep out an ordinary cold day');
+
+  // weather.json's whiteout adds to the season's cold
+  const snowy = new GameState({ storage: memoryStorage() });
+  snowy.startNewGame(24, null, { startMonth: 11 });
+  let day = 1;
+  while ((await rollForDay(snowy, day)).id !== 'whiteout_eh' && day < 200) day++;
+  snowy.data.day = day;
+  assert.equal(getModifiersForToday(snowy).cold, 2, 'Whiteout from weather.json keeps its cold mod');
+  assert.equal(coldLevel(snowy), Math.min(MAX_COLD, coldLevel(snowy, { weatherCold: 0 }) + 2), 'A whiteout raises the cold level');
+
+  // Without warm clothes, winter costs health
+  gs.data.inventory.clothes = 0;
+  await actions.travel(gs, landmarks);
+  assert.ok(gs.data.party.every(m => m.status === 'dead' || m.lastChange.parts.cold < 0), 'Everyone feels the cold');
+  assert.ok(gs.data.log.some(e => e.key === 'cold.exposed'));
+  assert.equal((await campOptions(gs, landmarks)).find(a => a.id === 'mend').available, false, 'Nothing to mend');
+
+  // Clothes in use wear through
+  gs.data.inventory.clothes = living.length;
+  gs.data.clothing.wear = 99;
+  assert.equal(wearClothes(gs, 2), 1);
+  assert.equal(gs.data.inventory.clothes, living.length - 1);
+  assert.ok(gs.data.clothing.wear < 100 && gs.data.log.some(e => e.key === 'cold.clothesWorn'));
+  assert.ok((await campOptions(gs, landmarks)).find(a => a.id === 'mend').available, 'Worn clothes can be mended');
+  console.log('✓ Cold: warm clothes go to the most sensitive, exposure costs health, clothes wear out');
+}
+
+async function testMorale() {
+  const landmarks = await loadLandmarks();
+  const run = async (morale) => {
+    const gs = new GameState({ storage: memoryStorage() });
+    gs.startNewGame(25);
+    actions.setOut(gs, landmarks);
+    gs.data.morale = morale;
+    await actions.travel(gs, landmarks);
+    return gs;
+  };
+  const [high, low] = [await run(5), await run(-5)];
+  assert.ok(high.data.miles > low.data.miles, 'A cheerful party drives further');
+  assert.ok(moodWeightMult(low) > 1 && moodWeightMult(high) < 1, 'Low spirits make mood conditions likelier');
+  assert.ok((await createHuntSession(high, { width: 640, height: 360 })).state.hitPad > 0, 'Steady hands');
+
+  // Gated choices
+  const session = { event: { id: 't', title: 'T', stages: [{ id: 'start', choices: [{ id: 'cheer', label: 'Cheer', requires: { moraleGte: 1 } }] }] }, stageId: 'start' };
+  low.data.morale = 0;
+  assert.equal(renderStage(session, low).choices[0].disabled, true);
+  assert.match(renderStage(session, low).choices[0].reason, /morale/);
+  low.data.morale = 1;
+  assert.equal(renderStage(session, low).choices[0].disabled, false);
+
+  // Morale lines report the change actually applied, and are skipped at the cap
+  high.data.morale = MORALE_MAX - 1;
+  const cheer = { id: 'cheer', title: 'Cheer', stages: [{ id: 'start', choices: [{ id: 'ok', label: 'Yay', effects: [{ type: 'morale', delta: 3 }], goto: 'end' }] }] };
+  await choose({ event: cheer, stageId: 'start', vars: {}, logs: [] }, 'ok', high);
+  await choose({ event: cheer, stageId: 'start', vars: {}, logs: [] }, 'ok', high);
+  assert.deepEqual(high.data.log.filter(e => e.key === 'event.morale').map(e => e.params.delta), [1]);
+  const before = high.data.log.length;
+  await actions.rest(high, landmarks, 'stories');
+  const camped = high.data.log.slice(before);
+  assert.ok(camped.some(e => e.key === 'camp.activity') && !camped.some(e => e.params?.reason === 'Tell campfire stories'));
+  assert.ok(!camped.some(e => /Morale \+0/.test(e.text)), 'No "Morale +0" at the cap');
+
+  // A death hits hard; left alone it drifts back toward 0, with a trend for the HUD
+  low.data.morale = 0;
+  markMemberDead(low, low.data.party[0]);
+  assert.equal(low.data.morale, -2);
+  assert.ok(low.data.log.some(e => e.key === 'morale.changed'));
+  low.data.inventory.food = 400; // no hungry days
+  for (let i = 0; i < 20 && low.data.morale < 0; i++) await actions.rest(low, landmarks);
+  assert.ok(low.data.morale > -2, 'Morale drifts back');
+  assert.ok(low.data.moraleHistory.length <= MORALE_TREND_DAYS && moraleTrend(low) >= 0);
+  console.log('✓ Morale: speeds travel, steadies aim, gates choices, drops on deaths and drifts back to 0');
+}
+
+function assertCurrentShape(data, label) {
+  assert.equal(typeof data.day, 'number', `${label}: day`);
+  assert.equal(typeof data.money, 'number', `${label}: money`);
+  assert.ok(Array.isArray(data.party), `${label}: party`);
+  assert.ok(Array.isArray(data.log), `${label}: log`);
+  for (const e of data.log) {
+    assert.ok(e && typeof e.category === 'string' && typeof e.text === 'string', `${label}: structured log entry`);
+  }
+  assert.ok(data.settings.pace && data.settings.rations, `${label}: settings`);
+  for (const k of ['food', 'bullets', 'clothes', 'wheel', 'axle', 'tongue', 'medicine', 'fuel']) {
+    assert.equal(typeof data.inventory[k], 'number', `${label}: inventory.${k}`);
+  }
+  assert.ok(data.buffs && data.epitaphs, `${label}: buffs/epitaphs`);
+  assert.ok(Array.isArray(data.status.conditions) && data.status.history, `${label}: status`);
+  assert.equal(typeof data.weather.lastRolledDay, 'number', `${label}: weather`);
+  assert.ok(data.flags.hazardState && typeof data.flags.hazardState === 'object', `${label}: hazardState`);
+  assert.ok(Array.isArray(data.journal), `${label}: journal`);
+  assert.ok(['casual', 'standard', 'ironman'].includes(data.settings.difficulty), `${label}: difficulty`);
+  assert.ok(data.rngStreams === null || typeof data.rngStreams === 'object', `${label}: rngStreams`);
+  assert.ok(data.vehicle && typeof data.vehicle.wear.wheel === 'number' && 'broken' in data.vehicle, `${label}: vehicle`);
+  assert.ok(data.route && typeof data.route.choices === 'object', `${label}: route`);
+  assert.equal(typeof data.clothing?.wear, 'number', `${label}: clothing`);
+  assert.ok(Number.isInteger(data.morale) && Array.isArray(data.moraleHistory), `${label}: morale`);
+  assert.ok(Number.isInteger(data.settings.startMonth) && data.settings.startMonth >= 1 && data.settings.startMonth <= 12, `${label}: startMonth`);
+}
+
+/** memoryStorage() that throws QuotaExceededError once its text would pass `cap` characters */
+function cappedStorage(cap = Infinity) {
+  const storage = memoryStorage();
+  const { setItem, getItem } = storage;
+  const used = () => Array.from({ length: storage.length }, (_, i) => storage.key(i))
+    .reduce((n, k) => n + k.length + getItem(k).length, 0);
+  return Object.assign(storage, {
+    cap,
+    used,
+    setItem(k, v) {
+      const next = used() - (getItem(k)?.length ?? -k.length) + String(v).length;
+      if (next > storage.cap) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+      setItem(k, v);
+    }
+  });
+}
+
+function memoryStorage() {
+  let store = {};
+  return {
+    get length() { return Object.keys(store).length; },
+    key: (i) => Object.keys(store)[i] ?? null,
+    getItem: (k) => (k in store ? store[k] : null),
+    setItem: (k, v) => { store[k] = String(v); },
+    removeItem: (k) => { delete store[k]; },
+    clear: () => { store = {}; }
+  };
+}
+
+/** Just enough IndexedDB for state/storage.js: one version, key/value stores, async callbacks */
+function fakeIndexedDB() {
+  const dbs = new Map();
+  const later = (fn) => setTimeout(fn, 0);
+  return {
+    open(name) {
+      const req = {};
+      later(() => {
+        const isNew = !dbs.has(name);
+        if (isNew) dbs.set(name, new Map());
+        const stores = dbs.get(name);
+        req.result = {
+          objectStoreNames: { contains: (n) => stores.has(n) },
+          createObjectStore: (n) => stores.set(n, new Map()),
+          close() {},
+          transaction(storeName) {
+            const data = stores.get(storeName);
+            const sorted = () => [...data.keys()].sort();
+            const request = (fn) => ({ result: fn() });
+            const tx = {
+              objectStore: () => ({
+                get: (k) => request(() => data.get(k)),
+                put: (v, k) => request(() => { data.set(k, v); return k; }),
+                delete: (k) => request(() => { data.delete(k); }),
+                getAllKeys: () => request(sorted),
+                getAll: () => request(() => sorted().map(k => data.get(k)))
+              })
+            };
+            later(() => tx.oncomplete?.());
+            return tx;
+          }
+        };
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+}
+
 testRNGDeterminism();
 testSaveLoadNoThrow();
+testSaveSlots();
+testLegacySaveAdopted();
+testMigrationFixtures();
+testNewerSaveRefused();
+testExportImportRoundTrip();
+await testReplayMatchesRun();
+await testRewindDay();
+await testCustomParty();
+await testRngStreams();
+await testBatchedSaves();
+await testStorageAdapters();
+await testStructuredLog();
+await testEventBus();
+await testBackupsAndRecovery();
+await testSimulation();
+await testDayPipeline();
+await testAutoTravel();
+await testMemberHealth();
+await testCalendar();
+await testVehicle();
+await testCargo();
+await testFuel();
+await testRoutes();
+await testForecast();
+await testCamp();
+await testCold();
+await testMorale();
 console.log('All tests passed.');
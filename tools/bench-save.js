@@ -0,0 +1,66 @@
+// tools/bench-save.js
+// Save cost with a long log: save-on-every-change vs. batched flushes.
+//   node tools/bench-save.js [--lines 5000] [--days 30] [--changes 12]
+// "changes" is how many times one in-game day used to call save() (actions,
+// event cooldowns, hazard steps...); batched mode writes once per day instead.
+
+import { GameState, createMemoryStorage } from '../state/GameState.js';
+import { addLog } from '../systems/log.js';
+
+function arg(argv, name, fallback) {
+  const i = argv.indexOf(`--${name}`);
+  const n = i >= 0 ? Number(argv[i + 1]) : NaN;
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+function makeGame(lines, queue) {
+  const game = new GameState({ storage: createMemoryStorage(), schedule: (cb) => queue.push(cb) });
+  game.startNewGame(20240501);
+  for (let i = 0; i < lines; i++) {
+    addLog(game, 'travel', 'travel.summary', { day: 1 + (i >> 3), miles: 10 + (i % 9), food: 12 + (i % 5), starving: false, health: 0 });
+  }
+  game.save();
+  return game;
+}
+
+function time(fn) {
+  const t0 = performance.now();
+  fn();
+  return performance.now() - t0;
+}
+
+function main(argv) {
+  const lines = arg(argv, 'lines', 5000);
+  const days = arg(argv, 'days', 30);
+  const changes = arg(argv, 'changes', 12);
+
+  const queue = [];
+  const game = makeGame(lines, queue);
+  const bytes = JSON.stringify(game.data).length;
+
+  // Warm up the JIT so the first mode is not penalized
+  for (let i = 0; i < 5; i++) game.save();
+
+  const eager = time(() => {
+    for (let d = 0; d < days; d++) {
+      for (let c = 0; c < changes; c++) { game.data.day++; game.save(); }
+    }
+  });
+
+  const batched = time(() => {
+    for (let d = 0; d < days; d++) {
+      for (let c = 0; c < changes; c++) { game.data.day++; game.markDirty(); }
+      while (queue.length) queue.shift()();
+    }
+  });
+
+  const one = time(() => game.save());
+  console.log(`Log: ${lines} lines · save size ${(bytes / 1024).toFixed(1)} KiB · ${days} days × ${changes} changes/day`);
+  console.log(`  single save:              ${one.toFixed(2)} ms`);
+  console.log(`  save on every change:     ${eager.toFixed(1)} ms total (${days * changes} writes, ${(eager / days).toFixed(2)} ms/day)`);
+  console.log(`  batched (flush per day):  ${batched.toFixed(1)} ms total (${days} writes, ${(batched / days).toFixed(2)} ms/day)`);
+  console.log(`  speed-up:                 ×${(eager / Math.max(batched, 0.001)).toFixed(1)}`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
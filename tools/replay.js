@@ -0,0 +1,54 @@
+// tools/replay.js
+// Headless replay of an exported save (bug reports, regression checks).
+//   node tools/replay.js <file.ctsave> [--steps]
+// Rebuilds the run from seed + journal and compares it with the save.
+// Exit code: 0 = identical, 1 = mismatch or replay error, 2 = bad usage/input.
+
+import { readFile } from 'node:fs/promises';
+import { decodeSave } from '../state/saveCodec.js';
+import { replaySteps, verifyReplay, describeEntry, isReplayable } from '../systems/replay.js';
+
+async function main(argv) {
+  const file = argv.find(a => !a.startsWith('--'));
+  const showSteps = argv.includes('--steps');
+  if (!file) {
+    console.error('Usage: node tools/replay.js <file.ctsave> [--steps]');
+    return 2;
+  }
+
+  let data;
+  try {
+    ({ data } = decodeSave(await readFile(file, 'utf8')));
+  } catch (err) {
+    console.error(`Could not read ${file}: ${err.message}`);
+    return 2;
+  }
+  if (!isReplayable(data)) {
+    console.error('This save has no action journal to replay (it predates journaling).');
+    return 2;
+  }
+
+  if (showSteps) {
+    for await (const { index, entry, game } of replaySteps(data.journal)) {
+      const d = game.data;
+      console.log(`${String(index).padStart(4)}  day ${String(d.day).padStart(3)}  mi ${String(Math.round(d.miles)).padStart(4)}  ${describeEntry(entry)}`);
+    }
+  }
+
+  const { ok, steps, game, diff } = await verifyReplay(data);
+  const d = game ? game.data : data;
+  console.log(`Seed ${d.rngSeed >>> 0} · ${steps} journal entries · day ${d.day} · ${Math.round(d.miles)} mi`);
+  if (ok) {
+    console.log('✓ Replay matches the save exactly.');
+    return 0;
+  }
+  console.log(`✗ Replay diverges at ${diff.path}`);
+  console.log(`  save:   ${JSON.stringify(diff.expected)}`);
+  console.log(`  replay: ${JSON.stringify(diff.actual)}`);
+  return 1;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => { console.error(err.message || err); process.exitCode = 1; }
+);
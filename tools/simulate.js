@@ -0,0 +1,84 @@
+// tools/simulate.js
+// Headless balance runs: many seeds played by a bot, summarized.
+//   node tools/simulate.js [--seeds 1..1000] [--strategy cautious|balanced|reckless|random|all]
+//                          [--max-days 365] [--month 4] [--json]
+// --seeds takes a range (1..1000), a list (3,7,42) or a count (500 = 1..500).
+// --month is the start month (1–12); seasons change the weather and hazards.
+// Use it after editing data/events.json, data/diseases.json, data/landmarks.json or the hazard odds in systems/river.js.
+// Exit code: 0 = done, 2 = bad usage.
+
+import { STRATEGIES, simulateRun, summarizeRuns } from '../systems/simulation.js';
+import { loadRouteGraph } from '../systems/landmarks.js';
+
+function option(argv, name, fallback) {
+  const i = argv.indexOf(`--${name}`);
+  return i >= 0 && argv[i + 1] !== undefined ? argv[i + 1] : fallback;
+}
+
+/** "1..1000" | "3,7,42" | "500" → seed list (null when malformed) */
+function parseSeeds(text) {
+  const s = String(text).trim();
+  const range = /^(\d+)\.\.(\d+)$/.exec(s);
+  if (range) {
+    const [a, b] = [Number(range[1]), Number(range[2])];
+    if (b < a) return null;
+    return Array.from({ length: b - a + 1 }, (_, i) => a + i);
+  }
+  if (/^\d+(,\d+)+$/.test(s)) return s.split(',').map(Number);
+  if (/^\d+$/.test(s) && Number(s) > 0) return Array.from({ length: Number(s) }, (_, i) => i + 1);
+  return null;
+}
+
+function pct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+function printSummary(name, seedsLabel, s, ms) {
+  console.log(`\n${name} — ${STRATEGIES[name].summary}`);
+  console.log(`  runs:              ${s.runs} (seeds ${seedsLabel}, ${(ms / 1000).toFixed(1)} s)`);
+  console.log(`  completion rate:   ${pct(s.completionRate)} (${s.completed}/${s.runs})`);
+  console.log(`  party lost:        ${pct(s.partyDeadRate)}   ran out of days: ${pct(s.timeoutRate)}`);
+  console.log(`  average days:      ${s.avgDays.toFixed(1)} (completed runs: ${s.completed ? s.avgDaysCompleted.toFixed(1) : '—'})`);
+  console.log(`  average miles:     ${s.avgMiles.toFixed(0)}`);
+  console.log(`  survivors:         ${s.avgSurvivors.toFixed(2)} of ${s.avgPartySize.toFixed(0)} on average`);
+  console.log(`  food at the end:   ${s.avgFoodAtEnd.toFixed(1)} lb on average`);
+  console.log(`  vehicle repairs:   ${s.avgRepairs.toFixed(2)} per run`);
+  for (const [route, n] of Object.entries(s.routes).sort((a, b) => b[1] - a[1])) {
+    console.log(`  route ${pct(n / s.runs).padStart(6)}   ${route}`);
+  }
+  const causes = Object.entries(s.deathsByCause).sort((a, b) => b[1] - a[1]);
+  console.log(`  deaths by cause:${causes.length ? '' : '   none'}`);
+  for (const [cause, n] of causes) {
+    console.log(`    ${cause.padEnd(28)} ${String(n).padStart(6)}  (${(n / s.runs).toFixed(2)} per run)`);
+  }
+}
+
+async function main(argv) {
+  const seedsText = option(argv, 'seeds', '1..100');
+  const seeds = parseSeeds(seedsText);
+  const which = option(argv, 'strategy', 'cautious');
+  const maxDays = Number(option(argv, 'max-days', 365));
+  const startMonth = Number(option(argv, 'month', 4));
+  const names = which === 'all' ? Object.keys(STRATEGIES) : [which];
+  if (!seeds || !names.every(n => STRATEGIES[n]) || !(maxDays > 0) || !(Number.isInteger(startMonth) && startMonth >= 1 && startMonth <= 12)) {
+    console.error(`Usage: node tools/simulate.js [--seeds 1..1000] [--strategy ${Object.keys(STRATEGIES).join('|')}|all] [--max-days 365] [--month 4] [--json]`);
+    return 2;
+  }
+
+  const graph = await loadRouteGraph();
+  const report = {};
+  for (const name of names) {
+    const t0 = performance.now();
+    const runs = [];
+    for (const seed of seeds) runs.push(await simulateRun(seed, STRATEGIES[name], { graph, maxDays, startMonth }));
+    report[name] = summarizeRuns(runs);
+    if (!argv.includes('--json')) printSummary(name, seedsText, report[name], performance.now() - t0);
+  }
+  if (argv.includes('--json')) console.log(JSON.stringify(report, null, 2));
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => { console.error(err.stack || err); process.exitCode = 1; }
+);
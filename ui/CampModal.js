@@ -0,0 +1,108 @@
+// ui/CampModal.js
+// Make camp: pick how to spend a rest day (data/camp.json, systems/camp.js).
+// - One button per activity with its blurb and today's odds; unavailable ones are
+//   disabled with the reason (nothing to repair, no hazard to scout…)
+// - Resolves to the chosen activity id, or null on Cancel / Esc; the caller rests
+//   through actions.rest() so the choice is journaled
+
+import { campOptions } from '../systems/camp.js';
+
+export async function showCampModal({ game, landmarks }) {
+  const options = await campOptions(game, landmarks);
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('open', '');
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal__backdrop';
+    modal.appendChild(backdrop);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const titleEl = document.createElement('h3');
+    titleEl.id = 'camp-title';
+    titleEl.textContent = 'Make camp';
+    dialog.appendChild(titleEl);
+    dialog.setAttribute('aria-labelledby', titleEl.id);
+
+    const intro = document.createElement('p');
+    intro.className = 'muted';
+    intro.textContent = 'A day off the road. How will you spend it?';
+    dialog.appendChild(intro);
+
+    const listEl = document.createElement('ul');
+    listEl.className = 'camp-list';
+    for (const a of options) {
+      const li = document.createElement('li');
+      const odds = a.odds == null ? '' : ` · ${Math.round(a.odds * 100)}% chance`;
+      li.innerHTML = `
+        <button class="btn btn-outline camp-option" type="button" ${a.available ? '' : 'disabled'}>
+          <strong>${escapeHTML(a.label)}</strong>
+          <span class="muted">${escapeHTML(a.available ? `${a.blurb || ''}${odds}` : a.reason)}</span>
+        </button>
+      `;
+      li.querySelector('button').addEventListener('click', () => {
+        cleanup();
+        resolve(a.id);
+      });
+      listEl.appendChild(li);
+    }
+    dialog.appendChild(listEl);
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'btn-row';
+    const btnCancel = document.createElement('button');
+    btnCancel.className = 'btn btn-outline';
+    btnCancel.textContent = 'Cancel';
+    btnRow.append(btnCancel);
+    dialog.appendChild(btnRow);
+
+    modal.appendChild(dialog);
+    document.body.appendChild(modal);
+
+    const prevFocus = document.activeElement;
+
+    btnCancel.addEventListener('click', () => { cleanup(); resolve(null); });
+
+    // focus trap; Esc cancels
+    function onKey(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cleanup();
+        resolve(null);
+      } else if (e.key === 'Tab') {
+        const foci = Array.from(dialog.querySelectorAll('button:not([disabled])'));
+        if (!foci.length) return;
+        const first = foci[0], last = foci[foci.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault(); last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault(); first.focus();
+        }
+      }
+    }
+
+    function cleanup() {
+      document.removeEventListener('keydown', onKey, true);
+      modal.remove();
+      if (prevFocus && typeof prevFocus.focus === 'function') prevFocus.focus();
+    }
+
+    document.addEventListener('keydown', onKey, true);
+    (listEl.querySelector('button:not([disabled])') || btnCancel).focus();
+  });
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,144 @@
+// ui/DropItemsModal.js
+// Leave supplies behind to lighten the vehicle.
+// - One quantity field per item on board, with its weight; the load after dropping
+//   is shown against the vehicle's capacity (systems/cargo.js)
+// - Drop goes through actions.dropItems() (journaled); Cancel or Esc changes nothing
+// - Resolves to the pounds dropped, or 0
+
+import { loadJSON } from '../systems/jsonLoader.js';
+import { loadItemWeights, itemWeight, cargoWeight, CAPACITY_LB, MAX_LOAD_LB } from '../systems/cargo.js';
+import { dropItems } from '../systems/actions.js';
+
+export async function showDropItemsModal({ game }) {
+  const items = await loadJSON('../data/items.json').catch(() => []);
+  await loadItemWeights();
+  const names = Object.fromEntries((items || []).map(it => [it.id, it.name]));
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('open', '');
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal__backdrop';
+    modal.appendChild(backdrop);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const titleEl = document.createElement('h3');
+    titleEl.id = 'drop-title';
+    titleEl.textContent = 'Lighten the load';
+    dialog.appendChild(titleEl);
+    dialog.setAttribute('aria-labelledby', titleEl.id);
+
+    const onBoard = Object.entries(game.data.inventory || {})
+      .filter(([id, n]) => Number(n) > 0 && itemWeight(id) > 0);
+    const qty = Object.fromEntries(onBoard.map(([id]) => [id, 0]));
+
+    const listEl = document.createElement('ul');
+    listEl.className = 'drop-list';
+    for (const [id, have] of onBoard) {
+      const li = document.createElement('li');
+      const label = names[id] || id;
+      li.innerHTML = `
+        <label for="drop-${escapeHTML(id)}">${escapeHTML(label)}</label>
+        <span class="muted mono">${Number(have)} on board · ${itemWeight(id)} lb each</span>
+        <input class="qty" id="drop-${escapeHTML(id)}" type="number" min="0" max="${Number(have)}" step="1" value="0">
+      `;
+      const input = li.querySelector('input');
+      input.addEventListener('input', () => {
+        const n = Math.max(0, Math.min(Number(have), Math.floor(Number(input.value) || 0)));
+        qty[id] = n;
+        update();
+      });
+      listEl.appendChild(li);
+    }
+    dialog.appendChild(listEl);
+    if (!onBoard.length) {
+      const empty = document.createElement('p');
+      empty.className = 'muted';
+      empty.textContent = 'Nothing on board to leave behind.';
+      dialog.appendChild(empty);
+    }
+
+    const summaryEl = document.createElement('p');
+    summaryEl.className = 'mono';
+    summaryEl.setAttribute('role', 'status');
+    dialog.appendChild(summaryEl);
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'btn-row';
+    const btnDrop = document.createElement('button');
+    btnDrop.className = 'btn';
+    btnDrop.textContent = 'Drop';
+    const btnCancel = document.createElement('button');
+    btnCancel.className = 'btn btn-outline';
+    btnCancel.textContent = 'Cancel';
+    btnRow.append(btnDrop, btnCancel);
+    dialog.appendChild(btnRow);
+
+    modal.appendChild(dialog);
+    document.body.appendChild(modal);
+
+    const prevFocus = document.activeElement;
+
+    function dropping() {
+      return Object.entries(qty).reduce((lb, [id, n]) => lb + n * itemWeight(id), 0);
+    }
+
+    function update() {
+      const lb = Math.round(dropping() * 10) / 10;
+      const after = Math.round(cargoWeight(game) - lb);
+      const note = after > MAX_LOAD_LB ? ' (over the limit)' : after > CAPACITY_LB ? ' (overloaded)' : '';
+      summaryEl.textContent = `Dropping ${lb} lb · load after: ${after} / ${CAPACITY_LB} lb${note}`;
+      btnDrop.disabled = lb <= 0;
+    }
+
+    btnDrop.addEventListener('click', () => {
+      const lb = dropItems(game, qty);
+      cleanup();
+      resolve(lb);
+    });
+    btnCancel.addEventListener('click', () => { cleanup(); resolve(0); });
+
+    // focus trap; Esc cancels
+    function onKey(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cleanup();
+        resolve(0);
+      } else if (e.key === 'Tab') {
+        const foci = Array.from(dialog.querySelectorAll('input, button:not([disabled])'));
+        if (!foci.length) return;
+        const first = foci[0], last = foci[foci.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault(); last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault(); first.focus();
+        }
+      }
+    }
+
+    function cleanup() {
+      document.removeEventListener('keydown', onKey, true);
+      modal.remove();
+      if (prevFocus && typeof prevFocus.focus === 'function') prevFocus.focus();
+    }
+
+    document.addEventListener('keydown', onKey, true);
+    update();
+    (listEl.querySelector('input') || btnCancel).focus();
+  });
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -1,7 +1,12 @@
 // ui/EndScreen.js
 // Polished end-of-journey summary screen with score, party memorials, and log recap.
+// Ironman runs (no rewinds) get a badge next to the heading.
+// Log highlights can be filtered by category.
 
-import { loadJSON } from '../systems/jsonLoader.js';
+import { loadLandmarks, totalTrailMiles } from '../systems/landmarks.js';
+import { filterLog, renderLogEntry } from '../systems/log.js';
+import { dateForDay, formatDate } from '../systems/calendar.js';
+import { createLogFilter } from './LogFilter.js';
 
 export async function mountEndScreen(root, { game, result = {}, onPlayAgain, onBackToTitle } = {}) {
   const data = game?.data ?? {};
@@ -16,10 +21,8 @@ export async function mountEndScreen(root, { game, result = {}, onPlayAgain, onB
   let totalMiles = Number(result.totalMiles ?? data.flags?.gameOver?.totalMiles);
   if (!Number.isFinite(totalMiles) || totalMiles <= 0) {
     try {
-      const landmarks = await loadJSON('../data/landmarks.json');
-      if (Array.isArray(landmarks) && landmarks.length) {
-        totalMiles = Math.max(...landmarks.map(l => Number(l.mile) || 0));
-      }
+      const landmarks = await loadLandmarks(game);
+      if (landmarks.length) totalMiles = totalTrailMiles(landmarks);
     } catch { /* ignore and fall back */ }
   }
   if (!Number.isFinite(totalMiles) || totalMiles <= 0) totalMiles = milesTraveled || 1;
@@ -29,6 +32,7 @@ export async function mountEndScreen(root, { game, result = {}, onPlayAgain, onB
 
   const reasonKey = result.reason || data.flags?.gameOver?.reason || (survivors.length ? 'completed' : 'party_dead');
   const heading = reasonKey === 'completed' ? 'Trail Complete' : 'Journey Lost';
+  const ironman = data.settings?.difficulty === 'ironman';
 
   const finalDayNumber = Math.max(1, Number(data.day) || 1);
   const survivorText = survivors.length === 0
@@ -58,6 +62,7 @@ export async function mountEndScreen(root, { game, result = {}, onPlayAgain, onB
   hero.className = 'card end-screen__hero';
   hero.innerHTML = `
     <h1 id="end-heading">${escapeHTML(heading)}</h1>
+    ${ironman ? '<p class="end-badge" title="No rewinds were available on this run">Ironman run</p>' : ''}
     <p class="end-screen__tagline">${escapeHTML(blurb)}</p>
     <div class="end-score" role="group" aria-labelledby="end-score-label">
       <span class="end-score__label" id="end-score-label">Final Score</span>
@@ -86,6 +91,7 @@ export async function mountEndScreen(root, { game, result = {}, onPlayAgain, onB
         ${supplyLine('Bullets', formatNumber(Math.round(inventory.bullets || 0)))}
         ${supplyLine('Clothes', formatNumber(Math.round(inventory.clothes || 0)))}
         ${supplyLine('Medicine', formatNumber(Math.round(inventory.medicine || 0)))}
+        ${supplyLine('Gas', `${formatNumber(Math.round((inventory.fuel || 0) * 10) / 10)} gal`)}
         ${supplyLine('Wagon wheels', formatNumber(Math.round(inventory.wheel || 0)))}
         ${supplyLine('Axles', formatNumber(Math.round(inventory.axle || 0)))}
         ${supplyLine('Tongues', formatNumber(Math.round(inventory.tongue || 0)))}
@@ -140,21 +146,31 @@ export async function mountEndScreen(root, { game, result = {}, onPlayAgain, onB
   const logCard = document.createElement('section');
   logCard.className = 'card end-card end-log';
   logCard.innerHTML = '<h2>Trail Log Highlights</h2>';
+  createLogFilter(logCard, { onChange: (selected) => drawHighlights(selected) });
   const logList = document.createElement('ol');
   logList.className = 'end-log__list';
-  const highlights = (Array.isArray(data.log) ? data.log : []).slice(-10);
-  if (highlights.length === 0) {
-    const li = document.createElement('li');
-    li.textContent = 'No log entries recorded.';
-    logList.appendChild(li);
-  } else {
+  logCard.appendChild(logList);
+  const drawHighlights = (categories) => {
+    logList.innerHTML = '';
+    const highlights = filterLog(data.log, categories).slice(-10);
+    if (highlights.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = categories.length ? 'Nothing in this category.' : 'No log entries recorded.';
+      logList.appendChild(li);
+    }
     for (const entry of highlights) {
       const li = document.createElement('li');
-      li.textContent = entry;
+      if (typeof entry?.day === 'number') {
+        const when = document.createElement('span');
+        when.className = 'log-date mono';
+        when.textContent = formatDate(dateForDay(data.settings?.startMonth, entry.day));
+        li.append(when, ' ');
+      }
+      li.append(renderLogEntry(entry));
       logList.appendChild(li);
     }
-  }
-  logCard.appendChild(logList);
+  };
+  drawHighlights([]);
 
   wrap.append(hero, summaryCard, partyCard, logCard);
   root.appendChild(wrap);
@@ -193,7 +209,8 @@ function computeScore(data, { totalMiles }) {
     Math.max(0, Number(inv.bullets) || 0) * 2 +
     Math.max(0, Number(inv.clothes) || 0) * 75 +
     (Math.max(0, Number(inv.wheel) || 0) + Math.max(0, Number(inv.axle) || 0) + Math.max(0, Number(inv.tongue) || 0)) * 60 +
-    Math.max(0, Number(inv.medicine) || 0) * 85
+    Math.max(0, Number(inv.medicine) || 0) * 85 +
+    Math.max(0, Number(inv.fuel) || 0) * 10
   );
 
   const base = miles * 10;
@@ -1,9 +1,10 @@
 // ui/EventModal.js
 // Accessible modal for multi-stage events.
 // - Focus trap, Esc disabled (you must choose)
-// - Uses eventEngine.renderStage() and eventEngine.choose()
+// - Uses eventEngine.renderStage() and actions.chooseEvent() (journaled choose())
 
-import { renderStage, choose } from '../systems/eventEngine.js';
+import { renderStage } from '../systems/eventEngine.js';
+import { chooseEvent } from '../systems/actions.js';
 
 export function showEventModal(session, { game }) {
   return new Promise((resolve) => {
@@ -52,8 +53,10 @@ export function showEventModal(session, { game }) {
           b.disabled = true;
           if (c.reason) b.title = c.reason;
         }
-        b.addEventListener('click', () => {
-          const res = choose(session, c.id, game);
+        b.addEventListener('click', async () => {
+          // Choices can spend whole days (time effects); block double clicks meanwhile
+          btnRow.querySelectorAll('button').forEach(x => { x.disabled = true; });
+          const res = await chooseEvent(game, session, c.id);
           if (res.done) {
             cleanup();
             resolve();
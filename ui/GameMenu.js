@@ -0,0 +1,82 @@
+// ui/GameMenu.js
+// In-game menu (opened from the Travel screen): export/import saves, back to title.
+// Resolves with the action taken so the caller can navigate:
+//   'resume' | 'title' | 'imported'
+
+import { showExportModal, showImportModal } from './SaveTransferModal.js';
+
+export function showGameMenu(game) {
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('open', '');
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal__backdrop';
+    modal.appendChild(backdrop);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'game-menu-title');
+    dialog.innerHTML = `
+      <h3 id="game-menu-title">Menu</h3>
+      <p class="muted mono">Seed ${game.data.rngSeed >>> 0} · Day ${game.data.day ?? 1}</p>
+      <div class="btn-row game-menu__actions">
+        <button class="btn" data-act="resume" type="button">Resume</button>
+        <button class="btn btn-secondary" data-act="export" type="button">Export Save</button>
+        <button class="btn btn-secondary" data-act="import" type="button">Import Save</button>
+        <button class="btn btn-outline" data-act="title" type="button">Back to Title</button>
+      </div>
+    `;
+    modal.appendChild(dialog);
+    document.body.appendChild(modal);
+
+    const prevFocus = document.activeElement;
+
+    function close(result) {
+      document.removeEventListener('keydown', onKey, true);
+      modal.remove();
+      if (prevFocus && typeof prevFocus.focus === 'function') prevFocus.focus();
+      resolve(result);
+    }
+
+    function onKey(e) {
+      if (modal.hidden) return; // a nested dialog owns the keyboard
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close('resume');
+      } else if (e.key === 'Tab') {
+        const foci = Array.from(dialog.querySelectorAll('button'));
+        if (!foci.length) return;
+        const first = foci[0], last = foci[foci.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault(); last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault(); first.focus();
+        }
+      }
+    }
+
+    dialog.querySelector('[data-act="resume"]').addEventListener('click', () => close('resume'));
+    dialog.querySelector('[data-act="title"]').addEventListener('click', () => close('title'));
+    dialog.querySelector('[data-act="export"]').addEventListener('click', async () => {
+      // Hide the menu while the nested dialog is up so focus trapping stays simple
+      modal.hidden = true;
+      await showExportModal(game);
+      modal.hidden = false;
+      dialog.querySelector('[data-act="export"]').focus();
+    });
+    dialog.querySelector('[data-act="import"]').addEventListener('click', async () => {
+      modal.hidden = true;
+      const imported = await showImportModal({ onImport: (text) => game.importSave(text) });
+      if (imported) { close('imported'); return; }
+      modal.hidden = false;
+      dialog.querySelector('[data-act="import"]').focus();
+    });
+
+    document.addEventListener('keydown', onKey, true);
+    dialog.querySelector('button')?.focus();
+  });
+}
@@ -5,8 +5,9 @@
 //  - Mouse/touch moves reticle. Keyboard: Arrow keys / WASD to move, Space/Enter to shoot.
 // Ends when timer hits 0 or bullets run out; shows summary and updates game state.
 
-import { createHuntSession, getAnimals } from '../systems/hunting.js';
+import { createHuntSession, getAnimals, labelAnimal } from '../systems/hunting.js';
 import { getImage, getMeta } from '../systems/assets.js';
+import { finishHunt } from '../systems/actions.js';
 
 export async function mountHuntingScreen(root, { game, onExit }) {
   const animals = await getAnimals();
@@ -19,7 +20,7 @@ export async function mountHuntingScreen(root, { game, onExit }) {
     <h2 id="hunt-title" style="margin-bottom:0.25rem">Hunting</h2>
     <p class="muted" style="margin-top:0">
       30 seconds. Click/tap/Space to shoot. Arrow keys/WASD move the reticle.
-      Carry cap: 100 lb/day. Bullets are precious.
+      Carry cap: <span id="hunt-cap">100</span> lb/day. Bullets are precious.
     </p>
 
     <div class="hunt-hud" aria-live="polite">
@@ -70,6 +71,7 @@ export async function mountHuntingScreen(root, { game, onExit }) {
   });
 
   // HUD init
+  wrap.querySelector('#hunt-cap').textContent = String(state.carryCapLb);
   hudBullets.textContent = String(game.data.inventory.bullets || 0);
   hudMeat.textContent = '0';
 
@@ -220,19 +222,8 @@ export async function mountHuntingScreen(root, { game, onExit }) {
     cancelAnimationFrame(raf);
     state.timeLeft = 0;
     const summary = end();
-    // Apply carry/ spoilage now
-    const before = Number(game.data.inventory.food || 0);
-    game.data.inventory.food = Math.max(0, before + summary.meatTaken);
-    game.data.flags.lastHuntDay = Number(game.data.day || 1);
-    // Log
-    const parts = [];
-    for (const [id, n] of Object.entries(summary.killsById)) {
-      if (n > 0) parts.push(`${n}× ${labelAnimal(id)}`);
-    }
-    const line =
-      `Hunt: ${parts.join(', ') || 'no hits'}. Meat: ${summary.meatTaken} lb (spoiled ${summary.spoiled} lb). Bullets used: ${summary.bulletsUsed}.`;
-    game.data.log.push(line);
-    game.save();
+    // Apply carry/spoilage and log (journaled for replays)
+    finishHunt(game, summary);
 
     // Summary UI
     const div = document.createElement('div');
@@ -274,12 +265,4 @@ function spriteKey(id) {
     default:       return 'sprites.deer';
   }
 }
-function labelAnimal(id) {
-  switch (id) {
-    case 'rabbit': return 'Rabbit';
-    case 'deer':   return 'Deer';
-    case 'buffalo':return 'Bison';
-    default:       return id;
-  }
-}
 function clamp(n, lo, hi) { return Math.max(lo, Math.min(hi, n)); }
@@ -1,15 +1,20 @@
 // ui/LandmarkScreen.js
 // Shows landmark info and lets the player enter the shop (if available) or continue traveling.
+// At a fork the player picks the road ahead (one card per option, with its length, hazards
+// and shops); continuing is only offered once the choice is made.
 
-import { servicesFor } from '../systems/landmarks.js';
+import { servicesFor, loadRouteGraph, forkOptions, routeChoices } from '../systems/landmarks.js';
+import { leaveLandmark, chooseRoute } from '../systems/actions.js';
 
-export function mountLandmarkScreen(root, { game, landmark, onOpenShop, onContinue }) {
+export async function mountLandmarkScreen(root, { game, landmark, onOpenShop, onContinue }) {
   const card = document.createElement('section');
   card.className = 'card';
   card.setAttribute('aria-labelledby', 'lm-title');
 
   const services = servicesFor(landmark);
   const canShop = services.has('shop');
+  const choosing = !!landmark.fork && !routeChoices(game)[landmark.id];
+  const options = choosing ? forkOptions(await loadRouteGraph(), landmark, routeChoices(game)) : [];
 
   card.innerHTML = `
     <h2 id="lm-title" style="margin-bottom:0.25rem">${escapeHTML(landmark.name)}</h2>
@@ -19,9 +24,21 @@ export function mountLandmarkScreen(root, { game, landmark, onOpenShop, onContin
       ${[...services].map(s => `<span class="chip">${escapeHTML(cap(s))}</span>`).join('')}
     </div>
 
+    ${choosing ? `
+    <h3 id="fork-title">${escapeHTML(landmark.fork.prompt || 'Which way?')}</h3>
+    <ul class="route-options" aria-labelledby="fork-title">
+      ${options.map(o => `
+        <li class="route-option">
+          <h4 class="route-option__title">${escapeHTML(o.label)}</h4>
+          <p class="muted">${escapeHTML(o.blurb)}</p>
+          <p class="mono">${o.miles} mi to go · ${o.hazards} hazard${o.hazards === 1 ? '' : 's'} · ${o.shops} shop${o.shops === 1 ? '' : 's'}</p>
+          <button class="btn" data-leg="${escapeHTML(o.leg)}" aria-label="Take the ${escapeHTML(o.label)}">Take this route</button>
+        </li>`).join('')}
+    </ul>` : ''}
+
     <div class="btn-row">
       ${canShop ? `<button class="btn" id="btn-shop" aria-label="Visit shop at ${escapeHTML(landmark.name)}">Visit Shop</button>` : ''}
-      <button class="btn btn-outline" id="btn-continue" aria-label="Continue traveling">Continue on Trail</button>
+      ${choosing ? '' : '<button class="btn btn-outline" id="btn-continue" aria-label="Continue traveling">Continue on Trail</button>'}
     </div>
 
     <p class="muted mono" style="margin-top:0.75rem">Mile ${Number(landmark.mile || 0).toFixed(0)} · Money: $${Number(game.data.money || 0).toFixed(2)}</p>
@@ -33,18 +50,23 @@ export function mountLandmarkScreen(root, { game, landmark, onOpenShop, onContin
       onOpenShop?.(landmark);
     });
   }
-  card.querySelector('#btn-continue').addEventListener('click', (e) => {
+  card.querySelector('#btn-continue')?.addEventListener('click', (e) => {
     e.preventDefault();
     // Clear "currently at" flag and return to travel
-    if (game.data.flags) {
-      delete game.data.flags.atLandmarkId;
-      game.save();
-    }
+    leaveLandmark(game, landmark);
     onContinue?.();
   });
+  for (const btn of card.querySelectorAll('[data-leg]')) {
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!chooseRoute(game, landmark, btn.dataset.leg)) return;
+      leaveLandmark(game, landmark);
+      onContinue?.();
+    });
+  }
 
   root.appendChild(card);
-  queueMicrotask(() => card.querySelector(canShop ? '#btn-shop' : '#btn-continue')?.focus());
+  queueMicrotask(() => card.querySelector(canShop ? '#btn-shop' : choosing ? '[data-leg]' : '#btn-continue')?.focus());
 
   return () => card.remove();
 }
@@ -0,0 +1,143 @@
+// ui/LoadScreen.js
+// Lists save slots (most recent first) with their summary, and lets the player
+// load, rename or delete each one. Reached from the Title screen.
+
+import { GameState } from '../state/GameState.js';
+
+export function mountLoadScreen(root, { storage, onLoad, onBack }) {
+  const card = document.createElement('section');
+  card.className = 'card';
+  card.setAttribute('aria-labelledby', 'load-title');
+  card.innerHTML = `
+    <h2 id="load-title" style="margin-bottom:0.25rem">Saved Trails</h2>
+    <p class="muted" style="margin-top:0">Each run keeps its own slot. Starting a new game never overwrites one.</p>
+    <div class="slot-list" id="slot-list" aria-live="polite"></div>
+    <div class="btn-row" style="margin-top:0.75rem">
+      <button class="btn btn-outline" id="btn-back" aria-label="Back to title">Back to Title</button>
+    </div>
+  `;
+
+  const list = card.querySelector('#slot-list');
+  const btnBack = card.querySelector('#btn-back');
+
+  btnBack.addEventListener('click', (e) => {
+    e.preventDefault();
+    onBack?.();
+  });
+
+  function render(focusId) {
+    const slots = GameState.listSlots(storage);
+    list.innerHTML = '';
+    if (!slots.length) {
+      const p = document.createElement('p');
+      p.className = 'muted';
+      p.textContent = 'No saved trails yet.';
+      list.appendChild(p);
+      return;
+    }
+    for (const slot of slots) list.appendChild(rowFor(slot));
+    const target = focusId && list.querySelector(`[data-slot="${cssEscape(focusId)}"] .btn`);
+    (target || list.querySelector('.btn'))?.focus();
+  }
+
+  function rowFor(slot) {
+    const row = document.createElement('article');
+    row.className = 'slot-row';
+    row.dataset.slot = slot.id;
+    row.innerHTML = `
+      <div class="slot-row__body">
+        <div class="slot-row__name"><strong>${escapeHTML(slot.name || 'Unnamed trail')}</strong></div>
+        <div class="muted mono">${escapeHTML(describe(slot))}</div>
+        <div class="muted">${escapeHTML(savedAt(slot))}</div>
+      </div>
+      <div class="btn-row slot-row__actions">
+        <button class="btn" data-act="load" aria-label="Load ${escapeHTML(slot.name)}">Load</button>
+        <button class="btn btn-secondary" data-act="rename" aria-label="Rename ${escapeHTML(slot.name)}">Rename</button>
+        <button class="btn btn-outline" data-act="delete" aria-label="Delete ${escapeHTML(slot.name)}">Delete</button>
+      </div>
+    `;
+
+    row.querySelector('[data-act="load"]').addEventListener('click', (e) => {
+      e.preventDefault();
+      onLoad?.(slot.id);
+    });
+    row.querySelector('[data-act="rename"]').addEventListener('click', (e) => {
+      e.preventDefault();
+      showRename(row, slot);
+    });
+    row.querySelector('[data-act="delete"]').addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+      GameState.deleteSlot(slot.id, storage);
+      render();
+    });
+    return row;
+  }
+
+  function showRename(row, slot) {
+    const body = row.querySelector('.slot-row__name');
+    body.innerHTML = `
+      <form class="slot-rename" aria-label="Rename save slot">
+        <input class="slot-rename__input" maxlength="40" aria-label="New name" value="${escapeHTML(slot.name || '')}">
+        <button class="btn" type="submit">Save</button>
+        <button class="btn btn-outline" type="button" data-act="cancel">Cancel</button>
+      </form>
+    `;
+    const form = body.querySelector('form');
+    const input = form.querySelector('input');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        GameState.renameSlot(slot.id, input.value, storage);
+        render(slot.id);
+      } catch (err) {
+        input.setCustomValidity(err.message);
+        input.reportValidity();
+      }
+    });
+    input.addEventListener('input', () => input.setCustomValidity(''));
+    form.querySelector('[data-act="cancel"]').addEventListener('click', () => render(slot.id));
+    input.focus();
+    input.select();
+  }
+
+  root.appendChild(card);
+  render();
+
+  return () => card.remove();
+}
+
+function describe(slot) {
+  const parts = [
+    `Day ${slot.day ?? 1}`,
+    `${Number(slot.miles || 0).toFixed(0)} mi`,
+    `${slot.survivors ?? 0}/${slot.partySize ?? 0} alive`
+  ];
+  if (slot.lastLandmark) parts.push(`Last: ${slot.lastLandmark}`);
+  if (slot.difficulty && slot.difficulty !== 'standard') parts.push(capitalize(slot.difficulty));
+  parts.push(`Seed ${slot.seed ?? '?'}`);
+  return parts.join(' · ');
+}
+
+function capitalize(s) {
+  return String(s).charAt(0).toUpperCase() + String(s).slice(1);
+}
+
+function savedAt(slot) {
+  const t = Number(slot.updatedAt || slot.createdAt || 0);
+  if (!t) return 'Saved before slots existed';
+  return `Saved ${new Date(t).toLocaleString()}`;
+}
+
+function cssEscape(s) {
+  return String(s).replace(/["\\]/g, '\\$&');
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,56 @@
+// ui/LogFilter.js
+// Category toggle chips for the trail log (Travel log, End screen highlights).
+// - "All" clears the selection; several categories can be on at once
+// - Buttons use aria-pressed so the current filter is announced
+
+import { CATEGORY_LABELS } from '../systems/log.js';
+
+export const FILTER_CATEGORIES = ['weather', 'health', 'event', 'hazard', 'trade'];
+
+/**
+ * @param {HTMLElement} container
+ * @param {{ categories?: string[], selected?: string[], onChange:(selected:string[]) => void }} opts
+ * @returns {{ el: HTMLElement, selected: () => string[] }}
+ */
+export function createLogFilter(container, { categories = FILTER_CATEGORIES, selected = [], onChange }) {
+  let current = new Set(selected.filter(c => categories.includes(c)));
+  const el = document.createElement('div');
+  el.className = 'log-filter';
+  el.setAttribute('role', 'group');
+  el.setAttribute('aria-label', 'Filter log by category');
+  el.innerHTML = [
+    `<button type="button" class="log-filter__chip" data-cat="">All</button>`,
+    ...categories.map(c => `<button type="button" class="log-filter__chip" data-cat="${c}">${escapeHTML(CATEGORY_LABELS[c] || c)}</button>`)
+  ].join('');
+  container.appendChild(el);
+
+  function sync() {
+    for (const btn of el.querySelectorAll('button')) {
+      const cat = btn.dataset.cat;
+      btn.setAttribute('aria-pressed', String(cat ? current.has(cat) : current.size === 0));
+    }
+  }
+
+  el.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-cat]');
+    if (!btn) return;
+    const cat = btn.dataset.cat;
+    if (!cat) current.clear();
+    else if (current.has(cat)) current.delete(cat);
+    else current.add(cat);
+    sync();
+    onChange?.([...current]);
+  });
+
+  sync();
+  return { el, selected: () => [...current] };
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,182 @@
+// ui/PartySetupScreen.js
+// New Game party builder (between Title and Travel).
+// - 1–8 members, each with name, role, age and epitaph
+// - Randomize one member or the whole party; reset to the original family
+// - Validation from state/party.js, shown inline per field and summarized on Start
+// - The month the party sets out in (systems/calendar.js seasons)
+
+import { RNG, GameState } from '../state/GameState.js';
+import {
+  ROLES, PARTY_MIN, PARTY_MAX, NAME_MAX, EPITAPH_MAX,
+  defaultPartyConfig, validateParty, randomMember, randomParty
+} from '../state/party.js';
+import { MONTHS, DEFAULT_START_MONTH, seasonOfMonth } from '../systems/calendar.js';
+
+/**
+ * @param {HTMLElement} root
+ * @param {{ initial?: any[], difficulty?: string, startMonth?: number, onStart:(config:any[], opts:{ startMonth:number }) => void, onBack:() => void }} opts
+ */
+export function mountPartySetupScreen(root, { initial, difficulty = 'standard', startMonth = DEFAULT_START_MONTH, onStart, onBack }) {
+  // UI-only randomness: rerolls must not consume the run's seeded RNG
+  const rng = new RNG(GameState.randomSeed());
+  let members = (Array.isArray(initial) && initial.length ? initial : defaultPartyConfig()).map(m => ({ ...m }));
+  let showErrors = false;
+
+  const card = document.createElement('section');
+  card.className = 'card party-setup';
+  card.setAttribute('aria-labelledby', 'party-title');
+  card.innerHTML = `
+    <h2 id="party-title" style="margin-bottom:0.25rem">Your Party</h2>
+    <p class="muted" style="margin-top:0">${PARTY_MIN}–${PARTY_MAX} travellers · ${escapeHTML(capitalize(difficulty))} difficulty. Epitaphs appear on the trail if someone doesn't make it.</p>
+    <label class="setup-month">Setting out in
+      <select id="start-month">
+        ${MONTHS.map((name, i) => `<option value="${i + 1}"${i + 1 === startMonth ? ' selected' : ''}>${escapeHTML(name)} (${seasonOfMonth(i + 1)})</option>`).join('')}
+      </select>
+    </label>
+    <div class="party-setup__rows" id="party-rows"></div>
+    <p class="save-error" id="party-errors" role="alert"></p>
+    <div class="btn-row">
+      <button class="btn btn-secondary" id="btn-add" type="button">Add member</button>
+      <button class="btn btn-outline" id="btn-randomize" type="button">Randomize party</button>
+      <button class="btn btn-outline" id="btn-family" type="button">Original family</button>
+    </div>
+    <div class="btn-row" style="margin-top:0.75rem">
+      <button class="btn" id="btn-start" type="button">Start Journey</button>
+      <button class="btn btn-outline" id="btn-back" type="button">Back to Title</button>
+    </div>
+  `;
+  root.appendChild(card);
+
+  const rowsEl = card.querySelector('#party-rows');
+  const errorsEl = card.querySelector('#party-errors');
+  const btnAdd = card.querySelector('#btn-add');
+
+  function takenNames(exceptIndex = -1) {
+    return new Set(members.filter((_, i) => i !== exceptIndex).map(m => String(m.name || '').trim().toLowerCase()));
+  }
+
+  function render(focusSelector) {
+    rowsEl.innerHTML = '';
+    members.forEach((m, i) => rowsEl.appendChild(rowFor(m, i)));
+    btnAdd.disabled = members.length >= PARTY_MAX;
+    refreshErrors();
+    if (focusSelector) rowsEl.querySelector(focusSelector)?.focus();
+  }
+
+  function rowFor(m, i) {
+    const row = document.createElement('fieldset');
+    row.className = 'party-row';
+    row.dataset.index = String(i);
+    const roleOptions = Object.entries(ROLES)
+      .map(([id, r]) => `<option value="${id}"${m.role === id ? ' selected' : ''}>${escapeHTML(r.label)}</option>`)
+      .join('');
+    row.innerHTML = `
+      <legend>Member ${i + 1}</legend>
+      <label class="party-row__field">
+        <span>Name</span>
+        <input type="text" data-field="name" maxlength="${NAME_MAX}" value="${escapeHTML(m.name ?? '')}" aria-describedby="party-err-${i}-name">
+      </label>
+      <label class="party-row__field">
+        <span>Role</span>
+        <select data-field="role" aria-describedby="party-err-${i}-role">${roleOptions}</select>
+      </label>
+      <label class="party-row__field party-row__age">
+        <span>Age</span>
+        <input type="number" data-field="age" min="0" max="99" step="1" value="${escapeHTML(m.age ?? '')}" aria-describedby="party-err-${i}-age">
+      </label>
+      <label class="party-row__field party-row__epitaph">
+        <span>Epitaph</span>
+        <input type="text" data-field="epitaph" maxlength="${EPITAPH_MAX}" value="${escapeHTML(m.epitaph ?? '')}" placeholder="Gone ahead on the long road." aria-describedby="party-err-${i}-epitaph">
+      </label>
+      <div class="btn-row party-row__actions">
+        <button class="btn btn-outline" data-act="reroll" type="button" aria-label="Randomize member ${i + 1}">Randomize</button>
+        <button class="btn btn-outline" data-act="remove" type="button" aria-label="Remove member ${i + 1}"${members.length <= PARTY_MIN ? ' disabled' : ''}>Remove</button>
+      </div>
+      <div class="party-row__errors">
+        ${['name', 'role', 'age', 'epitaph'].map(f => `<p class="save-error" id="party-err-${i}-${f}"></p>`).join('')}
+      </div>
+    `;
+
+    for (const input of row.querySelectorAll('[data-field]')) {
+      const field = input.dataset.field;
+      input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+        members[i][field] = input.value;
+        // Age is dropped from the config when left blank
+        if (field === 'age' && input.value === '') delete members[i].age;
+        // Presets keep historic ids; an edited name gets a fresh one
+        if (field === 'name') delete members[i].id;
+        refreshErrors();
+      });
+    }
+    row.querySelector('[data-act="reroll"]').addEventListener('click', () => {
+      members[i] = randomMember(rng, { taken: takenNames(i) });
+      render(`[data-index="${i}"] [data-act="reroll"]`);
+    });
+    row.querySelector('[data-act="remove"]').addEventListener('click', () => {
+      if (members.length <= PARTY_MIN) return;
+      members.splice(i, 1);
+      render(`[data-index="${Math.min(i, members.length - 1)}"] [data-field="name"]`);
+    });
+    return row;
+  }
+
+  function refreshErrors() {
+    const { ok, errors } = validateParty(members);
+    for (const p of rowsEl.querySelectorAll('.party-row__errors .save-error')) p.textContent = '';
+    for (const el of rowsEl.querySelectorAll('[aria-invalid]')) el.removeAttribute('aria-invalid');
+    if (!showErrors) { errorsEl.textContent = ''; return ok; }
+    for (const e of errors) {
+      if (e.index < 0) continue;
+      const slot = rowsEl.querySelector(`#party-err-${e.index}-${e.field}`);
+      if (slot && !slot.textContent) slot.textContent = e.message;
+      rowsEl.querySelector(`[data-index="${e.index}"] [data-field="${e.field}"]`)?.setAttribute('aria-invalid', 'true');
+    }
+    const general = errors.find(e => e.index < 0);
+    errorsEl.textContent = ok ? '' : general ? general.message : `Fix ${errors.length} problem${errors.length === 1 ? '' : 's'} above to start.`;
+    return ok;
+  }
+
+  btnAdd.addEventListener('click', () => {
+    if (members.length >= PARTY_MAX) return;
+    members.push(randomMember(rng, { role: 'child', taken: takenNames() }));
+    render(`[data-index="${members.length - 1}"] [data-field="name"]`);
+  });
+  card.querySelector('#btn-randomize').addEventListener('click', () => {
+    members = randomParty(rng);
+    render();
+  });
+  card.querySelector('#btn-family').addEventListener('click', () => {
+    members = defaultPartyConfig();
+    render();
+  });
+  card.querySelector('#btn-start').addEventListener('click', (e) => {
+    e.preventDefault();
+    showErrors = true;
+    if (!refreshErrors()) {
+      rowsEl.querySelector('[aria-invalid="true"]')?.focus();
+      return;
+    }
+    onStart?.(members.map(m => ({ ...m })), { startMonth: Number(card.querySelector('#start-month').value) });
+  });
+  card.querySelector('#btn-back').addEventListener('click', (e) => {
+    e.preventDefault();
+    onBack?.();
+  });
+
+  render('[data-field="name"]');
+
+  return () => card.remove();
+}
+
+function capitalize(s) {
+  return String(s).charAt(0).toUpperCase() + String(s).slice(1);
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,84 @@
+// ui/RecoveryScreen.js
+// Shown when a saved trail is damaged (GameState throws SaveCorruptError).
+// Lists the slot's autosave backups that still load (newest day first) so the
+// player can restore one instead of starting over.
+
+export function mountRecoveryScreen(root, { slotName, backups = [], onRestore, onNewGame, onBack }) {
+  const card = document.createElement('section');
+  card.className = 'card';
+  card.setAttribute('aria-labelledby', 'recovery-title');
+  card.innerHTML = `
+    <h2 id="recovery-title" style="margin-bottom:0.25rem">Save Damaged</h2>
+    <p class="muted" style="margin-top:0">
+      ${escapeHTML(slotName ? `"${slotName}"` : 'This trail')} could not be loaded.
+      ${backups.length ? 'Restore a daily backup to carry on from that day.' : 'No usable backups were found for it.'}
+    </p>
+    <div class="slot-list" id="backup-list"></div>
+    <p class="save-error" id="recovery-error" role="alert" hidden></p>
+    <div class="btn-row" style="margin-top:0.75rem">
+      <button class="btn btn-secondary" id="btn-new">Start a New Game</button>
+      <button class="btn btn-outline" id="btn-back" aria-label="Back to title">Back to Title</button>
+    </div>
+  `;
+
+  const list = card.querySelector('#backup-list');
+  const errorEl = card.querySelector('#recovery-error');
+
+  backups.forEach((backup, i) => {
+    const row = document.createElement('article');
+    row.className = 'slot-row';
+    const label = i === 0 ? 'Newest backup' : `Backup ${i + 1}`;
+    row.innerHTML = `
+      <div class="slot-row__body">
+        <div class="slot-row__name"><strong>${escapeHTML(label)}</strong></div>
+        <div class="muted mono">${escapeHTML(describe(backup))}</div>
+      </div>
+      <div class="btn-row slot-row__actions">
+        <button class="btn" aria-label="Restore the day ${backup.day} backup">Restore</button>
+      </div>
+    `;
+    row.querySelector('button').addEventListener('click', (e) => {
+      e.preventDefault();
+      try {
+        onRestore?.(backup.index);
+      } catch (err) {
+        errorEl.textContent = err?.message || 'Could not restore that backup.';
+        errorEl.hidden = false;
+      }
+    });
+    list.appendChild(row);
+  });
+
+  card.querySelector('#btn-new').addEventListener('click', (e) => {
+    e.preventDefault();
+    onNewGame?.();
+  });
+  card.querySelector('#btn-back').addEventListener('click', (e) => {
+    e.preventDefault();
+    onBack?.();
+  });
+
+  root.appendChild(card);
+  (list.querySelector('.btn') || card.querySelector('#btn-back')).focus();
+
+  return () => card.remove();
+}
+
+function describe(backup) {
+  const parts = [
+    `Day ${backup.day}`,
+    `Mile ${Number(backup.miles || 0).toFixed(0)}`,
+    `${backup.survivors ?? 0}/${backup.partySize ?? 0} alive`
+  ];
+  if (backup.lastLandmark) parts.push(`Last: ${backup.lastLandmark}`);
+  return parts.join(' · ');
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,146 @@
+// ui/RepairModal.js
+// Vehicle condition and repairs.
+// - Shows wear per part and the spares on board
+// - Broken down: install a spare or improvise a repair (a day, may fail); Esc is
+//   disabled until the vehicle moves again or the run ends
+// - Otherwise: swap a worn part for a spare, or close
+// - Repairs go through actions.repairVehicle() (journaled)
+
+import { PARTS, WEAR_SAFE, getVehicle, isBroken, improviseOdds } from '../systems/vehicle.js';
+import { repairVehicle } from '../systems/actions.js';
+
+const PART_NAMES = { wheel: 'Wheel', axle: 'Axle', tongue: 'Tongue' };
+
+export function showRepairModal({ game }) {
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('open', '');
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal__backdrop';
+    modal.appendChild(backdrop);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const titleEl = document.createElement('h3');
+    titleEl.id = 'repair-title';
+    dialog.appendChild(titleEl);
+    dialog.setAttribute('aria-labelledby', titleEl.id);
+
+    const partsEl = document.createElement('ul');
+    partsEl.className = 'vehicle-parts';
+    dialog.appendChild(partsEl);
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'btn-row';
+    dialog.appendChild(btnRow);
+
+    const resultEl = document.createElement('p');
+    resultEl.className = 'muted';
+    resultEl.setAttribute('role', 'status');
+    dialog.appendChild(resultEl);
+
+    modal.appendChild(dialog);
+    document.body.appendChild(modal);
+
+    const prevFocus = document.activeElement;
+
+    function render() {
+      const v = getVehicle(game);
+      const broken = isBroken(game);
+      titleEl.textContent = broken ? `Broken ${broken.part}!` : 'Vehicle';
+
+      partsEl.innerHTML = '';
+      for (const p of PARTS) {
+        const li = document.createElement('li');
+        const wear = Math.round(v.wear[p]);
+        const spares = Number(game.data.inventory[p] || 0);
+        li.innerHTML = `
+          <span class="vehicle-parts__name">${PART_NAMES[p]}</span>
+          <meter min="0" max="100" low="${WEAR_SAFE}" high="85" optimum="0" value="${wear}" aria-label="${PART_NAMES[p]} wear"></meter>
+          <span class="mono">${broken?.part === p ? 'broken' : `${wear}% worn`} · ${spares} spare${spares === 1 ? '' : 's'}</span>
+        `;
+        partsEl.appendChild(li);
+      }
+
+      btnRow.innerHTML = '';
+      if (broken) {
+        const spares = Number(game.data.inventory[broken.part] || 0);
+        addButton(`Install a spare ${broken.part} (${spares} left)`, broken.part, 'spare', spares <= 0 ? 'No spare on board.' : '');
+        addButton(`Improvise a repair (1 day, est. ${rate(improviseOdds(broken.part))})`, broken.part, 'improvise');
+      } else {
+        for (const p of PARTS) {
+          if (Number(game.data.inventory[p] || 0) > 0 && v.wear[p] > 0) {
+            addButton(`Swap in a spare ${p}`, p, 'spare');
+          }
+        }
+        const close = document.createElement('button');
+        close.className = 'btn btn-outline';
+        close.textContent = 'Close';
+        close.addEventListener('click', () => { cleanup(); resolve(); });
+        btnRow.appendChild(close);
+      }
+
+      btnRow.querySelector('button:not([disabled])')?.focus();
+    }
+
+    function addButton(label, part, method, disabledReason = '') {
+      const b = document.createElement('button');
+      b.className = 'btn';
+      b.textContent = label;
+      if (disabledReason) {
+        b.disabled = true;
+        b.title = disabledReason;
+      }
+      b.addEventListener('click', async () => {
+        // Field repairs spend a whole day; block double clicks meanwhile
+        btnRow.querySelectorAll('button').forEach(x => { x.disabled = true; });
+        const res = await repairVehicle(game, part, method);
+        resultEl.textContent = res.text;
+        if ((game.data.party || []).every(m => m.status === 'dead')) {
+          cleanup();
+          resolve();
+        } else {
+          render();
+        }
+      });
+      btnRow.appendChild(b);
+    }
+
+    // focus trap; Esc closes only when nothing is broken
+    function onKey(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        if (!isBroken(game)) { cleanup(); resolve(); }
+      } else if (e.key === 'Tab') {
+        const foci = Array.from(dialog.querySelectorAll('button:not([disabled])'));
+        if (!foci.length) return;
+        const first = foci[0], last = foci[foci.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault(); last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault(); first.focus();
+        }
+      }
+    }
+
+    function cleanup() {
+      document.removeEventListener('keydown', onKey, true);
+      modal.remove();
+      if (prevFocus && typeof prevFocus.focus === 'function') prevFocus.focus();
+    }
+
+    document.addEventListener('keydown', onKey, true);
+    render();
+  });
+}
+
+function rate(p) {
+  if (p >= 0.75) return 'Good';
+  if (p >= 0.5)  return 'Fair';
+  return 'Poor';
+}
@@ -0,0 +1,183 @@
+// ui/ReplayScreen.js
+// Step-by-step viewer for a recorded run (seed + action journal).
+// - Step / Play / Restart controls; the journal list highlights the current entry
+// - The replay runs on its own in-memory GameState, so real slots are untouched
+// - When the last step is reached, the rebuilt state is compared with the save
+
+import { replaySteps, compareWithSave, describeEntry } from '../systems/replay.js';
+import { renderLogEntry } from '../systems/log.js';
+
+const PLAY_DELAY_MS = 350;
+
+export function mountReplayScreen(root, { data, onBack }) {
+  const journal = data.journal;
+  const card = document.createElement('section');
+  card.className = 'card replay';
+  card.setAttribute('aria-labelledby', 'replay-title');
+  card.innerHTML = `
+    <h2 id="replay-title" style="margin-bottom:0.25rem">Replay</h2>
+    <p class="muted mono" style="margin-top:0">Seed ${data.rngSeed >>> 0} · ${journal.length} recorded actions</p>
+    <div class="btn-row">
+      <button class="btn" id="btn-step" type="button">Step</button>
+      <button class="btn btn-secondary" id="btn-play" type="button" aria-pressed="false">Play</button>
+      <button class="btn btn-outline" id="btn-restart" type="button">Restart</button>
+      <button class="btn btn-outline" id="btn-back" type="button">Back to Title</button>
+    </div>
+    <p class="mono" id="replay-status" aria-live="polite"></p>
+    <div class="replay__grid">
+      <div>
+        <h3>State</h3>
+        <dl class="replay__stats mono" id="replay-stats"></dl>
+        <ul class="replay__party" id="replay-party"></ul>
+      </div>
+      <div>
+        <h3>Actions</h3>
+        <ol class="replay__journal mono" id="replay-journal" start="0"></ol>
+      </div>
+    </div>
+    <h3>Log</h3>
+    <ul class="log" id="replay-log" aria-live="polite"></ul>
+  `;
+  root.appendChild(card);
+
+  const btnStep = card.querySelector('#btn-step');
+  const btnPlay = card.querySelector('#btn-play');
+  const btnRestart = card.querySelector('#btn-restart');
+  const statusEl = card.querySelector('#replay-status');
+  const statsEl = card.querySelector('#replay-stats');
+  const partyEl = card.querySelector('#replay-party');
+  const journalEl = card.querySelector('#replay-journal');
+  const logEl = card.querySelector('#replay-log');
+
+  journalEl.innerHTML = journal.map((e, i) =>
+    `<li data-i="${i}"><span class="muted">Day ${Number(e.day) || 1}</span> ${escapeHTML(describeEntry(e))}</li>`
+  ).join('');
+
+  let steps = null;
+  let current = null;
+  let done = false;
+  let busy = false;
+  let playing = false;
+  let playTimer = 0;
+  let disposed = false;
+
+  async function restart() {
+    if (busy) return;
+    stopPlaying();
+    steps = replaySteps(journal);
+    current = null;
+    done = false;
+    await step();
+  }
+
+  async function step() {
+    if (busy || done || disposed) return;
+    busy = true;
+    try {
+      const next = await steps.next();
+      if (next.done) {
+        finish();
+      } else {
+        current = next.value;
+        render();
+        if (current.index === journal.length - 1) finish();
+      }
+    } catch (err) {
+      console.error('[replay] stopped', err);
+      done = true;
+      stopPlaying();
+      statusEl.textContent = `Replay stopped: ${err.message}`;
+    } finally {
+      busy = false;
+      syncButtons();
+    }
+  }
+
+  function finish() {
+    done = true;
+    stopPlaying();
+    const diff = compareWithSave(data, current.game);
+    statusEl.textContent = !diff
+      ? 'End of journal — replay matches the save exactly.'
+      : `End of journal — replay diverges from the save at ${diff.path}.`;
+  }
+
+  function play() {
+    if (playing || done) return;
+    playing = true;
+    btnPlay.textContent = 'Pause';
+    btnPlay.setAttribute('aria-pressed', 'true');
+    tick();
+  }
+
+  async function tick() {
+    await step();
+    if (playing && !done && !disposed) playTimer = setTimeout(tick, PLAY_DELAY_MS);
+    else stopPlaying();
+  }
+
+  function stopPlaying() {
+    playing = false;
+    clearTimeout(playTimer);
+    playTimer = 0;
+    btnPlay.textContent = 'Play';
+    btnPlay.setAttribute('aria-pressed', 'false');
+  }
+
+  function render() {
+    const { index, game } = current;
+    const d = game.data;
+    statusEl.textContent = `Step ${index} of ${journal.length - 1}: ${describeEntry(journal[index])}`;
+    statsEl.innerHTML = [
+      ['Day', d.day],
+      ['Miles', Math.round(d.miles)],
+      ['Food', `${Number(d.inventory.food || 0)} lb`],
+      ['Bullets', Number(d.inventory.bullets || 0)],
+      ['Money', `$${Number(d.money || 0).toFixed(2)}`],
+      ['Pace', d.settings.pace],
+      ['Rations', d.settings.rations]
+    ].map(([k, v]) => `<dt>${k}</dt><dd>${escapeHTML(v)}</dd>`).join('');
+    partyEl.innerHTML = d.party.map(p =>
+      `<li>${escapeHTML(p.name)} <span class="muted mono">${p.status === 'dead' ? 'dead' : `health ${p.health}/5`}</span></li>`
+    ).join('');
+
+    for (const li of journalEl.children) {
+      const on = Number(li.dataset.i) === index;
+      li.classList.toggle('is-current', on);
+      if (on) li.setAttribute('aria-current', 'step'); else li.removeAttribute('aria-current');
+    }
+    journalEl.querySelector('.is-current')?.scrollIntoView({ block: 'nearest' });
+
+    logEl.innerHTML = d.log.slice(-8).reverse().map(entry => `<li>${escapeHTML(renderLogEntry(entry))}</li>`).join('');
+  }
+
+  function syncButtons() {
+    btnStep.disabled = done;
+    btnPlay.disabled = done;
+  }
+
+  btnStep.addEventListener('click', (e) => { e.preventDefault(); stopPlaying(); step(); });
+  btnPlay.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (playing) stopPlaying(); else play();
+  });
+  btnRestart.addEventListener('click', (e) => { e.preventDefault(); restart(); });
+  card.querySelector('#btn-back').addEventListener('click', (e) => { e.preventDefault(); onBack?.(); });
+
+  restart().then(() => btnStep.focus());
+
+  return () => {
+    disposed = true;
+    stopPlaying();
+    card.remove();
+  };
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
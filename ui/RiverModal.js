@@ -4,7 +4,8 @@
 // - Focus trap; Esc disabled (must choose or close via success/detour)
 // - Deterministic outcomes via systems/river.js
 
-import { getHazardState, listMethods, tryMethod } from '../systems/river.js';
+import { getHazardState, listMethods } from '../systems/river.js';
+import { attemptHazard } from '../systems/actions.js';
 
 export async function showRiverModal(landmark, { game }) {
   return new Promise((resolve) => {
@@ -60,8 +61,10 @@ export async function showRiverModal(landmark, { game }) {
         const b = document.createElement('button');
         b.className = 'btn';
         b.textContent = m.label + (m.estHint || '');
-        b.addEventListener('click', () => {
-          const res = tryMethod(game, landmark, m.id);
+        b.addEventListener('click', async () => {
+          // Waiting and detours spend whole days; block double clicks meanwhile
+          btnRow.querySelectorAll('button').forEach(x => { x.disabled = true; });
+          const res = await attemptHazard(game, landmark, m.id);
           resultEl.textContent = res.text;
           if (res.resolved) {
             cleanup();
@@ -106,7 +109,22 @@ export async function showRiverModal(landmark, { game }) {
   });
 }
 
+// What the season did to each hazard (river.js applySeason)
+const SEASON_NOTES = {
+  river:  { spring: 'spring melt', summer: 'summer low water', winter: 'winter low water' },
+  mud:    { spring: 'spring thaw', summer: 'baked summer crust', winter: 'frozen ruts' },
+  snow:   { winter: 'winter drifts', summer: 'summer slush', fall: 'early snow' },
+  geese:  { spring: 'spring migration', fall: 'fall migration', winter: 'stragglers only' },
+  beaver: { fall: 'dam-building season' }
+};
+
 function describeParams(hz) {
+  const note = SEASON_NOTES[hz.kind]?.[hz.season];
+  const params = describeHazard(hz);
+  return note && params ? `${params} · ${note[0].toUpperCase()}${note.slice(1)}` : params;
+}
+
+function describeHazard(hz) {
   switch (hz.kind) {
     case 'river': {
       const d = Number(hz.depthFt || 2).toFixed(1);
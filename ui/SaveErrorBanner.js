@@ -0,0 +1,34 @@
+// ui/SaveErrorBanner.js
+// Banner for saves that did not reach browser storage (GameState onSaveError / whenSaved()).
+// - One banner at a time: a newer failure replaces the message
+// - Stays until dismissed; the run is still dirty, so the next save tries again
+// - Suggests Export Save as a way to keep the run when storage stays full
+
+/** Show (or update) the save error banner */
+export function showSaveError(err) {
+  const full = err?.name === 'SaveQuotaError';
+  let banner = document.getElementById('save-error-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'save-error-banner';
+    banner.className = 'error-banner save-error-banner';
+    banner.setAttribute('role', 'alert');
+    document.body.appendChild(banner);
+  }
+  banner.innerHTML = `
+    <div>⚠️ <strong>${full ? 'Storage full — game not saved' : 'Game not saved'}</strong></div>
+    <small>${escapeHTML(err?.message || 'Saving failed.')}</small>
+    <small>Your progress is kept while this page stays open. Menu → Export Save keeps a copy.</small>
+    <button class="btn btn-outline" type="button">Dismiss</button>
+  `;
+  banner.querySelector('button').addEventListener('click', () => banner.remove());
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -0,0 +1,180 @@
+// ui/SaveTransferModal.js
+// Export / import dialogs for portable save text and .ctsave files.
+// - Export: read-only text, Copy button, Download .ctsave button
+// - Import: paste text or pick a file; errors from saveCodec are shown inline
+//   (also used, retitled, to pick a save for the replay viewer)
+// - Focus trap; Esc closes (nothing is lost by dismissing these)
+
+import { SAVE_FILE_EXTENSION, saveFileName } from '../state/saveCodec.js';
+
+/**
+ * Show the export dialog for the current run. Resolves when closed.
+ * When the run could not be stored in this browser too (game.whenSaved()), the status line says so.
+ */
+export function showExportModal(game) {
+  const text = game.exportSave();
+  const saved = game.whenSaved();
+  return openModal('Export Save', (body, close) => {
+    body.innerHTML = `
+      <p class="muted">Share this text or file to reproduce the run. It includes a checksum, so edits are detected on import.</p>
+      <label class="visually-hidden" for="save-export-text">Save text</label>
+      <textarea id="save-export-text" class="save-text mono" rows="6" readonly></textarea>
+      <p class="muted" id="save-export-status" aria-live="polite"></p>
+      <div class="btn-row">
+        <button class="btn" id="btn-copy" type="button">Copy</button>
+        <button class="btn btn-secondary" id="btn-download" type="button">Download ${SAVE_FILE_EXTENSION}</button>
+        <button class="btn btn-outline" id="btn-close" type="button">Close</button>
+      </div>
+    `;
+    const area = body.querySelector('#save-export-text');
+    const status = body.querySelector('#save-export-status');
+    area.value = text;
+    saved.catch((err) => { status.textContent = `Not saved in this browser (${err.message}). Keep this export.`; });
+
+    body.querySelector('#btn-copy').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(text);
+        status.textContent = 'Copied to clipboard.';
+      } catch {
+        area.focus();
+        area.select();
+        status.textContent = 'Copy blocked by the browser — the text is selected, press Ctrl/Cmd+C.';
+      }
+    });
+    body.querySelector('#btn-download').addEventListener('click', () => {
+      const blob = new Blob([text], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = saveFileName(game.data);
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      status.textContent = `Downloaded ${a.download}.`;
+    });
+    body.querySelector('#btn-close').addEventListener('click', () => close(false));
+  });
+}
+
+/**
+ * Show the import dialog.
+ * @param {{ onImport: (text:string) => void, title?:string, intro?:string, submitLabel?:string }} opts
+ *   onImport throws to report a problem
+ * @returns {Promise<boolean>} true when a save was imported
+ */
+export function showImportModal({
+  onImport,
+  title = 'Import Save',
+  intro = 'It is added as a new slot.',
+  submitLabel = 'Import'
+}) {
+  return openModal(title, (body, close) => {
+    body.innerHTML = `
+      <p class="muted">Paste exported save text, or choose a ${SAVE_FILE_EXTENSION} file. ${escapeHTML(intro)}</p>
+      <label class="visually-hidden" for="save-import-text">Save text</label>
+      <textarea id="save-import-text" class="save-text mono" rows="6" placeholder="CTSAVE:…"></textarea>
+      <label class="save-file">
+        <span>Or load a file</span>
+        <input type="file" id="save-import-file" accept="${SAVE_FILE_EXTENSION},text/plain">
+      </label>
+      <p class="save-error" id="save-import-error" role="alert"></p>
+      <div class="btn-row">
+        <button class="btn" id="btn-import" type="button">${escapeHTML(submitLabel)}</button>
+        <button class="btn btn-outline" id="btn-cancel" type="button">Cancel</button>
+      </div>
+    `;
+    const area = body.querySelector('#save-import-text');
+    const file = body.querySelector('#save-import-file');
+    const error = body.querySelector('#save-import-error');
+
+    file.addEventListener('change', async () => {
+      const f = file.files?.[0];
+      if (!f) return;
+      try {
+        area.value = await f.text();
+        error.textContent = '';
+      } catch {
+        error.textContent = `Could not read ${f.name}.`;
+      }
+    });
+    area.addEventListener('input', () => { error.textContent = ''; });
+
+    body.querySelector('#btn-import').addEventListener('click', () => {
+      try {
+        onImport(area.value);
+        close(true);
+      } catch (err) {
+        console.warn('[import] rejected save', err);
+        error.textContent = err?.message || 'Could not import this save.';
+      }
+    });
+    body.querySelector('#btn-cancel').addEventListener('click', () => close(false));
+  });
+}
+
+function escapeHTML(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+function openModal(title, build) {
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('open', '');
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal__backdrop';
+    modal.appendChild(backdrop);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const titleEl = document.createElement('h3');
+    titleEl.id = 'save-transfer-title';
+    titleEl.textContent = title;
+    dialog.appendChild(titleEl);
+    dialog.setAttribute('aria-labelledby', titleEl.id);
+
+    const body = document.createElement('div');
+    dialog.appendChild(body);
+    modal.appendChild(dialog);
+    document.body.appendChild(modal);
+
+    const prevFocus = document.activeElement;
+
+    function close(result) {
+      document.removeEventListener('keydown', onKey, true);
+      modal.remove();
+      if (prevFocus && typeof prevFocus.focus === 'function') prevFocus.focus();
+      resolve(result);
+    }
+
+    function onKey(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close(false);
+      } else if (e.key === 'Tab') {
+        const foci = Array.from(dialog.querySelectorAll('button, textarea, input'));
+        if (!foci.length) return;
+        const first = foci[0], last = foci[foci.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault(); last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault(); first.focus();
+        }
+      }
+    }
+
+    build(body, close);
+    document.addEventListener('keydown', onKey, true);
+    (dialog.querySelector('textarea') || dialog.querySelector('button'))?.focus();
+  });
+}
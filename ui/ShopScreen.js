@@ -1,11 +1,22 @@
 // ui/ShopScreen.js
 // A simple, accessible shop: choose quantities, see subtotal/remaining, and confirm purchase.
+// The load after purchase is shown against the vehicle's capacity; nothing past MAX_LOAD_LB can be bought.
+// A forecast at the current pace and rations compares food, gas and days to the end now and after purchase.
 
 import { buildShopCatalog } from '../systems/shop.js';
 import { getImage, getMeta } from '../systems/assets.js';
+import { buySupplies } from '../systems/actions.js';
+import { loadItemWeights, cargoWeight, CAPACITY_LB, MAX_LOAD_LB } from '../systems/cargo.js';
+import { loadLandmarks } from '../systems/landmarks.js';
+import { loadRoles } from '../systems/roles.js';
+import { projectSupplies, formatDays } from '../systems/forecast.js';
 
 export async function mountShopScreen(root, { game, landmark, onExit }) {
   const catalog = await buildShopCatalog(game, landmark);
+  await loadItemWeights();
+  await loadRoles();
+  const landmarks = await loadLandmarks(game);
+  const now = projectSupplies(game, landmarks);
   const card = document.createElement('section');
   card.className = 'card';
   card.setAttribute('aria-labelledby', 'shop-title');
@@ -16,6 +27,7 @@ export async function mountShopScreen(root, { game, landmark, onExit }) {
     <div class="shop-grid" id="shop-grid"></div>
 
     <div class="shop-summary" aria-live="polite" id="shop-summary"></div>
+    <dl class="shop-forecast" id="shop-forecast" aria-label="Forecast after purchase"></dl>
 
     <div class="btn-row" style="margin-top: 0.5rem">
       <button class="btn" id="btn-buy" aria-label="Buy selected items">Buy</button>
@@ -25,6 +37,7 @@ export async function mountShopScreen(root, { game, landmark, onExit }) {
 
   const grid = card.querySelector('#shop-grid');
   const summary = card.querySelector('#shop-summary');
+  const forecastEl = card.querySelector('#shop-forecast');
   const btnBuy = card.querySelector('#btn-buy');
   const btnLeave = card.querySelector('#btn-leave');
 
@@ -38,12 +51,26 @@ export async function mountShopScreen(root, { game, landmark, onExit }) {
     const sub = subtotal(catalog, qty);
     const money = Number(game.data.money || 0);
     const remain = money - sub;
+    const load = loadAfter(catalog, qty);
     summary.innerHTML = `
       <div><strong>Subtotal:</strong> $${sub.toFixed(2)}</div>
       <div><strong>On hand:</strong> $${money.toFixed(2)} ${remain < 0 ? `<span class="pill pill-warn">Short $${Math.abs(remain).toFixed(2)}</span>` : ''}</div>
       <div><strong>After purchase:</strong> $${Math.max(0, remain).toFixed(2)}</div>
+      <div><strong>Load:</strong> <span class="mono">${Math.round(load)} / ${CAPACITY_LB} lb</span> ${loadPill(load)}</div>
     `;
-    btnBuy.disabled = sub <= 0 || remain < 0;
+    btnBuy.disabled = sub <= 0 || remain < 0 || load > MAX_LOAD_LB;
+
+    const after = projectSupplies(game, landmarks, { inventory: qty });
+    forecastEl.innerHTML = `
+      <dt>Food lasts</dt><dd class="mono">${change(formatDays(now.foodDays), formatDays(after.foodDays))} ${after.runsShort ? '<span class="pill pill-warn">Short of the end</span>' : ''}</dd>
+      <dt>Gas for</dt><dd class="mono">${change(formatDays(now.fuelDays), formatDays(after.fuelDays))}</dd>
+      <dt>To the end</dt><dd class="mono">${change(formatDays(now.daysToEnd), formatDays(after.daysToEnd))} <span class="muted">at ${escapeHTML(now.pace)} pace, ${escapeHTML(now.rations)} rations</span></dd>
+    `;
+  }
+
+  /** "12 days → 20 days", or just the value when the basket changes nothing */
+  function change(before, after) {
+    return before === after ? before : `${before} → ${after}`;
   }
 
   update();
@@ -57,16 +84,11 @@ export async function mountShopScreen(root, { game, landmark, onExit }) {
       alert('Not enough money.');
       return;
     }
-    // Apply purchases
-    for (const item of catalog) {
-      const q = Number(qty[item.id] || 0);
-      if (q > 0) {
-        game.data.inventory[item.id] = Number(game.data.inventory[item.id] || 0) + q;
-      }
+    if (loadAfter(catalog, qty) > MAX_LOAD_LB) {
+      alert('The vehicle cannot carry that much.');
+      return;
     }
-    game.data.money = Math.max(0, money - sub);
-    game.data.log.push(`Bought supplies at ${landmark.name} for $${sub.toFixed(2)}.`);
-    game.save();
+    buySupplies(game, landmark, qty, sub);
     onExit?.(landmark);
   });
 
@@ -100,7 +122,7 @@ export async function mountShopScreen(root, { game, landmark, onExit }) {
 
     const name = document.createElement('div');
     name.className = 'shop-name';
-    name.innerHTML = `<strong>${escapeHTML(item.name)}</strong><div class="muted mono">Base: $${item.priceBase.toFixed(2)} · Now: $${item.price.toFixed(2)}</div>`;
+    name.innerHTML = `<strong>${escapeHTML(item.name)}</strong><div class="muted mono">Base: $${item.priceBase.toFixed(2)} · Now: $${item.price.toFixed(2)} · ${item.weight} lb each</div>`;
 
     const have = document.createElement('div');
     have.className = 'shop-have mono';
@@ -147,6 +169,19 @@ export async function mountShopScreen(root, { game, landmark, onExit }) {
     return s;
   }
 
+  /** Pounds on board if the current selection is bought */
+  function loadAfter(catalog, qty) {
+    let lb = cargoWeight(game);
+    for (const item of catalog) lb += Number(qty[item.id] || 0) * item.weight;
+    return lb;
+  }
+
+  function loadPill(lb) {
+    if (lb > MAX_LOAD_LB) return `<span class="pill pill-warn">Over the ${MAX_LOAD_LB} lb limit</span>`;
+    if (lb > CAPACITY_LB) return '<span class="pill pill-warn">Overloaded: slower travel</span>';
+    return '';
+  }
+
   function escapeHTML(s) {
     return String(s)
       .replaceAll('&', '&amp;')
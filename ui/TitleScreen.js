@@ -1,10 +1,12 @@
 // ui/TitleScreen.js
-// Renders the Title hero panel (CSS-only art), with New Game / Continue.
+// Renders the Title hero panel (CSS-only art), with New Game / Continue / Load Game / Import Save / Watch Replay.
 // Accessible, responsive; uses ARIA labels and focus management.
+// New Game passes the chosen difficulty (casual | standard | ironman).
 
 import { getImage, getMeta } from '../systems/assets.js';
+import { REWIND_DEPTH } from '../state/GameState.js';
 
-export function mountTitleScreen(root, { hasSave, onNewGame, onContinue }) {
+export function mountTitleScreen(root, { hasSave, onNewGame, onContinue, onLoadGame, onImportSave, onWatchReplay }) {
   // Layout
   const section = document.createElement('section');
   section.className = 'hero';
@@ -18,9 +20,18 @@ export function mountTitleScreen(root, { hasSave, onNewGame, onContinue }) {
   left.innerHTML = `
     <h1 id="title-heading">Canadian Trail</h1>
     <p>Lead your family westward across a hard country. Supplies are thin, weather is fickle, and luck is never free.</p>
+    <fieldset class="difficulty-picker">
+      <legend>Difficulty</legend>
+      <label><input type="radio" name="difficulty" value="casual"> Casual <span class="muted">— rewind up to ${REWIND_DEPTH} days</span></label>
+      <label><input type="radio" name="difficulty" value="standard" checked> Standard</label>
+      <label><input type="radio" name="difficulty" value="ironman"> Ironman <span class="muted">— no rewinds, marked on your results</span></label>
+    </fieldset>
     <div class="btn-row">
       <button class="btn" id="btn-new" aria-label="Start a new game">New Game</button>
-      <button class="btn btn-secondary" id="btn-continue" aria-label="Continue saved game"${hasSave ? '' : ' disabled'}>Continue</button>
+      <button class="btn btn-secondary" id="btn-continue" aria-label="Continue most recent saved game"${hasSave ? '' : ' disabled'}>Continue</button>
+      <button class="btn btn-outline" id="btn-load" aria-label="Load, rename or delete saved games"${hasSave ? '' : ' disabled'}>Load Game</button>
+      <button class="btn btn-outline" id="btn-import" aria-label="Import a save from text or a .ctsave file">Import Save</button>
+      <button class="btn btn-outline" id="btn-replay" aria-label="Watch a recorded run step by step">Watch Replay</button>
     </div>
     <div class="spacer"></div>
     <p class="muted" style="margin:0">
@@ -55,10 +66,14 @@ export function mountTitleScreen(root, { hasSave, onNewGame, onContinue }) {
   // Wire buttons
   const btnNew = left.querySelector('#btn-new');
   const btnCont = left.querySelector('#btn-continue');
+  const btnLoad = left.querySelector('#btn-load');
+  const btnImport = left.querySelector('#btn-import');
+  const btnReplay = left.querySelector('#btn-replay');
 
   btnNew.addEventListener('click', (e) => {
     e.preventDefault();
-    onNewGame?.();
+    const picked = left.querySelector('input[name="difficulty"]:checked');
+    onNewGame?.(picked ? picked.value : 'standard');
   });
 
   btnCont.addEventListener('click', (e) => {
@@ -66,6 +81,21 @@ export function mountTitleScreen(root, { hasSave, onNewGame, onContinue }) {
     onContinue?.();
   });
 
+  btnLoad.addEventListener('click', (e) => {
+    e.preventDefault();
+    onLoadGame?.();
+  });
+
+  btnImport.addEventListener('click', (e) => {
+    e.preventDefault();
+    onImportSave?.();
+  });
+
+  btnReplay.addEventListener('click', (e) => {
+    e.preventDefault();
+    onWatchReplay?.();
+  });
+
   // Accessibility: move focus to main after mount
   queueMicrotask(() => {
     root.focus({ preventScroll: false });
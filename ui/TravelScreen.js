@@ -2,22 +2,65 @@
 // Adds "Go Hunting" (one outing per day), while keeping hazard-first behavior.
 // Detects journey completion or total party loss and forwards to the end screen.
 // Hunting is disabled if: no bullets, already hunted today, or you're blocked at a hazard.
+// Casual runs get "Rewind a day" (last few day snapshots, see GameState.snapshotDay).
+// The log can be filtered by category (kept while the page is open).
+// "Travel until…" repeats travel days until an interrupt rule fires (systems/autoTravel.js);
+// a ticker shows each day and Stop ends the run after the current day.
+// Each party row explains the member's last health change (member.lastChange, by cause).
+// The supplies card shows vehicle wear; a breakdown opens the repair modal and blocks travel until fixed.
+// Gas is a supply like food; an empty tank is flagged under the vehicle.
+// It also shows the cargo load against the vehicle's capacity, with "Drop items…" to lighten it.
+// Progress and the route line follow the active path (systems/landmarks.js); forks not chosen yet show the default road.
+// "Make camp…" spends a rest day on a camp activity picked in the camp modal (systems/camp.js).
+// A forecast table compares every pace × rations setting: food days, next stop, the end, health drift (systems/forecast.js).
+// The party card shows today's cold and who has warm clothes; the supplies card shows how worn they are (systems/cold.js).
+// The HUD has a morale meter with its trend over the last few days and what it does to travel (systems/morale.js).
 
 import { getImage, getMeta } from '../systems/assets.js';
-import { loadJSON } from '../systems/jsonLoader.js';
+import { loadLandmarks, loadRouteGraph, pathLegNames, forkAhead, routeChoices } from '../systems/landmarks.js';
 import { getToday, getModifiersForToday } from '../systems/weather.js';
 import { listActive } from '../systems/status.js';
-import { applyTravelDay, applyRestDay, PACE, RATIONS, milesPerDay, RATIONS_LB } from '../systems/travel.js';
+import { PACE, RATIONS, milesPerDay, memberHealthParts, RATIONS_LB, HEALTH_CAUSE_LABELS } from '../systems/travel.js';
+import { travel, rest, setPace, setRations, setAutoTravelRules, setOut, rewindDay, detectGameOver, markGameOver, trailMiles } from '../systems/actions.js';
+import { autoTravel, autoTravelRules, normalizeAutoTravelRules } from '../systems/autoTravel.js';
+import { filterLog, renderLogEntry } from '../systems/log.js';
+import { gameDate, formatDate } from '../systems/calendar.js';
+import { PARTS, WEAR_SAFE, TERRAIN, getVehicle, isBroken, terrainAt } from '../systems/vehicle.js';
+import { loadItemWeights, loadStatus } from '../systems/cargo.js';
+import { isOutOfFuel } from '../systems/fuel.js';
+import { forecastTable, formatDays } from '../systems/forecast.js';
+import { loadRoles } from '../systems/roles.js';
+import { COLD_LABELS, coldLevel, warmthFor, getClothing } from '../systems/cold.js';
+import { MORALE_MIN, MORALE_MAX, MORALE_TREND_DAYS, getMorale, moraleTrend, moraleLabel, moraleSpeedMult } from '../systems/morale.js';
+import { createLogFilter } from './LogFilter.js';
+
+let logFilter = [];
+const AUTO_DAY_MS = 250; // pause between auto-travel days so the ticker can be read
 
 function milesPerDayForPace(pace) {
   return milesPerDay({ data: { settings: { pace } } });
 }
 
-export async function mountTravelScreen(root, { game, onBackToTitle, onReachLandmark, onHunt, onGameOver }) {
-  const landmarks = await loadJSON('../data/landmarks.json');
-  landmarks.sort((a, b) => a.mile - b.mile);
-  const totalMiles = landmarks.length ? landmarks[landmarks.length - 1].mile : 1000;
+// Pace exhaustion for the living party, e.g. ", -0.75 to -1.13 health/day" (roles.json `pace` trait)
+function paceHealthLabel(game, pace) {
+  const losses = (game.data.party || [])
+    .filter(m => m.status !== 'dead')
+    .map(m => -(memberHealthParts(m, { kind: 'travel', pace }).exhaustion || 0));
+  if (!losses.length || !Math.max(...losses)) return '';
+  const [lo, hi] = [Math.min(...losses), Math.max(...losses)].map(n => Number(n.toFixed(2)));
+  return `, -${lo}${hi !== lo ? ` to -${hi}` : ''} health/day`;
+}
+
+export async function mountTravelScreen(root, { game, onBackToTitle, onReachLandmark, onHunt, onGameOver, onImported, onRewound }) {
+  const landmarks = await loadLandmarks(game); // the active path; remounted after a fork is chosen
+  await loadItemWeights();
+  await loadRoles();
+  const totalMiles = trailMiles(landmarks);
+  const routeNames = pathLegNames(await loadRouteGraph(), landmarks);
   let ended = false;
+  let autoRunning = false;
+  let stopRequested = false;
+  const casual = game.data.settings?.difficulty === 'casual';
 
   const wrap = document.createElement('div');
   wrap.className = 'grid-layout';
@@ -28,6 +71,11 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   hudCard.innerHTML = `
     <h2 class="travel-hud__title">Trail HUD</h2>
     <div class="travel-hud__grid">
+      <div class="travel-hud__item" id="hud-date" role="group" aria-labelledby="hud-date-heading" aria-live="polite" tabindex="0">
+        <h3 id="hud-date-heading" class="travel-hud__subtitle">Date</h3>
+        <p class="travel-hud__primary"><span class="travel-hud__label" id="hud-date-primary"></span></p>
+        <p class="travel-hud__blurb muted" id="hud-date-season"></p>
+      </div>
       <div class="travel-hud__item" id="hud-weather" role="group" aria-labelledby="hud-weather-heading" aria-live="polite" tabindex="0">
         <h3 id="hud-weather-heading" class="travel-hud__subtitle">Weather</h3>
         <p class="travel-hud__primary" id="hud-weather-primary"></p>
@@ -38,6 +86,15 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
         <h3 id="hud-conditions-heading" class="travel-hud__subtitle">Conditions</h3>
         <ul class="travel-hud__list" id="hud-conditions-list"></ul>
       </div>
+      <div class="travel-hud__item" id="hud-morale" role="group" aria-labelledby="hud-morale-heading" aria-live="polite" tabindex="0">
+        <h3 id="hud-morale-heading" class="travel-hud__subtitle">Morale</h3>
+        <p class="travel-hud__primary">
+          <span class="travel-hud__label" id="hud-morale-label"></span>
+          <span class="morale-trend" id="hud-morale-trend"></span>
+        </p>
+        <meter class="morale-meter" id="hud-morale-meter" min="${MORALE_MIN}" max="${MORALE_MAX}" low="-2" high="2" optimum="${MORALE_MAX}" aria-label="Party morale"></meter>
+        <p class="travel-hud__blurb muted" id="hud-morale-blurb"></p>
+      </div>
     </div>
   `;
 
@@ -46,6 +103,7 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   progressCard.innerHTML = `
     <h2 style="margin-bottom:0.5rem">Journey</h2>
     <p class="muted" id="journey-sub"></p>
+    <p class="muted" id="journey-route"></p>
 
     <div class="progress" aria-label="Route progress">
       <div class="progress__bar" aria-hidden="true">
@@ -69,8 +127,8 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
         <span>Pace</span>
         <select id="pace">
           <option value="${PACE.STEADY}">Steady (${milesPerDayForPace(PACE.STEADY)} mi/day)</option>
-          <option value="${PACE.STRENUOUS}">Strenuous (${milesPerDayForPace(PACE.STRENUOUS)} mi/day, -1 health/day)</option>
-          <option value="${PACE.GRUELING}">Grueling (${milesPerDayForPace(PACE.GRUELING)} mi/day, -2 health/day)</option>
+          <option value="${PACE.STRENUOUS}">Strenuous (${milesPerDayForPace(PACE.STRENUOUS)} mi/day${paceHealthLabel(game, PACE.STRENUOUS)})</option>
+          <option value="${PACE.GRUELING}">Grueling (${milesPerDayForPace(PACE.GRUELING)} mi/day${paceHealthLabel(game, PACE.GRUELING)})</option>
         </select>
       </label>
 
@@ -85,10 +143,44 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
 
       <div class="btn-row">
         <button class="btn" id="btn-travel" aria-label="Travel one day">Travel 1 day</button>
-        <button class="btn btn-secondary" id="btn-rest" aria-label="Rest one day" type="button">Rest 1 day</button>
+        <button class="btn" id="btn-auto" aria-label="Travel until something needs attention" type="button">Travel until…</button>
+        <button class="btn btn-secondary" id="btn-rest" aria-label="Make camp for one day" type="button">Make camp…</button>
         <button class="btn btn-outline" id="btn-hunt" aria-label="Go hunting (one outing per day)" type="button">Go Hunting</button>
+        ${casual ? '<button class="btn btn-outline" id="btn-rewind" aria-label="Rewind to the start of the previous day" type="button">Rewind a day</button>' : ''}
+        <button class="btn btn-outline" id="btn-menu" aria-label="Open menu (export or import saves)" type="button">Menu</button>
         <button class="btn btn-outline" id="btn-title" aria-label="Back to title" type="button">Back to Title</button>
       </div>
+
+      <div class="auto-ticker" id="auto-ticker" hidden>
+        <span class="mono" id="auto-ticker-text" role="status" aria-live="polite"></span>
+        <button class="btn btn-secondary" id="btn-auto-stop" type="button" aria-label="Stop travelling after this day">Stop</button>
+      </div>
+
+      <details class="auto-rules">
+        <summary>Travel until… stops when</summary>
+        <fieldset class="auto-rules__list" id="auto-rules">
+          <legend class="visually-hidden">Auto-travel interrupt rules</legend>
+          <label class="auto-rules__check"><input type="checkbox" name="stopAtLandmarks"> any landmark is reached (hazards and towns always stop)</label>
+          <label class="auto-rules__check"><input type="checkbox" name="stopOnEvents"> an event happens (otherwise it is shown and travel goes on)</label>
+          <label class="auto-rules__num">someone's health falls below <input type="number" name="healthBelow" min="0" max="5" step="1"> (0 = never)</label>
+          <label class="auto-rules__num">food falls under <input type="number" name="foodDaysBelow" min="0" max="30" step="1"> days (0 = never)</label>
+          <label class="auto-rules__check"><input type="checkbox" name="stopOnCondition"> someone picks up a new condition</label>
+          <label class="auto-rules__check"><input type="checkbox" name="stopOnWeatherChange"> the weather changes</label>
+        </fieldset>
+      </details>
+
+      <details class="forecast">
+        <summary>Forecast by pace and rations</summary>
+        <p class="muted">If today's weather and conditions hold. Health is the party's average change per travel day while fed.</p>
+        <div class="forecast__scroll">
+          <table class="forecast-table">
+            <thead>
+              <tr><th scope="col">Pace</th><th scope="col">Rations</th><th scope="col">Food lasts</th><th scope="col">Miles/day</th><th scope="col">Next stop</th><th scope="col">To the end</th><th scope="col">Health/day</th></tr>
+            </thead>
+            <tbody id="forecast-body"></tbody>
+          </table>
+        </div>
+      </details>
     </form>
   `;
 
@@ -98,12 +190,26 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
     <h2 style="margin-bottom:0.5rem">Supplies</h2>
     <div class="supplies-grid" id="supplies"></div>
     <div class="muted" id="spares"></div>
+    <div class="muted" id="clothing"></div>
+    <h3 class="vehicle-status__title">Vehicle</h3>
+    <ul class="vehicle-parts" id="vehicle-parts"></ul>
+    <p class="vehicle-status__broken" id="vehicle-broken" role="status" hidden></p>
+    <p class="cargo-load">
+      <span>Load</span>
+      <meter id="cargo-meter" min="0" aria-label="Cargo load"></meter>
+      <span class="mono" id="cargo-text"></span>
+    </p>
+    <div class="btn-row">
+      <button class="btn btn-outline" id="btn-repair" type="button">Repairs &amp; spares</button>
+      <button class="btn btn-outline" id="btn-drop" type="button">Drop items…</button>
+    </div>
   `;
 
   const partyCard = document.createElement('section');
   partyCard.className = 'card';
   partyCard.innerHTML = `
     <h2 style="margin-bottom:0.5rem">Party</h2>
+    <p class="party-cold muted" id="party-cold"></p>
     <div id="party-list" class="party-list"></div>
   `;
 
@@ -111,8 +217,13 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   logCard.className = 'card';
   logCard.innerHTML = `
     <h2 style="margin-bottom:0.5rem">Log</h2>
+    <div id="log-filter"></div>
     <ol id="log" class="log" aria-live="polite"></ol>
   `;
+  createLogFilter(logCard.querySelector('#log-filter'), {
+    selected: logFilter,
+    onChange: (selected) => { logFilter = selected; drawLog(); }
+  });
 
   wrap.append(hudCard, progressCard, controlsCard, suppliesCard, partyCard, logCard);
   root.appendChild(wrap);
@@ -127,26 +238,68 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   const paceSel = controlsCard.querySelector('#pace');
   const rationsSel = controlsCard.querySelector('#rations');
   const btnTravel = controlsCard.querySelector('#btn-travel');
+  const btnAuto = controlsCard.querySelector('#btn-auto');
+  const btnAutoStop = controlsCard.querySelector('#btn-auto-stop');
+  const autoTicker = controlsCard.querySelector('#auto-ticker');
+  const autoTickerText = controlsCard.querySelector('#auto-ticker-text');
+  const rulesBox = controlsCard.querySelector('#auto-rules');
   const btnRest = controlsCard.querySelector('#btn-rest');
   const btnHunt = controlsCard.querySelector('#btn-hunt');
   const btnTitle = controlsCard.querySelector('#btn-title');
+  const btnMenu = controlsCard.querySelector('#btn-menu');
+  const btnRewind = controlsCard.querySelector('#btn-rewind');
+  const btnRepair = suppliesCard.querySelector('#btn-repair');
+  const btnDrop = suppliesCard.querySelector('#btn-drop');
 
   paceSel.value = game.data.settings?.pace || PACE.STEADY;
   rationsSel.value = game.data.settings?.rations || RATIONS.NORMAL;
 
   paceSel.addEventListener('change', () => {
-    game.data.settings.pace = paceSel.value;
-    game.save();
+    setPace(game, paceSel.value);
     render();
   });
   rationsSel.addEventListener('change', () => {
-    game.data.settings.rations = rationsSel.value;
-    game.save();
+    setRations(game, rationsSel.value);
     render();
   });
 
+  fillRules(autoTravelRules(game));
+  rulesBox.addEventListener('change', () => {
+    const rules = normalizeAutoTravelRules(readRules());
+    setAutoTravelRules(game, rules);
+    fillRules(rules);
+  });
+
   btnTitle.addEventListener('click', () => onBackToTitle?.());
 
+  btnRewind?.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (ended || rewindDay(game) == null) return;
+    onRewound?.(); // main.js remounts so selects and any parked landmark match the restored day
+  });
+
+  btnMenu.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const { showGameMenu } = await import('./GameMenu.js');
+    const action = await showGameMenu(game);
+    if (action === 'title') onBackToTitle?.();
+    else if (action === 'imported') onImported?.();
+  });
+
+  btnRepair.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (ended || autoRunning) return;
+    await openRepair();
+  });
+
+  btnDrop.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (ended || autoRunning) return;
+    const { showDropItemsModal } = await import('./DropItemsModal.js');
+    await showDropItemsModal({ game });
+    drawLog(); render();
+  });
+
   btnHunt.addEventListener('click', async (e) => {
     e.preventDefault();
     if (btnHunt.disabled || ended) return;
@@ -160,73 +313,143 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
     if (ended || journeyComplete()) return;
     if (checkForGameOver()) return;
 
-    const beforeMiles = game.data.miles;
-    const summary = applyTravelDay(game);
+    const { stopAt, session } = await travel(game, landmarks);
+    drawLog(); render();
 
-    const crossed = landmarksCrossed(landmarks, beforeMiles, game.data.miles);
-    for (const lm of crossed) game.data.log.push(`Reached ${lm.name}.`);
+    if (checkForGameOver()) return;
 
-    const starv = summary.starvation ? ' Short on food.' : ' A full meal.';
-    game.data.log.push(`Day ${game.data.day - 1}: Traveled ${fmtMiles(summary.milesTraveled)}. Ate ${fmtLb(summary.foodConsumed)}.${starv} Health ${fmtSigned(summary.healthDelta)}.`);
-    game.save();
-    drawLog(); render();
+    await openEvent(session);
 
     if (checkForGameOver()) return;
 
-    await maybeOpenEvent();
+    if (isBroken(game)) await openRepair();
 
     if (checkForGameOver()) return;
 
-    if (crossed.length) {
-      const firstHazard = crossed.find(l => l.hazard && l.hazard.kind);
-      const lmToOpen = firstHazard ?? crossed[crossed.length - 1];
+    if (stopAt) onReachLandmark?.(stopAt);
+  });
 
-      if (firstHazard) {
-        const trailingService = crossed
-          .filter(l => l.mile > firstHazard.mile && Array.isArray(l.services) && l.services.length)
-          .slice(-1)[0];
-        if (trailingService) {
-          game.data.flags._followServiceId = trailingService.id;
-        }
-      }
+  btnAuto.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (ended || autoRunning || journeyComplete()) return;
+    if (checkForGameOver()) return;
 
-      game.data.flags.atLandmarkId = lmToOpen.id;
-      game.save();
-      onReachLandmark?.(lmToOpen);
+    autoRunning = true;
+    stopRequested = false;
+    autoTicker.hidden = false;
+    btnAutoStop.hidden = false;
+    autoTickerText.textContent = 'Setting out…';
+    render();
+    let result;
+    try {
+      result = await autoTravel(game, landmarks, {
+        onDay: async ({ days, day, miles }) => {
+          autoTickerText.textContent = `Day ${day} · ${days} day${days === 1 ? '' : 's'} on the road · ${fmtMiles(Math.min(miles, totalMiles))}`;
+          drawLog(); render();
+          await new Promise(r => setTimeout(r, AUTO_DAY_MS));
+        },
+        onEvent: openEvent,
+        shouldStop: () => stopRequested || ended
+      });
+    } finally {
+      autoRunning = false;
+      btnAutoStop.hidden = true;
     }
+    autoTickerText.textContent = `${result.reason.text} (${result.days} day${result.days === 1 ? '' : 's'} travelled)`;
+    drawLog(); render();
+
+    if (checkForGameOver()) return;
+
+    await openEvent(result.session);
+
+    if (checkForGameOver()) return;
+
+    if (isBroken(game)) await openRepair();
+
+    if (checkForGameOver()) return;
+
+    if (result.stopAt) onReachLandmark?.(result.stopAt);
+  });
+
+  btnAutoStop.addEventListener('click', (e) => {
+    e.preventDefault();
+    stopRequested = true;
+    btnAutoStop.disabled = true;
+    autoTickerText.textContent = 'Stopping after today…';
   });
 
   btnRest.addEventListener('click', async (e) => {
     e.preventDefault();
     if (ended || journeyComplete()) return;
     if (checkForGameOver()) return;
-    const summary = applyRestDay(game);
-    const starv = summary.starvation ? ' Short on food.' : ' A full meal.';
-    game.data.log.push(`Day ${game.data.day - 1}: Rested. Ate ${fmtLb(summary.foodConsumed)}.${starv} Health ${fmtSigned(summary.healthDelta)}.`);
-    game.save();
+    const { showCampModal } = await import('./CampModal.js');
+    const activity = await showCampModal({ game, landmarks });
+    if (!activity || ended) return;
+    const { session } = await rest(game, landmarks, activity);
     drawLog(); render();
 
     if (checkForGameOver()) return;
 
-    await maybeOpenEvent();
+    await openEvent(session);
   });
 
-  async function maybeOpenEvent() {
-    if (ended) return;
-    const { maybeTriggerEvent } = await import('../systems/eventEngine.js');
-    const session = await maybeTriggerEvent(game);
-    if (!session) return;
+  async function openEvent(session) {
+    if (ended || !session) return;
     const { showEventModal } = await import('./EventModal.js');
     await showEventModal(session, { game });
-    game.save();
+    game.markDirty();
+    drawLog(); render();
+    checkForGameOver();
+  }
+
+  async function openRepair() {
+    if (ended) return;
+    const { showRepairModal } = await import('./RepairModal.js');
+    await showRepairModal({ game });
     drawLog(); render();
     checkForGameOver();
   }
 
+  function readRules() {
+    const rules = {};
+    for (const input of rulesBox.querySelectorAll('input')) {
+      rules[input.name] = input.type === 'checkbox' ? input.checked : Number(input.value);
+    }
+    return rules;
+  }
+
+  function fillRules(rules) {
+    for (const input of rulesBox.querySelectorAll('input')) {
+      if (input.type === 'checkbox') input.checked = !!rules[input.name];
+      else input.value = String(rules[input.name]);
+    }
+  }
+
   function renderHud() {
     const today = getToday(game);
     const mods = getModifiersForToday(game);
 
+    const date = gameDate(game);
+    const season = date.season[0].toUpperCase() + date.season.slice(1);
+    hudCard.querySelector('#hud-date-primary').textContent = formatDate(date, { short: false });
+    hudCard.querySelector('#hud-date-season').textContent = `${season} · Day ${game.data.day ?? 1}`;
+    hudCard.querySelector('#hud-date').setAttribute('aria-label', `${formatDate(date, { short: false })}, ${date.season}, day ${game.data.day ?? 1}.`);
+
+    const morale = getMorale(game);
+    const trend = moraleTrend(game);
+    const trendText = trend > 0 ? `▲ ${trend}` : trend < 0 ? `▼ ${-trend}` : '▶ 0';
+    const speedPct = Math.round((moraleSpeedMult(game) - 1) * 100);
+    hudCard.querySelector('#hud-morale-label').textContent = `${moraleLabel(morale)} (${morale > 0 ? '+' : ''}${morale})`;
+    const trendEl = hudCard.querySelector('#hud-morale-trend');
+    trendEl.textContent = trendText;
+    trendEl.className = `morale-trend${trend > 0 ? ' morale-trend--up' : trend < 0 ? ' morale-trend--down' : ''}`;
+    trendEl.title = `Change over the last ${MORALE_TREND_DAYS} days`;
+    hudCard.querySelector('#hud-morale-meter').value = morale;
+    hudCard.querySelector('#hud-morale-blurb').textContent =
+      `${speedPct ? `Travel speed ${speedPct > 0 ? '+' : ''}${speedPct}%.` : 'No effect on speed.'} Drifts back toward 0.`;
+    hudCard.querySelector('#hud-morale').setAttribute('aria-label',
+      `Morale ${morale} of ${MORALE_MAX}, ${moraleLabel(morale)}, ${trend > 0 ? 'rising' : trend < 0 ? 'falling' : 'steady'} over the last ${MORALE_TREND_DAYS} days.`);
+
     hudWeatherHints.innerHTML = '';
 
     if (!today) {
@@ -318,7 +541,11 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
     const miles = Math.min(game.data.miles, totalMiles);
     const pct = Math.max(0, Math.min(100, (miles / totalMiles) * 100));
     progressCard.querySelector('#journey-sub').textContent =
-      `Day ${game.data.day ?? 1} · ${fmtMiles(miles)} / ${fmtMiles(totalMiles)} (${pct.toFixed(1)}%)`;
+      `Day ${game.data.day ?? 1} · ${formatDate(gameDate(game))} · ${fmtMiles(miles)} / ${fmtMiles(totalMiles)} (${pct.toFixed(1)}%)`;
+
+    const pending = forkAhead(landmarks, game.data.miles, routeChoices(game));
+    progressCard.querySelector('#journey-route').textContent =
+      `Route: ${routeNames.join(' → ')}${pending ? ` (fork at ${pending.name})` : ''}`;
 
     progressCard.querySelector('#progress-fill').style.width = `${pct}%`;
     progressCard.querySelector('#progress-left').textContent = `${fmtMiles(0)}`;
@@ -328,56 +555,125 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
     const nl = progressCard.querySelector('#next-landmark');
     if (next) {
       const dist = Math.max(0, next.mile - miles);
-      nl.textContent = `Next: ${next.name} in ${fmtMiles(dist)} (mile ${next.mile}).`;
+      nl.textContent = `Next: ${next.name} in ${fmtMiles(dist)} (mile ${next.mile}) · ${TERRAIN[terrainAt(landmarks, miles)].label}.`;
     } else {
       nl.textContent = 'Journey complete (more content unlocks in later phases).';
     }
 
+    drawForecast();
+
     const sup = suppliesCard.querySelector('#supplies');
     sup.innerHTML = '';
     sup.append(
       supplyItem('ui.icon_money',   'Money ($)', game.data.money ?? 0),
       supplyItem('ui.icon_food',    'Food (lb)', game.data.inventory.food),
       supplyItem('ui.icon_bullets', 'Bullets',   game.data.inventory.bullets),
-      supplyItem('ui.icon_clothes', 'Clothes',   game.data.inventory.clothes)
+      supplyItem('ui.icon_clothes', 'Clothes',   game.data.inventory.clothes),
+      supplyItem('ui.icon_tools',   'Gas (gal)', Math.round((game.data.inventory.fuel || 0) * 10) / 10)
     );
     const spares = suppliesCard.querySelector('#spares');
     spares.textContent = `Spare parts — Wheels: ${game.data.inventory.wheel ?? 0}, Axles: ${game.data.inventory.axle ?? 0}, Tongues: ${game.data.inventory.tongue ?? 0}`;
+    const sets = Math.floor(game.data.inventory.clothes || 0);
+    suppliesCard.querySelector('#clothing').textContent = sets
+      ? `Warm clothes — ${sets} set${sets === 1 ? '' : 's'}, ${Math.round(getClothing(game).wear)}% worn`
+      : 'Warm clothes — none left';
+
+    const vehicle = getVehicle(game);
+    const broken = isBroken(game);
+    const partsEl = suppliesCard.querySelector('#vehicle-parts');
+    partsEl.innerHTML = '';
+    for (const p of PARTS) {
+      const wear = Math.round(vehicle.wear[p]);
+      const li = document.createElement('li');
+      li.innerHTML = `
+        <span class="vehicle-parts__name">${capitalize(p)}</span>
+        <meter min="0" max="100" low="${WEAR_SAFE}" high="85" optimum="0" value="${wear}" aria-label="${capitalize(p)} wear"></meter>
+        <span class="mono">${broken?.part === p ? 'broken' : `${wear}% worn`}</span>
+      `;
+      partsEl.appendChild(li);
+    }
+    const brokenEl = suppliesCard.querySelector('#vehicle-broken');
+    const dry = isOutOfFuel(game);
+    brokenEl.hidden = !broken && !dry;
+    brokenEl.textContent = [
+      broken ? `Broken ${broken.part} since day ${broken.day}: repair it to travel on.` : '',
+      dry ? 'Out of gas: buy some at a shop, or travel on and hope for a ride.' : ''
+    ].filter(Boolean).join(' ');
+
+    const load = loadStatus(game);
+    const cargoMeter = suppliesCard.querySelector('#cargo-meter');
+    cargoMeter.max = load.max;
+    cargoMeter.high = load.capacity;
+    cargoMeter.optimum = 0;
+    cargoMeter.value = Math.min(load.weight, load.max);
+    suppliesCard.querySelector('#cargo-text').textContent =
+      `${Math.round(load.weight)} / ${load.capacity} lb${load.speedMult < 1 ? ` · overloaded, ${Math.round(load.speedMult * 100)}% speed` : ''}`;
+
+    const cold = coldLevel(game, { landmarks });
+    const warmth = warmthFor(game);
+    const exposed = [...warmth.values()].filter(dressed => !dressed).length;
+    partyCard.querySelector('#party-cold').textContent =
+      `Today: ${COLD_LABELS[cold]}${exposed ? ` · ${exposed} without warm clothes` : ' · everyone has warm clothes'}`;
 
     const list = partyCard.querySelector('#party-list');
     list.innerHTML = '';
     for (const m of game.data.party) {
+      const dressed = warmth.get(m.id);
       const row = document.createElement('div');
       row.className = 'party-row';
       row.innerHTML = `
         <div class="party-name">
           <strong>${escapeHTML(m.name)}</strong>
           <span class="muted">${m.role}${m.age ? ` · ${m.age}` : ''}${m.status === 'dead' ? ' · ☠︎' : ''}</span>
+          ${m.status !== 'dead' ? `<span class="party-warmth${dressed ? '' : ' party-warmth--cold'}">${dressed ? '🧥 warm clothes' : '❄ no warm clothes'}</span>` : ''}
         </div>
         <div class="party-health">
           <label class="visually-hidden" for="meter-${m.id}">Health of ${escapeHTML(m.name)}</label>
           <meter id="meter-${m.id}" min="0" max="5" low="2" high="4" optimum="5" value="${m.health ?? 5}"></meter>
           <span class="mono">${m.health ?? 5}/5</span>
         </div>
+        ${m.status !== 'dead' && healthWhy(m) ? `<div class="party-why muted">${escapeHTML(healthWhy(m))}</div>` : ''}
       `;
       list.appendChild(row);
     }
 
     const completed = journeyComplete();
     const everyoneDead = (game.data.party || []).length > 0 && (game.data.party || []).every(p => p.status === 'dead');
-    btnTravel.disabled = completed || everyoneDead || ended;
+    btnTravel.disabled = completed || everyoneDead || ended || autoRunning || !!broken;
+    btnTravel.title = broken ? `Repair the ${broken.part} first.` : '';
+    btnAuto.disabled = btnTravel.disabled;
+    btnRepair.disabled = everyoneDead || ended || autoRunning;
+    btnDrop.disabled = everyoneDead || ended || autoRunning;
+    btnTitle.disabled = autoRunning;
+    btnMenu.disabled = autoRunning;
+    btnAutoStop.disabled = !autoRunning || stopRequested;
 
     // Hunting gating
     const huntedToday = Number(game.data.flags?.lastHuntDay || 0) === Number(game.data.day || 1);
     const atHazard = !!game.data.flags?.atLandmarkId;
     const bullets = Number(game.data.inventory.bullets || 0);
-    btnRest.disabled = completed || everyoneDead || ended;
-    btnHunt.disabled = huntedToday || atHazard || bullets <= 0 || everyoneDead || ended;
+    btnRest.disabled = completed || everyoneDead || ended || autoRunning;
+    btnHunt.disabled = huntedToday || atHazard || bullets <= 0 || everyoneDead || ended || autoRunning;
     btnHunt.title = huntedToday ? 'You already hunted today.' :
                     atHazard ? 'Clear the obstacle first.' :
                     bullets <= 0 ? 'No bullets remaining.' : 'Go hunting (30s)';
+    if (btnRewind) {
+      btnRewind.disabled = ended || autoRunning || !game.canRewind();
+      btnRewind.title = game.canRewind() ? `Undo up to ${game.rewindBuffer.length} more day(s).` : 'No earlier day to return to.';
+    }
+  }
+
+  /** "Yesterday −2: pace −0.8, weather −1.5" for the day just played, else '' */
+  function healthWhy(m) {
+    const change = m.lastChange;
+    if (!change || change.day !== Number(game.data.day || 1) - 1) return '';
+    const parts = Object.entries(change.parts || {})
+      .map(([cause, n]) => `${HEALTH_CAUSE_LABELS[cause] || cause} ${signed(Math.round(n * 10) / 10)}`);
+    return `Yesterday ${signed(change.delta)}${parts.length ? `: ${parts.join(', ')}` : ''}`;
   }
 
+  function signed(n) { return n > 0 ? `+${n}` : n < 0 ? `−${-n}` : '±0'; }
+
   function journeyComplete() {
     return game.data.miles >= totalMiles;
   }
@@ -385,59 +681,59 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   function drawLog() {
     const logEl = logCard.querySelector('#log');
     logEl.innerHTML = '';
-    const last = game.data.log.slice(-20);
-    for (const item of last) {
+    const last = filterLog(game.data.log, logFilter).slice(-20);
+    for (const entry of last) {
+      const li = document.createElement('li');
+      if (typeof entry?.day === 'number') {
+        const when = document.createElement('span');
+        when.className = 'log-date mono';
+        when.textContent = formatDate(gameDate(game, entry.day));
+        li.append(when, ' ');
+      }
+      li.append(renderLogEntry(entry));
+      if (entry?.category) li.dataset.category = entry.category;
+      logEl.appendChild(li);
+    }
+    if (!last.length) {
       const li = document.createElement('li');
-      li.textContent = item;
+      li.className = 'muted';
+      li.textContent = 'Nothing in this category yet.';
       logEl.appendChild(li);
     }
   }
 
-  function triggerGameOver(details = {}) {
+  function checkForGameOver() {
     if (ended) return true;
+    const details = detectGameOver(game, totalMiles);
+    if (!details) return false;
     ended = true;
-    const survivorsCount = typeof details.survivors === 'number'
-      ? details.survivors
-      : (game.data.party || []).filter(p => p.status !== 'dead').length;
-    const storedTotal = Number(details.totalMiles);
-    const payload = {
-      ...details,
-      reason: details.reason || (survivorsCount > 0 ? 'completed' : 'party_dead'),
-      day: details.day ?? Math.max(1, Number(game.data.day) || 1),
-      miles: details.miles ?? Math.round(Number(game.data.miles) || 0),
-      survivors: survivorsCount,
-      totalMiles: Number.isFinite(storedTotal) && storedTotal > 0 ? storedTotal : totalMiles
-    };
-    if (!game.data.flags || typeof game.data.flags !== 'object') game.data.flags = {};
-    game.data.flags.gameOver = payload;
-    game.save();
+    const payload = markGameOver(game, details);
     queueMicrotask(() => onGameOver?.(payload));
     return true;
   }
 
-  function checkForGameOver() {
-    if (ended) return true;
-    const stored = game.data.flags?.gameOver;
-    if (stored && stored.reason) {
-      return triggerGameOver(stored);
+  function drawForecast() {
+    const body = controlsCard.querySelector('#forecast-body');
+    body.innerHTML = '';
+    for (const p of forecastTable(game, landmarks)) {
+      const tr = document.createElement('tr');
+      if (p.current) tr.className = 'forecast-row--current';
+      tr.innerHTML = `
+        <td>${capitalize(p.pace)}${p.current ? ' <span class="muted">(now)</span>' : ''}</td>
+        <td>${capitalize(p.rations)}</td>
+        <td class="mono">${formatDays(p.foodDays)} ${p.runsShort ? '<span class="pill pill-warn">runs out</span>' : ''}</td>
+        <td class="mono">${p.milesPerDay}</td>
+        <td class="mono">${p.next ? `${formatDays(p.next.days)} <span class="muted">${escapeHTML(p.next.name)}</span>` : '—'}</td>
+        <td class="mono">${formatDays(p.daysToEnd)} ${p.fuelDays < p.daysToEnd ? `<span class="pill pill-warn">gas for ${formatDays(p.fuelDays)}</span>` : ''}</td>
+        <td class="mono">${signed(Math.round(p.healthPerDay * 10) / 10)}</td>
+      `;
+      body.appendChild(tr);
     }
-    const partyArr = game.data.party || [];
-    const allDead = partyArr.length > 0 && partyArr.every(p => p.status === 'dead');
-    const finished = journeyComplete();
-    if (!allDead && !finished) return false;
-    const survivors = partyArr.filter(p => p.status !== 'dead').length;
-    const reason = allDead ? 'party_dead' : 'completed';
-    const day = Math.max(1, Number(game.data.day) || 1);
-    const miles = Math.round(Number(game.data.miles) || 0);
-    return triggerGameOver({ reason, day, miles, survivors });
   }
 
   function nextLandmark(lms, miles) {
     return lms.find(l => l.mile > miles) || null;
   }
-  function landmarksCrossed(lms, from, to) {
-    return lms.filter(l => l.mile > from && l.mile <= to);
-  }
 
   function supplyItem(key, label, value) {
     const meta = getMeta(key);
@@ -462,9 +758,8 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   }
 
   function fmtMiles(n) { return `${Number(n).toFixed(0)} mi`; }
-  function fmtLb(n)    { return `${Number(n).toFixed(1)} lb`; }
   function fmtNumber(n){ return `${Number(n ?? 0).toLocaleString()}`; }
-  function fmtSigned(n){ return `${n >= 0 ? '+' : ''}${n}`; }
+  function capitalize(s) { return s.charAt(0).toUpperCase() + s.slice(1); }
   function escapeHTML(s) {
     return String(s)
       .replaceAll('&', '&amp;')
@@ -474,13 +769,8 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
       .replaceAll("'", '&#039;');
   }
 
-  // Initial render + reopen if parked at a landmark
-  if (!game.data.flags?.phase2_init_logged) {
-    const here = landmarks.find(l => l.mile <= 0) ?? { name: 'the trailhead', mile: 0 };
-    game.data.log.push(`Setting out from ${here.name}.`);
-    game.data.flags.phase2_init_logged = true;
-    game.save();
-  }
+  // Initial render + reopen the repair modal if broken down, then any parked landmark
+  setOut(game, landmarks);
   drawLog();
   render();
 
@@ -489,10 +779,13 @@ export async function mountTravelScreen(root, { game, onBackToTitle, onReachLand
   });
 
   const parkedId = game.data.flags?.atLandmarkId;
-  if (parkedId) {
+  const reopenParked = () => {
+    if (!parkedId || detectGameOver(game, totalMiles)) return;
     const lm = landmarks.find(l => l.id === parkedId);
     if (lm) onReachLandmark?.(lm);
-  }
+  };
+  if (isBroken(game) && !detectGameOver(game, totalMiles)) openRepair().then(reopenParked);
+  else reopenParked();
 
   return () => wrap.remove();
 }